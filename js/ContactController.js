@@ -0,0 +1,761 @@
+/**
+ * The ContactController bridges the ContactModel and the ContactView.
+ * It translates user interactions from the View into actions on the Model,
+ * and passes the updated data or state back to the View for rendering.
+ */
+class ContactController extends Controller {
+    /**
+     * @param {ContactModel} model - The application Model instance.
+     * @param {ContactView} view - The application View instance.
+     * @param {Router} router - Keeps the search and the open contact in the URL, with the routes
+     *   'contacts' (the list), 'newContact', 'contact' (the detail view) and 'editContact', which
+     *   take the search as `q`.
+     */
+    constructor(model, view, router) {
+        super(model, view);
+        this.router = router;
+
+        // ==========================================
+        // INIT DATA FLOW (Model -> View)
+        // ==========================================
+
+        this.listenTo(this.model, {
+            // Define what happens when the Model's data changes.
+            contactsChanged: this.onContactListChanged,
+            // Define how loading, success and failure of Model operations are shown.
+            statusChanged: this.onStatusChanged,
+            // Define how the offline / sync state is shown.
+            syncChanged: this.onSyncChanged,
+            // Switch between the sign-in screen and the app.
+            authChanged: this.onAuthChanged,
+            // Define how the address book switcher is filled.
+            booksChanged: this.onBooksChanged,
+            // Define how the current book's tags and the tag filter are shown.
+            tagsChanged: this.onTagsChanged
+        });
+
+        // Show what the URL names (Router -> View).
+        this.listenTo(this.router, { routeChanged: this.onRouteChanged });
+
+        // ==========================================
+        // INIT EVENT BINDINGS (View -> Controller -> Model)
+        // ==========================================
+
+        this.bindView({
+            saveContact: [this.handleSaveContact, this.handleFindDuplicates],
+            deleteContact: this.handleDeleteContact,
+            addContact: this.handleAddContact,
+            editContact: this.handleEditContact,
+            showContact: this.handleShowContact,
+            dialogClosed: this.handleDialogClosed,
+            searchContact: this.handleSearchContact,
+            sortContacts: this.handleSortContacts,
+            loadMore: this.handleLoadMore,
+            syncNow: this.handleSyncNow,
+            resolveConflict: this.handleResolveConflict,
+            resolveEditConflict: this.handleResolveEditConflict,
+            authenticate: this.handleAuthenticate,
+            logout: this.handleLogout,
+            selectBook: this.handleSelectBook,
+            createBook: this.handleCreateBook,
+            openMembers: this.handleOpenMembers,
+            addMember: this.handleAddMember,
+            manageMembers: [this.handleChangeMemberRole, this.handleRemoveMember],
+            leaveBook: this.handleRemoveMember,
+            deleteBook: this.handleDeleteBook,
+            exportContacts: this.handleExportContacts,
+            importContacts: [this.handlePreviewImport, this.handleImportContacts],
+            bulkActions: [this.handleBulkDelete, this.handleExportContacts, this.handleBulkTag],
+            tagFilter: this.handleTagFilter,
+            createTag: this.handleCreateTag,
+            manageTags: [this.handleUpdateTag, this.handleDeleteTag],
+            openDuplicates: this.handleOpenDuplicates,
+            mergeContacts: this.handleMergeContacts,
+            openTrash: this.handleOpenTrash,
+            restoreContact: this.handleRestoreContact,
+            showHistory: this.handleShowHistory,
+            revertContact: this.handleRevertContact
+        });
+
+        // Pending search request while the user is still typing
+        this._searchTimer = null;
+
+        // Routes are shown once the user's address books are loaded. _routeId tells a route that
+        // is still loading its contact that a newer one came; _routing is set while a route opens
+        // or closes dialogs, which mustn't navigate in turn.
+        this._routesReady = false;
+        this._routeId = 0;
+        this._routing = false;
+
+        // ==========================================
+        // INITIAL RENDER
+        // ==========================================
+        // Find out who is signed in; onAuthChanged then loads their contacts or asks them to sign in.
+        this.model.checkSession();
+    }
+
+    /**
+     * Callback triggered by the Model when the user signs in or out.
+     *
+     * @param {Object|null} user - The signed-in user, or null.
+     * @param {string} [reason] - 'expired' if the server ended the session.
+     */
+    onAuthChanged = async (user, reason) => {
+        clearTimeout(this._searchTimer);
+        this._routesReady = false;
+
+        if (!user) {
+            this.view.showAuthScreen(reason === 'expired' ? 'Your session has expired. Please sign in again.' : undefined);
+            return;
+        }
+
+        // The list starts with the URL's search, and then whatever dialog it names is opened
+        const { q = '' } = (this.router.current() || { query: {} }).query;
+        this.view.showApp(user, q);
+        this.model.setQuery({ q }, { fetch: false });
+        await this.model.fetchBooks();
+
+        if (this.model.user !== user) return;
+        this._routesReady = true;
+        const route = this.router.current();
+        if (route) this._showRoute(route);
+    };
+
+    /**
+     * Callback triggered by the Router when the URL names another route.
+     * @param {Object} route - { name, params, query }.
+     */
+    onRouteChanged = (route) => {
+        if (this._routesReady) this._showRoute(route);
+    };
+
+    /**
+     * Brings the screen in step with a route: the list is searched for its `q`, and the form or
+     * the detail view it names is opened (and any other closed). A contact that isn't listed is
+     * loaded, switching to its address book if need be.
+     *
+     * @param {Object} route - { name, params, query }.
+     */
+    _showRoute = async (route) => {
+        const routeId = ++this._routeId;
+
+        const q = route.query.q || '';
+        if (q !== this.model.query.q) {
+            clearTimeout(this._searchTimer);
+            this.view.showSearchTerm(q);
+            this.model.setQuery({ q });
+        }
+
+        let contact = null;
+        if (route.params.id) {
+            contact = this.model.getContactById(route.params.id) || await this.model.fetchContact(route.params.id);
+            if (contact && contact.bookId && contact.bookId !== this.model.bookId &&
+                this.model.books.some((book) => book.id === contact.bookId)) {
+                await this.model.selectBook(contact.bookId);
+            }
+            if (routeId !== this._routeId) return;
+
+            if (!contact) {
+                this.view.showToast({ type: 'error', message: 'That contact doesn\'t exist, or you can\'t see it.' });
+                this.router.navigate(this._listPath(), { replace: true });
+                return;
+            }
+        }
+
+        // Viewers can't add or edit: the contact is shown instead
+        if ((route.name === 'newContact' || route.name === 'editContact') && !this.model.canEdit()) {
+            this.router.navigate(contact ? this._contactPath('contact', contact.id) : this._listPath(), { replace: true });
+            return;
+        }
+
+        this._routing = true;
+        try {
+            if (route.name !== 'contact') this.view.closeContactDetails();
+            if (route.name !== 'newContact' && route.name !== 'editContact') this.view.closeModal();
+
+            if (route.name === 'contact') this.view.showContactDetails(contact);
+            if (route.name === 'editContact') this.view.openEditForm(contact);
+            if (route.name === 'newContact') this.view.openAddForm();
+        } finally {
+            this._routing = false;
+        }
+    };
+
+    /**
+     * @returns {Object} The query the routes carry: the search, if there is one.
+     */
+    _routeQuery() {
+        return { q: this.model.query.q };
+    }
+
+    /**
+     * @returns {string} The path of the list, with the current search.
+     */
+    _listPath() {
+        return this.router.path('contacts', {}, this._routeQuery());
+    }
+
+    /**
+     * @param {string} name - 'contact' or 'editContact'.
+     * @param {string} id
+     * @returns {string} The path of a contact's detail view or form, with the current search.
+     */
+    _contactPath(name, id) {
+        return this.router.path(name, { id }, this._routeQuery());
+    }
+
+    /**
+     * Callback triggered by the Model when the address books or the selected book change.
+     *
+     * @param {Array} books - The user's address books.
+     * @param {Object|null} current - The book on screen.
+     */
+    onBooksChanged = (books, current) => {
+        this.view.displayBooks(books, current);
+    };
+
+    /**
+     * Callback triggered by the Model when the current book's tags or the tag filter change.
+     *
+     * @param {Array} tags - The book's tags.
+     * @param {Array<string>} selectedIds - The tags the list is filtered by.
+     */
+    onTagsChanged = (tags, selectedIds) => {
+        this.view.displayTags(tags, selectedIds);
+    };
+
+    /**
+     * Callback triggered by the Model when contacts are updated (added/edited/deleted).
+     * It instructs the View to re-render the list with the fresh data.
+     * 
+     * @param {Array} contacts - The latest contacts array from the Model.
+     * @param {Object} meta - Pagination, sync and filter info ({ total, hasMore, pendingIds, queuedIds, search, filtered }).
+     */
+    onContactListChanged = (contacts, meta) => {
+        // Pass data to View to update DOM
+        this.view.displayContacts(contacts, meta);
+    };
+
+    /**
+     * Callback triggered by the Model whenever an operation starts, succeeds or fails.
+     * It maps each status to the matching visual feedback in the View.
+     *
+     * @param {Object} status - { state, operation, message?, retry?, conflict?, undo? } (see ContactModel._setStatus).
+     */
+    onStatusChanged = ({ state, operation, message, retry, rolledBack, conflict, undo }) => {
+        switch (operation) {
+            case 'fetch':
+                this.view.setListLoading(state === 'loading');
+                if (state === 'error') this.view.showListError(message, retry);
+                break;
+            case 'loadMore':
+                this.view.setLoadMoreBusy(state === 'loading');
+                break;
+            case 'add':
+            case 'edit':
+                this.view.setSaving(state === 'loading');
+                break;
+            case 'merge':
+                this.view.setMerging(state === 'loading');
+                break;
+        }
+
+        if (state === 'success' && message) {
+            this.view.showToast({
+                type: 'success',
+                message,
+                action: undo ? { label: 'Undo', handler: undo } : undefined
+            });
+        }
+        // Offline loads are explained by the sync banner; queued changes get a note
+        if (state === 'queued') {
+            this.view.showToast({ type: 'info', message });
+        }
+        // An edit that collided with someone else's gets a side-by-side comparison; a delete a note
+        if (state === 'conflict') {
+            if (operation === 'edit') {
+                this.view.showConflictDialog(conflict);
+            } else {
+                this.view.showToast({ type: 'error', message });
+            }
+        }
+        // Failed loads, saves, merges and restored versions are already shown in place (list error panel,
+        // form error, merge dialog, history), so only the other operations need an error toast.
+        // Undone optimistic changes always get one.
+        if (state === 'error' && (rolledBack || !['fetch', 'add', 'edit', 'merge', 'revert'].includes(operation))) {
+            this.view.showToast({
+                type: 'error',
+                message,
+                action: retry ? { label: 'Retry', handler: retry } : undefined
+            });
+        }
+    };
+
+    /**
+     * Callback triggered by the Model when connectivity or the offline queue changes.
+     *
+     * @param {Object} state - { online, queued, syncing, conflicts } (see ContactModel._notifySync).
+     */
+    onSyncChanged = (state) => {
+        this.view.setSyncState(state);
+    };
+
+    /**
+     * Handler attached to View's form submission.
+     * Checks if ID is present. If yes -> Edit, If no -> Add.
+     * 
+     * @param {string} id - Contact ID (empty if creating new).
+     * @param {Object} fields - The validated contact fields from the form.
+     * @returns {Promise<Object>} The Model's outcome ({ ok, errors?, message? }) for the View to act on.
+     */
+    handleSaveContact = async (id, fields) => {
+        const result = id
+            ? await this.model.editContact(id, fields)
+            : await this.model.addContact(fields);
+
+        // Let the View show what went wrong; keep the search as it is
+        if (!result.ok) return result;
+
+        // After save, clear the search to show the full list again. The search lives in the URL, so
+        // this goes to the list without one (in place of the form, which the route change closes)
+        if (this.model.query.q) {
+            this.router.navigate(this.router.path('contacts'), { replace: true });
+        }
+        return result;
+    };
+
+    /**
+     * Handler for the duplicate check the View runs before saving the form.
+     *
+     * @param {Object} fields - The validated contact fields from the form.
+     * @param {string} id - The contact's ID (empty if creating new).
+     * @returns {Promise<Array>} The likely duplicates ({ contact, reasons }), best first.
+     */
+    handleFindDuplicates = (fields, id) => {
+        return this.model.findDuplicates(fields, id || undefined);
+    };
+
+    /**
+     * Handler for the "Find duplicates" button: loads the likely duplicates, then opens the dialog.
+     */
+    handleOpenDuplicates = async () => {
+        const result = await this.model.fetchDuplicates();
+        if (!result.ok) {
+            this.view.showToast({ type: 'error', message: result.message });
+            return;
+        }
+        this.view.showDuplicatesDialog(result.data.data, result.data.total);
+    };
+
+    /**
+     * Handler for the merge dialog's confirm button.
+     *
+     * @param {Object} target - The contact that is kept.
+     * @param {Object} source - The contact merged into it (form fields without an ID for a new contact).
+     * @param {Object} choices - Per field 'target', 'source' or 'both'.
+     * @returns {Promise<Object>} The Model's outcome ({ ok, message?, conflict? }) for the View to act on.
+     */
+    handleMergeContacts = (target, source, choices) => {
+        return this.model.mergeContacts(target, source, choices);
+    };
+
+    /**
+     * Handler for the "Deleted contacts" button: loads the book's trash, then opens the dialog.
+     */
+    handleOpenTrash = async () => {
+        const result = await this.model.fetchTrash();
+        if (!result.ok) {
+            this.view.showToast({ type: 'error', message: result.message });
+            return;
+        }
+        this.view.showTrashDialog(result.data.data);
+    };
+
+    /**
+     * Handler for a contact's "Restore" button in the trash dialog. The dialog is reloaded either way.
+     * @param {string} id
+     */
+    handleRestoreContact = async (id) => {
+        await this.model.restoreContacts([id]);
+        await this.handleOpenTrash();
+    };
+
+    /**
+     * Handler for the detail view's "History" button: loads the contact's changes into the view.
+     * @param {string} id
+     */
+    handleShowHistory = async (id) => {
+        const result = await this.model.fetchHistory(id);
+        if (!result.ok) {
+            this.view.showHistoryError(result.message);
+            return;
+        }
+        this.view.showContactHistory(result.data.data);
+    };
+
+    /**
+     * Handler for "Restore this version" in a contact's history. Whatever the outcome, the detail
+     * view and the history are refreshed, since the contact may have changed either way.
+     *
+     * @param {string} id - The contact's ID.
+     * @param {Object} entry - The history entry to go back to.
+     */
+    handleRevertContact = async (id, entry) => {
+        const result = await this.model.revertContact(id, entry);
+        const contact = result.contact || this.model.getContactById(id);
+        if (!contact) {
+            this.view.closeContactDetails();
+            if (!result.ok) this.view.showToast({ type: 'error', message: result.message });
+            return;
+        }
+        this.view.showContactDetails(contact);
+        await this.handleShowHistory(id);
+        if (!result.ok) this.view.showHistoryError(result.message);
+    };
+
+    /**
+     * Handler attached to View's delete button click.
+     * 
+     * @param {string} id - The ID of contact to remove.
+     */
+    handleDeleteContact = async (id) => {
+        if (confirm('Are you sure you want to delete this contact?')) {
+            await this.model.deleteContact(id);
+        }
+    };
+
+    /**
+     * Handler for the bulk "Delete" button: one confirmation and one request for the whole selection.
+     * @param {Array<string>} ids - The selected contacts.
+     */
+    handleBulkDelete = async (ids) => {
+        const count = ids.length === 1 ? 'this contact' : `these ${ids.length} contacts`;
+        if (!confirm(`Are you sure you want to delete ${count}?`)) return;
+
+        const result = await this.model.deleteContacts(ids);
+        if (result.ok) this.view.clearSelection();
+    };
+
+    /**
+     * Handler for the bulk bar's tag menu. The selection is kept, to tag it further.
+     *
+     * @param {Array<string>} ids - The selected contacts.
+     * @param {string} tagId
+     * @param {boolean} add - True to add the tag, false to remove it.
+     */
+    handleBulkTag = (ids, tagId, add) => {
+        this.model.tagContacts(ids, tagId, add);
+    };
+
+    /**
+     * Handler for the "Add Contact" button: goes to the empty form.
+     */
+    handleAddContact = () => {
+        this.router.navigate(this.router.path('newContact', {}, this._routeQuery()));
+    };
+
+    /**
+     * Handler for a card's (or the detail view's) Edit button: goes to the contact's form.
+     * @param {string} id - The ID of the contact to edit.
+     */
+    handleEditContact = (id) => {
+        this.router.navigate(this._contactPath('editContact', id));
+    };
+
+    /**
+     * Handler for a click on a card: goes to the contact's detail view.
+     * @param {string} id - The ID of the contact to show.
+     */
+    handleShowContact = (id) => {
+        this.router.navigate(this._contactPath('contact', id));
+    };
+
+    /**
+     * Handler for the contact form or the detail view closing (other than by a route change):
+     * goes back to where it was opened from, usually the list.
+     */
+    handleDialogClosed = () => {
+        if (this._routing || !this._routesReady) return;
+
+        const route = this.router.current();
+        if (route && route.name !== 'contacts') this.router.back(this._listPath());
+    };
+
+    /**
+     * Handler for live search filtering.
+     * Filtering happens on the server; requests are debounced so typing
+     * a word sends one request instead of one per keystroke.
+     * The search is kept in the URL, in place of the previous one (see _showRoute()).
+     * 
+     * @param {string} searchTerm - Lowercase text from search input.
+     */
+    handleSearchContact = (searchTerm) => {
+        clearTimeout(this._searchTimer);
+        this._searchTimer = setTimeout(() => {
+            this.router.navigate(this.router.path('contacts', {}, { q: searchTerm }), { replace: true });
+        }, 250);
+    };
+
+    /**
+     * Handler for the sort dropdown.
+     *
+     * @param {string} sort - Field to sort by (e.g. 'name', 'createdAt').
+     * @param {string} order - 'asc' or 'desc'.
+     */
+    handleSortContacts = (sort, order) => {
+        this.model.setQuery({ sort, order });
+    };
+
+    /**
+     * Handler for the tag filter chips.
+     * @param {Array<string>} tagIds - The pressed tags.
+     */
+    handleTagFilter = (tagIds) => {
+        this.model.setTagFilter(tagIds);
+    };
+
+    /**
+     * Handler for creating a tag, from the contact form or the tags dialog.
+     *
+     * @param {string} name
+     * @returns {Promise<Object>} The Model's outcome ({ ok, data?, errors?, message? }) for the View to act on.
+     */
+    handleCreateTag = (name) => {
+        return this.model.createTag(name);
+    };
+
+    /**
+     * Handler for renaming or recoloring a tag in the tags dialog.
+     *
+     * @param {string} id
+     * @param {Object} changes - { name } or { color }.
+     * @returns {Promise<Object>} The Model's outcome, for the View to report failures.
+     */
+    handleUpdateTag = (id, changes) => {
+        return this.model.updateTag(id, changes);
+    };
+
+    /**
+     * Handler for deleting a tag in the tags dialog.
+     *
+     * @param {string} id
+     * @returns {Promise<Object>} The Model's outcome, for the View to report failures.
+     */
+    handleDeleteTag = async (id) => {
+        const result = await this.model.deleteTag(id);
+        if (result.ok) this.view.showToast({ type: 'success', message: 'Tag deleted.' });
+        return result;
+    };
+
+    /**
+     * Handler for "Load more" / infinite scroll.
+     */
+    handleLoadMore = () => {
+        this.model.loadMoreContacts();
+    };
+
+    /**
+     * Handler for the "Sync now" button: replays queued offline changes immediately.
+     * While offline, reloading the list checks the connection first (and syncs if it's back).
+     */
+    handleSyncNow = () => {
+        if (this.model.isOnline) {
+            this.model.syncQueue();
+        } else {
+            this.model.fetchContacts();
+        }
+    };
+
+    /**
+     * Handler for the sync conflict buttons.
+     *
+     * @param {string} id - The conflict's ID.
+     * @param {string} choice - 'keep' or 'discard'.
+     */
+    handleResolveConflict = (id, choice) => {
+        this.model.resolveConflict(id, choice);
+    };
+
+    /**
+     * Handler for the edit conflict dialog.
+     * 'mine' saves the user's edits over the current version (the Model now holds it);
+     * 'theirs' drops the edits, keeping the version already shown in the list.
+     *
+     * @param {string} choice - 'mine' or 'theirs'.
+     * @param {Object} conflict - { id, current, mine } from the Model.
+     */
+    handleResolveEditConflict = async (choice, conflict) => {
+        this.view.closeConflictDialog();
+
+        if (choice === 'theirs') {
+            this.view.closeModal();
+            return;
+        }
+
+        const result = await this.model.editContact(conflict.id, conflict.mine);
+
+        // Changed yet again: the Model has reported a new conflict, shown by onStatusChanged
+        if (result.conflict) return;
+
+        if (result.ok) {
+            this.view.closeModal();
+        } else {
+            this.view.showFormError(result.message || 'Could not save the contact.');
+        }
+    };
+
+    /**
+     * Handler for the sign-in form.
+     *
+     * @param {string} mode - 'login' or 'register'.
+     * @param {string} email
+     * @param {string} password
+     * @returns {Promise<Object>} The Model's outcome ({ ok, errors?, message? }) for the View to act on.
+     */
+    handleAuthenticate = (mode, email, password) => {
+        return mode === 'register'
+            ? this.model.register(email, password)
+            : this.model.login(email, password);
+    };
+
+    /**
+     * Handler for the "Sign out" button.
+     */
+    handleLogout = () => {
+        this.model.logout();
+    };
+
+    /**
+     * Handler for the address book switcher.
+     * @param {string} id - The selected book's ID.
+     */
+    handleSelectBook = (id) => {
+        this.model.selectBook(id);
+    };
+
+    /**
+     * Handler for the "New address book" button.
+     *
+     * @param {string} name
+     * @returns {Promise<Object>} The Model's outcome, for the View to report failures.
+     */
+    handleCreateBook = (name) => {
+        return this.model.createBook(name);
+    };
+
+    /**
+     * Handler for the "Members" button: loads the members, then opens the dialog.
+     */
+    handleOpenMembers = async () => {
+        const result = await this.model.fetchMembers();
+        if (!result.ok) {
+            this.view.showToast({ type: 'error', message: result.message });
+            return;
+        }
+        this.view.showMembersDialog(result.data, this.model.user.id);
+    };
+
+    /**
+     * Reloads the members dialog after a change (undoing a refused one on screen)
+     * and reports why the change failed, if it did.
+     *
+     * @param {Object} result - The Model's outcome.
+     * @returns {Promise<Object>} The same outcome.
+     */
+    _refreshMembers = async (result) => {
+        const members = await this.model.fetchMembers();
+        if (members.ok) this.view.showMembersDialog(members.data, this.model.user.id);
+        if (!result.ok && !result.errors) this.view.showMembersError(result.message);
+        return result;
+    };
+
+    /**
+     * Handler for the share form of the members dialog.
+     *
+     * @param {string} email
+     * @param {string} role
+     * @returns {Promise<Object>} The Model's outcome ({ ok, errors?, message? }) for the View to act on.
+     */
+    handleAddMember = async (email, role) => {
+        const result = await this.model.addMember(email, role);
+        if (result.ok) this.view.memberEmail.value = '';
+        return this._refreshMembers(result);
+    };
+
+    /**
+     * Handler for a member's role dropdown.
+     *
+     * @param {string} userId
+     * @param {string} role
+     */
+    handleChangeMemberRole = async (userId, role) => {
+        await this._refreshMembers(await this.model.updateMember(userId, role));
+    };
+
+    /**
+     * Handler for removing a member, or leaving the book (when it's the signed-in user).
+     * @param {string} userId
+     */
+    handleRemoveMember = async (userId) => {
+        const result = await this.model.removeMember(userId);
+        if (result.ok && userId === this.model.user.id) {
+            this.view.closeMembersDialog();
+            this.view.showToast({ type: 'success', message: 'You left the address book.' });
+            return;
+        }
+        await this._refreshMembers(result);
+    };
+
+    /**
+     * Handler for the "Delete address book" button.
+     */
+    handleDeleteBook = async () => {
+        const result = await this.model.deleteBook();
+        if (!result.ok) {
+            this.view.showMembersError(result.message);
+            return;
+        }
+        this.view.closeMembersDialog();
+        this.view.showToast({ type: 'success', message: 'Address book deleted.' });
+    };
+
+    /**
+     * Handler for the export buttons: downloads the current book's contacts, or the selected ones.
+     *
+     * @param {string} format - 'csv' or 'vcf'.
+     * @param {Array<string>} [ids] - The selected contacts.
+     */
+    handleExportContacts = async (format, ids) => {
+        const result = await this.model.exportContacts(format, ids);
+        if (!result.ok) {
+            this.view.showToast({ type: 'error', message: result.message });
+            return;
+        }
+        this.view.saveFile(result.blob, result.filename);
+    };
+
+    /**
+     * Handler for choosing a file (or a column mapping) in the import dialog.
+     *
+     * @param {Object} upload - { format, data, mapping? }
+     * @returns {Promise<Object>} The server's dry run, for the View's preview.
+     */
+    handlePreviewImport = (upload) => {
+        return this.model.previewImport(upload);
+    };
+
+    /**
+     * Handler for the import dialog's confirm button.
+     *
+     * @param {Object} upload - { format, data, mapping? }
+     * @returns {Promise<Object>} The Model's outcome ({ ok, message? }) for the View to act on.
+     */
+    handleImportContacts = async (upload) => {
+        const result = await this.model.importContacts(upload);
+        if (result.ok) {
+            const { imported } = result.data;
+            this.view.showToast({ type: 'success', message: `Imported ${imported} contact${imported === 1 ? '' : 's'}.` });
+        }
+        return result;
+    };
+}
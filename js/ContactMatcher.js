@@ -0,0 +1,350 @@
+/**
+ * The ContactMatcher finds contacts that are likely the same person, and combines two of them.
+ * Like ContactSchema it is shared by the browser (Model, to check the contacts it has loaded
+ * while offline; View, to preview a merge) and the server (server/routes/contacts.js, the
+ * duplicates and merge endpoints), so both find the same duplicates and merge them the same way.
+ *
+ * In the browser it is loaded with a plain <script> tag and defines a global `ContactMatcher`;
+ * in Node it is exported with `module.exports`. It needs ContactSchema.
+ */
+const ContactMatcher = (function () {
+    const Schema = typeof ContactSchema !== 'undefined' ? ContactSchema : require('./ContactSchema');
+
+    // Two names at least this similar (1 = identical) are taken as the same person, e.g. "Jon Smith" and "John Smith"
+    const NAME_SIMILARITY = 0.85;
+
+    // Shorter names only match exactly: "Al" and "Ali" are different people
+    const NAME_FUZZY_MIN_LENGTH = 6;
+
+    // How much each kind of match counts when ranking duplicates
+    const REASON_WEIGHTS = { email: 3, phone: 2, name: 1 };
+
+    /**
+     * The fields two contacts are merged by, in the order a merge screen lists them.
+     * 'value' fields take one contact's value; 'list' fields can also keep both (notes are joined).
+     */
+    const MERGE_FIELDS = [
+        { field: 'name', label: Schema.fields.name.label, kind: 'value' },
+        { field: 'emails', label: Schema.lists.emails.label, kind: 'list' },
+        { field: 'phones', label: Schema.lists.phones.label, kind: 'list' },
+        { field: 'addresses', label: Schema.addresses.label, kind: 'list' },
+        { field: 'company', label: Schema.fields.company.label, kind: 'value' },
+        { field: 'title', label: Schema.fields.title.label, kind: 'value' },
+        { field: 'birthday', label: Schema.fields.birthday.label, kind: 'value' },
+        { field: 'notes', label: Schema.fields.notes.label, kind: 'list' },
+        { field: 'tagIds', label: Schema.tags.label, kind: 'list' }
+    ];
+
+    // The choices of a merge, per field: keep the target's value, the source's, or (lists) both
+    const MERGE_CHOICES = ['target', 'source', 'both'];
+
+    /**
+     * @param {string} email
+     * @returns {string} The address as compared: trimmed and lowercase.
+     */
+    function normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * @param {string} phone
+     * @returns {string} The number as compared: E.164 when it can be, else just its digits.
+     */
+    function normalizePhone(phone) {
+        const text = String(phone || '');
+        return Schema.toE164(text) || text.replace(/\D/g, '');
+    }
+
+    /**
+     * Reduces a name to what matters when comparing: lowercase words without accents or
+     * punctuation, in alphabetical order, so "Doe, Jane" and "Jane Doe" are the same name.
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    function normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean)
+            .sort()
+            .join(' ');
+    }
+
+    /**
+     * The number of single-character edits turning one string into the other.
+     *
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * @param {string} a - A name, as returned by normalizeName().
+     * @param {string} b - Another one.
+     * @returns {boolean} True if the names are the same, or close enough to be a typo or a variant spelling.
+     */
+    function namesMatch(a, b) {
+        if (!a || !b) return false;
+        if (a === b) return true;
+
+        const longest = Math.max(a.length, b.length);
+        if (Math.min(a.length, b.length) < NAME_FUZZY_MIN_LENGTH) return false;
+        if (Math.abs(a.length - b.length) > longest * (1 - NAME_SIMILARITY)) return false;
+        return 1 - editDistance(a, b) / longest >= NAME_SIMILARITY;
+    }
+
+    /**
+     * The emails and phone numbers of a contact, normalized for comparing.
+     * Contacts saved before they had lists only carry a single email and phone.
+     *
+     * @param {Object} contact
+     * @returns {{ name: string, emails: Set<string>, phones: Set<string> }}
+     */
+    function keysOf(contact) {
+        const values = (list) => {
+            const primary = contact[Schema.lists[list].primary];
+            const entries = contact[list] || (primary ? [{ value: primary }] : []);
+            return entries.map((entry) => (entry && typeof entry === 'object' ? entry.value : entry)).filter(Boolean);
+        };
+        return {
+            name: normalizeName(contact.name),
+            emails: new Set(values('emails').map(normalizeEmail)),
+            phones: new Set(values('phones').map(normalizePhone))
+        };
+    }
+
+    /**
+     * @param {Object} a - From keysOf().
+     * @param {Object} b - From keysOf().
+     * @returns {Array<string>} Why the two contacts look like the same person: 'email', 'phone'
+     *   and/or 'name'. Empty when they don't.
+     */
+    function compareKeys(a, b) {
+        const reasons = [];
+        if ([...a.emails].some((email) => b.emails.has(email))) reasons.push('email');
+        if ([...a.phones].some((phone) => b.phones.has(phone))) reasons.push('phone');
+        if (namesMatch(a.name, b.name)) reasons.push('name');
+        return reasons;
+    }
+
+    /**
+     * @param {Array<string>} reasons
+     * @returns {number} How likely a match is, for ranking.
+     */
+    function score(reasons) {
+        return reasons.reduce((sum, reason) => sum + REASON_WEIGHTS[reason], 0);
+    }
+
+    /**
+     * Finds the contacts that are likely the same person as a new or edited contact.
+     *
+     * @param {Object} candidate - Contact fields (raw or normalized by ContactSchema.validate()).
+     * @param {Array<Object>} contacts - The contacts to look through.
+     * @param {Object} [options]
+     * @param {string} [options.excludeId] - The candidate's own ID, when it is being edited.
+     * @returns {Array<{ contact: Object, reasons: Array<string> }>} Best matches first.
+     */
+    function findDuplicates(candidate, contacts, { excludeId } = {}) {
+        const keys = keysOf(candidate);
+        return contacts
+            .filter((contact) => contact.id !== excludeId)
+            .map((contact) => ({ contact, reasons: compareKeys(keys, keysOf(contact)) }))
+            .filter((match) => match.reasons.length > 0)
+            .sort((a, b) => score(b.reasons) - score(a.reasons) || a.contact.name.localeCompare(b.contact.name));
+    }
+
+    /**
+     * Finds the pairs of contacts in a list that are likely the same person.
+     * Emails and phone numbers are looked up by value; names are only compared between contacts
+     * whose names start alike, which keeps large books fast.
+     *
+     * @param {Array<Object>} contacts
+     * @returns {Array<{ contacts: Array<Object>, reasons: Array<string> }>} Pairs, best matches first.
+     *   The older contact of each pair comes first.
+     */
+    function findDuplicatePairs(contacts) {
+        const ordered = [...contacts].sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+        const keys = ordered.map(keysOf);
+        const candidates = new Map();
+
+        // Index positions by every email, phone number and the first letters of the name
+        const index = new Map();
+        keys.forEach((key, i) => {
+            const values = [
+                ...[...key.emails].map((email) => `e:${email}`),
+                ...[...key.phones].map((phone) => `p:${phone}`),
+                ...(key.name ? [`n:${key.name.slice(0, 2)}`] : [])
+            ];
+            values.forEach((value) => {
+                const seen = index.get(value) || [];
+                seen.forEach((j) => candidates.set(`${j}:${i}`, [j, i]));
+                seen.push(i);
+                index.set(value, seen);
+            });
+        });
+
+        const pairs = [];
+        candidates.forEach(([i, j]) => {
+            const reasons = compareKeys(keys[i], keys[j]);
+            if (reasons.length > 0) pairs.push({ contacts: [ordered[i], ordered[j]], reasons });
+        });
+        return pairs.sort((a, b) => score(b.reasons) - score(a.reasons) || a.contacts[0].name.localeCompare(b.contacts[0].name));
+    }
+
+    /**
+     * @param {Object} contact
+     * @param {string} field - A MERGE_FIELDS field.
+     * @returns {*} The contact's value for the field, with empty values as '' or [].
+     */
+    function valueOf(contact, field) {
+        if (field === 'emails' || field === 'phones') {
+            const primary = contact[Schema.lists[field].primary];
+            return contact[field] || (primary ? [{ label: 'other', value: primary }] : []);
+        }
+        if (field === 'addresses' || field === 'tagIds') return contact[field] || [];
+        return contact[field] || '';
+    }
+
+    /**
+     * @param {string} field
+     * @param {*} entry - An entry of a list field.
+     * @returns {string} What makes two entries the same, so keeping both doesn't repeat one.
+     */
+    function entryKey(field, entry) {
+        if (field === 'emails') return normalizeEmail(entry.value);
+        if (field === 'phones') return normalizePhone(entry.value);
+        if (field === 'addresses') {
+            return Object.keys(Schema.addresses.fields).map((part) => String(entry[part] || '').trim().toLowerCase()).join('|');
+        }
+        return String(entry);
+    }
+
+    /**
+     * The choice that loses nothing: both values of a list (and of notes) where both contacts
+     * have one, and otherwise the value that isn't empty, preferring the target's.
+     *
+     * @param {Object} target - The contact that is kept.
+     * @param {Object} source - The contact merged into it.
+     * @returns {Object} A choice per field: 'target', 'source' or 'both'.
+     */
+    function defaultChoices(target, source) {
+        const choices = {};
+        MERGE_FIELDS.forEach(({ field, kind }) => {
+            const mine = valueOf(target, field);
+            const theirs = valueOf(source, field);
+            const empty = (value) => value.length === 0;
+
+            if (kind === 'list' && !empty(mine) && !empty(theirs)) {
+                choices[field] = 'both';
+            } else {
+                choices[field] = empty(mine) && !empty(theirs) ? 'source' : 'target';
+            }
+        });
+        return choices;
+    }
+
+    /**
+     * Combines two contacts field by field. Lists kept from both contacts are joined (the target's
+     * entries first, repeats left out, cut to the schema's maximum); notes are joined by a blank line.
+     *
+     * @param {Object} target - The contact that is kept.
+     * @param {Object} source - The contact merged into it.
+     * @param {Object} [choices] - Per field 'target', 'source' or 'both'; fields left out get defaultChoices().
+     * @returns {Object} The merged contact's fields, to be checked with ContactSchema.validate().
+     */
+    function mergeContacts(target, source, choices = {}) {
+        const chosen = { ...defaultChoices(target, source), ...choices };
+        const merged = {};
+
+        MERGE_FIELDS.forEach(({ field, kind }) => {
+            const choice = kind === 'value' && chosen[field] === 'both' ? 'target' : chosen[field];
+            if (choice !== 'both') {
+                merged[field] = valueOf(choice === 'source' ? source : target, field);
+                return;
+            }
+
+            if (field === 'notes') {
+                const notes = [valueOf(target, field), valueOf(source, field)].filter(Boolean);
+                merged.notes = notes[0] === notes[1] ? notes[0] : notes.join('\n\n');
+                return;
+            }
+
+            const seen = new Set();
+            const max = field === 'tagIds' ? Schema.tags.max : (Schema.lists[field] || Schema.addresses).max;
+            merged[field] = [...valueOf(target, field), ...valueOf(source, field)]
+                .filter((entry) => {
+                    const key = entryKey(field, entry);
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .slice(0, max);
+        });
+
+        if (merged.notes.length > Schema.fields.notes.maxLength) {
+            merged.notes = merged.notes.slice(0, Schema.fields.notes.maxLength);
+        }
+        return merged;
+    }
+
+    /**
+     * Checks the choices sent with a merge.
+     *
+     * @param {*} choices
+     * @returns {Array<{ field: string, message: string }>} Empty when they are valid.
+     */
+    function validateChoices(choices) {
+        if (choices === undefined || choices === null) return [];
+        if (typeof choices !== 'object' || Array.isArray(choices)) {
+            return [{ field: 'choices', message: 'choices must be an object' }];
+        }
+
+        const errors = [];
+        Object.entries(choices).forEach(([field, choice]) => {
+            const rules = MERGE_FIELDS.find((entry) => entry.field === field);
+            if (!rules) {
+                errors.push({ field: `choices.${field}`, message: `${field} is not a field that can be merged` });
+            } else if (!MERGE_CHOICES.includes(choice) || (choice === 'both' && rules.kind === 'value')) {
+                const allowed = rules.kind === 'value' ? MERGE_CHOICES.slice(0, 2) : MERGE_CHOICES;
+                errors.push({ field: `choices.${field}`, message: `${rules.label} must be one of: ${allowed.join(', ')}` });
+            }
+        });
+        return errors;
+    }
+
+    return {
+        MERGE_FIELDS,
+        normalizeEmail,
+        normalizePhone,
+        normalizeName,
+        findDuplicates,
+        findDuplicatePairs,
+        defaultChoices,
+        mergeContacts,
+        validateChoices
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactMatcher;
+}
@@ -0,0 +1,2015 @@
+/**
+ * The ContactModel handles the data logic of the contacts app.
+ * It is responsible for managing the contacts data, state, and interacting with the backend API.
+ * It enforces rules on data manipulation and tells its listeners when the data changes (see Model.js),
+ * with these events:
+ *
+ * - 'authChanged' (user, reason): the user signed in or out (see _setUser()).
+ * - 'booksChanged' (books, currentBook): the address book list or the selected book changed.
+ * - 'tagsChanged' (tags, selectedTagIds): the current book's tags or the tag filter changed.
+ * - 'contactsChanged' (contacts, meta): the listed contacts changed (see _commit()).
+ * - 'statusChanged' (status): an operation started, succeeded or failed (see _setStatus()).
+ * - 'syncChanged' (state): the offline sync state changed (see _notifySync()).
+ */
+class ContactModel extends Model {
+    /**
+     * @param {Object} config - Runtime settings provided by the server.
+     * @param {string} config.apiBaseUrl - Base URL of the backend API (e.g. "https://example.com/api").
+     * @param {boolean} [config.optimisticUpdates] - Apply changes locally before the server confirms them.
+     */
+    constructor(config) {
+        super(['authChanged', 'booksChanged', 'tagsChanged', 'contactsChanged', 'statusChanged', 'syncChanged']);
+
+        // Initialize an empty array of contacts.
+        // The server paginates, so this only holds the pages loaded so far.
+        this.contacts = [];
+
+        // The API's resources. Signing in goes straight to the server; everything else is
+        // sent by _request(), which notices an ended session.
+        const send = (url, options) => this._request(url, options);
+        this.api = {
+            auth: new RestResource(`${config.apiBaseUrl}/auth`),
+            books: new RestResource(`${config.apiBaseUrl}/books`, { send }),
+            contacts: new RestResource(`${config.apiBaseUrl}/contacts`, { send })
+        };
+
+        // The signed-in user ({ id, email }), or null. Contacts are only loaded once there is one.
+        this.user = null;
+
+        // The address books the user is a member of ({ id, name, role }), and the one on screen
+        this.books = [];
+        this.bookId = null;
+
+        // The current book's tags ({ id, name, color }), by name
+        this.tags = [];
+
+        // Total number of contacts matching the current query on the server
+        this.total = 0;
+
+        // A contact opened by its link (see fetchContact()) that isn't on the pages loaded so far
+        this.linkedContact = null;
+
+        // Current search, tag filter (contacts must have every tag) and sort applied by the server,
+        // and how many contacts to load per page
+        this.query = { q: '', tags: [], sort: 'name', order: 'asc' };
+        this.pageSize = 25;
+
+        // Incremented for every list request so late responses for an older query are ignored
+        this._requestId = 0;
+        this._loadingMore = false;
+
+        // Optimistic mode: show adds/edits/deletes immediately, roll back if the API call fails.
+        // pendingOperations counts in-flight operations per contact ID, so the View can mark them.
+        this.optimistic = Boolean(config.optimisticUpdates);
+        this.pendingOperations = new Map();
+
+        // Offline support: a local cache of contacts and a durable queue of changes made offline,
+        // kept per user (created on sign-in, see _setUser).
+        // isOnline turns false when the browser is offline or the server can't be reached.
+        this.offline = null;
+        this.isOnline = navigator.onLine;
+        this._syncing = false;
+        this._syncTimer = null;
+        this._watchConnectivity();
+
+        // Live updates: changes other tabs make to the current book are streamed from the server.
+        // clientId identifies this tab, so the server doesn't echo its own changes back to it.
+        this.clientId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this._liveSource = null;
+        this._liveBookId = null;
+        this._liveTimer = null;
+        this._liveRetries = 0;
+        this._lastEventId = null;
+    }
+
+    /**
+     * Listens to the browser's connectivity events.
+     * Coming back online replays the queued changes right away.
+     */
+    _watchConnectivity() {
+        window.addEventListener('online', () => {
+            this.isOnline = true;
+            this._notifySync();
+            this.syncQueue();
+        });
+        window.addEventListener('offline', () => {
+            this.isOnline = false;
+            this._notifySync();
+        });
+    }
+
+    // ==========================================
+    // AUTHENTICATION
+    // ==========================================
+
+    /**
+     * Switches to another user (or none): their own offline store, and an empty list until
+     * their contacts are fetched. The user is remembered so the app can start offline.
+     * Emits 'authChanged' with the user (or null) and the reason, 'expired' for a sign-out
+     * the server forced (an ended session).
+     *
+     * @param {Object|null} user
+     * @param {string} [reason]
+     */
+    _setUser(user, reason) {
+        this._disconnectLive();
+        this.user = user;
+        this.offline = user ? new OfflineStore(`contacts.${user.id}`) : null;
+        this.books = [];
+        this.bookId = null;
+        this.tags = [];
+        this.contacts = [];
+        this.total = 0;
+        this.query = { q: '', tags: [], sort: 'name', order: 'asc' };
+        this.linkedContact = null;
+        this.pendingOperations.clear();
+
+        try {
+            if (user) {
+                localStorage.setItem('auth.user', JSON.stringify(user));
+            } else {
+                localStorage.removeItem('auth.user');
+            }
+        } catch (error) {
+            console.error('Model: could not remember the signed-in user:', error);
+        }
+
+        this.emit('authChanged', user, reason);
+        this._notifySync();
+    }
+
+    /**
+     * Finds out who is signed in, from the session cookie.
+     * When the server can't be reached, the last signed-in user is assumed so the
+     * cached contacts can be used offline.
+     */
+    async checkSession() {
+        try {
+            const response = await this.api.auth.get('me');
+            if (!response.ok) {
+                this._setUser(null);
+                return;
+            }
+            this._setUser((await response.json()).user);
+        } catch (error) {
+            let remembered = null;
+            try {
+                remembered = JSON.parse(localStorage.getItem('auth.user'));
+            } catch (storageError) {
+                console.error('Model: could not read the remembered user:', storageError);
+            }
+            this._setUser(remembered);
+        }
+    }
+
+    /**
+     * Sends credentials to a sign-in endpoint.
+     *
+     * @param {string} action - 'login' or 'register'.
+     * @param {string} email
+     * @param {string} password
+     * @returns {Promise<Object>} { ok: true }, { ok: false, errors } for field errors,
+     *   or { ok: false, message }.
+     */
+    async _authenticate(action, email, password) {
+        try {
+            const response = await this.api.auth.post(action, { email, password });
+            const body = await response.json();
+
+            if (!response.ok) {
+                return body.errors ? { ok: false, errors: body.errors } : { ok: false, message: body.error };
+            }
+            this._setUser(body.user);
+            return { ok: true };
+        } catch (error) {
+            console.error(`Model: ${action} failed:`, error);
+            return { ok: false, message: 'Could not reach the server. Check your connection.' };
+        }
+    }
+
+    /**
+     * Signs in with an email and password.
+     * @returns {Promise<Object>} The outcome, as for _authenticate().
+     */
+    login(email, password) {
+        return this._authenticate('login', email, password);
+    }
+
+    /**
+     * Creates an account and signs in to it.
+     * @returns {Promise<Object>} The outcome, as for _authenticate().
+     */
+    register(email, password) {
+        return this._authenticate('register', email, password);
+    }
+
+    /**
+     * Signs out. The cached contacts are removed from this browser; changes still waiting
+     * to be synced are kept and sent the next time the same user signs in.
+     */
+    async logout() {
+        try {
+            await this.api.auth.post('logout');
+        } catch (error) {
+            console.error('Model: logout request failed:', error);
+        }
+        if (this.offline) this.offline.clearCache();
+        this._setUser(null);
+    }
+
+    /**
+     * Sends a request to the API with the session cookie and this tab's ID (for the resources in this.api).
+     * A 401 means the session has ended: the user is signed out and an error is thrown.
+     *
+     * @param {string} url
+     * @param {Object} [options] - fetch() options.
+     * @returns {Promise<Response>}
+     * @throws {Error} With `status` 401 when the user is no longer signed in.
+     */
+    async _request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, 'X-Client-Id': this.clientId },
+            credentials: 'include'
+        });
+        this._markOnline();
+
+        if (response.status === 401) {
+            if (this.user) this._setUser(null, 'expired');
+            const error = new Error('Not signed in');
+            error.status = 401;
+            throw error;
+        }
+        return response;
+    }
+
+    // ==========================================
+    // ADDRESS BOOKS
+    // ==========================================
+
+    _notifyBooks() {
+        this.emit('booksChanged', this.books, this.currentBook());
+    }
+
+    /**
+     * @returns {Object|null} The address book on screen ({ id, name, role }).
+     */
+    currentBook() {
+        return this.books.find((book) => book.id === this.bookId) || null;
+    }
+
+    /**
+     * @returns {boolean} True if the user may add, edit and delete contacts in the current book.
+     */
+    canEdit() {
+        const book = this.currentBook();
+        return Boolean(book) && book.role !== 'viewer';
+    }
+
+    /**
+     * Loads the user's address books and opens the last one used (or the first).
+     * Without a connection the books seen last time are used.
+     */
+    async fetchBooks() {
+        try {
+            const response = await this.api.books.list();
+            if (!response.ok) throw new Error(`Failed to fetch address books (HTTP ${response.status})`);
+            this.books = (await response.json()).data;
+            this.offline.cacheBooks(this.books);
+        } catch (error) {
+            if (error.status === 401) return;
+            console.warn('Model: could not load address books, using the saved ones:', error);
+            if (this._isNetworkError(error)) this._markOffline();
+            this.books = this.offline.getCachedBooks();
+        }
+
+        const remembered = this.offline.rememberedBookId();
+        const book = this.books.find((b) => b.id === this.bookId) ||
+            this.books.find((b) => b.id === remembered) ||
+            this.books[0];
+        await this.selectBook(book ? book.id : null);
+    }
+
+    /**
+     * Switches to another address book, loads its tags and contacts and follows its changes.
+     * The tag filter is cleared, as tags belong to a book.
+     * @param {string|null} id
+     */
+    async selectBook(id) {
+        this.bookId = id;
+        if (id) this.offline.rememberBook(id);
+        this.contacts = [];
+        this.total = 0;
+        this.query = { ...this.query, tags: [] };
+        this._notifyBooks();
+        this._connectLive();
+        await this.fetchTags();
+        await this.fetchContacts();
+    }
+
+    /**
+     * Waits for a request (from one of the resources in this.api) and parses the JSON answer.
+     *
+     * @param {Promise<Response>} request
+     * @returns {Promise<Object>} { ok: true, data } or { ok: false, errors?, message }.
+     */
+    async _settle(request) {
+        try {
+            const response = await request;
+            const data = await response.json();
+            if (!response.ok) return { ok: false, errors: data.errors, message: data.error };
+            return { ok: true, data };
+        } catch (error) {
+            console.error('Model: request failed:', error);
+            return { ok: false, message: 'Could not reach the server. Check your connection.' };
+        }
+    }
+
+    /**
+     * @param {string} [bookId=this.bookId]
+     * @returns {RestResource} The members of a book.
+     */
+    _members(bookId = this.bookId) {
+        return this.api.books.nested([bookId, 'members']);
+    }
+
+    /**
+     * @param {string} [bookId=this.bookId]
+     * @returns {RestResource} The tags of a book.
+     */
+    _tags(bookId = this.bookId) {
+        return this.api.books.nested([bookId, 'tags']);
+    }
+
+    /**
+     * Creates an address book owned by the user and switches to it.
+     *
+     * @param {string} name
+     * @returns {Promise<Object>} { ok } or { ok: false, errors?, message }.
+     */
+    async createBook(name) {
+        const result = await this._settle(this.api.books.create({ name }));
+        if (!result.ok) return result;
+
+        this.books = [...this.books, result.data];
+        this.offline.cacheBooks(this.books);
+        await this.selectBook(result.data.id);
+        return { ok: true };
+    }
+
+    /**
+     * Deletes the current address book, with all its contacts (owners only).
+     * @returns {Promise<Object>} { ok } or { ok: false, message }.
+     */
+    async deleteBook() {
+        const result = await this._settle(this.api.books.remove(this.bookId));
+        if (!result.ok) return result;
+
+        this._dropBook(this.bookId);
+        return { ok: true };
+    }
+
+    /**
+     * Forgets a book the user can no longer see and switches to another one.
+     */
+    _dropBook(id) {
+        this.books = this.books.filter((book) => book.id !== id);
+        this.offline.cacheBooks(this.books);
+        this.selectBook(this.books.length > 0 ? this.books[0].id : null);
+    }
+
+    /**
+     * Loads the current book's members.
+     * @returns {Promise<Object>} { ok: true, data: { id, name, role, members } } or { ok: false, message }.
+     */
+    fetchMembers() {
+        return this._settle(this.api.books.get(this.bookId));
+    }
+
+    /**
+     * Shares the current book with another account (owners only).
+     *
+     * @param {string} email - The account's email address.
+     * @param {string} role - 'owner', 'editor' or 'viewer'.
+     * @returns {Promise<Object>} { ok, data } or { ok: false, errors?, message }.
+     */
+    addMember(email, role) {
+        return this._settle(this._members().create({ email, role }));
+    }
+
+    /**
+     * Changes a member's role in the current book (owners only).
+     *
+     * @param {string} userId
+     * @param {string} role
+     * @returns {Promise<Object>} { ok, data } or { ok: false, message }.
+     */
+    async updateMember(userId, role) {
+        const result = await this._settle(this._members().update(userId, { role }));
+
+        // An owner who hands over ownership loses the rights that go with it
+        if (result.ok && userId === this.user.id) this._setRole(role);
+        return result;
+    }
+
+    /**
+     * Removes a member from the current book (owners), or leaves it (the user themselves).
+     *
+     * @param {string} userId
+     * @returns {Promise<Object>} { ok } or { ok: false, message }.
+     */
+    async removeMember(userId) {
+        const result = await this._settle(this._members().remove(userId));
+        if (result.ok && userId === this.user.id) this._dropBook(this.bookId);
+        return result;
+    }
+
+    /**
+     * Records a new role for the user in the current book and re-renders with it.
+     */
+    _setRole(role) {
+        this.books = this.books.map((book) => book.id === this.bookId ? { ...book, role } : book);
+        this.offline.cacheBooks(this.books);
+        this._notifyBooks();
+        this._commit();
+    }
+
+    // ==========================================
+    // TAGS
+    // ==========================================
+
+    _notifyTags() {
+        this.emit('tagsChanged', this.tags, this.query.tags);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|undefined} One of the current book's tags.
+     */
+    getTagById(id) {
+        return this.tags.find((tag) => tag.id === id);
+    }
+
+    /**
+     * Loads the current book's tags. Without a connection the tags seen last time are used.
+     */
+    async fetchTags() {
+        if (!this.bookId) {
+            this.tags = [];
+            this._notifyTags();
+            return;
+        }
+
+        const bookId = this.bookId;
+        let tags;
+        try {
+            const response = await this._tags(bookId).list();
+            if (!response.ok) throw new Error(`Failed to fetch tags (HTTP ${response.status})`);
+            tags = (await response.json()).data;
+            this.offline.cacheTags(bookId, tags);
+        } catch (error) {
+            if (error.status === 401) return;
+            console.warn('Model: could not load tags, using the saved ones:', error);
+            tags = this.offline.getCachedTags(bookId);
+        }
+
+        // Another book was opened meanwhile
+        if (bookId !== this.bookId) return;
+        this.tags = tags;
+        this._notifyTags();
+    }
+
+    /**
+     * Records the current book's tags after a change, sorted by name like the server does.
+     */
+    _setTags(tags) {
+        this.tags = tags.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        this.offline.cacheTags(this.bookId, this.tags);
+        this._notifyTags();
+    }
+
+    /**
+     * Creates a tag in the current book (owners and editors).
+     *
+     * @param {string} name
+     * @param {string} [color] - One of the tag colors; the server picks one if left out.
+     * @returns {Promise<Object>} { ok: true, data: tag } or { ok: false, errors?, message }.
+     */
+    async createTag(name, color) {
+        const result = await this._settle(this._tags().create({ name, color }));
+        if (result.ok) this._setTags([...this.tags, result.data]);
+        return result;
+    }
+
+    /**
+     * Renames or recolors a tag of the current book. The contact list is re-rendered with it.
+     *
+     * @param {string} id
+     * @param {Object} changes - Any of { name, color }.
+     * @returns {Promise<Object>} { ok: true, data: tag } or { ok: false, errors?, message }.
+     */
+    async updateTag(id, changes) {
+        const result = await this._settle(this._tags().update(id, changes));
+        if (!result.ok) return result;
+
+        this._setTags(this.tags.map((tag) => tag.id === id ? result.data : tag));
+        this._commit();
+        return result;
+    }
+
+    /**
+     * Deletes a tag of the current book, which takes it off every contact.
+     *
+     * @param {string} id
+     * @returns {Promise<Object>} { ok } or { ok: false, message }.
+     */
+    async deleteTag(id) {
+        const result = await this._settle(this._tags().remove(id));
+        if (!result.ok) return result;
+
+        const filtered = this.query.tags.includes(id);
+        this.query = { ...this.query, tags: this.query.tags.filter((tagId) => tagId !== id) };
+        this._setTags(this.tags.filter((tag) => tag.id !== id));
+
+        // The server took the tag off its contacts; do the same to the copies here
+        this.contacts = this.contacts.map((contact) => (contact.tagIds || []).includes(id)
+            ? { ...contact, tagIds: contact.tagIds.filter((tagId) => tagId !== id) }
+            : contact);
+
+        // Contacts the filter hid may match now
+        if (filtered) {
+            await this.fetchContacts();
+        } else {
+            this._commit();
+        }
+        return { ok: true };
+    }
+
+    /**
+     * Filters the list by tags: only contacts with every one of them are shown.
+     * @param {Array<string>} tagIds
+     */
+    async setTagFilter(tagIds) {
+        this.query = { ...this.query, tags: tagIds };
+        this._notifyTags();
+        await this.fetchContacts();
+    }
+
+    // ==========================================
+    // IMPORT / EXPORT
+    // ==========================================
+
+    /**
+     * Downloads the current book's contacts, or some of them, as a file.
+     *
+     * @param {string} format - 'csv' or 'vcf'.
+     * @param {Array<string>} [ids] - Only these contacts (e.g. the selection in the list).
+     * @returns {Promise<Object>} { ok: true, blob, filename } or { ok: false, message }.
+     */
+    async exportContacts(format, ids) {
+        try {
+            // A selection is posted: a few hundred IDs would make the URL too long
+            const response = ids
+                ? await this.api.contacts.post('export', { format, ids }, { params: { book: this.bookId } })
+                : await this.api.contacts.get('export', { params: { book: this.bookId, format } });
+            if (!response.ok) return { ok: false, message: (await response.json()).error };
+            return { ok: true, blob: await response.blob(), filename: `${this.currentBook().name}.${format}` };
+        } catch (error) {
+            console.error('Model: export failed:', error);
+            return { ok: false, message: 'Could not reach the server. Check your connection.' };
+        }
+    }
+
+    /**
+     * Has the server check a CSV or vCard file without importing anything.
+     *
+     * @param {Object} upload - { format: 'csv'|'vcf', data: <file contents>, mapping?: { name, email, phone, ... } }.
+     * @returns {Promise<Object>} { ok: true, data: { columns?, mapping?, summary, rows } } or { ok: false, message }.
+     */
+    previewImport(upload) {
+        return this._settle(this.api.contacts.post('import', { ...upload, dryRun: true }, { params: { book: this.bookId } }));
+    }
+
+    /**
+     * Adds the new contacts of a CSV or vCard file to the current book (invalid and duplicate
+     * rows are skipped), then reloads the list.
+     *
+     * @param {Object} upload - See previewImport().
+     * @returns {Promise<Object>} { ok: true, data: { imported, summary, rows } } or { ok: false, message }.
+     */
+    async importContacts(upload) {
+        const result = await this._settle(this.api.contacts.post('import', upload, { params: { book: this.bookId } }));
+        if (result.ok) await this.fetchContacts();
+        return result;
+    }
+
+    /**
+     * Internal method to emit 'contactsChanged', usually telling the View to re-render.
+     * Along with the contacts, it passes the total count, whether more pages can be loaded
+     * and the search and tag filter they are listed by.
+     */
+    _commit() {
+        this.emit('contactsChanged', this.contacts, {
+            total: this.total,
+            hasMore: this.hasMore(),
+            pendingIds: new Set(this.pendingOperations.keys()),
+            queuedIds: this.offline ? this.offline.queuedIds() : new Set(),
+            canEdit: this.canEdit(),
+            search: this.query.q,
+            filtered: this.query.tags.length > 0
+        });
+    }
+
+    /**
+     * Internal method to report a status change, as a 'statusChanged' event.
+     * One is emitted whenever an operation starts ('loading'), succeeds ('success') or fails ('error'),
+     * so the View can show spinners, toasts and retry buttons. A save the server rejected as
+     * invalid ends with 'invalid' instead; its field errors are returned to the caller.
+     * Without a connection, a load ends with 'offline' (cached contacts are shown) and a change
+     * with 'queued' (it will be synced later). An edit or delete of a contact someone else changed
+     * first ends with 'conflict' and a `conflict` ({ id, current, mine }) to show the user.
+     *
+     * @param {Object} status - { state, operation, message?, retry?, rolledBack?, undo? }, where
+     *   operation is 'fetch', 'loadMore', 'add', 'edit' or 'delete', retry (errors only) repeats the
+     *   failed operation, rolledBack is set when an optimistic change was undone, and undo (after a
+     *   delete) takes the deleted contacts out of the trash again.
+     */
+    _setStatus(status) {
+        this.emit('statusChanged', status);
+    }
+
+    /**
+     * Emits 'syncChanged' with the offline sync state: { online, queued, syncing, conflicts }, i.e.
+     * whether the server is reachable, how many changes wait to be synced, whether a sync is running,
+     * and the changes the server couldn't accept as-is (see resolveConflict()).
+     */
+    _notifySync() {
+        this.emit('syncChanged', {
+            online: this.isOnline,
+            queued: this.offline ? this.offline.queue.length : 0,
+            syncing: this._syncing,
+            conflicts: this.offline ? this.offline.conflicts : []
+        });
+    }
+
+    /**
+     * A failed fetch means "no connection" (rather than an error response) when the browser
+     * reports being offline, or fetch itself threw a TypeError because the server was unreachable.
+     * The name is checked rather than `instanceof`, which fails for errors from another realm.
+     *
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    _isNetworkError(error) {
+        return !navigator.onLine || error.name === 'TypeError';
+    }
+
+    /**
+     * Records that the server answered again, and replays anything queued while it didn't.
+     */
+    _markOnline() {
+        if (this.isOnline) return;
+        this.isOnline = true;
+        this._notifySync();
+        this.syncQueue();
+    }
+
+    /**
+     * Records that the server can't be reached and schedules another sync attempt.
+     */
+    _markOffline() {
+        this.isOnline = false;
+        this._notifySync();
+        this._scheduleSync();
+    }
+
+    /**
+     * Retries syncing in 30 seconds, for when the server is down but the browser
+     * never fires an 'online' event.
+     */
+    _scheduleSync() {
+        if (this._syncTimer || !this.offline || this.offline.queue.length === 0) return;
+        this._syncTimer = setTimeout(() => {
+            this._syncTimer = null;
+            this.syncQueue();
+        }, 30000);
+    }
+
+    /**
+     * Logs a failed operation and reports it as an error status.
+     * A request refused because the session ended isn't reported: the sign-in screen replaces the app.
+     *
+     * @param {string} operation - The operation that failed.
+     * @param {string} message - User-facing explanation.
+     * @param {Error} error - The underlying error, for the console.
+     * @param {Function} [retry] - Repeats the operation.
+     * @param {boolean} [rolledBack] - True if an optimistic change was undone.
+     * @returns {Object} A failed outcome ({ ok: false, message }) for callers that return one.
+     */
+    _fail(operation, message, error, retry, rolledBack = false) {
+        console.error(`Model: ${operation} failed:`, error);
+        if (error && error.status === 401) return { ok: false, message: 'Not signed in' };
+        this._setStatus({ state: 'error', operation, message, retry, rolledBack });
+        return { ok: false, message };
+    }
+
+    /**
+     * Reports a 400 response: the request went through, but the server rejected the data.
+     *
+     * @param {string} operation - 'add' or 'edit'.
+     * @param {Array} errors - The per-field errors from the response.
+     * @returns {Object} A failed outcome carrying the per-field errors.
+     */
+    _rejected(operation, errors) {
+        this._setStatus({ state: 'invalid', operation });
+        return { ok: false, errors };
+    }
+
+    /**
+     * Turns a 412 response into an error carrying the contact as it is now on the server.
+     *
+     * @param {Response} response
+     * @returns {Promise<Error>} An error with a `current` property.
+     */
+    async _versionConflict(response) {
+        const error = new Error('Contact was changed by someone else');
+        error.current = (await response.json()).current;
+        return error;
+    }
+
+    /**
+     * Sends a contact to the API and returns the server's copy.
+     *
+     * @param {Object} contact - The fields to send.
+     * @param {Object} target
+     * @param {string} [target.id] - The contact to update (PUT); without it one is created (POST).
+     * @param {string} [target.bookId] - For a new contact, the book it goes in.
+     * @param {number} [target.version] - For an update, the version the edit was based on (sent as If-Match).
+     * @returns {Promise<Object>} The saved contact.
+     * @throws {Error} On failure, with the HTTP `status`; for a 400 response the error has a
+     *   `fieldErrors` array, and for a 412 the server's `current` contact.
+     */
+    async _saveContact(contact, { id, bookId, version }) {
+        const response = id
+            ? await this.api.contacts.update(id, contact, { version })
+            : await this.api.contacts.create(contact, { params: { book: bookId } });
+
+        if (response.status === 400) {
+            const error = new Error('Validation failed');
+            error.fieldErrors = (await response.json()).errors || [];
+            throw error;
+        }
+        if (response.status === 412) throw await this._versionConflict(response);
+        if (!response.ok) {
+            const error = new Error(`Failed to save contact (HTTP ${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    /**
+     * Handles an edit or delete the server refused because someone else changed the contact first.
+     * The local copy is replaced by the server's, and a 'conflict' status lets the user compare.
+     *
+     * @param {string} operation - 'edit' or 'delete'.
+     * @param {Object} current - The contact as it is now on the server.
+     * @param {Object|null} mine - The user's edited fields (null for a delete).
+     * @returns {Object} A failed outcome carrying the conflict.
+     */
+    _conflict(operation, current, mine) {
+        this.offline.cacheUpsert(current);
+        this.contacts = this.contacts.map((contact) => contact.id === current.id ? current : contact);
+        this._commit();
+
+        const conflict = { id: current.id, current, mine };
+        this._setStatus({
+            state: 'conflict',
+            operation,
+            conflict,
+            message: operation === 'delete'
+                ? `${current.name} was changed by someone else, so it wasn't deleted. Check the changes and delete it again.`
+                : `${current.name} was changed by someone else while you were editing it.`
+        });
+        return { ok: false, conflict };
+    }
+
+    // ==========================================
+    // OPTIMISTIC UPDATES
+    // ==========================================
+
+    /**
+     * Records the current state of one contact before an optimistic change,
+     * so that change alone can be undone later (other in-flight changes are left alone).
+     *
+     * @param {string} id - The contact about to change.
+     * @returns {Object} { id, contact, index } — contact is null when it doesn't exist yet (an add).
+     */
+    _snapshot(id) {
+        const index = this.contacts.findIndex((contact) => contact.id === id);
+        return {
+            id: id,
+            contact: index === -1 ? null : { ...this.contacts[index] },
+            index: index
+        };
+    }
+
+    /**
+     * Restores one contact to the state recorded by _snapshot().
+     * An optimistic add is removed, an edit reverted, a delete re-inserted at its old position.
+     *
+     * @param {Object} snapshot - From _snapshot().
+     */
+    _rollback(snapshot) {
+        const index = this.contacts.findIndex((contact) => contact.id === snapshot.id);
+
+        if (!snapshot.contact) {
+            if (index !== -1) {
+                this.contacts.splice(index, 1);
+                this.total--;
+            }
+        } else if (index !== -1) {
+            this.contacts[index] = snapshot.contact;
+        } else {
+            this.contacts.splice(Math.min(snapshot.index, this.contacts.length), 0, snapshot.contact);
+            this.total++;
+        }
+    }
+
+    _markPending(id) {
+        this.pendingOperations.set(id, (this.pendingOperations.get(id) || 0) + 1);
+    }
+
+    _clearPending(id) {
+        const count = this.pendingOperations.get(id) - 1;
+        if (count > 0) {
+            this.pendingOperations.set(id, count);
+        } else {
+            this.pendingOperations.delete(id);
+        }
+    }
+
+    /**
+     * Runs an operation optimistically: the local change is applied and shown right away,
+     * and the API request continues in the background. When it fails, only this change is
+     * rolled back and an error status (with a retry action) is reported.
+     *
+     * @param {Object} options
+     * @param {string} options.operation - 'add', 'edit' or 'delete'.
+     * @param {string} options.id - The affected contact's ID (a temporary ID for adds).
+     * @param {Function} options.apply - Makes the local change.
+     * @param {Function} options.request - Performs the API call; returns a promise.
+     * @param {Function} [options.confirm] - Receives the request's result when it succeeds.
+     * @param {string} options.successMessage
+     * @param {string} options.failureMessage
+     * @param {Function} options.retry - Repeats the whole operation.
+     * @param {Object} options.queued - The offline queue entry ({ type, contactId, data }) to
+     *   record instead of rolling back when the failure is a lost connection.
+     * @param {Function} [options.undo] - Reverses the change once it succeeded (offered with the success message).
+     * @returns {Object} { ok: true } — the change has been applied locally.
+     */
+    _runOptimistic({ operation, id, apply, request, confirm = () => {}, successMessage, failureMessage, retry, queued, undo }) {
+        const snapshot = this._snapshot(id);
+        apply();
+        this._markPending(id);
+        this._commit();
+
+        request()
+            .then((result) => {
+                this._clearPending(id);
+                confirm(result);
+                this._commit();
+                this._setStatus({ state: 'success', operation, message: successMessage, undo });
+            })
+            .catch((error) => {
+                this._clearPending(id);
+
+                // No connection: keep the change and sync it later instead of undoing it
+                if (this._isNetworkError(error)) {
+                    this._markOffline();
+                    this._queueOperation(queued, { base: snapshot.contact, applied: true });
+                    return;
+                }
+
+                this._rollback(snapshot);
+
+                // Someone else changed the contact first: show their version instead
+                if (error.current) {
+                    this._conflict(operation, error.current, queued.data || null);
+                    return;
+                }
+
+                this._commit();
+                this._fail(operation, failureMessage, error, retry, true);
+            });
+
+        return { ok: true };
+    }
+
+    /**
+     * @returns {boolean} True if the server has contacts beyond the pages loaded so far.
+     */
+    hasMore() {
+        return this.contacts.length < this.total;
+    }
+
+    /**
+     * Requests one page of contacts for the current query.
+     *
+     * @param {number} offset - How many matching contacts to skip.
+     * @returns {Promise<Object|null>} The page ({ data, total }), or null if a newer request superseded it.
+     */
+    async _fetchPage(offset) {
+        const requestId = ++this._requestId;
+        const { tags, ...query } = this.query;
+        const response = await this.api.contacts.list({
+            ...query,
+            ...(tags.length > 0 ? { tag: tags.join(',') } : {}),
+            book: this.bookId,
+            limit: this.pageSize,
+            offset: offset
+        });
+        if (!response.ok) throw new Error('Failed to fetch contacts');
+        const page = await response.json();
+
+        // A newer search or sort was started while this one was in flight
+        return requestId === this._requestId ? page : null;
+    }
+
+    /**
+     * Replaces the list with contacts from the server, with queued offline changes applied on top.
+     *
+     * @param {Array<Object>} serverContacts
+     * @param {number} serverTotal - The server's total for the current query.
+     */
+    _setList(serverContacts, serverTotal) {
+        this.contacts = this.offline.applyQueue(serverContacts, this.bookId);
+        this.total = serverTotal + (this.contacts.length - serverContacts.length);
+    }
+
+    /**
+     * Fetches the first page of contacts for the current query from the backend API,
+     * replacing anything loaded before. Without a connection, cached contacts are shown instead.
+     */
+    async fetchContacts() {
+        // No address book to show (the user left or deleted all of them)
+        if (!this.bookId) {
+            this._setList([], 0);
+            this._commit();
+            return;
+        }
+
+        this._setStatus({ state: 'loading', operation: 'fetch' });
+        try {
+            const page = await this._fetchPage(0);
+            if (!page) return;
+
+            // A first page holding every contact (no search or tag filter) is the complete list: replace the cache
+            const complete = !this.query.q && this.query.tags.length === 0 && page.total <= page.data.length;
+            this.offline.cacheContacts(page.data, complete ? this.bookId : null);
+
+            this._setList(page.data, page.total);
+            this._commit();
+            this._setStatus({ state: 'success', operation: 'fetch' });
+
+            // Push anything still queued from an earlier session
+            if (this.offline.queue.length > 0) this.syncQueue();
+        } catch (error) {
+            if (this._isNetworkError(error)) {
+                this._showCachedContacts(error);
+                return;
+            }
+            this._fail('fetch', 'Could not load contacts. Check your connection.', error, () => this.fetchContacts());
+        }
+    }
+
+    /**
+     * Shows the cached contacts (plus queued changes) when the server can't be reached.
+     *
+     * @param {Error} error - The network error, for the console.
+     */
+    _showCachedContacts(error) {
+        console.warn('Model: offline, showing cached contacts:', error);
+        const cached = this.offline.getCachedContacts({ ...this.query, bookId: this.bookId });
+        this._setList(cached, cached.length);
+        this._commit();
+        this._markOffline();
+        this._setStatus({ state: 'offline', operation: 'fetch', message: 'You are offline. Showing saved contacts.' });
+    }
+
+    /**
+     * Fetches the next page of contacts and appends it to the list.
+     */
+    async loadMoreContacts() {
+        if (this._loadingMore || !this.hasMore() || !this.isOnline) return;
+
+        this._loadingMore = true;
+        this._setStatus({ state: 'loading', operation: 'loadMore' });
+        try {
+            const page = await this._fetchPage(this.contacts.length);
+            if (!page) return;
+
+            this.offline.cacheContacts(page.data);
+
+            // Skip contacts already present (the list may have shifted after local adds)
+            const loadedIds = new Set(this.contacts.map((contact) => contact.id));
+            const newContacts = this.offline.applyQueue(page.data, this.bookId).filter((contact) => !loadedIds.has(contact.id));
+            this.contacts = this.contacts.concat(newContacts);
+            this.total = Math.max(page.total, this.contacts.length);
+            this._commit();
+            this._setStatus({ state: 'success', operation: 'loadMore' });
+        } catch (error) {
+            if (this._isNetworkError(error)) this._markOffline();
+            this._fail('loadMore', 'Could not load more contacts.', error, () => this.loadMoreContacts());
+        } finally {
+            this._loadingMore = false;
+        }
+    }
+
+    /**
+     * Changes the search term, tag filter and/or sort order, then reloads the first page.
+     *
+     * @param {Object} changes - Any of { q, tags, sort, order }.
+     * @param {Object} [options]
+     * @param {boolean} [options.fetch=true] - False to only record the query, for contacts that
+     *   are about to be loaded anyway (e.g. before the address books are).
+     */
+    async setQuery(changes, { fetch = true } = {}) {
+        this.query = { ...this.query, ...changes };
+        if (fetch) await this.fetchContacts();
+    }
+
+    /**
+     * Creates a new contact and adds it to the list via the API.
+     * In optimistic mode the contact is shown right away under a temporary ID,
+     * which is swapped for the server's ID once the request succeeds.
+     * Without a connection the contact is queued and created when the connection returns.
+     * 
+     * @param {Object} fields - The contact's fields, as normalized by ContactSchema.validate():
+     *   name, emails, phones, addresses, company, title, notes, birthday and tagIds (plus the primary email and phone).
+     * @returns {Promise<Object>} The outcome: { ok: true } (with `queued: true` when it was saved
+     *   offline), or { ok: false, errors } when the server rejected the data,
+     *   or { ok: false, message } when the request failed.
+     */
+    async addContact(fields) {
+        // The server assigns the ID and timestamps, so only the entered fields are sent.
+        const contact = { ...fields };
+        const tempId = `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const bookId = this.bookId;
+        const queued = { type: 'add', contactId: tempId, bookId, data: contact };
+
+        if (!navigator.onLine) return this._queueOperation(queued);
+
+        if (this.optimistic) {
+            return this._runOptimistic({
+                operation: 'add',
+                id: tempId,
+                apply: () => {
+                    this.contacts.push({ id: tempId, bookId, ...contact });
+                    this.total++;
+                },
+                request: () => this._saveContact(contact, { bookId }),
+                confirm: (createdContact) => {
+                    this.offline.cacheUpsert(createdContact);
+                    this.contacts = this.contacts.map((c) => c.id === tempId ? createdContact : c);
+                },
+                successMessage: 'Contact added.',
+                failureMessage: `Could not add ${contact.name}. The change was undone.`,
+                retry: () => this.addContact(fields),
+                queued: queued
+            });
+        }
+
+        this._setStatus({ state: 'loading', operation: 'add' });
+        try {
+            // Add the server's copy (with its generated ID) to local state
+            const createdContact = await this._saveContact(contact, { bookId });
+            this.offline.cacheUpsert(createdContact);
+            this.contacts.push(createdContact);
+            this.total++;
+            this._commit();
+            this._setStatus({ state: 'success', operation: 'add', message: 'Contact added.' });
+            return { ok: true };
+        } catch (error) {
+            // Invalid input: hand the per-field errors back for the form
+            if (error.fieldErrors) return this._rejected('add', error.fieldErrors);
+            if (this._isNetworkError(error)) {
+                this._markOffline();
+                return this._queueOperation(queued);
+            }
+
+            // No retry action here: the form stays open, so saving again is the retry.
+            return this._fail('add', 'Could not save the contact. Your changes are still in the form.', error);
+        }
+    }
+
+    /**
+     * Updates an existing contact via the API.
+     * The edit only applies to the version of the contact loaded here: if someone else changed it
+     * in the meantime, nothing is saved and the outcome carries a `conflict` to show the user.
+     * Without a connection (or while the contact has unsynced changes) the edit is queued.
+     * 
+     * @param {string} id - The ID of the contact to update.
+     * @param {Object} fields - All of the contact's fields, as for addContact(). They replace the stored ones.
+     * @returns {Promise<Object>} The outcome, as for addContact(), or { ok: false, conflict }
+     *   when someone else changed the contact first.
+     */
+    async editContact(id, fields) {
+        const updatedContact = { ...fields };
+        const existing = this.getContactById(id);
+        const version = existing ? existing.version : undefined;
+        const queued = { type: 'edit', contactId: id, data: updatedContact };
+
+        if (!navigator.onLine || this.offline.queuedIds().has(id)) return this._queueOperation(queued);
+
+        // Replace the local copy with the server's (which carries the new updatedAt)
+        const replaceContact = (savedContact) => {
+            this.offline.cacheUpsert(savedContact);
+            this.contacts = this.contacts.map((contact) =>
+                contact.id === id ? savedContact : contact
+            );
+        };
+
+        if (this.optimistic) {
+            return this._runOptimistic({
+                operation: 'edit',
+                id: id,
+                apply: () => {
+                    this.contacts = this.contacts.map((contact) =>
+                        contact.id === id ? { ...contact, ...updatedContact } : contact
+                    );
+                },
+                request: () => this._saveContact(updatedContact, { id, version }),
+                confirm: replaceContact,
+                successMessage: 'Contact updated.',
+                failureMessage: `Could not update ${updatedContact.name}. The change was undone.`,
+                retry: () => this.editContact(id, fields),
+                queued: queued
+            });
+        }
+
+        this._setStatus({ state: 'loading', operation: 'edit' });
+        try {
+            replaceContact(await this._saveContact(updatedContact, { id, version }));
+            this._commit();
+            this._setStatus({ state: 'success', operation: 'edit', message: 'Contact updated.' });
+            return { ok: true };
+        } catch (error) {
+            if (error.fieldErrors) return this._rejected('edit', error.fieldErrors);
+            if (error.current) return this._conflict('edit', error.current, updatedContact);
+            if (this._isNetworkError(error)) {
+                this._markOffline();
+                return this._queueOperation(queued);
+            }
+            return this._fail('edit', 'Could not save the contact. Your changes are still in the form.', error);
+        }
+    }
+
+    /**
+     * Moves a contact to the book's trash via the API, provided nobody else changed it since it was loaded.
+     * The success status offers to undo it. Without a connection (or while the contact has unsynced
+     * changes) the delete is queued.
+     * 
+     * @param {string} id - The ID of the contact to remove.
+     */
+    async deleteContact(id) {
+        const queued = { type: 'delete', contactId: id };
+
+        if (!navigator.onLine || this.offline.queuedIds().has(id)) {
+            this._queueOperation(queued);
+            return;
+        }
+
+        const existing = this.getContactById(id);
+        const request = async () => {
+            const response = await this.api.contacts.remove(id, { version: existing ? existing.version : undefined });
+            if (response.status === 412) throw await this._versionConflict(response);
+            if (!response.ok) throw new Error('Failed to delete contact');
+            this.offline.cacheRemove(id);
+        };
+
+        // Remove from local state (after the API call, unless optimistic)
+        const removeContact = () => {
+            this.contacts = this.contacts.filter((contact) => contact.id !== id);
+            this.total--;
+        };
+
+        if (this.optimistic) {
+            this._runOptimistic({
+                operation: 'delete',
+                id: id,
+                apply: removeContact,
+                request: request,
+                successMessage: 'Contact deleted.',
+                failureMessage: `Could not delete ${existing ? existing.name : 'the contact'}. It has been restored.`,
+                retry: () => this.deleteContact(id),
+                queued: queued,
+                undo: () => this.restoreContacts([id])
+            });
+            return;
+        }
+
+        this._setStatus({ state: 'loading', operation: 'delete' });
+        try {
+            await request();
+            removeContact();
+            this._commit();
+            this._setStatus({ state: 'success', operation: 'delete', message: 'Contact deleted.', undo: () => this.restoreContacts([id]) });
+        } catch (error) {
+            if (error.current) {
+                this._conflict('delete', error.current, null);
+                return;
+            }
+            if (this._isNetworkError(error)) {
+                this._markOffline();
+                this._queueOperation(queued);
+                return;
+            }
+            this._fail('delete', 'Could not delete the contact.', error, () => this.deleteContact(id));
+        }
+    }
+
+    /**
+     * Deletes several contacts with one batch request: either all of them are deleted or,
+     * if any was changed or deleted by someone else meanwhile, none is. The success status offers to undo it.
+     * Offline, and for contacts with changes still waiting to be synced, the deletes are queued one by one.
+     *
+     * @param {Array<string>} ids
+     * @returns {Promise<Object>} { ok } or { ok: false, message }.
+     */
+    async deleteContacts(ids) {
+        const queuedIds = this.offline.queuedIds();
+        const queued = navigator.onLine ? ids.filter((id) => queuedIds.has(id)) : ids;
+        const sent = ids.filter((id) => !queued.includes(id));
+        const queue = (list) => list.forEach((id) => this._queueOperation({ type: 'delete', contactId: id }));
+
+        queue(queued);
+        if (sent.length === 0) return { ok: true };
+
+        const plural = sent.length === 1 ? 'contact' : 'contacts';
+        this._setStatus({ state: 'loading', operation: 'batch' });
+        try {
+            const response = await this._sendBatch(
+                sent.map((id) => ({ op: 'delete', id, version: (this.getContactById(id) || {}).version }))
+            );
+
+            if (response.status === 409) {
+                const { results } = await response.json();
+                const stale = results.filter((result) => result.status === 404 || result.status === 412).length;
+                const message = `${stale} of the ${sent.length} ${plural} changed or disappeared meanwhile, so none was deleted. ` +
+                    'The list has been reloaded.';
+                this._setStatus({ state: 'error', operation: 'batch', message });
+                await this.fetchContacts();
+                return { ok: false, message };
+            }
+            if (!response.ok) throw new Error(`Failed to delete contacts (HTTP ${response.status})`);
+
+            sent.forEach((id) => this.offline.cacheRemove(id));
+            this.contacts = this.contacts.filter((contact) => !sent.includes(contact.id));
+            this.total -= sent.length;
+            this._commit();
+            this._setStatus({
+                state: 'success',
+                operation: 'batch',
+                message: `${sent.length} ${plural} deleted.`,
+                undo: () => this.restoreContacts(sent)
+            });
+            return { ok: true };
+        } catch (error) {
+            if (this._isNetworkError(error)) {
+                this._markOffline();
+                queue(sent);
+                return { ok: true };
+            }
+            const message = `Could not delete the ${plural}.`;
+            this._fail('batch', message, error, () => this.deleteContacts(ids));
+            return { ok: false, message };
+        }
+    }
+
+    /**
+     * Adds a tag to, or removes it from, several contacts with one batch request: either all of
+     * them change or, if any was changed or deleted by someone else meanwhile, none does.
+     * Offline, and for contacts with changes still waiting to be synced, the edits are queued one by one.
+     *
+     * @param {Array<string>} ids
+     * @param {string} tagId
+     * @param {boolean} add - True to add the tag, false to remove it.
+     * @returns {Promise<Object>} { ok } or { ok: false, message }.
+     */
+    async tagContacts(ids, tagId, add) {
+        // Only contacts that change; the rest of each contact is sent as it is, since an update replaces it
+        const edits = ids
+            .map((id) => this.getContactById(id))
+            .filter((contact) => contact && (contact.tagIds || []).includes(tagId) !== add)
+            .map(({ id, bookId, createdAt, updatedAt, deletedAt, version, ...fields }) => {
+                const tagIds = fields.tagIds || [];
+                return { id, version, fields: { ...fields, tagIds: add ? [...tagIds, tagId] : tagIds.filter((t) => t !== tagId) } };
+            });
+
+        const queuedIds = this.offline.queuedIds();
+        const queued = navigator.onLine ? edits.filter((edit) => queuedIds.has(edit.id)) : edits;
+        const sent = edits.filter((edit) => !queued.includes(edit));
+        const queue = (list) => list.forEach((edit) => this._queueOperation({ type: 'edit', contactId: edit.id, data: edit.fields }));
+
+        queue(queued);
+        if (sent.length === 0) return { ok: true };
+
+        const tag = this.getTagById(tagId);
+        const plural = sent.length === 1 ? 'contact' : 'contacts';
+        this._setStatus({ state: 'loading', operation: 'batch' });
+        try {
+            const response = await this._sendBatch(
+                sent.map(({ id, version, fields }) => ({ op: 'update', id, version, contact: fields }))
+            );
+
+            if (response.status === 409) {
+                const { results } = await response.json();
+                const stale = results.filter((result) => result.status === 404 || result.status === 412).length;
+                const message = `${stale} of the ${sent.length} ${plural} changed or disappeared meanwhile, so none was changed. ` +
+                    'The list has been reloaded.';
+                this._setStatus({ state: 'error', operation: 'batch', message });
+                await this.fetchContacts();
+                return { ok: false, message };
+            }
+            if (!response.ok) throw new Error(`Failed to tag contacts (HTTP ${response.status})`);
+
+            const updated = new Map((await response.json()).results.map((result) => [result.id, result.contact]));
+            updated.forEach((contact) => this.offline.cacheUpsert(contact));
+            this.contacts = this.contacts.map((contact) => updated.get(contact.id) || contact);
+
+            // Contacts may have stopped (or started) matching the tag filter
+            if (this.query.tags.length > 0) {
+                await this.fetchContacts();
+            } else {
+                this._commit();
+            }
+            this._setStatus({
+                state: 'success',
+                operation: 'batch',
+                message: `${add ? 'Tagged' : 'Untagged'} ${sent.length} ${plural}${tag ? ` ${add ? 'with' : 'from'} ${tag.name}` : ''}.`
+            });
+            return { ok: true };
+        } catch (error) {
+            if (this._isNetworkError(error)) {
+                this._markOffline();
+                queue(sent);
+                return { ok: true };
+            }
+            const message = `Could not change the tags of the ${plural}.`;
+            this._fail('batch', message, error, () => this.tagContacts(ids, tagId, add));
+            return { ok: false, message };
+        }
+    }
+
+    /**
+     * Sends operations on the current book's contacts to the batch endpoint.
+     *
+     * @param {Array<Object>} operations - { op: 'create'|'update'|'delete'|'restore', id?, version?, contact? }
+     * @returns {Promise<Response>}
+     */
+    _sendBatch(operations) {
+        return this.api.contacts.post('batch', { operations }, { params: { book: this.bookId } });
+    }
+
+    // ==========================================
+    // DUPLICATES & MERGING
+    // ==========================================
+
+    /**
+     * Finds the contacts of the current book that are likely the same person as a new or edited one.
+     * The server checks the whole book; without a connection, the contacts loaded here and the
+     * cached ones are checked instead (with the same ContactMatcher rules).
+     *
+     * @param {Object} fields - The contact's fields, as for addContact().
+     * @param {string} [excludeId] - The contact's own ID, when it is being edited.
+     * @returns {Promise<Array<{ contact: Object, reasons: Array<string> }>>} Best matches first.
+     *   Empty when there are none, or the check failed (it shouldn't stop a save).
+     */
+    async findDuplicates(fields, excludeId) {
+        if (navigator.onLine) {
+            try {
+                const response = await this.api.contacts.post('duplicates', { contact: fields, excludeId }, {
+                    params: { book: this.bookId }
+                });
+                if (!response.ok) throw new Error(`Failed to check for duplicates (HTTP ${response.status})`);
+                return (await response.json()).data;
+            } catch (error) {
+                if (!this._isNetworkError(error)) {
+                    console.error('Model: duplicate check failed:', error);
+                    return [];
+                }
+                this._markOffline();
+            }
+        }
+
+        const known = new Map(this.offline.getCachedContacts({ bookId: this.bookId }).map((contact) => [contact.id, contact]));
+        this.contacts.forEach((contact) => known.set(contact.id, contact));
+        return ContactMatcher.findDuplicates(fields, [...known.values()], { excludeId });
+    }
+
+    /**
+     * Lists the pairs of contacts in the current book that are likely the same person.
+     *
+     * @returns {Promise<Object>} { ok: true, data: { data: [{ contacts: [older, newer], reasons }], total } }
+     *   or { ok: false, message }.
+     */
+    fetchDuplicates() {
+        return this._settle(this.api.contacts.get('duplicates', { params: { book: this.bookId } }));
+    }
+
+    /**
+     * Merges a contact into another, field by field (see ContactMatcher.mergeContacts()).
+     * Two saved contacts are merged by the server, which updates the target and deletes the source
+     * in one go, provided neither changed since they were loaded. A new contact that hasn't been
+     * saved yet (the form warned it's a duplicate) simply becomes an edit of the target.
+     *
+     * @param {Object} target - The contact that is kept.
+     * @param {Object} source - The contact merged into it: a saved contact, or form fields without an ID.
+     * @param {Object} choices - Per field 'target', 'source' or 'both'.
+     * @returns {Promise<Object>} { ok: true } or { ok: false, message } (or, for a new contact,
+     *   the outcome of editContact()).
+     */
+    async mergeContacts(target, source, choices) {
+        if (!source.id) {
+            const { value } = ContactSchema.validate(ContactMatcher.mergeContacts(target, source, choices));
+            return this.editContact(target.id, value);
+        }
+
+        const queuedIds = this.offline.queuedIds();
+        if (!navigator.onLine) {
+            return { ok: false, message: 'Contacts can only be merged while online.' };
+        }
+        if (queuedIds.has(target.id) || queuedIds.has(source.id)) {
+            return { ok: false, message: 'One of the contacts has changes waiting to be synced. Merge them once it is synced.' };
+        }
+
+        const versionOf = (contact) => (this.getContactById(contact.id) || contact).version;
+        this._setStatus({ state: 'loading', operation: 'merge' });
+        try {
+            const response = await this.api.contacts.post('merge', {
+                targetId: target.id,
+                sourceId: source.id,
+                choices,
+                targetVersion: versionOf(target),
+                sourceVersion: versionOf(source)
+            }, { params: { book: this.bookId } });
+
+            if (response.status === 404 || response.status === 412) {
+                const message = 'One of the contacts was changed or deleted meanwhile, so they weren\'t merged. ' +
+                    'The list has been reloaded.';
+                this._setStatus({ state: 'error', operation: 'merge', message });
+                await this.fetchContacts();
+                return { ok: false, message };
+            }
+            if (!response.ok) throw new Error(`Failed to merge contacts (HTTP ${response.status})`);
+
+            const { contact } = await response.json();
+            this.offline.cacheUpsert(contact);
+            this.offline.cacheRemove(source.id);
+
+            // The merged contact may have started (or stopped) matching the search or tag filter
+            if (this.query.q || this.query.tags.length > 0) {
+                await this.fetchContacts();
+            } else {
+                this.contacts = this.contacts
+                    .filter((c) => c.id !== source.id)
+                    .map((c) => c.id === contact.id ? contact : c);
+                this.total = Math.max(this.total - 1, this.contacts.length);
+                this._commit();
+            }
+            this._setStatus({ state: 'success', operation: 'merge', message: `Merged into ${contact.name}.` });
+            return { ok: true };
+        } catch (error) {
+            if (this._isNetworkError(error)) this._markOffline();
+            // No retry action: the merge dialog stays open, so merging again is the retry.
+            return this._fail('merge', 'Could not merge the contacts.', error);
+        }
+    }
+
+    // ==========================================
+    // HISTORY & TRASH
+    // ==========================================
+
+    /**
+     * Lists the contacts in the current book's trash.
+     *
+     * @returns {Promise<Object>} { ok: true, data: { data: contacts } } (most recently deleted first)
+     *   or { ok: false, message }.
+     */
+    fetchTrash() {
+        return this._settle(this.api.contacts.get('trash', { params: { book: this.bookId } }));
+    }
+
+    /**
+     * Takes contacts out of the current book's trash with one batch request (e.g. to undo a delete),
+     * then reloads the list so they show up where they belong.
+     *
+     * @param {Array<string>} ids
+     * @returns {Promise<Object>} { ok } or { ok: false, message }.
+     */
+    async restoreContacts(ids) {
+        const plural = ids.length === 1 ? 'contact' : 'contacts';
+        if (!navigator.onLine) {
+            const message = `Deleted ${plural} can only be restored while online.`;
+            this._setStatus({ state: 'error', operation: 'restore', message });
+            return { ok: false, message };
+        }
+
+        this._setStatus({ state: 'loading', operation: 'restore' });
+        try {
+            const response = await this._sendBatch(ids.map((id) => ({ op: 'restore', id })));
+
+            if (response.status === 409) {
+                const message = ids.length === 1
+                    ? 'The contact is no longer in the trash.'
+                    : `Some of the ${plural} are no longer in the trash, so none was restored.`;
+                this._setStatus({ state: 'error', operation: 'restore', message });
+                await this.fetchContacts();
+                return { ok: false, message };
+            }
+            if (!response.ok) throw new Error(`Failed to restore contacts (HTTP ${response.status})`);
+
+            (await response.json()).results.forEach((result) => this.offline.cacheUpsert(result.contact));
+            await this.fetchContacts();
+            this._setStatus({
+                state: 'success',
+                operation: 'restore',
+                message: ids.length === 1 ? 'Contact restored.' : `${ids.length} ${plural} restored.`
+            });
+            return { ok: true };
+        } catch (error) {
+            if (this._isNetworkError(error)) this._markOffline();
+            return this._fail('restore', `Could not restore the ${plural}.`, error, () => this.restoreContacts(ids));
+        }
+    }
+
+    /**
+     * Lists the changes made to a contact: who made each, when, and the fields it changed.
+     *
+     * @param {string} id
+     * @returns {Promise<Object>} { ok: true, data: { data: entries } } (most recent first) or { ok: false, message }.
+     */
+    fetchHistory(id) {
+        return this._settle(this.api.contacts.get([id, 'history']));
+    }
+
+    /**
+     * Sets a contact's fields back to what they were after an earlier change, provided nobody
+     * changed it since it was loaded. If someone did, the local copy is replaced by theirs.
+     *
+     * @param {string} id
+     * @param {Object} entry - The history entry to go back to ({ id, version }).
+     * @returns {Promise<Object>} { ok: true, contact }, or { ok: false, message, contact? } with the
+     *   contact as it is now when it was changed meanwhile.
+     */
+    async revertContact(id, entry) {
+        if (!navigator.onLine) {
+            return { ok: false, message: 'Older versions can only be restored while online.' };
+        }
+        if (this.offline.queuedIds().has(id)) {
+            return { ok: false, message: 'This contact has changes waiting to be synced. Restore a version once they are synced.' };
+        }
+
+        const existing = this.getContactById(id);
+        const replace = (contact) => {
+            this.offline.cacheUpsert(contact);
+            this.contacts = this.contacts.map((c) => c.id === contact.id ? contact : c);
+        };
+
+        this._setStatus({ state: 'loading', operation: 'revert' });
+        try {
+            const response = await this.api.contacts.post([id, 'history', entry.id, 'restore'], undefined, {
+                version: existing ? existing.version : undefined
+            });
+
+            if (response.status === 412) {
+                const { current } = await response.json();
+                replace(current);
+                this._commit();
+                const message = `${current.name} was changed by someone else meanwhile. Check its history and try again.`;
+                this._setStatus({ state: 'error', operation: 'revert', message });
+                return { ok: false, message, contact: current };
+            }
+            if (response.status === 404) {
+                const message = 'The contact was deleted meanwhile. The list has been reloaded.';
+                this._setStatus({ state: 'error', operation: 'revert', message });
+                await this.fetchContacts();
+                return { ok: false, message };
+            }
+            if (!response.ok) throw new Error(`Failed to restore version (HTTP ${response.status})`);
+
+            const contact = await response.json();
+            replace(contact);
+
+            // The contact may have started (or stopped) matching the search or tag filter
+            if (this.query.q || this.query.tags.length > 0) {
+                await this.fetchContacts();
+            } else {
+                this._commit();
+            }
+            this._setStatus({ state: 'success', operation: 'revert', message: `Restored version ${entry.version} of ${contact.name}.` });
+            return { ok: true, contact };
+        } catch (error) {
+            if (this._isNetworkError(error)) this._markOffline();
+            return this._fail('revert', 'Could not restore that version.', error);
+        }
+    }
+
+    // ==========================================
+    // LIVE UPDATES
+    // ==========================================
+
+    /**
+     * Follows the changes other tabs make to the current book's contacts, as Server-Sent Events
+     * (see GET /api/contacts/events). A dropped stream is reopened by the browser, which sends the
+     * ID of the last event seen so the server can replay what was missed. When the browser gives
+     * up (the server was down), the stream is reopened here with a growing delay instead.
+     */
+    _connectLive() {
+        this._disconnectLive();
+        if (!this.bookId || typeof EventSource === 'undefined') return;
+
+        // Event IDs are only meaningful within a book
+        if (this._liveBookId !== this.bookId) this._lastEventId = null;
+        this._liveBookId = this.bookId;
+
+        const url = this.api.contacts.url('events', {
+            book: this.bookId,
+            clientId: this.clientId,
+            lastEventId: this._lastEventId || undefined
+        });
+        const source = new EventSource(url, { withCredentials: true });
+
+        source.addEventListener('contact', (event) => {
+            this._lastEventId = event.lastEventId;
+            try {
+                this._applyRemoteChange(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Model: could not apply a live update:', error);
+            }
+        });
+
+        // Too much was missed to catch up event by event: reload the list instead
+        source.addEventListener('resync', (event) => {
+            this._lastEventId = event.lastEventId;
+            this.fetchContacts();
+        });
+
+        source.onopen = () => {
+            this._liveRetries = 0;
+        };
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) return;
+            const delay = Math.min(30000, 1000 * 2 ** this._liveRetries++);
+            this._liveTimer = setTimeout(() => this._connectLive(), delay);
+        };
+        this._liveSource = source;
+    }
+
+    /**
+     * Stops following changes, e.g. on sign-out.
+     */
+    _disconnectLive() {
+        clearTimeout(this._liveTimer);
+        this._liveTimer = null;
+        if (this._liveSource) {
+            this._liveSource.close();
+            this._liveSource = null;
+        }
+    }
+
+    /**
+     * Applies a change another tab made to the loaded list: the contact is put where the
+     * current query would place it, or taken out if it no longer matches or was deleted.
+     * Contacts this tab is still changing (in flight or queued offline) are left alone, as are
+     * events older than the copy already loaded.
+     *
+     * @param {Object} event - { type: 'created'|'updated'|'deleted'|'restored', contact }
+     */
+    _applyRemoteChange({ type, contact }) {
+        if (!this.offline || contact.bookId !== this.bookId) return;
+        if (this.pendingOperations.has(contact.id) || this.offline.queuedIds().has(contact.id)) return;
+
+        const existing = this.getContactById(contact.id);
+        if (existing && existing.version >= contact.version) return;
+
+        const deleted = type === 'deleted';
+        if (deleted) {
+            this.offline.cacheRemove(contact.id);
+        } else {
+            this.offline.cacheUpsert(contact);
+        }
+
+        // Whether the total counted it before. For one beyond the loaded pages that is only known
+        // for a delete (its fields didn't change); an edit is assumed not to change whether it matches.
+        const query = { ...this.query, bookId: this.bookId };
+        const matches = this.offline.matches(contact, query);
+        const counted = Boolean(existing) || ((type === 'updated' || deleted) && matches);
+
+        this.contacts = this.contacts.filter((c) => c.id !== contact.id);
+        if (counted) this.total--;
+
+        if (!deleted && matches) {
+            // Beyond the loaded pages it is only counted; loading more will bring it
+            const index = this._sortedIndex(contact);
+            if (index < this.contacts.length || !this.hasMore()) {
+                this.contacts.splice(index, 0, contact);
+            }
+            this.total++;
+        }
+        this._commit();
+    }
+
+    /**
+     * @param {Object} contact
+     * @returns {number} Where the contact goes in the loaded list, in the current sort order.
+     */
+    _sortedIndex(contact) {
+        const index = this.contacts.findIndex((c) => this.offline.compare(contact, c, this.query) < 0);
+        return index === -1 ? this.contacts.length : index;
+    }
+
+    // ==========================================
+    // OFFLINE QUEUE & SYNC
+    // ==========================================
+
+    /**
+     * Saves a change to the offline queue and applies it to the local list.
+     *
+     * @param {Object} operation - { type: 'add'|'edit'|'delete', contactId, bookId? (adds), data? }.
+     * @param {Object} [options]
+     * @param {Object} [options.base] - The contact as it was before the change, if it
+     *   differs from the local copy (an optimistic change already applied).
+     * @param {boolean} [options.applied=false] - True if the local list already shows the change.
+     * @returns {Object} { ok: true, queued: true }
+     */
+    _queueOperation(operation, { base = this.getContactById(operation.contactId), applied = false } = {}) {
+        // The version the edit was made against, sent as If-Match when it's replayed
+        const baseVersion = base ? base.version : undefined;
+        // The contact's address book, so a contact deleted meanwhile can be restored to it
+        this.offline.enqueue({ bookId: base ? base.bookId : undefined, ...operation, baseVersion });
+
+        if (!applied) {
+            if (operation.type === 'add') {
+                this.contacts.push({ id: operation.contactId, bookId: operation.bookId, ...operation.data });
+                this.total++;
+            } else if (operation.type === 'edit') {
+                this.contacts = this.contacts.map((contact) =>
+                    contact.id === operation.contactId ? { ...contact, ...operation.data } : contact
+                );
+            } else {
+                this.contacts = this.contacts.filter((contact) => contact.id !== operation.contactId);
+                this.total--;
+            }
+        }
+
+        this._commit();
+        this._setStatus({
+            state: 'queued',
+            operation: operation.type,
+            message: this.isOnline
+                ? 'Saved. Syncing with the server…'
+                : 'You are offline. The change will be synced when the connection returns.'
+        });
+
+        // Online (the contact already had unsynced changes): send it now
+        if (this.isOnline) {
+            this.syncQueue();
+        } else {
+            this._notifySync();
+            this._scheduleSync();
+        }
+        return { ok: true, queued: true };
+    }
+
+    /**
+     * Replays the queued changes against the API, oldest first.
+     * Stops at the first change that fails for lack of a connection or a server error, and tries
+     * again later. Changes the server can't accept as-is become conflicts for the user to resolve.
+     */
+    async syncQueue() {
+        if (this._syncing || !this.offline || this.offline.queue.length === 0) return;
+
+        clearTimeout(this._syncTimer);
+        this._syncTimer = null;
+        this._syncing = true;
+        this._notifySync();
+
+        let replayed = 0;
+        const conflictsBefore = this.offline.conflicts.length;
+        try {
+            while (this.offline.queue.length > 0) {
+                const operation = this.offline.queue[0];
+                operation.sending = true;
+                try {
+                    await this._replay(operation);
+                } finally {
+                    delete operation.sending;
+                }
+                this.offline.dequeue(operation.opId);
+                replayed++;
+            }
+            this.isOnline = true;
+        } catch (error) {
+            console.error('Model: sync stopped:', error);
+            if (this._isNetworkError(error)) this.isOnline = false;
+        } finally {
+            this._syncing = false;
+            this._notifySync();
+            this._scheduleSync();
+        }
+
+        // Nothing sent, or the session ended part way through
+        if (replayed === 0 || !this.offline) return;
+
+        const conflicts = this.offline.conflicts.length - conflictsBefore;
+        const synced = replayed - conflicts;
+        if (conflicts > 0) {
+            this._setStatus({
+                state: 'error',
+                operation: 'sync',
+                message: `${conflicts} offline change${conflicts === 1 ? '' : 's'} could not be synced. Review the conflicts above the list.`
+            });
+        } else if (this.offline.queue.length === 0) {
+            this._setStatus({
+                state: 'success',
+                operation: 'sync',
+                message: `Synced ${synced} offline change${synced === 1 ? '' : 's'}.`
+            });
+        }
+
+        // Show the server's state, which now includes the synced changes
+        await this.fetchContacts();
+    }
+
+    /**
+     * Sends one queued operation to the API.
+     * Returns normally when the operation is done with, synced or turned into a conflict;
+     * throws when it should stay queued and be tried again.
+     *
+     * @param {Object} operation - An entry of the offline queue.
+     */
+    async _replay(operation) {
+        // The user lost write access to the book (or the book is gone) while offline
+        const refused = (status) => this.offline.addConflict({
+            op: operation,
+            reason: 'rejected',
+            errors: [{ message: status === 403
+                ? 'You can only view this address book now.'
+                : 'The address book no longer exists.' }]
+        });
+
+        if (operation.type === 'add') {
+            try {
+                const createdContact = await this._saveContact(operation.data, { bookId: operation.bookId });
+                this.offline.cacheUpsert(createdContact);
+
+                // Changes made to the contact while it was being created now target its real ID
+                this.offline.remapId(operation.contactId, createdContact.id);
+            } catch (error) {
+                if (error.status === 403 || error.status === 404) {
+                    refused(error.status);
+                    return;
+                }
+                if (!error.fieldErrors) throw error;
+                this.offline.addConflict({ op: operation, reason: 'rejected', errors: error.fieldErrors });
+            }
+            return;
+        }
+
+        // A delete: only applied if nobody changed the contact in the meantime, like an edit
+        if (operation.type === 'delete') {
+            const response = await this.api.contacts.remove(operation.contactId, { version: operation.baseVersion });
+
+            if (response.status === 403) {
+                refused(403);
+                return;
+            }
+            if (response.status === 412) {
+                const { current } = await this._versionConflict(response);
+                this.offline.cacheUpsert(current);
+                this.offline.addConflict({ op: operation, reason: 'changed', remote: current });
+                return;
+            }
+            // Already gone on the server: the outcome is the same
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Failed to delete contact (HTTP ${response.status})`);
+            }
+            this.offline.cacheRemove(operation.contactId);
+            return;
+        }
+
+        // An edit: only applied if nobody else deleted or changed the contact in the meantime
+        try {
+            this.offline.cacheUpsert(await this._saveContact(operation.data, { id: operation.contactId, version: operation.baseVersion }));
+        } catch (error) {
+            if (error.status === 404) {
+                this.offline.cacheRemove(operation.contactId);
+                this.offline.addConflict({ op: operation, reason: 'deleted' });
+            } else if (error.status === 403) {
+                refused(403);
+            } else if (error.current) {
+                this.offline.cacheUpsert(error.current);
+                this.offline.addConflict({ op: operation, reason: 'changed', remote: error.current });
+            } else if (error.fieldErrors) {
+                this.offline.addConflict({ op: operation, reason: 'rejected', errors: error.fieldErrors });
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Resolves a sync conflict.
+     *
+     * @param {string} id - The conflict's ID.
+     * @param {string} choice - 'keep' saves the offline version anyway (recreating the contact
+     *   if it was deleted, or overwriting the server's changes shown to the user), or deletes the
+     *   contact despite those changes; 'discard' drops it.
+     */
+    async resolveConflict(id, choice) {
+        const conflict = this.offline.conflicts.find((c) => c.id === id);
+        if (!conflict) return;
+
+        if (choice === 'keep') {
+            const { op } = conflict;
+            this._setStatus({ state: 'loading', operation: 'sync' });
+            try {
+                if (op.type === 'delete') {
+                    const response = await this.api.contacts.remove(op.contactId, { version: conflict.remote.version });
+                    if (response.status === 412) throw await this._versionConflict(response);
+                    // Already gone on the server: the outcome is the same
+                    if (!response.ok && response.status !== 404) {
+                        throw new Error(`Failed to delete contact (HTTP ${response.status})`);
+                    }
+                    this.offline.cacheRemove(op.contactId);
+                } else {
+                    const savedContact = conflict.reason === 'deleted'
+                        ? await this._saveContact(op.data, { bookId: op.bookId || this.bookId })
+                        : await this._saveContact(op.data, { id: op.contactId, version: conflict.remote.version });
+                    this.offline.cacheUpsert(savedContact);
+                }
+            } catch (error) {
+                // Changed again since the user compared: show the newer values and let them decide again
+                if (error.current) {
+                    this.offline.updateConflict(id, { remote: error.current });
+                    this._notifySync();
+                    this._fail('sync', `${error.current.name} changed again on the server. Review the new values.`, error);
+                    return;
+                }
+                this._fail('sync', 'Could not save your version of the contact.', error, () => this.resolveConflict(id, choice));
+                return;
+            }
+        }
+
+        this.offline.removeConflict(id);
+        this._notifySync();
+        await this.fetchContacts();
+    }
+
+    /**
+     * Returns a specific contact by its ID from local state: the listed contacts, or the one
+     * opened by its link. Useful for populating the edit modal with current data.
+     * 
+     * @param {string} id - The ID of the contact to find.
+     * @returns {Object|undefined} The contact object or undefined if not found.
+     */
+    getContactById(id) {
+        const listed = this.contacts.find((contact) => contact.id === id);
+        if (listed) return listed;
+        return this.linkedContact && this.linkedContact.id === id ? this.linkedContact : undefined;
+    }
+
+    /**
+     * Finds a contact that may not be listed, e.g. one a link leads to: a contact further down the
+     * list than the pages loaded so far, outside the search, or in another of the user's books.
+     * It is loaded from the server (or, offline, from the cache) and kept as the linked contact.
+     *
+     * @param {string} id
+     * @returns {Promise<Object|null>} The contact, or null if it doesn't exist or the user can't see it.
+     */
+    async fetchContact(id) {
+        const listed = this.contacts.find((contact) => contact.id === id);
+        if (listed) return listed;
+
+        let contact = null;
+        try {
+            const response = await this.api.contacts.get(id);
+            if (response.ok) {
+                contact = await response.json();
+                this.offline.cacheUpsert(contact);
+            } else if (response.status !== 403 && response.status !== 404) {
+                throw new Error(`Failed to fetch contact (HTTP ${response.status})`);
+            }
+        } catch (error) {
+            if (error.status === 401) return null;
+            console.warn('Model: could not load the contact, using the saved one:', error);
+            if (this._isNetworkError(error)) this._markOffline();
+            contact = this.offline.getCachedContact(id);
+        }
+
+        this.linkedContact = contact;
+        return contact;
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * The ContactSchema describes what a valid contact looks like.
+ * It is shared by the browser (View, before a form is submitted) and the server
+ * (server/routes/contacts.js, before anything is stored), so both apply exactly the same rules.
+ *
+ * In the browser it is loaded with a plain <script> tag and defines a global `ContactSchema`;
+ * in Node it is exported with `module.exports`.
+ */
+const ContactSchema = (function () {
+    // Pragmatic email check: something@something.tld, no spaces.
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Characters people type to format phone numbers, removed before normalizing.
+    const PHONE_FORMATTING = /[\s\-().\/]/g;
+
+    /**
+     * Normalizes a phone number to E.164 (e.g. "+1 (555) 010-9999" -> "+15550109999").
+     * A leading "00" international prefix is accepted in place of "+".
+     *
+     * @param {string} phone
+     * @returns {string|null} The E.164 number, or null if it can't be one.
+     */
+    function toE164(phone) {
+        let digits = phone.replace(PHONE_FORMATTING, '');
+        if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+
+        // E.164: "+", a country code that doesn't start with 0, up to 15 digits in total.
+        return /^\+[1-9]\d{6,14}$/.test(digits) ? digits : null;
+    }
+
+    // Birthdays are calendar dates, as entered with <input type="date">.
+    const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    /**
+     * The declarative field rules.
+     * Each field is trimmed, checked for presence and length, then passed to its optional `format`,
+     * which returns the normalized value or an error message.
+     * `email` and `phone` are the rules for each entry of the `emails` and `phones` lists (see below).
+     */
+    const fields = {
+        name: {
+            label: 'Full name',
+            required: true,
+            maxLength: 100
+        },
+        email: {
+            label: 'Email address',
+            required: true,
+            maxLength: 254,
+            format: (value) => EMAIL_PATTERN.test(value)
+                ? { value }
+                : { message: 'Enter a valid email address, e.g. jane@example.com' }
+        },
+        phone: {
+            label: 'Phone number',
+            required: true,
+            maxLength: 30,
+            format: (value) => {
+                const normalized = toE164(value);
+                return normalized
+                    ? { value: normalized }
+                    : { message: 'Enter a phone number with its country code, e.g. +1 555 000 0000' };
+            }
+        },
+        company: {
+            label: 'Company',
+            maxLength: 100
+        },
+        title: {
+            label: 'Job title',
+            maxLength: 100
+        },
+        birthday: {
+            label: 'Birthday',
+            maxLength: 10,
+            format: (value) => {
+                const match = DATE_PATTERN.exec(value);
+                const [year, month, day] = match ? match.slice(1).map(Number) : [];
+                const date = match && new Date(Date.UTC(year, month - 1, day));
+                if (!date || year < 1900 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+                    return { message: 'Enter a date as YYYY-MM-DD, e.g. 1990-04-25' };
+                }
+                return date > new Date() ? { message: 'Birthday can\'t be in the future' } : { value };
+            }
+        },
+        notes: {
+            label: 'Notes',
+            maxLength: 2000
+        }
+    };
+
+    // Fields holding one value, besides the name. Empty ones are stored as '' (birthday: null).
+    const DETAIL_FIELDS = ['company', 'title', 'birthday', 'notes'];
+
+    /**
+     * Repeatable fields: labeled values, e.g. [{ label: 'work', value: 'jane@example.com' }].
+     * The first entry is the primary one. It is also kept in the plain `email` / `phone` field,
+     * which search, sorting and duplicate checks use, and which older clients send on their own.
+     */
+    const lists = {
+        emails: { label: 'Email addresses', primary: 'email', labels: ['home', 'work', 'other'], max: 10 },
+        phones: { label: 'Phone numbers', primary: 'phone', labels: ['mobile', 'home', 'work', 'other'], max: 10 }
+    };
+
+    /**
+     * Postal addresses: labeled like the lists; every part is optional, but a blank address is dropped.
+     */
+    const addresses = {
+        label: 'Addresses',
+        labels: ['home', 'work', 'other'],
+        max: 5,
+        fields: {
+            street: { label: 'Street', maxLength: 200 },
+            city: { label: 'City', maxLength: 100 },
+            region: { label: 'State / region', maxLength: 100 },
+            postalCode: { label: 'Postal code', maxLength: 20 },
+            country: { label: 'Country', maxLength: 100 }
+        }
+    };
+
+    /**
+     * Tags: the IDs of tags of the contact's address book. The server ignores IDs that aren't.
+     * Each tag has one of `colors` (the browser maps them to CSS classes).
+     */
+    const tags = {
+        label: 'Tags',
+        max: 20,
+        colors: ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink']
+    };
+
+    /**
+     * Checks one raw value against a field's rules.
+     *
+     * @param {string} field - The name errors are reported under, e.g. "emails.1".
+     * @param {Object} rules - From `fields`.
+     * @param {*} raw
+     * @param {Array<Object>} errors - Problems are appended here.
+     * @returns {string|undefined} The normalized value ('' if empty), or undefined if it's invalid.
+     */
+    function checkValue(field, rules, raw, errors) {
+        if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+            errors.push({ field, message: `${rules.label} must be text` });
+            return undefined;
+        }
+
+        const text = typeof raw === 'string' ? raw.trim() : '';
+        if (!text) {
+            if (rules.required) errors.push({ field, message: `${rules.label} is required` });
+            return '';
+        }
+        if (text.length > rules.maxLength) {
+            errors.push({ field, message: `${rules.label} must be at most ${rules.maxLength} characters` });
+            return undefined;
+        }
+
+        const result = rules.format ? rules.format(text) : { value: text };
+        if (result.message) {
+            errors.push({ field, message: result.message });
+            return undefined;
+        }
+        return result.value;
+    }
+
+    /**
+     * Checks the label of a list entry. A missing label means the last choice ('other').
+     */
+    function checkLabel(field, raw, labels, errors) {
+        if (raw === undefined || raw === null || raw === '') return labels[labels.length - 1];
+        if (!labels.includes(raw)) {
+            errors.push({ field, message: `Label must be one of: ${labels.join(', ')}` });
+        }
+        return raw;
+    }
+
+    /**
+     * Reads the raw entries of a repeatable field, reporting anything that isn't a list.
+     *
+     * @returns {Array<*>}
+     */
+    function readEntries(name, rules, raw, errors) {
+        if (raw === undefined || raw === null) return [];
+        if (!Array.isArray(raw)) {
+            errors.push({ field: name, message: `${rules.label} must be a list` });
+            return [];
+        }
+        if (raw.length > rules.max) {
+            errors.push({ field: name, message: `${rules.label}: at most ${rules.max} are allowed` });
+            return [];
+        }
+        return raw;
+    }
+
+    /**
+     * Validates and normalizes contact input.
+     *
+     * @param {Object} input - Raw values, e.g. from the form or a request body. Either `emails` /
+     *   `phones` lists, or a single `email` / `phone`; and optionally `tagIds`.
+     * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }}
+     *   `value` holds the cleaned fields; `errors` is empty when the input is valid.
+     *   Errors about list entries name the entry, e.g. "emails.1" or "addresses.0.postalCode".
+     */
+    function validate(input) {
+        const source = input && typeof input === 'object' ? input : {};
+        const value = {};
+        const errors = [];
+
+        const checkField = (field) => {
+            const result = checkValue(field, fields[field], source[field], errors);
+            if (result !== undefined) value[field] = result;
+        };
+
+        checkField('name');
+
+        Object.entries(lists).forEach(([name, rules]) => {
+            const single = source[rules.primary];
+            const raw = source[name] === undefined || source[name] === null
+                ? (single === undefined || single === null || single === '' ? [] : [{ value: single }])
+                : source[name];
+
+            value[name] = [];
+            readEntries(name, rules, raw, errors).forEach((entry, index) => {
+                const field = `${name}.${index}`;
+                const item = entry && typeof entry === 'object' ? entry : { value: entry };
+                // Rows left empty in the form are skipped; errors keep the row's index
+                const entryValue = checkValue(field, { ...fields[rules.primary], required: false }, item.value, errors);
+                const label = checkLabel(field, item.label, rules.labels, errors);
+                if (entryValue) value[name].push({ label, value: entryValue });
+            });
+
+            if (value[name].length === 0 && !errors.some((error) => error.field.startsWith(`${name}.`))) {
+                errors.push({ field: `${name}.0`, message: `${fields[rules.primary].label} is required` });
+            }
+            value[rules.primary] = value[name].length > 0 ? value[name][0].value : '';
+        });
+
+        value.addresses = [];
+        readEntries('addresses', addresses, source.addresses, errors).forEach((entry, index) => {
+            const field = `addresses.${index}`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push({ field, message: 'Address must be an object' });
+                return;
+            }
+
+            const address = {};
+            Object.entries(addresses.fields).forEach(([part, rules]) => {
+                const result = checkValue(`${field}.${part}`, rules, entry[part], errors);
+                address[part] = result || '';
+            });
+            if (Object.keys(addresses.fields).every((part) => !address[part])) return;
+
+            value.addresses.push({ label: checkLabel(field, entry.label, addresses.labels, errors), ...address });
+        });
+
+        DETAIL_FIELDS.forEach(checkField);
+        if (value.birthday === '') value.birthday = null;
+
+        const tagIds = source.tagIds === undefined || source.tagIds === null ? [] : source.tagIds;
+        if (!Array.isArray(tagIds) || tagIds.some((id) => typeof id !== 'string' || !id)) {
+            errors.push({ field: 'tagIds', message: `${tags.label} must be a list of tag IDs` });
+        } else if (new Set(tagIds).size > tags.max) {
+            errors.push({ field: 'tagIds', message: `A contact can have at most ${tags.max} tags` });
+        } else {
+            value.tagIds = [...new Set(tagIds)];
+        }
+
+        return { value, errors };
+    }
+
+    return { fields, lists, addresses, tags, validate, toE164 };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactSchema;
+}
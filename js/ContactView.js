@@ -0,0 +1,2596 @@
+// Contact cards, dialogs and the empty state are built from templates, which escape
+// the contacts' data (see mvc/Template.js)
+const { html } = Template;
+
+/**
+ * The ContactView manages the visual representation of the contacts app (the UI).
+ * It interacts directly with the DOM, listens to user events, and displays data provided by the Model.
+ * The View doesn't know about the Model directly; it communicates via the Controller using event bindings.
+ */
+class ContactView extends View {
+    constructor() {
+        super();
+
+        // ==========================================
+        // UI ELEMENT CACHING
+        // ==========================================
+
+        // The root element containing the application
+        this.app = document.querySelector('body');
+
+        // Sign-in screen and the app it gives access to
+        this.authScreen = document.getElementById('auth-screen');
+        this.authTitle = document.getElementById('auth-title');
+        this.authForm = document.getElementById('auth-form');
+        this.authError = document.getElementById('auth-error');
+        this.authEmail = document.getElementById('auth-email');
+        this.authPassword = document.getElementById('auth-password');
+        this.authSubmitBtn = document.getElementById('auth-submit-btn');
+        this.authSwitchText = document.getElementById('auth-switch-text');
+        this.authSwitchBtn = document.getElementById('auth-switch-btn');
+        this.authInputs = { email: this.authEmail, password: this.authPassword };
+        this.mainContent = document.getElementById('main-content');
+        this.userEmail = document.getElementById('user-email');
+        this.logoutBtn = document.getElementById('logout-btn');
+
+        // The sign-in form doubles as the registration form
+        this._registering = false;
+
+        // Address book switcher and the members dialog
+        this.bookSelect = document.getElementById('book-select');
+        this.newBookBtn = document.getElementById('new-book-btn');
+        this.membersBtn = document.getElementById('members-btn');
+        this.membersModal = document.getElementById('members-modal');
+        this.membersTitle = document.getElementById('members-title');
+        this.membersError = document.getElementById('members-error');
+        this.memberList = document.getElementById('member-list');
+        this.memberForm = document.getElementById('member-form');
+        this.memberEmail = document.getElementById('member-email');
+        this.memberRole = document.getElementById('member-role');
+        this.closeMembersBtn = document.getElementById('close-members-btn');
+        this.leaveBookBtn = document.getElementById('leave-book-btn');
+        this.deleteBookBtn = document.getElementById('delete-book-btn');
+
+        // Import / export buttons and the import dialog
+        this.importBtn = document.getElementById('import-btn');
+        this.exportBtns = [document.getElementById('export-csv-btn'), document.getElementById('export-vcf-btn')];
+        this.importModal = document.getElementById('import-modal');
+        this.importError = document.getElementById('import-error');
+        this.importFile = document.getElementById('import-file');
+        this.importMapping = document.getElementById('import-mapping');
+        this.importSummary = document.getElementById('import-summary');
+        this.importPreview = document.getElementById('import-preview');
+        this.closeImportBtn = document.getElementById('close-import-btn');
+        this.importCancelBtn = document.getElementById('import-cancel-btn');
+        this.importConfirmBtn = document.getElementById('import-confirm-btn');
+
+        // The file being imported ({ format, data }), kept to re-check it with another column mapping
+        this._importUpload = null;
+
+        // Rows listed in the import preview; the summary still counts all of them
+        this.importPreviewRows = 200;
+
+        // Multi-select: the bar with actions for the ticked contacts
+        this.bulkBar = document.getElementById('bulk-bar');
+        this.bulkCount = document.getElementById('bulk-count');
+        this.selectAllCheckbox = document.getElementById('select-all-checkbox');
+        this.bulkExportBtns = [document.getElementById('bulk-export-csv-btn'), document.getElementById('bulk-export-vcf-btn')];
+        this.bulkTagSelect = document.getElementById('bulk-tag-select');
+        this.bulkDeleteBtn = document.getElementById('bulk-delete-btn');
+        this.bulkClearBtn = document.getElementById('bulk-clear-btn');
+
+        // IDs of the ticked contacts. Kept across re-renders; contacts that leave the list are dropped.
+        this._selectedIds = new Set();
+
+        // Tags: the filter chips above the list, the picker of the contact form and the tags dialog
+        this.tagFilter = document.getElementById('tag-filter');
+        this.tagFilterChips = document.getElementById('tag-filter-chips');
+        this.manageTagsBtn = document.getElementById('manage-tags-btn');
+        this.tagPicker = document.getElementById('contact-tags');
+        this.newTagName = document.getElementById('new-tag-name');
+        this.newTagBtn = document.getElementById('new-tag-btn');
+        this.tagsModal = document.getElementById('tags-modal');
+        this.tagsError = document.getElementById('tags-error');
+        this.tagList = document.getElementById('tag-list');
+        this.tagsEmpty = document.getElementById('tags-empty');
+        this.tagForm = document.getElementById('tag-form');
+        this.tagName = document.getElementById('tag-name');
+        this.closeTagsBtn = document.getElementById('close-tags-btn');
+
+        // The current book's tags ({ id, name, color }), to label the cards and fill the pickers
+        this._tags = [];
+
+        // Duplicates: the warning of the contact form, the duplicates dialog and the merge dialog
+        this.duplicatesBtn = document.getElementById('duplicates-btn');
+        this.duplicateWarning = document.getElementById('duplicate-warning');
+        this.duplicateMessage = document.getElementById('duplicate-message');
+        this.duplicateList = document.getElementById('duplicate-list');
+        this.saveAnywayBtn = document.getElementById('save-anyway-btn');
+        this.duplicatesModal = document.getElementById('duplicates-modal');
+        this.duplicatesSummary = document.getElementById('duplicates-summary');
+        this.duplicatePairs = document.getElementById('duplicate-pairs');
+        this.closeDuplicatesBtn = document.getElementById('close-duplicates-btn');
+        this.mergeModal = document.getElementById('merge-modal');
+        this.mergeError = document.getElementById('merge-error');
+        this.mergeMessage = document.getElementById('merge-message');
+        this.mergeTable = document.getElementById('merge-table');
+        this.closeMergeBtn = document.getElementById('close-merge-btn');
+        this.mergeCancelBtn = document.getElementById('merge-cancel-btn');
+        this.mergeConfirmBtn = document.getElementById('merge-confirm-btn');
+
+        // Matches listed by the form's duplicate warning, and the pairs listed by the duplicates dialog
+        this.duplicateWarningMatches = 3;
+        this._duplicates = [];
+        this._duplicatePairs = [];
+
+        // The two contacts in the merge dialog ({ target, source })
+        this._merge = null;
+
+        // The current book's trash (deleted contacts, which can be restored)
+        this.trashBtn = document.getElementById('trash-btn');
+        this.trashModal = document.getElementById('trash-modal');
+        this.trashSummary = document.getElementById('trash-summary');
+        this.trashList = document.getElementById('trash-list');
+        this.closeTrashBtn = document.getElementById('close-trash-btn');
+
+        // The container holding the list of contacts
+        this.contactList = document.getElementById('contact-list');
+
+        // A card per listed contact, kept in step with the list by id (see displayContacts())
+        this._listed = { contacts: [], pendingIds: new Set(), queuedIds: new Set(), canEdit: true };
+        this.contactCards = new KeyedList(this.contactList, {
+            key: (contact) => contact.id,
+            render: (contact) => this._contactCard(contact, this._listed),
+            viewport: this.contactList.parentElement,
+            // Cards rendered while scrolling a long list show whether they are ticked
+            afterRender: () => this._displayTicks()
+        });
+
+        // The empty state container shown when there are no contacts
+        this.emptyState = document.getElementById('empty-state');
+
+        // Loading and error states of the list
+        this.listSkeleton = document.getElementById('list-skeleton');
+        this.listError = document.getElementById('list-error');
+        this.listErrorMessage = document.getElementById('list-error-message');
+        this.listRetryBtn = document.getElementById('list-retry-btn');
+
+        // Container for toast notifications
+        this.toastContainer = document.getElementById('toast-container');
+
+        // Offline / sync status and unresolved sync conflicts
+        this.syncBanner = document.getElementById('sync-banner');
+        this.syncMessage = document.getElementById('sync-message');
+        this.syncNowBtn = document.getElementById('sync-now-btn');
+        this.syncConflicts = document.getElementById('sync-conflicts');
+
+        // Search & Sort
+        this.searchInput = document.getElementById('search-input');
+        this.sortSelect = document.getElementById('sort-select');
+
+        // List footer (result count + pagination)
+        this.listFooter = document.getElementById('list-footer');
+        this.listCount = document.getElementById('list-count');
+        this.loadMoreBtn = document.getElementById('load-more-btn');
+
+        // Modal Elements
+        this.modalOverlay = document.getElementById('contact-modal');
+        this.modalTitle = document.getElementById('modal-title');
+        this.contactForm = document.getElementById('contact-form');
+        this.formError = document.getElementById('form-error');
+
+        // Edit conflict dialog (someone else changed the contact first)
+        this.conflictModal = document.getElementById('conflict-modal');
+        this.conflictMessage = document.getElementById('conflict-message');
+        this.conflictDiff = document.getElementById('conflict-diff');
+        this.closeConflictBtn = document.getElementById('close-conflict-btn');
+        this.conflictTheirsBtn = document.getElementById('conflict-theirs-btn');
+        this.conflictMineBtn = document.getElementById('conflict-mine-btn');
+
+        // Form Inputs
+        // Cache the form inputs so we can easily read/write their values
+        this.inputId = document.getElementById('contact-id');
+        this.inputName = document.getElementById('contact-name');
+        this.inputCompany = document.getElementById('contact-company');
+        this.inputTitle = document.getElementById('contact-title');
+        this.inputBirthday = document.getElementById('contact-birthday');
+        this.inputNotes = document.getElementById('contact-notes');
+
+        // Containers of the repeatable fields' rows, by schema list name (see _addRow)
+        this.repeatLists = {
+            emails: document.getElementById('contact-emails'),
+            phones: document.getElementById('contact-phones'),
+            addresses: document.getElementById('contact-addresses')
+        };
+
+        // Detail view of one contact
+        this.detailModal = document.getElementById('detail-modal');
+        this.detailAvatar = document.getElementById('detail-avatar');
+        this.detailName = document.getElementById('detail-name');
+        this.detailSubtitle = document.getElementById('detail-subtitle');
+        this.detailFields = document.getElementById('detail-fields');
+        this.closeDetailBtn = document.getElementById('close-detail-btn');
+        this.detailEditBtn = document.getElementById('detail-edit-btn');
+        this.detailHistoryBtn = document.getElementById('detail-history-btn');
+        this.detailHistory = document.getElementById('detail-history');
+        this.historyError = document.getElementById('history-error');
+        this.historyList = document.getElementById('history-list');
+        this.historyEmpty = document.getElementById('history-empty');
+
+        // The changes listed in the detail view's history, most recent first
+        this._historyEntries = [];
+
+        // Buttons
+        this.addContactBtn = document.getElementById('add-contact-btn');
+        this.closeModalBtn = document.getElementById('close-modal-btn');
+        this.cancelBtn = document.getElementById('cancel-btn');
+        this.saveBtn = document.getElementById('save-btn');
+
+
+        // ==========================================
+        // EVENT LISTENERS (UI purely)
+        // ==========================================
+        // These listeners handle visual changes like opening/closing the modal.
+
+        // Close modal via 'X' button
+        this.closeModalBtn.addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        // Close modal via Cancel button
+        this.cancelBtn.addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        // Close modal by clicking outside the modal content (on the overlay)
+        this.modalOverlay.addEventListener('click', (e) => {
+            if (e.target === this.modalOverlay) {
+                this.closeModal();
+            }
+        });
+
+        // Retry loading the list (the action is provided by showListError)
+        this.listRetryBtn.addEventListener('click', () => {
+            if (this._listRetry) this._listRetry();
+        });
+
+        // Add a row to a repeatable field, or remove one (Event Delegation)
+        this.delegate(this.contactForm, {
+            'click [data-add-row]': (addBtn) => {
+                this._addRow(addBtn.dataset.addRow).querySelector('input').focus();
+            },
+            'click [data-remove-row]': (removeBtn) => {
+                this._removeRow(removeBtn.closest('.repeat-row'));
+            }
+        });
+
+        // Close the detail view via 'X' or by clicking outside it
+        this.closeDetailBtn.addEventListener('click', () => {
+            this.closeContactDetails();
+        });
+        this.detailModal.addEventListener('click', (e) => {
+            if (e.target === this.detailModal) {
+                this.closeContactDetails();
+            }
+        });
+
+        // Dismiss the conflict dialog and go back to the edit form
+        this.closeConflictBtn.addEventListener('click', () => {
+            this.closeConflictDialog();
+        });
+
+        // Switch the sign-in form between "Sign in" and "Create account"
+        this.authSwitchBtn.addEventListener('click', () => {
+            this._setAuthMode(!this._registering);
+        });
+
+        // Close the members dialog via 'X' or by clicking outside it
+        this.closeMembersBtn.addEventListener('click', () => {
+            this.closeMembersDialog();
+        });
+        this.membersModal.addEventListener('click', (e) => {
+            if (e.target === this.membersModal) {
+                this.closeMembersDialog();
+            }
+        });
+
+        // Tick or untick a contact (Event Delegation), or all loaded contacts at once
+        this.delegate(this.contactList, {
+            'change [data-select-id]': (checkbox) => {
+                if (checkbox.checked) {
+                    this._selectedIds.add(checkbox.dataset.selectId);
+                } else {
+                    this._selectedIds.delete(checkbox.dataset.selectId);
+                }
+                this._displaySelection();
+            }
+        });
+        this.selectAllCheckbox.addEventListener('change', () => {
+            // Every listed contact, including those a long list hasn't rendered (see KeyedList)
+            this._listed.contacts.forEach(({ id }) => {
+                if (this._listed.pendingIds.has(id)) return;
+                if (this.selectAllCheckbox.checked) {
+                    this._selectedIds.add(id);
+                } else {
+                    this._selectedIds.delete(id);
+                }
+            });
+            this._displaySelection();
+        });
+        this.bulkClearBtn.addEventListener('click', () => {
+            this.clearSelection();
+        });
+
+        // Press or release a tag of the contact form's picker (Event Delegation)
+        this.delegate(this.tagPicker, {
+            'click [data-tag-id]': (chip) => {
+                chip.setAttribute('aria-pressed', String(chip.getAttribute('aria-pressed') !== 'true'));
+            }
+        });
+
+        // Open the tags dialog; close it via 'X' or by clicking outside it
+        this.manageTagsBtn.addEventListener('click', () => {
+            this.showTagsDialog();
+        });
+        this.closeTagsBtn.addEventListener('click', () => {
+            this.closeTagsDialog();
+        });
+        this.tagsModal.addEventListener('click', (e) => {
+            if (e.target === this.tagsModal) {
+                this.closeTagsDialog();
+            }
+        });
+
+        // Close the duplicates dialog via 'X' or by clicking outside it; "Compare" opens a pair in the merge dialog
+        this.closeDuplicatesBtn.addEventListener('click', () => {
+            this.closeDuplicatesDialog();
+        });
+        this.duplicatesModal.addEventListener('click', (e) => {
+            if (e.target === this.duplicatesModal) {
+                this.closeDuplicatesDialog();
+            }
+        });
+        this.delegate(this.duplicatesModal, {
+            'click [data-pair-index]': (compareBtn) => {
+                const [older, newer] = this._duplicatePairs[Number(compareBtn.dataset.pairIndex)].contacts;
+                this.closeDuplicatesDialog();
+                this.openMergeDialog(older, newer);
+            }
+        });
+
+        // Close the trash dialog via 'X' or by clicking outside it
+        this.closeTrashBtn.addEventListener('click', () => {
+            this.closeTrashDialog();
+        });
+        this.trashModal.addEventListener('click', (e) => {
+            if (e.target === this.trashModal) {
+                this.closeTrashDialog();
+            }
+        });
+
+        // Close the merge dialog via 'X', Cancel or by clicking outside it
+        [this.closeMergeBtn, this.mergeCancelBtn].forEach((btn) => btn.addEventListener('click', () => {
+            this.closeMergeDialog();
+        }));
+        this.mergeModal.addEventListener('click', (e) => {
+            if (e.target === this.mergeModal) {
+                this.closeMergeDialog();
+            }
+        });
+
+        // Open the import dialog; close it via 'X', Cancel or by clicking outside it
+        this.importBtn.addEventListener('click', () => {
+            this.openImportDialog();
+        });
+        [this.closeImportBtn, this.importCancelBtn].forEach((btn) => btn.addEventListener('click', () => {
+            this.closeImportDialog();
+        }));
+        this.importModal.addEventListener('click', (e) => {
+            if (e.target === this.importModal) {
+                this.closeImportDialog();
+            }
+        });
+    }
+
+    // ==========================================
+    // SIGN-IN SCREEN
+    // ==========================================
+
+    /**
+     * Shows the sign-in form in place of the app.
+     * @param {string} [message] - Why the user has to sign in, e.g. an expired session.
+     */
+    showAuthScreen(message) {
+        this.closeModal();
+        this.closeConflictDialog();
+        this.closeMembersDialog();
+        this.closeImportDialog();
+        this.closeContactDetails();
+        this.closeTagsDialog();
+        this.mainContent.classList.add('hidden');
+        this.authScreen.classList.remove('hidden');
+        this.authPassword.value = '';
+        this.clearFieldErrors(this.authInputs);
+
+        if (message) {
+            this.showAuthError(message);
+        } else {
+            this.hideAuthError();
+        }
+        this.authEmail.focus();
+    }
+
+    /**
+     * Shows the app for a signed-in user, starting from a list without tag filter.
+     *
+     * @param {Object} user - { id, email }
+     * @param {string} [search] - The search term the list starts with.
+     */
+    showApp(user, search = '') {
+        this.authScreen.classList.add('hidden');
+        this.mainContent.classList.remove('hidden');
+        this.userEmail.textContent = user.email;
+        this.searchInput.value = search;
+        this.sortSelect.value = 'name:asc';
+        this.contactCards.update([], { animate: false });
+    }
+
+    /**
+     * @param {boolean} registering - True for "Create account", false for "Sign in".
+     */
+    _setAuthMode(registering) {
+        this._registering = registering;
+        this.authTitle.textContent = registering ? 'Create account' : 'Sign in';
+        this.authSubmitBtn.textContent = registering ? 'Create account' : 'Sign in';
+        this.authSwitchText.textContent = registering ? 'Already have an account?' : 'No account yet?';
+        this.authSwitchBtn.textContent = registering ? 'Sign in' : 'Create one';
+        this.authPassword.setAttribute('autocomplete', registering ? 'new-password' : 'current-password');
+        this.clearFieldErrors(this.authInputs);
+        this.hideAuthError();
+    }
+
+    /**
+     * Shows an error at the top of the sign-in form.
+     * @param {string} message
+     */
+    showAuthError(message) {
+        this.authError.textContent = message;
+        this.authError.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the sign-in form's error.
+     */
+    hideAuthError() {
+        this.authError.textContent = '';
+        this.authError.classList.add('hidden');
+    }
+
+    // ==========================================
+    // ADDRESS BOOKS
+    // ==========================================
+
+    /**
+     * Fills the address book switcher and adapts the toolbar to the user's role in the current book:
+     * viewers can't add, import, merge or restore contacts, or manage tags.
+     *
+     * @param {Array<Object>} books - The user's books ({ id, name, role }).
+     * @param {Object|null} current - The book on screen.
+     */
+    displayBooks(books, current) {
+        this.bookSelect.replaceChildren(...books.map((book) => {
+            const option = document.createElement('option');
+            option.value = book.id;
+            option.textContent = book.role === 'owner' ? book.name : `${book.name} (${book.role})`;
+            return option;
+        }));
+        this.bookSelect.value = current ? current.id : '';
+        this.bookSelect.disabled = books.length === 0;
+        this.membersBtn.disabled = !current;
+        this.addContactBtn.classList.toggle('hidden', !current || current.role === 'viewer');
+        this.importBtn.classList.toggle('hidden', !current || current.role === 'viewer');
+        this.manageTagsBtn.classList.toggle('hidden', !current || current.role === 'viewer');
+        this.duplicatesBtn.classList.toggle('hidden', !current || current.role === 'viewer');
+        this.trashBtn.classList.toggle('hidden', !current || current.role === 'viewer');
+        this.exportBtns.forEach((btn) => { btn.disabled = !current; });
+    }
+
+    /**
+     * Opens the members dialog for a book. Owners get controls to share the book, change roles,
+     * remove members and delete the book; everyone else sees the list and can leave.
+     *
+     * @param {Object} book - { id, name, role, members: [{ userId, email, role }] }
+     * @param {string} userId - The signed-in user, who can't remove themselves here (only leave).
+     */
+    showMembersDialog(book, userId) {
+        const isOwner = book.role === 'owner';
+        this._membersUserId = userId;
+
+        this.membersTitle.textContent = `Members of ${book.name}`;
+        Template.render(this.memberList, book.members.map((member) => html`
+            <li class="member-item">
+                <span class="member-email">${member.userId === userId ? `${member.email} (you)` : member.email}</span>
+                ${isOwner ? html`
+                    <select class="sort-select member-role-select" aria-label="Role of ${member.email}" data-user-id="${member.userId}">
+                        ${['viewer', 'editor', 'owner'].map((role) => html`
+                            <option value="${role}" ${role === member.role && 'selected'}>${this._capitalize(role)}</option>`)}
+                    </select>
+                    ${member.userId !== userId && html`
+                        <button class="icon-btn delete" aria-label="Remove ${member.email}" data-remove-user-id="${member.userId}">
+                            <i class="bx bx-user-minus"></i>
+                        </button>`}`
+                : html`<span class="member-role">${member.role}</span>`}
+            </li>`));
+
+        this.memberForm.classList.toggle('hidden', !isOwner);
+        this.deleteBookBtn.classList.toggle('hidden', !isOwner);
+        this.hideMembersError();
+        this.membersModal.classList.add('active');
+    }
+
+    /**
+     * Closes the members dialog and clears its form.
+     */
+    closeMembersDialog() {
+        this.membersModal.classList.remove('active');
+        this.memberEmail.value = '';
+        this.memberRole.value = 'viewer';
+        this.clearFieldErrors({ email: this.memberEmail });
+        this.hideMembersError();
+    }
+
+    /**
+     * Shows an error at the top of the members dialog.
+     * @param {string} message
+     */
+    showMembersError(message) {
+        this.membersError.textContent = message;
+        this.membersError.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the members dialog's error.
+     */
+    hideMembersError() {
+        this.membersError.textContent = '';
+        this.membersError.classList.add('hidden');
+    }
+
+    // ==========================================
+    // TAGS
+    // ==========================================
+
+    /**
+     * Shows the current book's tags: as filter chips above the list (pressed when filtering),
+     * in the contact form's picker, in the bulk bar's tag menu and in the tags dialog.
+     *
+     * @param {Array<Object>} tags - { id, name, color }, by name.
+     * @param {Array<string>} selectedIds - The tags the list is filtered by.
+     */
+    displayTags(tags, selectedIds) {
+        this._tags = tags;
+
+        this.tagFilterChips.replaceChildren(...tags.map((tag) => {
+            const chip = this._createTagChip(tag);
+            chip.dataset.filterTagId = tag.id;
+            chip.setAttribute('aria-pressed', String(selectedIds.includes(tag.id)));
+            return chip;
+        }));
+        this.tagFilter.classList.toggle('hidden', tags.length === 0);
+
+        // Keep what is picked in an open form; tags that were deleted drop out
+        this._displayTagPicker(this._pickedTagIds());
+
+        const group = (label, action) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            tags.forEach((tag) => {
+                const option = document.createElement('option');
+                option.value = `${action}:${tag.id}`;
+                option.textContent = tag.name;
+                optgroup.append(option);
+            });
+            return optgroup;
+        };
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Tag…';
+        this.bulkTagSelect.replaceChildren(placeholder, group('Add tag', 'add'), group('Remove tag', 'remove'));
+        this._displaySelection();
+
+        if (this.tagsModal.classList.contains('active')) this._displayTagList();
+    }
+
+    /**
+     * @param {Object} tag - { id, name, color }
+     * @returns {HTMLButtonElement} A toggle button showing the tag in its color.
+     */
+    _createTagChip(tag) {
+        const chip = this.createElement('button', `tag-chip tag-${tag.color}`);
+        chip.type = 'button';
+        chip.textContent = tag.name;
+        return chip;
+    }
+
+    /**
+     * @param {Array<string>} tagIds - A contact's tags.
+     * @returns {Object|null} Badges of the tags the book still has (a template), or null if there are none.
+     */
+    _tagBadges(tagIds = []) {
+        const tags = this._tags.filter((tag) => tagIds.includes(tag.id));
+        if (tags.length === 0) return null;
+
+        return html`<span class="tag-badges">${tags.map((tag) => html`
+            <span class="tag-badge tag-${tag.color}">${tag.name}</span>`)}
+        </span>`;
+    }
+
+    /**
+     * Fills the contact form's tag picker with the book's tags.
+     * @param {Array<string>} pickedIds - The tags to show pressed.
+     */
+    _displayTagPicker(pickedIds) {
+        Template.render(this.tagPicker, this._tags.map((tag) => html`
+            <button type="button" class="tag-chip tag-${tag.color}" data-tag-id="${tag.id}"
+                aria-pressed="${String(pickedIds.includes(tag.id))}">${tag.name}</button>`));
+    }
+
+    /**
+     * @returns {Array<string>} The tags pressed in the contact form's picker.
+     */
+    _pickedTagIds() {
+        return [...this.tagPicker.querySelectorAll('[aria-pressed="true"]')].map((chip) => chip.dataset.tagId);
+    }
+
+    /**
+     * Opens the tags dialog, where owners and editors rename, recolor, delete and create tags.
+     */
+    showTagsDialog() {
+        this._displayTagList();
+        this.hideTagsError();
+        this.tagsModal.classList.add('active');
+        this.tagName.focus();
+    }
+
+    /**
+     * Lists the tags in the tags dialog, each with its name, a color menu and a delete button.
+     */
+    _displayTagList() {
+        Template.render(this.tagList, this._tags.map((tag) => html`
+            <li class="member-item tag-item">
+                <select class="sort-select tag-color-select tag-${tag.color}" aria-label="Color of ${tag.name}" data-tag-color-id="${tag.id}">
+                    ${ContactSchema.tags.colors.map((color) => html`
+                        <option value="${color}" ${color === tag.color && 'selected'}>${this._capitalize(color)}</option>`)}
+                </select>
+                <input type="text" class="tag-name-input" maxlength="30" value="${tag.name}"
+                    data-tag-name-id="${tag.id}" aria-label="Name of ${tag.name}">
+                <button class="icon-btn delete" aria-label="Delete ${tag.name}" data-delete-tag-id="${tag.id}">
+                    <i class="bx bx-trash"></i>
+                </button>
+            </li>`));
+        this.tagsEmpty.classList.toggle('hidden', this._tags.length > 0);
+    }
+
+    /**
+     * Closes the tags dialog and clears its form.
+     */
+    closeTagsDialog() {
+        this.tagsModal.classList.remove('active');
+        this.tagName.value = '';
+        this.clearFieldErrors({ name: this.tagName });
+        this.hideTagsError();
+    }
+
+    /**
+     * Shows an error at the top of the tags dialog.
+     * @param {string} message
+     */
+    showTagsError(message) {
+        this.tagsError.textContent = message;
+        this.tagsError.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the tags dialog's error.
+     */
+    hideTagsError() {
+        this.tagsError.textContent = '';
+        this.tagsError.classList.add('hidden');
+    }
+
+    // ==========================================
+    // DUPLICATES & MERGING
+    // ==========================================
+
+    /**
+     * Warns, above the contact form, that the contact looks like one already in the book.
+     * Each match can be merged with; "Save anyway" saves the contact as it is.
+     *
+     * @param {Array<Object>} matches - { contact, reasons } from the duplicate check, best first.
+     */
+    showDuplicateWarning(matches) {
+        const shown = matches.slice(0, this.duplicateWarningMatches);
+        this.duplicateMessage.textContent = matches.length === 1
+            ? 'This looks like a contact that is already in the address book:'
+            : `This looks like ${matches.length} contacts that are already in the address book:`;
+
+        Template.render(this.duplicateList, shown.map(({ contact, reasons }, index) => html`
+            <li class="duplicate-item">
+                <span class="duplicate-name">${contact.name}</span>
+                <span class="duplicate-reasons">${this._describeReasons(reasons)}</span>
+                <button type="button" class="btn btn-secondary" data-merge-index="${index}" aria-label="Merge with ${contact.name}">
+                    <i class="bx bx-git-merge"></i> Merge
+                </button>
+            </li>`));
+
+        this._duplicates = shown;
+        this.duplicateWarning.classList.remove('hidden');
+        this.saveAnywayBtn.focus();
+    }
+
+    /**
+     * Hides the duplicate warning of the contact form.
+     */
+    hideDuplicateWarning() {
+        this._duplicates = [];
+        this.duplicateList.replaceChildren();
+        this.duplicateWarning.classList.add('hidden');
+    }
+
+    /**
+     * @param {Array<string>} reasons - 'email', 'phone' and/or 'name'.
+     * @returns {string} Why two contacts look alike, e.g. "same email, similar name".
+     */
+    _describeReasons(reasons) {
+        const labels = { email: 'same email', phone: 'same phone number', name: 'similar name' };
+        return reasons.map((reason) => labels[reason]).join(', ');
+    }
+
+    /**
+     * Lists the pairs of contacts that are likely the same person, each with a button to compare them.
+     *
+     * @param {Array<Object>} pairs - { contacts: [older, newer], reasons }, best first.
+     * @param {number} total - How many pairs were found (more than listed, for very untidy books).
+     */
+    showDuplicatesDialog(pairs, total) {
+        this._duplicatePairs = pairs;
+        if (total === 0) {
+            this.duplicatesSummary.textContent = 'No duplicates found in this address book.';
+        } else if (total > pairs.length) {
+            this.duplicatesSummary.textContent = `${total} possible duplicates found. Merge some to see the rest.`;
+        } else {
+            this.duplicatesSummary.textContent = `${total} possible duplicate${total === 1 ? '' : 's'} found.`;
+        }
+
+        Template.render(this.duplicatePairs, pairs.map(({ contacts, reasons }, index) => html`
+            <li class="member-item duplicate-item">
+                <span class="duplicate-name">${contacts[0].name} / ${contacts[1].name}</span>
+                <span class="duplicate-reasons">${this._describeReasons(reasons)}</span>
+                <button type="button" class="btn btn-secondary" data-pair-index="${index}"
+                    aria-label="Compare ${contacts[0].name} and ${contacts[1].name}">
+                    <i class="bx bx-git-merge"></i> Compare
+                </button>
+            </li>`));
+
+        this.duplicatesModal.classList.add('active');
+    }
+
+    /**
+     * Closes the duplicates dialog.
+     */
+    closeDuplicatesDialog() {
+        this._duplicatePairs = [];
+        this.duplicatesModal.classList.remove('active');
+    }
+
+    /**
+     * Opens the merge dialog: the two contacts side by side, with a choice per field that differs.
+     * The choices start at what loses nothing (see ContactMatcher.defaultChoices()).
+     *
+     * @param {Object} target - The contact that is kept.
+     * @param {Object} source - The contact merged into it; without an `id` for a contact not saved yet.
+     */
+    openMergeDialog(target, source) {
+        this._merge = { target, source };
+        this.mergeMessage.textContent = source.id
+            ? `Choose what to keep. ${source.name} will be merged into ${target.name} and then deleted.`
+            : `Choose what to keep. The new contact will be merged into ${target.name} instead of being added.`;
+        Template.render(this.mergeTable, this._mergeRows(target, source));
+        this.hideMergeError();
+        this.setMerging(false);
+        this.mergeModal.classList.add('active');
+        this.mergeConfirmBtn.focus();
+    }
+
+    /**
+     * Builds the rows of the merge dialog's table. Each field the contacts disagree on gets a radio
+     * button per contact, and lists (and notes) one to keep both.
+     *
+     * @param {Object} target
+     * @param {Object} source
+     * @returns {Array<Object>} The rows' templates.
+     */
+    _mergeRows(target, source) {
+        const header = html`
+            <tr><th></th><th>${target.name}</th><th>${source.id ? source.name : 'New contact'}</th><th></th></tr>`;
+
+        const choices = ContactMatcher.defaultChoices(target, source);
+        const rows = ContactMatcher.MERGE_FIELDS.map(({ field, label, kind }) => {
+            const values = { target: this._describeField(target, field), source: this._describeField(source, field) };
+
+            // Nothing to choose: both contacts have the same value
+            if (values.target === values.source) {
+                return html`<tr><td>${label}</td><td colspan="3">${values.target}</td></tr>`;
+            }
+
+            const options = kind === 'list' && values.target && values.source ? ['target', 'source', 'both'] : ['target', 'source'];
+            return html`
+                <tr class="changed">
+                    <td>${label}</td>
+                    ${['target', 'source', 'both'].map((choice) => html`
+                        <td>${options.includes(choice) && html`
+                            <label class="merge-option">
+                                <input type="radio" name="merge-${field}" value="${choice}" data-merge-field="${field}"
+                                    ${choices[field] === choice && 'checked'}>
+                                <span class="${values[choice] === '' ? 'merge-empty' : ''}">${choice === 'both' ? 'Keep both' : values[choice] || '(empty)'}</span>
+                            </label>`}
+                        </td>`)}
+                </tr>`;
+        });
+
+        return [header, ...rows];
+    }
+
+    /**
+     * @returns {Object} The merge dialog's choices: per field that differs, 'target', 'source' or 'both'.
+     */
+    _readMergeChoices() {
+        const choices = {};
+        this.mergeTable.querySelectorAll('[data-merge-field]:checked').forEach((radio) => {
+            choices[radio.dataset.mergeField] = radio.value;
+        });
+        return choices;
+    }
+
+    /**
+     * Closes the merge dialog. A contact form below it stays open.
+     */
+    closeMergeDialog() {
+        this._merge = null;
+        this.mergeModal.classList.remove('active');
+        this.mergeTable.replaceChildren();
+    }
+
+    /**
+     * Shows an error at the top of the merge dialog.
+     * @param {string} message
+     */
+    showMergeError(message) {
+        this.mergeError.textContent = message;
+        this.mergeError.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the merge dialog's error.
+     */
+    hideMergeError() {
+        this.mergeError.textContent = '';
+        this.mergeError.classList.add('hidden');
+    }
+
+    /**
+     * Disables the Merge button while a merge request is in flight.
+     * @param {boolean} isMerging
+     */
+    setMerging(isMerging) {
+        this.mergeConfirmBtn.disabled = isMerging;
+        this.mergeConfirmBtn.textContent = isMerging ? 'Merging...' : 'Merge';
+    }
+
+    // ==========================================
+    // MULTI-SELECT
+    // ==========================================
+
+    /**
+     * Unticks every contact and hides the bulk action bar.
+     */
+    clearSelection() {
+        this._selectedIds.clear();
+        this._displaySelection();
+    }
+
+    /**
+     * Syncs the checkboxes, the highlighted items and the bulk action bar with the selection.
+     */
+    _displaySelection() {
+        this._displayTicks();
+
+        const count = this._selectedIds.size;
+        const listed = this._listed.contacts.length;
+        const ticked = this._listed.contacts.filter(({ id }) => this._selectedIds.has(id)).length;
+        this.bulkBar.classList.toggle('hidden', count === 0);
+        this.bulkCount.textContent = `${count} selected`;
+        this.selectAllCheckbox.checked = count > 0 && ticked === listed;
+        this.selectAllCheckbox.indeterminate = count > 0 && ticked < listed;
+        this.bulkDeleteBtn.classList.toggle('hidden', !this._canEdit);
+        this.bulkTagSelect.classList.toggle('hidden', !this._canEdit || this._tags.length === 0);
+    }
+
+    /**
+     * Ticks the checkboxes and highlights the cards of the selected contacts.
+     */
+    _displayTicks() {
+        this.contactList.querySelectorAll('[data-select-id]').forEach((checkbox) => {
+            checkbox.checked = this._selectedIds.has(checkbox.dataset.selectId);
+            checkbox.closest('.contact-item').classList.toggle('selected', checkbox.checked);
+        });
+    }
+
+    // ==========================================
+    // IMPORT / EXPORT
+    // ==========================================
+
+    /**
+     * Opens the import dialog with no file chosen.
+     */
+    openImportDialog() {
+        this._importUpload = null;
+        this.importFile.value = '';
+        this.importMapping.classList.add('hidden');
+        this.importSummary.classList.add('hidden');
+        this.importPreview.replaceChildren();
+        this.importConfirmBtn.disabled = true;
+        this.importConfirmBtn.textContent = 'Import';
+        this.hideImportError();
+        this.importModal.classList.add('active');
+    }
+
+    /**
+     * Closes the import dialog.
+     */
+    closeImportDialog() {
+        this._importUpload = null;
+        this.importModal.classList.remove('active');
+    }
+
+    /**
+     * Shows what importing the chosen file would do: the column mapping (for CSV),
+     * a summary, and a table of the rows with their status.
+     *
+     * @param {Object} preview - The server's dry run: { columns?, mapping?, summary, rows }.
+     */
+    showImportPreview({ columns, mapping, summary, rows }) {
+        this.hideImportError();
+
+        // Column pickers, preset to the mapping the server used
+        this.importMapping.classList.toggle('hidden', !columns);
+        if (columns) {
+            this.importMapping.querySelectorAll('select').forEach((select) => {
+                const options = [['', '(not imported)'], ...columns.map((column) => [column, column])];
+                const used = mapping[select.dataset.field];
+                // A name joined from several columns, e.g. "First Name + Last Name"
+                if (Array.isArray(used)) options.push([JSON.stringify(used), used.join(' + ')]);
+
+                Template.render(select, options.map(([value, label]) => html`<option value="${value}">${label}</option>`));
+                select.value = Array.isArray(used) ? JSON.stringify(used) : (used || '');
+            });
+        }
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        this.importSummary.textContent = `${plural(summary.total, 'contact')} in the file: ${summary.new} new, ` +
+            `${plural(summary.duplicate, 'duplicate')}, ${summary.invalid} invalid. ` +
+            'Duplicates and invalid rows are skipped.';
+        this.importSummary.classList.remove('hidden');
+
+        const more = rows.length - this.importPreviewRows;
+        Template.render(this.importPreview, html`
+            <tr><th>#</th><th>Name</th><th>Email</th><th>Phone</th><th>Status</th></tr>
+            ${rows.slice(0, this.importPreviewRows).map((row) => html`
+                <tr class="import-${row.status}">
+                    <td>${row.row}</td>
+                    <td>${row.contact.name}</td>
+                    <td>${row.contact.email}</td>
+                    <td>${row.contact.phone}</td>
+                    <td>${this._importStatus(row)}</td>
+                </tr>`)}
+            ${more > 0 && html`<tr><td colspan="5">…and ${more} more</td></tr>`}`);
+
+        this.importConfirmBtn.disabled = summary.new === 0;
+        this.importConfirmBtn.textContent = summary.new > 0 ? `Import ${plural(summary.new, 'contact')}` : 'Nothing to import';
+    }
+
+    /**
+     * @param {Object} row - A row of the import preview.
+     * @returns {string} Its status in words, e.g. "Duplicate of Jane Doe".
+     */
+    _importStatus(row) {
+        if (row.status === 'invalid') return row.errors.map((error) => error.message).join('. ');
+        if (row.status === 'duplicate') {
+            return row.duplicateOf.id ? `Duplicate of ${row.duplicateOf.name}` : `Duplicate of row ${row.duplicateOf.row}`;
+        }
+        return 'New';
+    }
+
+    /**
+     * Shows an error at the top of the import dialog.
+     * @param {string} message
+     */
+    showImportError(message) {
+        this.importError.textContent = message;
+        this.importError.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the import dialog's error.
+     */
+    hideImportError() {
+        this.importError.textContent = '';
+        this.importError.classList.add('hidden');
+    }
+
+    /**
+     * Hands a downloaded file to the browser, which saves it.
+     *
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    saveFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ==========================================
+    // UI HELPER METHODS
+    // ==========================================
+
+    /**
+     * Opens the modal overlay and sets its title string.
+     * @param {string} titleString - "Add Contact" or "Edit Contact"
+     */
+    openModal(titleString) {
+        this.modalTitle.textContent = titleString;
+        this.modalOverlay.classList.add('active'); // Add animation/display class
+        this.inputName.focus(); // Focus the first input for better UX
+    }
+
+    /**
+     * Closes the modal by removing the 'active' class.
+     */
+    closeModal() {
+        const wasOpen = this.modalOverlay.classList.contains('active');
+        this.modalOverlay.classList.remove('active');
+        this._resetForm(); // Clear the form when closing
+        if (wasOpen && this._onDialogClosed) this._onDialogClosed();
+    }
+
+    /**
+     * Opens the empty form in Add mode.
+     */
+    openAddForm() {
+        this.openModal('Add Contact');
+        this._resetForm();
+    }
+
+    /**
+     * Opens the conflict dialog, listing the server's current values next to the user's edits.
+     *
+     * @param {Object} conflict - { id, current, mine } from the Model.
+     */
+    showConflictDialog(conflict) {
+        this._conflict = conflict;
+        this.conflictMessage.textContent = `${conflict.current.name} was changed by someone else while you were editing it. ` +
+            'Keep their version, or save yours over it.';
+        Template.render(this.conflictDiff, this._diffRows(conflict.current, conflict.mine, ['Current', 'Your edit']));
+        this.conflictMineBtn.disabled = false;
+        this.conflictModal.classList.add('active');
+        this.conflictMineBtn.focus();
+    }
+
+    /**
+     * Closes the conflict dialog.
+     */
+    closeConflictDialog() {
+        this._conflict = null;
+        this.conflictModal.classList.remove('active');
+    }
+
+    /**
+     * Builds the rows of a table comparing two versions of a contact, field by field.
+     * Rows whose values differ get the 'changed' class.
+     *
+     * @param {Object} theirs - The server's version.
+     * @param {Object} mine - The user's version.
+     * @param {Array<string>} headings - Column headings for the two versions.
+     * @returns {Array<Object>} The rows' templates.
+     */
+    _diffRows(theirs, mine, headings) {
+        const fields = [
+            ['name', ContactSchema.fields.name.label],
+            ['emails', ContactSchema.lists.emails.label],
+            ['phones', ContactSchema.lists.phones.label],
+            ['addresses', ContactSchema.addresses.label],
+            ['company', ContactSchema.fields.company.label],
+            ['title', ContactSchema.fields.title.label],
+            ['birthday', ContactSchema.fields.birthday.label],
+            ['notes', ContactSchema.fields.notes.label],
+            ['tagIds', ContactSchema.tags.label]
+        ];
+
+        const rows = fields.map(([field, label]) => {
+            const theirValue = this._describeField(theirs, field);
+            const myValue = this._describeField(mine, field);
+            return html`
+                <tr class="${theirValue !== myValue ? 'changed' : ''}"><td>${label}</td><td>${theirValue}</td><td>${myValue}</td></tr>`;
+        });
+
+        return [html`<tr><th></th>${headings.map((heading) => html`<th>${heading}</th>`)}</tr>`, ...rows];
+    }
+
+    /**
+     * A field of a contact as one line of text, for comparing two versions.
+     * Versions saved offline before contacts had lists only carry a single email and phone.
+     *
+     * @param {Object} contact
+     * @param {string} field - A schema field or list name, or 'tagIds'.
+     * @returns {string}
+     */
+    _describeField(contact, field) {
+        if (field === 'emails' || field === 'phones') {
+            const primary = contact[ContactSchema.lists[field].primary];
+            const entries = contact[field] || (primary ? [{ label: 'other', value: primary }] : []);
+            return entries.map((entry) => `${entry.value} (${entry.label})`).join(', ');
+        }
+        if (field === 'addresses') {
+            return (contact.addresses || [])
+                .map((address) => `${this._formatAddress(address).replace(/\n/g, ', ')} (${address.label})`)
+                .join('; ');
+        }
+        if (field === 'tagIds') {
+            return this._tags.filter((tag) => (contact.tagIds || []).includes(tag.id)).map((tag) => tag.name).join(', ');
+        }
+        return contact[field] || '';
+    }
+
+    /**
+     * @param {Object} address - { street, city, region, postalCode, country }
+     * @returns {string} The address on up to three lines.
+     */
+    _formatAddress(address) {
+        const locality = [address.postalCode, address.city].filter(Boolean).join(' ');
+        return [address.street, [locality, address.region].filter(Boolean).join(', '), address.country]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * @param {Object} contact
+     * @returns {string} Job title and company, e.g. "Engineer at Acme", or '' if neither is known.
+     */
+    _describeJob(contact) {
+        if (contact.title && contact.company) return `${contact.title} at ${contact.company}`;
+        return contact.title || contact.company || '';
+    }
+
+    /**
+     * Internal helper to clear all form input fields.
+     * The form starts with one empty email and phone row, and no address.
+     */
+    _resetForm() {
+        this.inputId.value = '';
+        this.inputName.value = '';
+        this.inputCompany.value = '';
+        this.inputTitle.value = '';
+        this.inputBirthday.value = '';
+        this.inputNotes.value = '';
+        this.newTagName.value = '';
+        this.clearFieldErrors();
+        Object.values(this.repeatLists).forEach((container) => container.replaceChildren());
+        this._addRow('emails');
+        this._addRow('phones');
+        this._updateAddButtons();
+        this._displayTagPicker([]);
+        this.hideFormError();
+        this.hideDuplicateWarning();
+        this._formContact = null;
+    }
+
+    /**
+     * Fills the form with a contact and opens it in Edit mode.
+     * @param {Object} contact
+     */
+    openEditForm(contact) {
+        this._resetForm();
+        this._formContact = contact;
+        this.inputId.value = contact.id;
+        this.inputName.value = contact.name;
+        this.inputCompany.value = contact.company || '';
+        this.inputTitle.value = contact.title || '';
+        this.inputBirthday.value = contact.birthday || '';
+        this.inputNotes.value = contact.notes || '';
+        this._displayTagPicker(contact.tagIds || []);
+
+        Object.keys(this.repeatLists).forEach((list) => {
+            const primary = list === 'addresses' ? null : contact[ContactSchema.lists[list].primary];
+            const entries = contact[list] || (primary ? [{ value: primary }] : []);
+            if (entries.length === 0) return;
+
+            this.repeatLists[list].replaceChildren();
+            entries.forEach((entry) => this._addRow(list, entry));
+        });
+        this._updateAddButtons();
+
+        this.openModal('Edit Contact');
+    }
+
+    /**
+     * Appends a row to one of the form's repeatable fields: a label picker, the input(s)
+     * and a remove button. Address rows have an input per part of the address.
+     *
+     * @param {string} list - 'emails', 'phones' or 'addresses'.
+     * @param {Object} [entry] - Values to fill in, e.g. { label: 'work', value: 'jane@example.com' }.
+     * @returns {HTMLElement} The row.
+     */
+    _addRow(list, entry = {}) {
+        const rules = list === 'addresses' ? ContactSchema.addresses : ContactSchema.lists[list];
+        const label = rules.labels.includes(entry.label) ? entry.label : rules.labels[0];
+
+        // One input, with its own error line
+        const input = (part, { type = 'text', placeholder, icon }) => html`
+            <div class="form-group">
+                <div class="input-wrapper">
+                    ${icon && html`<i class="bx ${icon}"></i>`}
+                    <input type="${type}" data-part="${part}" placeholder="${placeholder}" aria-label="${placeholder}"
+                        value="${entry[part] || ''}">
+                </div>
+                <p class="field-error"></p>
+            </div>`;
+
+        let fields;
+        if (list === 'emails') {
+            fields = input('value', { type: 'email', placeholder: 'jane@example.com', icon: 'bx-envelope' });
+        } else if (list === 'phones') {
+            fields = input('value', { type: 'tel', placeholder: '+1 (555) 000-0000', icon: 'bx-phone' });
+        } else {
+            fields = html`
+                <div class="address-fields">
+                    ${Object.entries(rules.fields).map(([part, { label: placeholder }]) => input(part, { placeholder }))}
+                </div>`;
+        }
+
+        const row = Template.fragment(html`
+            <div class="repeat-row">
+                <select class="sort-select" data-part="label" aria-label="Label">
+                    ${rules.labels.map((value) => html`
+                        <option value="${value}" ${value === label && 'selected'}>${this._capitalize(value)}</option>`)}
+                </select>
+                ${fields}
+                <button type="button" class="icon-btn" data-remove-row="${list}" aria-label="Remove">
+                    <i class="bx bx-x"></i>
+                </button>
+            </div>`).firstElementChild;
+
+        this.repeatLists[list].append(row);
+        this._updateAddButtons();
+        return row;
+    }
+
+    /**
+     * Removes a row of a repeatable field. The last email or phone row is only emptied,
+     * as a contact needs at least one of each.
+     *
+     * @param {HTMLElement} row
+     */
+    _removeRow(row) {
+        const list = row.querySelector('[data-remove-row]').dataset.removeRow;
+        if (list !== 'addresses' && this.repeatLists[list].children.length === 1) {
+            row.querySelectorAll('input').forEach((input) => {
+                input.value = '';
+            });
+        } else {
+            row.remove();
+        }
+        this._updateAddButtons();
+    }
+
+    /**
+     * Disables the "Add" button of repeatable fields that have as many rows as the schema allows.
+     */
+    _updateAddButtons() {
+        Object.entries(this.repeatLists).forEach(([list, container]) => {
+            const max = list === 'addresses' ? ContactSchema.addresses.max : ContactSchema.lists[list].max;
+            this.contactForm.querySelector(`[data-add-row="${list}"]`).disabled = container.children.length >= max;
+        });
+    }
+
+    /**
+     * Reads the form as raw contact input, for ContactSchema.validate().
+     * Every row is included, even empty ones, so error positions match the rows on screen.
+     *
+     * @returns {Object}
+     */
+    _readForm() {
+        const readRows = (list) => [...this.repeatLists[list].children].map((row) => {
+            const entry = {};
+            row.querySelectorAll('[data-part]').forEach((input) => {
+                entry[input.dataset.part] = input.value;
+            });
+            return entry;
+        });
+
+        return {
+            name: this.inputName.value,
+            emails: readRows('emails'),
+            phones: readRows('phones'),
+            addresses: readRows('addresses'),
+            company: this.inputCompany.value,
+            title: this.inputTitle.value,
+            birthday: this.inputBirthday.value,
+            notes: this.inputNotes.value,
+            tagIds: this._pickedTagIds()
+        };
+    }
+
+    /**
+     * @param {Object} fields - The validated form fields.
+     * @returns {boolean} True if the form adds a contact, or changes what the duplicate check
+     *   compares (name, emails, phones) of the contact being edited.
+     */
+    _changesIdentity(fields) {
+        const contact = this._formContact;
+        return !contact || ['name', 'emails', 'phones'].some((field) =>
+            this._describeField(contact, field) !== this._describeField(fields, field)
+        );
+    }
+
+    /**
+     * Map of schema field name -> input, used to show validation errors next to the right input.
+     * Rows of repeatable fields are named like the schema's errors: "emails.1", "addresses.0.city".
+     *
+     * @returns {Object}
+     */
+    get fieldInputs() {
+        const inputs = {
+            name: this.inputName,
+            company: this.inputCompany,
+            title: this.inputTitle,
+            birthday: this.inputBirthday,
+            notes: this.inputNotes,
+            // Tag errors are shown under the new tag input
+            tagIds: this.newTagName
+        };
+        Object.entries(this.repeatLists).forEach(([list, container]) => {
+            [...container.children].forEach((row, index) => {
+                row.querySelectorAll('input[data-part]').forEach((input) => {
+                    const part = input.dataset.part;
+                    inputs[part === 'value' ? `${list}.${index}` : `${list}.${index}.${part}`] = input;
+                });
+            });
+        });
+        return inputs;
+    }
+
+    /**
+     * Opens the detail view of a contact, with every field that has a value.
+     * Its history starts hidden (see showContactHistory()).
+     *
+     * @param {Object} contact
+     */
+    showContactDetails(contact) {
+        this._detailContact = contact;
+        this.detailAvatar.textContent = this._getInitials(contact.name);
+        this.detailName.textContent = contact.name;
+        this.detailSubtitle.textContent = this._describeJob(contact);
+
+        const item = (term, content, label) => html`
+            <dt>${term}</dt>
+            <dd>${content}${label && html`<span class="detail-label">${label}</span>`}</dd>`;
+
+        const items = [
+            ...(contact.emails || [{ value: contact.email }]).map((email, index) =>
+                item(index === 0 ? 'Email' : '', html`<a href="mailto:${email.value}">${email.value}</a>`, email.label)),
+            ...(contact.phones || [{ value: contact.phone }]).map((phone, index) =>
+                item(index === 0 ? 'Phone' : '', html`<a href="tel:${phone.value}">${phone.value}</a>`, phone.label)),
+            ...(contact.addresses || []).map((address, index) =>
+                item(index === 0 ? 'Address' : '', this._formatAddress(address), address.label))
+        ];
+        if (contact.birthday) {
+            // Birthdays are dates without a time zone: format them as UTC so the day doesn't shift
+            const date = new Date(`${contact.birthday}T00:00:00Z`);
+            items.push(item('Birthday', date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })));
+        }
+        if (contact.notes) items.push(item('Notes', contact.notes));
+        const badges = this._tagBadges(contact.tagIds);
+        if (badges) items.push(item(ContactSchema.tags.label, badges));
+
+        Template.render(this.detailFields, items);
+        this.detailEditBtn.classList.toggle('hidden', this._canEdit === false);
+        this._historyEntries = [];
+        this.historyList.replaceChildren();
+        this.hideHistoryError();
+        this.detailHistory.classList.add('hidden');
+        this.detailHistoryBtn.setAttribute('aria-expanded', 'false');
+        this.detailModal.classList.add('active');
+        this.closeDetailBtn.focus();
+    }
+
+    /**
+     * Closes the detail view.
+     */
+    closeContactDetails() {
+        const wasOpen = this.detailModal.classList.contains('active');
+        this._detailContact = null;
+        this.detailModal.classList.remove('active');
+        if (wasOpen && this._onDialogClosed) this._onDialogClosed();
+    }
+
+    /**
+     * Lists the changes made to the contact in the detail view: what was done, by whom and when,
+     * and the fields that changed. Owners and editors get a button to go back to each earlier version.
+     *
+     * @param {Array<Object>} entries - { id, action, version, changes, revertedTo, createdAt, user }, most recent first.
+     */
+    showContactHistory(entries) {
+        const contact = this._detailContact;
+        this._historyEntries = entries;
+
+        const describeChange = (entry, field) => {
+            const before = this._describeField({ [field]: entry.changes[field].before }, field) || '(empty)';
+            const after = this._describeField({ [field]: entry.changes[field].after }, field) || '(empty)';
+            return entry.action === 'create'
+                ? `${this._fieldLabel(field)}: ${after}`
+                : `${this._fieldLabel(field)}: ${before} → ${after}`;
+        };
+
+        Template.render(this.historyList, entries.map((entry, index) => {
+            const meta = [entry.user ? entry.user.email : '', new Date(entry.createdAt).toLocaleString(), `version ${entry.version}`]
+                .filter(Boolean)
+                .join(' · ');
+            const fields = Object.keys(entry.changes);
+            // A delete's fields are those of the version before it; the current version needs no restoring
+            const canRevert = this._canEdit !== false && entry.action !== 'delete' && contact && entry.version !== contact.version;
+
+            return html`
+                <li class="history-item">
+                    <div class="history-heading">
+                        <span class="history-action">${this._describeHistoryAction(entry)}</span>
+                        <span class="history-meta">${meta}</span>
+                    </div>
+                    ${fields.length > 0 && html`
+                        <ul class="history-changes">
+                            ${fields.map((field) => html`<li>${describeChange(entry, field)}</li>`)}
+                        </ul>`}
+                    ${canRevert && html`
+                        <button type="button" class="btn btn-secondary" data-history-index="${index}"
+                            aria-label="Restore version ${entry.version}">
+                            <i class="bx bx-revision"></i> Restore this version
+                        </button>`}
+                </li>`;
+        }));
+
+        this.historyEmpty.classList.toggle('hidden', entries.length > 0);
+        this.hideHistoryError();
+        this.detailHistory.classList.remove('hidden');
+        this.detailHistoryBtn.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * @param {Object} entry - A history entry.
+     * @returns {string} What the change was, e.g. "Edited" or "Restored version 2".
+     */
+    _describeHistoryAction(entry) {
+        const labels = { create: 'Created', update: 'Edited', delete: 'Deleted', restore: 'Restored from the trash' };
+        return entry.action === 'revert' ? `Restored version ${entry.revertedTo}` : labels[entry.action];
+    }
+
+    /**
+     * @param {string} field - A schema field or list name, 'addresses' or 'tagIds'.
+     * @returns {string} The field's label, e.g. "Phone numbers".
+     */
+    _fieldLabel(field) {
+        if (field === 'addresses') return ContactSchema.addresses.label;
+        if (field === 'tagIds') return ContactSchema.tags.label;
+        return (ContactSchema.lists[field] || ContactSchema.fields[field]).label;
+    }
+
+    /**
+     * Shows why the history couldn't be loaded, or a version couldn't be restored.
+     * @param {string} message
+     */
+    showHistoryError(message) {
+        this.historyError.textContent = message;
+        this.historyError.classList.remove('hidden');
+        this.detailHistory.classList.remove('hidden');
+    }
+
+    hideHistoryError() {
+        this.historyError.textContent = '';
+        this.historyError.classList.add('hidden');
+    }
+
+    /**
+     * Lists the contacts in the current book's trash, each with a button to restore it.
+     *
+     * @param {Array<Object>} contacts - The deleted contacts (with deletedAt), most recently deleted first.
+     */
+    showTrashDialog(contacts) {
+        this.trashSummary.textContent = contacts.length === 0
+            ? 'The trash is empty.'
+            : `${contacts.length} deleted contact${contacts.length === 1 ? '' : 's'}.`;
+
+        Template.render(this.trashList, contacts.map((contact) => html`
+            <li class="member-item trash-item">
+                <span class="trash-name">${contact.name}</span>
+                <span class="trash-deleted">Deleted ${new Date(contact.deletedAt).toLocaleString()}</span>
+                <button type="button" class="btn btn-secondary" data-restore-id="${contact.id}" aria-label="Restore ${contact.name}">
+                    <i class="bx bx-undo"></i> Restore
+                </button>
+            </li>`));
+
+        this.trashModal.classList.add('active');
+    }
+
+    /**
+     * Closes the trash dialog.
+     */
+    closeTrashDialog() {
+        this.trashModal.classList.remove('active');
+    }
+
+    /**
+     * Shows validation errors inline, under the matching form inputs,
+     * and focuses the first invalid input.
+     *
+     * @param {Array<{ field: string, message: string }>} errors - From ContactSchema or the server.
+     * @param {Object} [inputs=this.fieldInputs] - Map of field name -> input of the form to mark.
+     */
+    showFieldErrors(errors, inputs = this.fieldInputs) {
+        this.clearFieldErrors(inputs);
+
+        errors.forEach(({ field, message }) => {
+            const input = inputs[field];
+            if (!input) return;
+
+            const group = input.closest('.form-group');
+            group.classList.add('invalid');
+            group.querySelector('.field-error').textContent = message;
+            input.setAttribute('aria-invalid', 'true');
+        });
+
+        const firstInvalid = errors.map(({ field }) => inputs[field]).find(Boolean);
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    /**
+     * Removes all inline validation errors from a form.
+     * @param {Object} [inputs=this.fieldInputs] - Map of field name -> input.
+     */
+    clearFieldErrors(inputs = this.fieldInputs) {
+        Object.values(inputs).forEach((input) => {
+            const group = input.closest('.form-group');
+            group.classList.remove('invalid');
+            group.querySelector('.field-error').textContent = '';
+            input.removeAttribute('aria-invalid');
+        });
+    }
+
+    /**
+     * Shows an error message at the top of the form (for failures not tied to one field).
+     * @param {string} message
+     */
+    showFormError(message) {
+        this.formError.textContent = message;
+        this.formError.classList.remove('hidden');
+    }
+
+    /**
+     * Hides the form-level error message.
+     */
+    hideFormError() {
+        this.formError.textContent = '';
+        this.formError.classList.add('hidden');
+    }
+
+    /**
+     * Disables the Save button while a save request is in flight,
+     * so the same contact can't be submitted twice.
+     * @param {boolean} isSaving
+     */
+    setSaving(isSaving) {
+        this.saveBtn.disabled = isSaving;
+        this.saveBtn.textContent = isSaving ? 'Saving...' : 'Save Contact';
+    }
+
+    /**
+     * Shows placeholder cards while the list loads.
+     * Only used when nothing is on screen yet; a reload of an existing list keeps the old cards visible.
+     * @param {boolean} isLoading
+     */
+    setListLoading(isLoading) {
+        const showSkeleton = isLoading && this.contactList.children.length === 0;
+        this.listSkeleton.classList.toggle('hidden', !showSkeleton);
+        if (showSkeleton) {
+            this.emptyState.classList.add('hidden');
+            this.listError.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Replaces the list with an error message and a "Try again" button.
+     * @param {string} message - What went wrong.
+     * @param {Function} retry - Called when the user clicks "Try again".
+     */
+    showListError(message, retry) {
+        this._listRetry = retry;
+        this.listErrorMessage.textContent = message;
+        this.listError.classList.remove('hidden');
+        this.contactList.classList.add('hidden');
+        this.emptyState.classList.add('hidden');
+        this.listFooter.classList.add('hidden');
+    }
+
+    /**
+     * Hides the list error message.
+     */
+    hideListError() {
+        this._listRetry = null;
+        this.listError.classList.add('hidden');
+    }
+
+    /**
+     * Shows "Loading..." on the Load more button while the next page is fetched.
+     * @param {boolean} isBusy
+     */
+    setLoadMoreBusy(isBusy) {
+        this.loadMoreBtn.disabled = isBusy;
+        this.loadMoreBtn.textContent = isBusy ? 'Loading...' : 'Load more';
+    }
+
+    /**
+     * Shows a short-lived notification in the corner of the screen.
+     *
+     * @param {Object} options
+     * @param {string} options.message - The text to show.
+     * @param {string} [options.type='success'] - 'success', 'info' or 'error' (sets the icon and colour).
+     * @param {Object} [options.action] - Optional button, e.g. { label: 'Retry', handler: fn }.
+     * @param {number} [options.duration] - Milliseconds before it disappears (longer when there's an action).
+     */
+    showToast({ message, type = 'success', action, duration = action ? 8000 : 4000 }) {
+        const toast = this.createElement('div', `toast toast-${type} glass-panel`);
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const icons = { success: 'bx-check-circle', info: 'bx-info-circle', error: 'bx-error-circle' };
+        const icon = this.createElement('i', `bx ${icons[type]}`);
+        const text = this.createElement('span', 'toast-message');
+        text.textContent = message;
+        toast.append(icon, text);
+
+        const dismiss = () => toast.remove();
+
+        if (action) {
+            const actionBtn = this.createElement('button', 'btn btn-secondary');
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                dismiss();
+                action.handler();
+            });
+            toast.append(actionBtn);
+        }
+
+        const closeBtn = this.createElement('button', 'icon-btn');
+        closeBtn.setAttribute('aria-label', 'Dismiss notification');
+        closeBtn.append(this.createElement('i', 'bx bx-x'));
+        closeBtn.addEventListener('click', dismiss);
+        toast.append(closeBtn);
+
+        this.toastContainer.append(toast);
+        setTimeout(dismiss, duration);
+    }
+
+    /**
+     * Shows the offline / sync banner and the list of sync conflicts.
+     *
+     * @param {Object} state - From the Model: { online, queued, syncing, conflicts }.
+     */
+    setSyncState({ online, queued, syncing, conflicts }) {
+        const changes = `${queued} change${queued === 1 ? '' : 's'}`;
+        let message = '';
+        if (syncing) {
+            message = `Syncing ${changes}...`;
+        } else if (!online) {
+            message = queued > 0
+                ? `You are offline. ${changes} waiting to sync.`
+                : 'You are offline. Showing saved contacts.';
+        } else if (queued > 0) {
+            message = `${changes} waiting to sync.`;
+        }
+
+        this.syncBanner.classList.toggle('hidden', !message);
+        this.syncBanner.classList.toggle('offline', !online);
+        this.syncMessage.textContent = message;
+        this.syncNowBtn.classList.toggle('hidden', online && queued === 0);
+        this.syncNowBtn.disabled = syncing;
+
+        this._displayConflicts(conflicts);
+    }
+
+    /**
+     * Renders one card per sync conflict with "Keep mine" / "Discard mine" buttons.
+     * An edit that collided with someone else's change lists both versions side by side.
+     *
+     * @param {Array<Object>} conflicts - { id, op, reason, remote?, errors? } (see OfflineStore).
+     */
+    _displayConflicts(conflicts) {
+        this.syncConflicts.classList.toggle('hidden', conflicts.length === 0);
+
+        const descriptions = {
+            deleted: 'was deleted on the server while you edited it offline.',
+            changed: 'was changed on the server while you edited it offline.',
+            rejected: 'could not be saved because the server rejected it.'
+        };
+
+        Template.render(this.syncConflicts, conflicts.map(({ id, op, reason, remote, errors }) => {
+            // A contact deleted offline that was changed on the server: delete it anyway, or keep it
+            const isDelete = op.type === 'delete';
+            const name = (op.data && op.data.name) || (remote && remote.name) || 'A contact';
+            return html`
+                <div class="sync-conflict glass-panel">
+                    <p class="sync-conflict-title"><i class="bx bx-error"></i><strong>${name}</strong> ${isDelete
+                        ? 'was changed on the server after you deleted it offline, so it wasn\'t deleted.'
+                        : descriptions[reason]}</p>
+                    ${reason === 'changed' && !isDelete && html`
+                        <table class="conflict-diff">${this._diffRows(remote, op.data, ['On the server', 'Yours'])}</table>`}
+                    ${reason === 'rejected' && html`
+                        <ul class="sync-conflict-errors">${errors.map(({ message }) => html`<li>${message}</li>`)}</ul>`}
+                    <div class="sync-conflict-actions">
+                        ${reason !== 'rejected' && html`
+                            <button class="btn btn-primary" data-conflict-id="${id}" data-choice="keep">
+                                ${isDelete ? 'Delete anyway' : reason === 'deleted' ? 'Restore with my changes' : 'Keep mine'}
+                            </button>`}
+                        <button class="btn btn-secondary" data-conflict-id="${id}" data-choice="discard">
+                            ${isDelete ? 'Keep the contact' : 'Discard mine'}
+                        </button>
+                    </div>
+                </div>`;
+        }));
+    }
+
+    /**
+     * Safely creates a DOM element with optional classes.
+     * Prevents XSS attacks by not using innerHTML for text content where possible.
+     *
+     * @param {string} tag - HTML tag name (e.g., 'div', 'span').
+     * @param {string} classes - Optional space-separated class names.
+     * @returns {HTMLElement} The created DOM node.
+     */
+    createElement(tag, classes) {
+        const element = document.createElement(tag);
+        if (classes) {
+            // Split by space and add multiple classes efficiently
+            element.classList.add(...classes.split(' '));
+        }
+        return element;
+    }
+
+    /**
+     * @param {string} word
+     * @returns {string} The word with a capital first letter, e.g. "Editor".
+     */
+    _capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+
+    /**
+     * Helper to get the initials from a full name to display in the avatar circle.
+     * @param {string} name 
+     * @returns {string} 1 or 2 uppercase letters.
+     */
+    _getInitials(name) {
+        const names = name.trim().split(' ');
+        if (names.length === 1) return names[0].charAt(0).toUpperCase();
+        return (names[0].charAt(0) + names[names.length - 1].charAt(0)).toUpperCase();
+    }
+
+    // ==========================================
+    // CORE RENDER METHOD
+    // ==========================================
+
+    /**
+     * Displays a list of contacts on the screen, or the empty state when there are none.
+     * Only the cards of contacts that were added, removed, moved or changed are re-rendered
+     * (see KeyedList), so scrolling and focus are kept; long lists only render the cards in view.
+     * 
+     * @param {Array} contacts - The array of contact objects to render.
+     * @param {Object} [meta] - Pagination info from the Model.
+     * @param {number} [meta.total] - How many contacts match on the server.
+     * @param {boolean} [meta.hasMore] - Whether more pages can be loaded.
+     * @param {Set<string>} [meta.pendingIds] - Contacts with unconfirmed (optimistic) changes.
+     * @param {Set<string>} [meta.queuedIds] - Contacts with changes queued offline.
+     * @param {boolean} [meta.canEdit=true] - False when the user may only view the address book:
+     *   the edit and delete buttons are left out.
+     * @param {string} [meta.search] - The search term the list is filtered by, for the empty state.
+     * @param {boolean} [meta.filtered] - Whether the list is filtered by tags, for the empty state.
+     */
+    displayContacts(contacts, meta = { total: contacts.length, hasMore: false }) {
+        const pendingIds = meta.pendingIds || new Set();
+        const queuedIds = meta.queuedIds || new Set();
+        const canEdit = meta.canEdit !== false;
+        this._canEdit = canEdit;
+
+        // Contacts no longer listed (deleted, filtered out, another book) can't stay selected
+        const listedIds = new Set(contacts.map((contact) => contact.id));
+        this._selectedIds.forEach((id) => {
+            if (!listedIds.has(id)) this._selectedIds.delete(id);
+        });
+
+        this.hideListError();
+        this.listSkeleton.classList.add('hidden');
+        this._displayListFooter(contacts.length, meta);
+
+        // Handle the empty state UI
+        if (contacts.length === 0) {
+            // No contacts, show empty state message, hide the unordered list
+            Template.render(this.emptyState, this._emptyState({ ...meta, canEdit }));
+            this.contactList.classList.add('hidden');
+            this.emptyState.classList.remove('hidden');
+        } else {
+            // Contacts exist, hide empty state, show the unordered list
+            this.contactList.classList.remove('hidden');
+            this.emptyState.classList.add('hidden');
+        }
+
+        // Bring the cards in step with the contacts (once the list is shown, so a long one can be measured)
+        this._listed = { contacts, pendingIds, queuedIds, canEdit };
+        this.contactCards.update(contacts);
+
+        this._displaySelection();
+    }
+
+    /**
+     * The list item of a contact: a checkbox for bulk actions, the avatar, the details (which open the
+     * detail view when clicked) and, for owners and editors, the edit and delete buttons.
+     *
+     * @param {Object} contact
+     * @param {Object} listed - What the list shows the contact with:
+     * @param {Set<string>} listed.pendingIds - Changes not yet confirmed by the server are dimmed and can't be edited again.
+     * @param {Set<string>} listed.queuedIds - Changes saved offline stay editable, but are marked until they're synced.
+     * @param {boolean} listed.canEdit - Viewers only get the details.
+     * @returns {Object} The card's template.
+     */
+    _contactCard(contact, { pendingIds, queuedIds, canEdit }) {
+        const isPending = pendingIds.has(contact.id);
+        const isQueued = queuedIds.has(contact.id);
+        const classes = ['contact-item', isPending && 'pending', isQueued && 'queued'].filter(Boolean).join(' ');
+        const job = this._describeJob(contact);
+
+        // Primary email or phone with its icon, and how many more there are
+        const line = (icon, primary, entries) => html`
+            <p><i class="bx ${icon}"></i>${primary}${entries && entries.length > 1 && html`<span class="contact-more">+${entries.length - 1}</span>`}</p>`;
+
+        return html`
+            <li class="${classes}" id="${contact.id}" ${isPending && html`aria-busy="true"`} ${isQueued && html`title="Not synced yet"`}>
+                <div class="contact-info">
+                    <input type="checkbox" class="contact-select" data-select-id="${contact.id}"
+                        aria-label="Select ${contact.name}" ${isPending && 'disabled'}>
+                    <div class="contact-avatar">${this._getInitials(contact.name)}</div>
+                    <div class="contact-details" data-detail-id="${contact.id}" tabindex="0" role="button"
+                        aria-label="Show details of ${contact.name}">
+                        <h3>${contact.name}</h3>
+                        ${job && html`<p class="contact-subtitle"><i class="bx bx-briefcase"></i>${job}</p>`}
+                        ${line('bx-envelope', contact.email, contact.emails)}
+                        ${line('bx-phone', contact.phone, contact.phones)}
+                        ${this._tagBadges(contact.tagIds)}
+                    </div>
+                </div>
+                ${canEdit && html`
+                    <div class="contact-actions">
+                        <button class="icon-btn edit" data-id="${contact.id}" ${isPending && 'disabled'}>
+                            <i class="bx bx-edit-alt"></i>
+                        </button>
+                        <button class="icon-btn delete" data-id="${contact.id}" ${isPending && 'disabled'}>
+                            <i class="bx bx-trash"></i>
+                        </button>
+                    </div>`}
+            </li>`;
+    }
+
+    /**
+     * What the empty list says: why nothing is listed, and what to do about it.
+     *
+     * @param {Object} meta - { search?, filtered?, canEdit } (see displayContacts()).
+     * @returns {Object} The empty state's template.
+     */
+    _emptyState({ search, filtered, canEdit }) {
+        let message;
+        if (search) {
+            message = filtered
+                ? html`No contacts with the selected tags match <strong>${search}</strong>.`
+                : html`No contacts match <strong>${search}</strong>. Try another search.`;
+        } else if (filtered) {
+            message = 'No contacts have all of the selected tags.';
+        } else {
+            message = canEdit ? 'Get started by adding a new contact.' : 'This address book is empty.';
+        }
+
+        return html`
+            <div class="empty-icon">
+                <i class="bx bx-user-x"></i>
+            </div>
+            <h2>No contacts found</h2>
+            <p>${message}</p>`;
+    }
+
+
+    /**
+     * Updates the "Showing X of Y" count and the visibility of the "Load more" button.
+     *
+     * @param {number} shown - How many contacts are rendered.
+     * @param {Object} meta - { total, hasMore } from the Model.
+     */
+    _displayListFooter(shown, meta) {
+        this.listFooter.classList.toggle('hidden', shown === 0);
+        this.listCount.textContent = `Showing ${shown} of ${meta.total} contacts`;
+        this.loadMoreBtn.classList.toggle('hidden', !meta.hasMore);
+    }
+
+
+    // ==========================================
+    // BINDING EVENTS TO CONTROLLER
+    // ==========================================
+
+    /**
+     * Binds the 'Add Contact' or 'Edit Contact' event to the Controller.
+     * It listens for the form submit event, prevents default page reload,
+     * extracts data, and calls the appropriate handler based on presence of ID.
+     * 
+     * Input is checked against ContactSchema first; errors are shown inline
+     * and nothing is sent. If the save fails, the modal stays open with the
+     * entered data and shows the server's field errors or a general error.
+     *
+     * A new contact, or an edit of a name, email or phone number, is first checked for duplicates.
+     * If it has any, a warning lists them instead of saving: "Save anyway" saves, and "Merge" opens
+     * the merge dialog (an edit is saved first, so the merge starts from the saved contact).
+     * 
+     * @param {Function} handler - The Controller's function to execute when saving.
+     *   It resolves to the Model's outcome: { ok, errors?, message?, conflict? }.
+     * @param {Function} findDuplicates - Called with (fields, id); resolves to the likely
+     *   duplicates ({ contact, reasons }), best first.
+     */
+    bindSaveContact(handler, findDuplicates) {
+        // Reads and checks the form; shows the errors and returns null if anything is invalid
+        const readForm = () => {
+            const { value, errors } = ContactSchema.validate(this._readForm());
+            if (errors.length > 0) {
+                this.showFieldErrors(errors);
+                return null;
+            }
+            return value;
+        };
+
+        // Resolves to true once the contact is saved and the modal closed
+        const save = async (checkDuplicates) => {
+            // Extract values from input fields
+            const id = this.inputId.value; // Empty string if adding, populated if editing
+            const value = readForm();
+
+            // Only proceed if every field is valid
+            if (!value) return false;
+            this.hideFormError();
+
+            if (checkDuplicates && this._changesIdentity(value)) {
+                this.setSaving(true);
+                const matches = await findDuplicates(value, id);
+                this.setSaving(false);
+                if (matches.length > 0) {
+                    this.showDuplicateWarning(matches);
+                    return false;
+                }
+            }
+            this.hideDuplicateWarning();
+
+            // Pass the cleaned data to the Controller
+            const result = await handler(id, value);
+
+            // Someone else changed the contact: the conflict dialog takes over (see showConflictDialog)
+            if (result.conflict) return false;
+
+            // On failure keep the modal open with everything the user typed
+            if (!result.ok) {
+                if (result.errors) {
+                    this.showFieldErrors(result.errors);
+                } else {
+                    this.showFormError(result.message);
+                }
+                return false;
+            }
+
+            // Close modal and reset form after saving
+            this.closeModal();
+            return true;
+        };
+
+        this.contactForm.addEventListener('submit', (e) => {
+            e.preventDefault(); // Stop HTML form from submitting to server
+            save(true);
+        });
+        this.saveAnywayBtn.addEventListener('click', () => {
+            save(false);
+        });
+
+        // Merge with one of the warning's matches (Event Delegation)
+        this.delegate(this.duplicateList, {
+            'click [data-merge-index]': async (mergeBtn) => {
+                const { contact } = this._duplicates[Number(mergeBtn.dataset.mergeIndex)];
+                const id = this.inputId.value;
+                const value = readForm();
+                if (!value) return;
+
+                // A new contact is merged as it is in the form, which stays open below the merge dialog
+                if (!id) {
+                    this.openMergeDialog(contact, value);
+                    return;
+                }
+                if (await save(false)) this.openMergeDialog(contact, { id, ...value });
+            }
+        });
+    }
+
+    /**
+     * Binds the "Find duplicates" button.
+     * @param {Function} handler - Loads the likely duplicates and opens the duplicates dialog.
+     */
+    bindOpenDuplicates(handler) {
+        this.duplicatesBtn.addEventListener('click', () => {
+            handler();
+        });
+    }
+
+    /**
+     * Binds the "Deleted contacts" button.
+     * @param {Function} handler - Loads the book's trash and opens the trash dialog.
+     */
+    bindOpenTrash(handler) {
+        this.trashBtn.addEventListener('click', () => {
+            handler();
+        });
+    }
+
+    /**
+     * Binds the "Restore" buttons of the trash dialog (Event Delegation).
+     * @param {Function} handler - Called with the contact's ID; reloads the dialog.
+     */
+    bindRestoreContact(handler) {
+        this.delegate(this.trashList, {
+            'click [data-restore-id]': (restoreBtn) => {
+                restoreBtn.disabled = true;
+                handler(restoreBtn.dataset.restoreId);
+            }
+        });
+    }
+
+    /**
+     * Binds the merge dialog's confirm button. The dialog closes once the contacts are merged
+     * (and so does the contact form, when a new contact was merged instead of being added);
+     * otherwise it stays open with the error.
+     *
+     * @param {Function} handler - Called with (target, source, choices).
+     *   It resolves to the Model's outcome: { ok, errors?, message?, conflict? }.
+     */
+    bindMergeContacts(handler) {
+        this.mergeConfirmBtn.addEventListener('click', async () => {
+            const { target, source } = this._merge;
+            this.hideMergeError();
+            const result = await handler(target, source, this._readMergeChoices());
+
+            // The target was changed by someone else: the conflict dialog takes over (see showConflictDialog)
+            if (result.conflict) {
+                this.closeMergeDialog();
+                return;
+            }
+            if (!result.ok) {
+                this.showMergeError(result.message || 'Could not merge the contacts.');
+                return;
+            }
+
+            this.closeMergeDialog();
+            if (!source.id) this.closeModal();
+        });
+    }
+
+    /**
+     * Binds the 'Delete' event.
+     * Since buttons are recreated dynamically on render, we attach a single listener
+     * to the parent list container (Event Delegation).
+     * 
+     * @param {Function} handler - The Controller's function to execute when deleting.
+     */
+    bindDeleteContact(handler) {
+        // Called with the clicked delete button (or the button around the clicked icon)
+        this.delegate(this.contactList, {
+            'click .delete': (deleteBtn) => {
+                // Grab the ID stored in the data attribute and call the controller's logic
+                handler(deleteBtn.getAttribute('data-id'));
+            }
+        });
+    }
+
+    /**
+     * Binds the "Add Contact" button.
+     * @param {Function} handler - Opens the empty form (see openAddForm()).
+     */
+    bindAddContact(handler) {
+        this.addContactBtn.addEventListener('click', () => handler());
+    }
+
+    /**
+     * Binds the 'Edit' event, of the cards (Event Delegation similar to delete) and of the detail view.
+     * 
+     * @param {Function} handler - Called with the contact's ID; opens the form (see openEditForm()).
+     */
+    bindEditContact(handler) {
+        this.delegate(this.contactList, {
+            'click .edit': (editBtn) => handler(editBtn.getAttribute('data-id'))
+        });
+        this.detailEditBtn.addEventListener('click', () => {
+            if (this._detailContact) handler(this._detailContact.id);
+        });
+    }
+
+    /**
+     * Binds clicks on a card (or Enter on it) to the detail view.
+     * Uses Event Delegation like edit and delete.
+     *
+     * @param {Function} handler - Called with the contact's ID; opens the detail view (see showContactDetails()).
+     */
+    bindShowContact(handler) {
+        this.delegate(this.contactList, {
+            'click [data-detail-id]': (details) => handler(details.dataset.detailId),
+            'keydown [data-detail-id]': (details, e) => {
+                if (e.key === 'Enter') handler(details.dataset.detailId);
+            }
+        });
+    }
+
+    /**
+     * Binds the closing of the contact form or the detail view, whatever closed it: the user
+     * ('X', Cancel, a click outside it), a save, or the Controller.
+     *
+     * @param {Function} handler
+     */
+    bindDialogClosed(handler) {
+        this._onDialogClosed = handler;
+    }
+
+    /**
+     * Binds the detail view's "History" button, which shows or hides the contact's history.
+     * @param {Function} handler - Called with the contact's ID; loads the history into the view.
+     */
+    bindShowHistory(handler) {
+        this.detailHistoryBtn.addEventListener('click', () => {
+            if (!this.detailHistory.classList.contains('hidden')) {
+                this.detailHistory.classList.add('hidden');
+                this.detailHistoryBtn.setAttribute('aria-expanded', 'false');
+                return;
+            }
+            if (this._detailContact) handler(this._detailContact.id);
+        });
+    }
+
+    /**
+     * Binds the "Restore this version" buttons of the history (Event Delegation).
+     * @param {Function} handler - Called with (contactId, entry).
+     */
+    bindRevertContact(handler) {
+        this.delegate(this.historyList, {
+            'click [data-history-index]': (revertBtn) => {
+                if (!this._detailContact) return;
+
+                revertBtn.disabled = true;
+                handler(this._detailContact.id, this._historyEntries[Number(revertBtn.dataset.historyIndex)]);
+            }
+        });
+    }
+
+    /**
+     * Shows a search term that didn't come from typing (e.g. from the URL) in the search input.
+     * @param {string} searchTerm - As passed to the search handler: lowercase and trimmed.
+     */
+    showSearchTerm(searchTerm) {
+        if (this.searchInput.value.toLowerCase().trim() !== searchTerm) this.searchInput.value = searchTerm;
+    }
+
+    /**
+     * Binds the Search input 'keyup' event for filtering contacts.
+     * @param {Function} handler - The Controller's search logic.
+     */
+    bindSearchContact(handler) {
+        this.searchInput.addEventListener('input', (e) => {
+            // Get text, make lowercase for case-insensitive search
+            const searchTerm = e.target.value.toLowerCase().trim();
+            handler(searchTerm);
+        });
+    }
+
+    /**
+     * Binds the sort dropdown.
+     * Option values have the form "field:order", e.g. "createdAt:desc".
+     *
+     * @param {Function} handler - The Controller's sort logic, called with (sort, order).
+     */
+    bindSortContacts(handler) {
+        this.sortSelect.addEventListener('change', (e) => {
+            const [sort, order] = e.target.value.split(':');
+            handler(sort, order);
+        });
+    }
+
+    /**
+     * Binds loading the next page of contacts.
+     * Triggered by clicking "Load more", or automatically (infinite scroll)
+     * when the button scrolls into view inside the list container.
+     *
+     * @param {Function} handler - The Controller's load-more logic.
+     */
+    bindLoadMore(handler) {
+        this.loadMoreBtn.addEventListener('click', () => handler());
+
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                const visible = entries.some((entry) => entry.isIntersecting);
+                if (visible && !this.loadMoreBtn.classList.contains('hidden')) {
+                    handler();
+                }
+            }, { root: this.contactList.parentElement, rootMargin: '200px' });
+
+            observer.observe(this.loadMoreBtn);
+        }
+    }
+
+    /**
+     * Binds the "Sync now" button in the offline banner.
+     * @param {Function} handler - The Controller's sync logic.
+     */
+    bindSyncNow(handler) {
+        this.syncNowBtn.addEventListener('click', () => handler());
+    }
+
+    /**
+     * Binds the "Keep mine" / "Discard mine" buttons of the sync conflicts (Event Delegation).
+     * @param {Function} handler - Called with (conflictId, 'keep' | 'discard').
+     */
+    bindResolveConflict(handler) {
+        this.delegate(this.syncConflicts, {
+            'click [data-conflict-id]': (button) => {
+                button.disabled = true;
+                handler(button.dataset.conflictId, button.dataset.choice);
+            }
+        });
+    }
+
+    /**
+     * Binds the buttons of the edit conflict dialog.
+     * @param {Function} handler - Called with ('mine' | 'theirs', conflict).
+     */
+    bindResolveEditConflict(handler) {
+        this.conflictMineBtn.addEventListener('click', () => {
+            this.conflictMineBtn.disabled = true;
+            handler('mine', this._conflict);
+        });
+        this.conflictTheirsBtn.addEventListener('click', () => {
+            handler('theirs', this._conflict);
+        });
+    }
+
+    /**
+     * Binds the sign-in form, for both signing in and creating an account.
+     * The form stays on screen with the server's errors until the handler succeeds.
+     *
+     * @param {Function} handler - Called with (mode, email, password), mode being 'login' or 'register'.
+     *   It resolves to the Model's outcome: { ok, errors?, message? }.
+     */
+    bindAuthenticate(handler) {
+        this.authForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const email = this.authEmail.value.trim();
+            const password = this.authPassword.value;
+            const missing = [];
+            if (!email) missing.push({ field: 'email', message: 'Email address is required' });
+            if (!password) missing.push({ field: 'password', message: 'Password is required' });
+            if (missing.length > 0) {
+                this.showFieldErrors(missing, this.authInputs);
+                return;
+            }
+
+            this.clearFieldErrors(this.authInputs);
+            this.hideAuthError();
+            this.authSubmitBtn.disabled = true;
+            const result = await handler(this._registering ? 'register' : 'login', email, password);
+            this.authSubmitBtn.disabled = false;
+
+            if (result.ok) {
+                this.authPassword.value = '';
+            } else if (result.errors) {
+                this.showFieldErrors(result.errors, this.authInputs);
+            } else {
+                this.showAuthError(result.message);
+            }
+        });
+    }
+
+    /**
+     * Binds the "Sign out" button.
+     * @param {Function} handler - The Controller's sign-out logic.
+     */
+    bindLogout(handler) {
+        this.logoutBtn.addEventListener('click', () => handler());
+    }
+
+    /**
+     * Binds the address book switcher.
+     * @param {Function} handler - Called with the selected book's ID.
+     */
+    bindSelectBook(handler) {
+        this.bookSelect.addEventListener('change', (e) => handler(e.target.value));
+    }
+
+    /**
+     * Binds the "New address book" button, which asks for the new book's name.
+     * @param {Function} handler - Called with the name; resolves to { ok, message? }.
+     */
+    bindCreateBook(handler) {
+        this.newBookBtn.addEventListener('click', async () => {
+            const name = prompt('Name of the new address book:');
+            if (!name || !name.trim()) return;
+
+            const result = await handler(name.trim());
+            if (!result.ok) {
+                const message = result.errors ? result.errors.map((error) => error.message).join(' ') : result.message;
+                this.showToast({ type: 'error', message });
+            }
+        });
+    }
+
+    /**
+     * Binds the "Members" button.
+     * @param {Function} handler - The Controller's logic for opening the members dialog.
+     */
+    bindOpenMembers(handler) {
+        this.membersBtn.addEventListener('click', () => handler());
+    }
+
+    /**
+     * Binds the form sharing the book with another account.
+     * @param {Function} handler - Called with (email, role); resolves to { ok, errors?, message? }.
+     */
+    bindAddMember(handler) {
+        this.memberForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const email = this.memberEmail.value.trim();
+            if (!email) {
+                this.showFieldErrors([{ field: 'email', message: 'Email address is required' }], { email: this.memberEmail });
+                return;
+            }
+
+            const result = await handler(email, this.memberRole.value);
+            if (result.ok) return;
+
+            if (result.errors) {
+                this.showFieldErrors(result.errors, { email: this.memberEmail });
+            } else {
+                this.showMembersError(result.message);
+            }
+        });
+    }
+
+    /**
+     * Binds the role dropdowns and remove buttons of the member list (Event Delegation).
+     *
+     * @param {Function} changeRole - Called with (userId, role).
+     * @param {Function} remove - Called with the member's user ID.
+     */
+    bindManageMembers(changeRole, remove) {
+        this.delegate(this.memberList, {
+            'change [data-user-id]': (select) => changeRole(select.dataset.userId, select.value),
+            'click [data-remove-user-id]': (removeBtn) => {
+                if (confirm('Remove this member from the address book?')) remove(removeBtn.dataset.removeUserId);
+            }
+        });
+    }
+
+    /**
+     * Binds the "Leave address book" button.
+     * @param {Function} handler - Called with the signed-in user's ID.
+     */
+    bindLeaveBook(handler) {
+        this.leaveBookBtn.addEventListener('click', () => {
+            if (confirm('Leave this address book? You will lose access to its contacts.')) {
+                handler(this._membersUserId);
+            }
+        });
+    }
+
+    /**
+     * Binds the export buttons.
+     * @param {Function} handler - Called with the format ('csv' or 'vcf').
+     */
+    bindExportContacts(handler) {
+        this.exportBtns.forEach((btn) => btn.addEventListener('click', () => handler(btn.dataset.format)));
+    }
+
+    /**
+     * Binds the bulk action bar's buttons.
+     *
+     * @param {Function} remove - Called with the selected contacts' IDs.
+     * @param {Function} exportSelected - Called with (format, ids); the same handler as the export buttons.
+     * @param {Function} tag - Called with (ids, tagId, add) when a tag is picked from the bar's tag menu.
+     */
+    bindBulkActions(remove, exportSelected, tag) {
+        this.bulkDeleteBtn.addEventListener('click', () => remove([...this._selectedIds]));
+        this.bulkExportBtns.forEach((btn) => btn.addEventListener('click', () => {
+            exportSelected(btn.dataset.format, [...this._selectedIds]);
+        }));
+        this.bulkTagSelect.addEventListener('change', () => {
+            const [action, tagId] = this.bulkTagSelect.value.split(':');
+            this.bulkTagSelect.value = '';
+            if (tagId) tag([...this._selectedIds], tagId, action === 'add');
+        });
+    }
+
+    /**
+     * Binds the tag filter chips: pressing one more narrows the list to contacts with every pressed tag.
+     * @param {Function} handler - Called with the IDs of the pressed tags.
+     */
+    bindTagFilter(handler) {
+        this.delegate(this.tagFilterChips, {
+            'click [data-filter-tag-id]': (chip) => {
+                chip.setAttribute('aria-pressed', String(chip.getAttribute('aria-pressed') !== 'true'));
+                handler([...this.tagFilterChips.querySelectorAll('[aria-pressed="true"]')].map((c) => c.dataset.filterTagId));
+            }
+        });
+    }
+
+    /**
+     * Binds creating a tag, from the contact form (where the new tag is picked right away)
+     * or from the tags dialog.
+     *
+     * @param {Function} handler - Called with the name; resolves to { ok, data?, errors?, message? }.
+     */
+    bindCreateTag(handler) {
+        // Field errors of the server name the tag's `name`
+        const create = async (input, inputs, onCreated) => {
+            const name = input.value.trim();
+            if (!name) {
+                this.showFieldErrors([{ field: 'name', message: 'Name is required' }], inputs);
+                return;
+            }
+
+            const result = await handler(name);
+            if (result.ok) {
+                input.value = '';
+                this.clearFieldErrors(inputs);
+                onCreated(result.data);
+            } else {
+                this.showFieldErrors(result.errors || [{ field: 'name', message: result.message }], inputs);
+            }
+        };
+
+        const createInForm = () => create(this.newTagName, { name: this.newTagName }, (tag) => {
+            this._displayTagPicker([...this._pickedTagIds(), tag.id]);
+        });
+        this.newTagBtn.addEventListener('click', createInForm);
+        // Enter creates the tag instead of submitting the contact form
+        this.newTagName.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                createInForm();
+            }
+        });
+
+        this.tagForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            create(this.tagName, { name: this.tagName }, () => this.hideTagsError());
+        });
+    }
+
+    /**
+     * Binds the color menus, name inputs and delete buttons of the tags dialog (Event Delegation).
+     *
+     * @param {Function} update - Called with (tagId, { name } or { color }); resolves to { ok, errors?, message? }.
+     * @param {Function} remove - Called with the tag's ID; resolves to { ok, message? }.
+     */
+    bindManageTags(update, remove) {
+        const report = (result) => {
+            if (result.ok) {
+                this.hideTagsError();
+            } else {
+                this.showTagsError(result.errors ? result.errors.map((error) => error.message).join(' ') : result.message);
+                // Put the tag back as it is
+                this._displayTagList();
+            }
+        };
+
+        this.delegate(this.tagList, {
+            'change [data-tag-color-id]': async (color) => {
+                report(await update(color.dataset.tagColorId, { color: color.value }));
+            },
+            'change [data-tag-name-id]': async (name) => {
+                report(await update(name.dataset.tagNameId, { name: name.value.trim() }));
+            },
+            'click [data-delete-tag-id]': async (removeBtn) => {
+                if (confirm('Delete this tag? It is taken off every contact that has it.')) {
+                    report(await remove(removeBtn.dataset.deleteTagId));
+                }
+            }
+        });
+    }
+
+    /**
+     * Binds the import dialog. Choosing a file, or another column for a field, has the file checked;
+     * the confirm button imports it.
+     *
+     * @param {Function} preview - Called with { format, data, mapping? }; resolves to { ok, data?, message? }.
+     * @param {Function} commit - Called with the same; resolves to { ok, message? }.
+     */
+    bindImportContacts(preview, commit) {
+        const check = async (upload) => {
+            this.importConfirmBtn.disabled = true;
+            const result = await preview(upload);
+            // Ignore answers about a file that was replaced or a dialog that was closed meanwhile
+            if (upload.data !== (this._importUpload && this._importUpload.data)) return;
+
+            if (result.ok) {
+                this.showImportPreview(result.data);
+            } else {
+                this.showImportError(result.message);
+            }
+        };
+
+        this.importFile.addEventListener('change', async () => {
+            const file = this.importFile.files[0];
+            if (!file) return;
+
+            const data = await file.text();
+            // vCards are recognized by their extension or their first line; anything else is read as CSV
+            const format = /\.(vcf|vcard)$/i.test(file.name) || /^\uFEFF?\s*BEGIN:VCARD/i.test(data) ? 'vcf' : 'csv';
+            this._importUpload = { format, data };
+            check(this._importUpload);
+        });
+
+        this.importMapping.addEventListener('change', () => {
+            const mapping = {};
+            this.importMapping.querySelectorAll('select').forEach((select) => {
+                mapping[select.dataset.field] = select.value.startsWith('[') ? JSON.parse(select.value) : select.value;
+            });
+            this._importUpload = { ...this._importUpload, mapping };
+            check(this._importUpload);
+        });
+
+        this.importConfirmBtn.addEventListener('click', async () => {
+            this.importConfirmBtn.disabled = true;
+            const result = await commit(this._importUpload);
+            if (result.ok) {
+                this.closeImportDialog();
+            } else {
+                this.importConfirmBtn.disabled = false;
+                this.showImportError(result.message);
+            }
+        });
+    }
+
+    /**
+     * Binds the "Delete address book" button.
+     * @param {Function} handler - The Controller's delete logic.
+     */
+    bindDeleteBook(handler) {
+        this.deleteBookBtn.addEventListener('click', () => {
+            if (confirm('Delete this address book and all of its contacts for every member?')) {
+                handler();
+            }
+        });
+    }
+}
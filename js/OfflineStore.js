@@ -0,0 +1,351 @@
+/**
+ * The OfflineStore keeps the Model working without a connection.
+ * It persists two things in the browser's localStorage:
+ *
+ *   - A cache of contacts as last seen on the server, so the list can be shown offline.
+ *   - A durable queue of add/edit/delete operations made while offline, replayed
+ *     against the API by the Model once the connection returns.
+ *
+ * Unresolved sync conflicts are persisted too, so a reload doesn't lose them.
+ */
+class OfflineStore {
+    /**
+     * @param {string} [namespace='contacts'] - Prefix for the localStorage keys.
+     */
+    constructor(namespace = 'contacts') {
+        this.keys = {
+            cache: `${namespace}.cache`,
+            queue: `${namespace}.queue`,
+            conflicts: `${namespace}.conflicts`,
+            books: `${namespace}.books`,
+            tags: `${namespace}.tags`,
+            currentBook: `${namespace}.currentBook`
+        };
+
+        // Contacts confirmed by the server, keyed by ID
+        this.cache = new Map(this._load(this.keys.cache, []).map((contact) => [contact.id, contact]));
+
+        // Pending operations, oldest first: { opId, type, contactId, bookId?, data?, baseVersion?, queuedAt }.
+        // An operation being replayed is flagged `sending`; a reload means its request was abandoned.
+        this.queue = this._load(this.keys.queue, []);
+        this.queue.forEach((op) => delete op.sending);
+
+        // Operations the server couldn't accept as-is, waiting for the user to decide
+        this.conflicts = this._load(this.keys.conflicts, []);
+    }
+
+    // ==========================================
+    // PERSISTENCE
+    // ==========================================
+
+    _load(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.error(`OfflineStore: could not read ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    _save(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            // Storage full or disabled: keep working in memory for this session
+            console.error(`OfflineStore: could not write ${key}:`, error);
+        }
+    }
+
+    _saveCache() {
+        this._save(this.keys.cache, [...this.cache.values()]);
+    }
+
+    _saveQueue() {
+        this._save(this.keys.queue, this.queue);
+    }
+
+    _saveConflicts() {
+        this._save(this.keys.conflicts, this.conflicts);
+    }
+
+    // ==========================================
+    // CONTACT CACHE
+    // ==========================================
+
+    /**
+     * Stores contacts received from the server.
+     *
+     * @param {Array<Object>} contacts
+     * @param {string|null} [completeBookId=null] - The address book, if these are all of its contacts,
+     *   in which case anything else cached for that book is stale and dropped.
+     */
+    cacheContacts(contacts, completeBookId = null) {
+        if (completeBookId) {
+            this.cache.forEach((contact, id) => {
+                if (contact.bookId === completeBookId) this.cache.delete(id);
+            });
+        }
+        contacts.forEach((contact) => this.cache.set(contact.id, contact));
+        this._saveCache();
+    }
+
+    /**
+     * @param {Object} contact - A contact the server just created or updated.
+     */
+    cacheUpsert(contact) {
+        this.cache.set(contact.id, contact);
+        this._saveCache();
+    }
+
+    /**
+     * @param {string} id - A contact the server just deleted.
+     */
+    cacheRemove(id) {
+        this.cache.delete(id);
+        this._saveCache();
+    }
+
+    /**
+     * Forgets every cached contact, address book and tag, e.g. when the user signs out on a shared computer.
+     */
+    clearCache() {
+        this.cache.clear();
+        this._saveCache();
+        this.cacheBooks([]);
+        this._save(this.keys.tags, {});
+    }
+
+    /**
+     * The text a search term is matched against, as on the server: name, company,
+     * and every email address and phone number.
+     * Contacts cached before they had lists only have their single email and phone.
+     */
+    _searchableText(contact) {
+        const emails = contact.emails || [{ value: contact.email }];
+        const phones = contact.phones || [{ value: contact.phone }];
+        return [contact.name, contact.company || '', ...emails.map((email) => email.value), ...phones.map((phone) => phone.value)]
+            .join('\n')
+            .toLowerCase();
+    }
+
+    /**
+     * Whether a contact belongs in the results of a list query, as the server decides it.
+     *
+     * @param {Object} contact
+     * @param {Object} query - { q, tags, bookId }; the contact must have all of `tags`.
+     * @returns {boolean}
+     */
+    matches(contact, { q = '', tags = [], bookId }) {
+        const term = q.toLowerCase();
+        return contact.bookId === bookId
+            && (!term || this._searchableText(contact).includes(term))
+            && tags.every((tagId) => (contact.tagIds || []).includes(tagId));
+    }
+
+    /**
+     * Compares two contacts in the order of a list query, ties broken by ID like the server does.
+     *
+     * @param {Object} a
+     * @param {Object} b
+     * @param {Object} query - { sort, order }
+     * @returns {number}
+     */
+    compare(a, b, { sort = 'name', order = 'asc' }) {
+        const byText = (x, y) => String(x).localeCompare(String(y), undefined, { sensitivity: 'base' });
+        return (order === 'desc' ? -1 : 1) * (byText(a[sort], b[sort]) || byText(a.id, b.id));
+    }
+
+    /**
+     * Returns cached contacts matching a list query, filtered and sorted like the server does.
+     *
+     * @param {Object} query - { q, tags, sort, order, bookId }; contacts must have all of `tags`.
+     * @returns {Array<Object>}
+     */
+    getCachedContacts(query) {
+        return [...this.cache.values()]
+            .filter((contact) => this.matches(contact, query))
+            .sort((a, b) => this.compare(a, b, query));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} The cached copy of a contact.
+     */
+    getCachedContact(id) {
+        return this.cache.get(id) || null;
+    }
+
+    // ==========================================
+    // ADDRESS BOOKS
+    // ==========================================
+
+    /**
+     * @param {Array<Object>} books - The user's address books, as last seen on the server.
+     */
+    cacheBooks(books) {
+        this._save(this.keys.books, books);
+    }
+
+    /**
+     * @returns {Array<Object>}
+     */
+    getCachedBooks() {
+        return this._load(this.keys.books, []);
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {Array<Object>} tags - The book's tags, as last seen on the server.
+     */
+    cacheTags(bookId, tags) {
+        this._save(this.keys.tags, { ...this._load(this.keys.tags, {}), [bookId]: tags });
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Array<Object>}
+     */
+    getCachedTags(bookId) {
+        return this._load(this.keys.tags, {})[bookId] || [];
+    }
+
+    /**
+     * Remembers the address book on screen, to reopen it next time.
+     * @param {string} id
+     */
+    rememberBook(id) {
+        this._save(this.keys.currentBook, id);
+    }
+
+    /**
+     * @returns {string|null}
+     */
+    rememberedBookId() {
+        return this._load(this.keys.currentBook, null);
+    }
+
+    // ==========================================
+    // OPERATION QUEUE
+    // ==========================================
+
+    /**
+     * Adds an operation to the queue, merging it with earlier queued operations
+     * on the same contact so each contact is replayed at most once:
+     *   - an edit of a queued add updates the add's data;
+     *   - an edit of a queued edit merges into it (keeping the original base version);
+     *   - a delete of a queued add cancels both; a delete after an edit replaces the edit.
+     * An operation already being sent is left alone; the new one is queued after it.
+     *
+     * @param {Object} operation - { type: 'add'|'edit'|'delete', contactId, bookId?, data?, baseVersion? }
+     */
+    enqueue(operation) {
+        const existing = this.queue.find((op) => op.contactId === operation.contactId && !op.sending);
+
+        if (!existing) {
+            this.queue.push({
+                opId: `op-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                queuedAt: new Date().toISOString(),
+                ...operation
+            });
+        } else if (operation.type === 'edit') {
+            existing.data = { ...existing.data, ...operation.data };
+        } else if (operation.type === 'delete' && existing.type === 'add') {
+            this.queue = this.queue.filter((op) => op !== existing);
+        } else if (operation.type === 'delete') {
+            existing.type = 'delete';
+            delete existing.data;
+        }
+
+        this._saveQueue();
+    }
+
+    /**
+     * Removes a replayed (or abandoned) operation from the queue.
+     * @param {string} opId
+     */
+    dequeue(opId) {
+        this.queue = this.queue.filter((op) => op.opId !== opId);
+        this._saveQueue();
+    }
+
+    /**
+     * Points queued operations at a contact's real ID once the server has created it.
+     *
+     * @param {string} tempId - The temporary ID used while offline.
+     * @param {string} realId - The ID assigned by the server.
+     */
+    remapId(tempId, realId) {
+        this.queue.forEach((op) => {
+            if (op.contactId === tempId) op.contactId = realId;
+        });
+        this._saveQueue();
+    }
+
+    /**
+     * @returns {Set<string>} IDs of contacts with queued changes.
+     */
+    queuedIds() {
+        return new Set(this.queue.map((op) => op.contactId));
+    }
+
+    /**
+     * Applies the queued operations to a list of server contacts,
+     * giving the list as the user expects to see it.
+     *
+     * @param {Array<Object>} contacts
+     * @param {string} bookId - The address book the list is from; queued adds to other books are left out.
+     * @returns {Array<Object>} A new array.
+     */
+    applyQueue(contacts, bookId) {
+        let result = contacts.slice();
+
+        this.queue.forEach((op) => {
+            if (op.type === 'add') {
+                if (op.bookId === bookId) result.push({ id: op.contactId, bookId: op.bookId, ...op.data });
+            } else if (op.type === 'edit') {
+                result = result.map((contact) => contact.id === op.contactId ? { ...contact, ...op.data } : contact);
+            } else if (op.type === 'delete') {
+                result = result.filter((contact) => contact.id !== op.contactId);
+            }
+        });
+
+        return result;
+    }
+
+    // ==========================================
+    // CONFLICTS
+    // ==========================================
+
+    /**
+     * Records an operation the server couldn't apply as-is.
+     *
+     * @param {Object} conflict - { op, reason: 'deleted'|'changed'|'rejected', remote?, errors? }
+     */
+    addConflict(conflict) {
+        this.conflicts.push({ id: conflict.op.opId, ...conflict });
+        this._saveConflicts();
+    }
+
+    /**
+     * Updates a conflict, e.g. with newer server values.
+     * @param {string} id
+     * @param {Object} changes
+     */
+    updateConflict(id, changes) {
+        this.conflicts = this.conflicts.map((c) => c.id === id ? { ...c, ...changes } : c);
+        this._saveConflicts();
+    }
+
+    /**
+     * Removes a conflict once the user has resolved it.
+     * @param {string} id
+     * @returns {Object|undefined} The removed conflict.
+     */
+    removeConflict(id) {
+        const conflict = this.conflicts.find((c) => c.id === id);
+        this.conflicts = this.conflicts.filter((c) => c.id !== id);
+        this._saveConflicts();
+        return conflict;
+    }
+}
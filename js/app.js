@@ -7,15 +7,32 @@
  * to access DOM elements that don't exist yet.
  */
 document.addEventListener('DOMContentLoaded', () => {
-    // 1. Instantiate the Model (deals with data and localstorage)
-    const appModel = new Model();
+    // 1. Instantiate the Model (deals with data and the backend API)
+    // APP_CONFIG is defined by config.js, which is generated from the server's configuration.
+    if (!window.APP_CONFIG) {
+        console.error('config.js is missing: run `npm run config:client` to generate it.');
+        return;
+    }
+    const appModel = new ContactModel(window.APP_CONFIG);
 
     // 2. Instantiate the View (deals with DOM and UI interactions)
-    const appView = new View();
+    const appView = new ContactView();
 
-    // 3. Instantiate the Controller, connecting Model and View
+    // 3. Instantiate the Router, which keeps the search and the open contact in the URL's hash.
+    // '/contacts/new' comes before '/contacts/:id', which would match it too.
+    const appRouter = new Router({
+        '/contacts': 'contacts',
+        '/contacts/new': 'newContact',
+        '/contacts/:id': 'contact',
+        '/contacts/:id/edit': 'editContact'
+    }, { fallback: '/contacts' });
+
+    // 4. Instantiate the Controller, connecting Model, View and Router
     // The Controller immediately runs an initial render fetching data from Model and passing to View.
-    const appController = new Controller(appModel, appView);
+    const appController = new ContactController(appModel, appView, appRouter);
+
+    // 5. Follow the URL: the Controller shows what it names once the user's contacts are loaded
+    appRouter.start();
 
     // Optional debug log
     console.log('MVC App successfully initialized.');
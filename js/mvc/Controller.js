@@ -0,0 +1,67 @@
+/**
+ * Base class of the app's Controllers, which connect a Model to a View:
+ *
+ *     class ContactController extends Controller {
+ *         constructor(model, view) {
+ *             super(model, view);
+ *             // Model -> View
+ *             this.listenTo(model, { contactsChanged: this.onContactListChanged });
+ *             // View -> Model
+ *             this.bindView({ deleteContact: this.handleDeleteContact });
+ *         }
+ *     }
+ *
+ * Handlers are usually arrow-function properties, so they keep `this` when passed around.
+ */
+class Controller {
+    /**
+     * @param {Model} model
+     * @param {View} view
+     */
+    constructor(model, view) {
+        this.model = model;
+        this.view = view;
+
+        // Removes the listeners added by listenTo()
+        this._subscriptions = [];
+    }
+
+    /**
+     * Subscribes handlers to a Model's events.
+     *
+     * @param {Model} model
+     * @param {Object<string, Function>} handlers - Handler by event type.
+     */
+    listenTo(model, handlers) {
+        Object.entries(handlers).forEach(([type, handler]) => {
+            this._subscriptions.push(model.on(type, handler));
+        });
+    }
+
+    /**
+     * Binds handlers to the View's user actions: the handler for 'deleteContact' is passed
+     * to view.bindDeleteContact(). An action the View binds to several handlers takes an array.
+     *
+     * @param {Object<string, Function|Array<Function>>} handlers - Handler(s) by action.
+     * @throws {Error} If the View has no binder for an action.
+     */
+    bindView(handlers) {
+        Object.entries(handlers).forEach(([action, handler]) => {
+            const binder = `bind${action[0].toUpperCase()}${action.slice(1)}`;
+            if (typeof this.view[binder] !== 'function') {
+                throw new Error(`${this.view.constructor.name} has no ${binder}()`);
+            }
+            this.view[binder](...[].concat(handler));
+        });
+    }
+
+    /**
+     * Disconnects the Model and the View: the Model's events are no longer handled,
+     * and the View's delegated listeners are removed.
+     */
+    destroy() {
+        this._subscriptions.forEach((unsubscribe) => unsubscribe());
+        this._subscriptions = [];
+        this.view.destroy();
+    }
+}
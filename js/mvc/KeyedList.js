@@ -0,0 +1,291 @@
+/**
+ * The KeyedList renders items into a container element, one element per item, and keeps them in
+ * step with the items by key. Each update only inserts, moves, replaces or removes the elements of
+ * items that changed; the others are left alone, so scrolling, focus and running animations survive.
+ *
+ * Items are rendered with templates (see Template.js), and an item's element is replaced when its
+ * markup changes. Elements added by an update get the 'entering' class and removed ones 'leaving',
+ * for their animations (see css/style.css); a leaving element is removed once its animation is over.
+ *
+ * Long lists are virtualized: above `virtualizeAbove` items, only the items in view of the scrolling
+ * viewport (and a few on either side) have elements, and the container's padding stands in for the rest.
+ */
+class KeyedList {
+    /**
+     * @param {HTMLElement} container - The element the items' elements are the children of.
+     * @param {Object} options
+     * @param {Function} options.key - Returns an item's key, unique in the list (e.g. its id).
+     * @param {Function} options.render - Returns an item's template, with a single root element.
+     * @param {HTMLElement} [options.viewport] - The scrolling element around the container. Without it
+     *   lists are never virtualized.
+     * @param {number} [options.virtualizeAbove=300] - How many items a list needs to be virtualized.
+     * @param {number} [options.overscan=10] - Items given elements above and below the viewport.
+     * @param {number} [options.itemHeight=90] - Estimated height of an item, with the gap to the next;
+     *   measured once a virtualized list is shown.
+     * @param {Function} [options.afterRender] - Called after each render, e.g. to set state the markup
+     *   doesn't carry (which is kept by elements that stay, but not by new ones).
+     */
+    constructor(container, {
+        key, render, viewport = null, virtualizeAbove = 300, overscan = 10, itemHeight = 90, afterRender = () => {}
+    }) {
+        this.container = container;
+        this.key = key;
+        this.render = render;
+        this.afterRender = afterRender;
+        this.viewport = viewport;
+        this.virtualizeAbove = virtualizeAbove;
+        this.overscan = overscan;
+        this.itemHeight = itemHeight;
+
+        this.items = [];
+        // key -> { element, markup } for the items that have an element
+        this.rendered = new Map();
+
+        // A virtualized list shows other items as it scrolls (at most once per frame)
+        if (viewport) {
+            let frame = null;
+            viewport.addEventListener('scroll', () => {
+                if (frame !== null || !this.isVirtual()) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this._render(false);
+                });
+            }, { passive: true });
+        }
+    }
+
+    /**
+     * Shows these items, in this order.
+     *
+     * @param {Array} items
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - False to add and remove elements without animations.
+     */
+    update(items, { animate = true } = {}) {
+        this.items = items;
+        this._render(animate);
+    }
+
+    /**
+     * @returns {boolean} Whether only the items in view have elements.
+     */
+    isVirtual() {
+        return this.viewport !== null && this.items.length > this.virtualizeAbove;
+    }
+
+    /**
+     * @returns {{ start: number, end: number }} The range of items that get elements.
+     */
+    _range() {
+        if (!this.isVirtual()) return { start: 0, end: this.items.length };
+
+        // How far the top of the list has scrolled above the top of the viewport
+        const scrolled = this.viewport.getBoundingClientRect().top - this.container.getBoundingClientRect().top;
+        const first = Math.floor(Math.max(0, scrolled) / this.itemHeight);
+        const inView = Math.ceil(this.viewport.clientHeight / this.itemHeight);
+        return {
+            start: Math.max(0, first - this.overscan),
+            end: Math.min(this.items.length, first + inView + this.overscan)
+        };
+    }
+
+    /**
+     * Brings the elements in step with the items.
+     * @param {boolean} animate
+     */
+    _render(animate) {
+        const { start, end } = this._range();
+        const focus = this._findFocus();
+
+        const previous = this.rendered;
+        this.rendered = new Map();
+        let added = 0;
+        const elements = this.items.slice(start, end).map((item) => {
+            const key = String(this.key(item));
+            const template = this.render(item);
+            const entry = previous.get(key);
+            previous.delete(key);
+
+            if (entry && entry.markup === template.markup) {
+                this.rendered.set(key, entry);
+                return entry.element;
+            }
+
+            const element = Template.fragment(template).firstElementChild;
+            if (entry) {
+                // Changed: the new element takes the place of the old one
+                entry.element.replaceWith(element);
+            } else if (animate) {
+                this._enter(element, added);
+                added += 1;
+            }
+            this.rendered.set(key, { element, markup: template.markup });
+            return element;
+        });
+
+        // Left over: elements of items that are gone, or (virtualized) no longer in view
+        const listed = previous.size > 0 && this.isVirtual()
+            ? new Set(this.items.map((item) => String(this.key(item))))
+            : new Set();
+        previous.forEach(({ element }, key) => {
+            this._leave(element, animate && !listed.has(key));
+        });
+
+        this._arrange(elements);
+        this._restoreFocus(focus);
+        this._pad(start, end, elements);
+        this.afterRender();
+    }
+
+    /**
+     * Puts the elements in order, moving as few of them as possible: those that are already in
+     * order (the longest run of them) stay, and the others are moved in around them.
+     *
+     * @param {Array<HTMLElement>} elements - In the order they should be.
+     */
+    _arrange(elements) {
+        const positions = new Map([...this.container.children].map((child, index) => [child, index]));
+        const staying = KeyedList._longestIncreasing(elements.map((element) => {
+            return positions.has(element) ? positions.get(element) : -1;
+        }));
+
+        let next = null;
+        for (let index = elements.length - 1; index >= 0; index -= 1) {
+            if (!staying.has(index)) this.container.insertBefore(elements[index], next);
+            next = elements[index];
+        }
+    }
+
+    /**
+     * Sets the padding that stands in for the items without elements of a virtualized list,
+     * after measuring how high an item is.
+     */
+    _pad(start, end, elements) {
+        if (!this.isVirtual()) {
+            this.container.style.paddingTop = '';
+            this.container.style.paddingBottom = '';
+            return;
+        }
+
+        if (elements.length > 1) {
+            const first = elements[0].getBoundingClientRect();
+            const last = elements[elements.length - 1].getBoundingClientRect();
+            const measured = (last.top - first.top) / (elements.length - 1);
+            if (measured > 0) this.itemHeight = measured;
+        }
+        this.container.style.paddingTop = `${start * this.itemHeight}px`;
+        this.container.style.paddingBottom = `${(this.items.length - end) * this.itemHeight}px`;
+    }
+
+    /**
+     * Starts the animation of an element added to the list. Several added at once follow each other.
+     *
+     * @param {HTMLElement} element
+     * @param {number} index - How many were added before it in this update.
+     */
+    _enter(element, index) {
+        element.classList.add('entering');
+        element.style.setProperty('--stagger', Math.min(index, 5));
+        const done = (e) => {
+            if (e.target !== element) return;
+            element.classList.remove('entering');
+            element.removeEventListener('animationend', done);
+        };
+        element.addEventListener('animationend', done);
+    }
+
+    /**
+     * Removes an element, after its animation if it has one. Meanwhile it is hidden from
+     * assistive technology and can't be interacted with.
+     *
+     * @param {HTMLElement} element
+     * @param {boolean} animate
+     */
+    _leave(element, animate) {
+        if (!animate) {
+            element.remove();
+            return;
+        }
+
+        element.classList.remove('entering');
+        element.classList.add('leaving');
+        element.setAttribute('aria-hidden', 'true');
+        element.inert = true;
+
+        const { animationName } = getComputedStyle(element);
+        if (!animationName || animationName === 'none') {
+            element.remove();
+            return;
+        }
+        element.addEventListener('animationend', (e) => {
+            if (e.target === element) element.remove();
+        });
+        // Animations don't run in a hidden list
+        setTimeout(() => element.remove(), 1000);
+    }
+
+    /**
+     * @returns {Object|null} Where the focus is in the list, if it is: { element, key, path },
+     *   path being the child indexes leading to it from its item's element.
+     */
+    _findFocus() {
+        const focused = document.activeElement;
+        if (!focused || !this.container.contains(focused)) return null;
+
+        for (const [key, { element }] of this.rendered) {
+            if (!element.contains(focused)) continue;
+            const path = [];
+            for (let node = focused; node !== element; node = node.parentElement) {
+                path.unshift([...node.parentElement.children].indexOf(node));
+            }
+            return { element: focused, key, path };
+        }
+        return null;
+    }
+
+    /**
+     * Puts the focus back where it was if the update took it away: on the same element if it
+     * is still there (it was moved), or on its counterpart in its item's new element.
+     *
+     * @param {Object|null} focus - From _findFocus().
+     */
+    _restoreFocus(focus) {
+        if (!focus || document.activeElement === focus.element) return;
+
+        let target = focus.element;
+        if (!target.isConnected) {
+            const entry = this.rendered.get(focus.key);
+            target = entry && focus.path.reduce((node, index) => node && node.children[index], entry.element);
+        }
+        if (target) target.focus({ preventScroll: true });
+    }
+
+    /**
+     * @param {Array<number>} values - Positions, -1 for none.
+     * @returns {Set<number>} The indexes of a longest strictly increasing run of values (ignoring -1).
+     */
+    static _longestIncreasing(values) {
+        // tails[length - 1]: index of the smallest value ending an increasing run of that length
+        const tails = [];
+        const previous = new Array(values.length);
+
+        values.forEach((value, index) => {
+            if (value < 0) return;
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (values[tails[middle]] < value) low = middle + 1;
+                else high = middle;
+            }
+            previous[index] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = index;
+        });
+
+        const run = new Set();
+        for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+            run.add(index);
+        }
+        return run;
+    }
+}
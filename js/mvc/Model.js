@@ -0,0 +1,77 @@
+/**
+ * Base class of the app's Models: an observable that tells its listeners when its state changes.
+ *
+ * Each Model declares the types of event it emits, and listeners subscribe to those types:
+ *
+ *     class ContactModel extends Model {
+ *         constructor() {
+ *             super(['contactsChanged', 'statusChanged']);
+ *         }
+ *     }
+ *     model.on('contactsChanged', (contacts, meta) => view.displayContacts(contacts, meta));
+ *
+ * Subscribing to, or emitting, a type the Model didn't declare throws, so a misspelt event name
+ * fails where it is written instead of never firing. A type can have any number of listeners.
+ * The arguments each type is emitted with are documented by the Model that declares it.
+ */
+class Model {
+    /**
+     * @param {Array<string>} events - The types of event this Model emits.
+     */
+    constructor(events) {
+        // type -> Set of listeners
+        this._listeners = new Map(events.map((type) => [type, new Set()]));
+    }
+
+    /**
+     * @param {string} type
+     * @returns {Set<Function>} The type's listeners.
+     * @throws {Error} If this Model doesn't emit that type.
+     */
+    _listenersOf(type) {
+        const listeners = this._listeners.get(type);
+        if (!listeners) {
+            throw new Error(`${this.constructor.name} has no '${type}' event (it has: ${[...this._listeners.keys()].join(', ')})`);
+        }
+        return listeners;
+    }
+
+    /**
+     * Calls a listener whenever an event of the given type is emitted.
+     *
+     * @param {string} type
+     * @param {Function} listener - Receives the event's arguments.
+     * @returns {Function} Removes the listener again.
+     */
+    on(type, listener) {
+        this._listenersOf(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Stops calling a listener added with on().
+     *
+     * @param {string} type
+     * @param {Function} listener
+     */
+    off(type, listener) {
+        this._listenersOf(type).delete(listener);
+    }
+
+    /**
+     * Calls the type's listeners, in the order they were added, with the given arguments.
+     * A listener that throws is logged and doesn't keep the others from being called.
+     *
+     * @param {string} type
+     * @param {...*} args
+     */
+    emit(type, ...args) {
+        [...this._listenersOf(type)].forEach((listener) => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`${this.constructor.name}: a '${type}' listener failed:`, error);
+            }
+        });
+    }
+}
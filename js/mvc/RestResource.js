@@ -0,0 +1,125 @@
+/**
+ * A RestResource talks to one collection of a REST API, e.g. /api/contacts: it builds the URLs
+ * (path segments encoded, query parameters appended), sends bodies as JSON and makes an update
+ * or delete conditional on a version (If-Match).
+ *
+ *     const contacts = new RestResource('/api/contacts');
+ *     await contacts.list({ book: bookId, limit: 25 });         // GET    /api/contacts?book=...&limit=25
+ *     await contacts.update(id, fields, { version: 3 });        // PUT    /api/contacts/<id>, If-Match: "3"
+ *     await contacts.post('merge', body, { params: { book } }); // POST   /api/contacts/merge?book=...
+ *     const tags = books.nested([bookId, 'tags']);              //        /api/books/<bookId>/tags
+ *
+ * Every method resolves to the fetch() Response, whatever its status: what a 404 or a 412 means
+ * is up to the Model. It rejects only when the request couldn't be sent (or `send` throws).
+ */
+class RestResource {
+    /**
+     * @param {string} url - The collection's URL.
+     * @param {Object} [options]
+     * @param {Function} [options.send] - Sends a request: (url, fetchOptions) => Promise<Response>,
+     *   e.g. to add headers or handle an ended session. Defaults to fetch() with the session cookie.
+     */
+    constructor(url, { send = (target, options) => fetch(target, { ...options, credentials: 'include' }) } = {}) {
+        this.baseUrl = url;
+        this.send = send;
+    }
+
+    /**
+     * @param {string|Array<string>} [path] - Under the collection: an ID, an action ('merge'), or several
+     *   segments ([id, 'history']). Each segment is URL-encoded.
+     * @param {Object} [params] - Query parameters; undefined values are left out.
+     * @returns {string}
+     */
+    url(path = [], params = {}) {
+        const segments = [].concat(path).filter((segment) => segment !== '');
+        const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined)).toString();
+        return [this.baseUrl, ...segments.map((segment) => encodeURIComponent(segment))].join('/') + (query ? `?${query}` : '');
+    }
+
+    /**
+     * Sends a request to the collection or something under it.
+     *
+     * @param {string} method
+     * @param {string|Array<string>} [path] - As for url().
+     * @param {Object} [options]
+     * @param {Object} [options.params] - Query parameters.
+     * @param {*} [options.body] - Sent as JSON.
+     * @param {number} [options.version] - Only apply the request to this version of the resource (If-Match).
+     * @param {Object} [options.headers]
+     * @returns {Promise<Response>}
+     */
+    request(method, path, { params, body, version, headers = {} } = {}) {
+        return this.send(this.url(path, params), {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(version !== undefined ? { 'If-Match': `"${version}"` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+    }
+
+    /**
+     * GET the collection.
+     * @param {Object} [params] - Query parameters (filters, paging...).
+     */
+    list(params) {
+        return this.request('GET', [], { params });
+    }
+
+    /**
+     * GET one resource, or something under it.
+     * @param {string|Array<string>} path - Its ID, or segments starting with it.
+     * @param {Object} [options] - As for request().
+     */
+    get(path, options) {
+        return this.request('GET', path, options);
+    }
+
+    /**
+     * POST a new resource to the collection.
+     * @param {Object} body
+     * @param {Object} [options] - As for request().
+     */
+    create(body, options = {}) {
+        return this.request('POST', [], { ...options, body });
+    }
+
+    /**
+     * PUT a resource's new state.
+     * @param {string|Array<string>} path - Its ID.
+     * @param {Object} body
+     * @param {Object} [options] - As for request(); `version` makes the update conditional.
+     */
+    update(path, body, options = {}) {
+        return this.request('PUT', path, { ...options, body });
+    }
+
+    /**
+     * DELETE a resource.
+     * @param {string|Array<string>} path - Its ID.
+     * @param {Object} [options] - As for request(); `version` makes the delete conditional.
+     */
+    remove(path, options) {
+        return this.request('DELETE', path, options);
+    }
+
+    /**
+     * POST to an action of the collection or of a resource (e.g. 'merge', [id, 'history', entryId, 'restore']).
+     * @param {string|Array<string>} path
+     * @param {*} [body]
+     * @param {Object} [options] - As for request().
+     */
+    post(path, body, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    }
+
+    /**
+     * @param {string|Array<string>} path - A collection under this one, e.g. [bookId, 'tags'].
+     * @returns {RestResource} The nested collection, sent the same way.
+     */
+    nested(path) {
+        return new RestResource(this.url(path), { send: this.send });
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * The Router keeps what is on screen in the URL's hash (#/contacts/42/edit?q=ann), so it can be
+ * linked to, survives a reload and follows the browser's back and forward buttons.
+ *
+ * Routes are named path patterns, where ':name' matches one segment:
+ *
+ *     const router = new Router({ '/contacts': 'contacts', '/contacts/:id': 'contact' }, { fallback: '/contacts' });
+ *     router.on('routeChanged', (route) => ...);  // { name: 'contact', params: { id: '42' }, query: { q: 'ann' }, path }
+ *     router.start();
+ *     router.navigate(router.path('contact', { id: '42' }));
+ *
+ * It is an observable like the Models (see Model.js): a Controller listens to its 'routeChanged'
+ * event, emitted with the new route and the previous one (null at start) whenever the hash changes.
+ */
+class Router extends Model {
+    /**
+     * @param {Object<string, string>} routes - Route name by path pattern, tried in this order.
+     * @param {Object} [options]
+     * @param {string} [options.fallback='/'] - Where a hash no route matches (or none) leads.
+     */
+    constructor(routes, { fallback = '/' } = {}) {
+        super(['routeChanged']);
+        this.routes = Object.entries(routes).map(([pattern, name]) => ({
+            name,
+            segments: pattern.split('/').filter(Boolean)
+        }));
+        this.fallback = fallback;
+        this.route = null;
+    }
+
+    /**
+     * Starts following the hash, and emits the current route.
+     */
+    start() {
+        window.addEventListener('hashchange', () => this._resolve());
+        this._resolve();
+    }
+
+    /**
+     * @returns {Object|null} The route the current hash names: { name, params, query, path },
+     *   or null if no route matches.
+     */
+    current() {
+        return this.match(window.location.hash.replace(/^#/, ''));
+    }
+
+    /**
+     * @param {string} path - e.g. '/contacts/42?q=ann'.
+     * @returns {Object|null} The route ({ name, params, query, path }), or null if no route matches.
+     */
+    match(path) {
+        const [pathname, search = ''] = path.split('?');
+        const segments = pathname.split('/').filter(Boolean);
+        let decoded;
+        try {
+            decoded = segments.map((segment) => decodeURIComponent(segment));
+        } catch (error) {
+            return null;
+        }
+
+        for (const route of this.routes) {
+            if (route.segments.length !== decoded.length) continue;
+
+            const params = {};
+            const matches = route.segments.every((segment, index) => {
+                if (segment.startsWith(':')) {
+                    params[segment.slice(1)] = decoded[index];
+                    return true;
+                }
+                return segment === decoded[index];
+            });
+            if (matches) {
+                return { name: route.name, params, query: Object.fromEntries(new URLSearchParams(search)), path };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Builds the path of a route.
+     *
+     * @param {string} name
+     * @param {Object} [params] - A value for each ':name' of the route's pattern.
+     * @param {Object} [query] - Empty and undefined values are left out.
+     * @returns {string} e.g. '/contacts/42?q=ann'.
+     * @throws {Error} If there is no route by that name.
+     */
+    path(name, params = {}, query = {}) {
+        const route = this.routes.find((r) => r.name === name);
+        if (!route) throw new Error(`Router has no '${name}' route`);
+
+        const pathname = route.segments
+            .map((segment) => encodeURIComponent(segment.startsWith(':') ? params[segment.slice(1)] : segment))
+            .join('/');
+        const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== '')).toString();
+        return `/${pathname}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Goes to a path: a new history entry, or (`replace`) in place of the current one, e.g. for
+     * each keystroke of a search. Nothing happens if it is the current path.
+     *
+     * @param {string} path
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false]
+     */
+    navigate(path, { replace = false } = {}) {
+        if (window.location.hash === `#${path}`) return;
+
+        // How many entries this app added on top of the one it was opened with, so back() knows
+        // whether the previous entry is still the app's
+        const depth = (history.state && history.state.routerDepth) || 0;
+        if (replace) {
+            history.replaceState({ routerDepth: depth }, '', `#${path}`);
+        } else {
+            history.pushState({ routerDepth: depth + 1 }, '', `#${path}`);
+        }
+        this._resolve();
+    }
+
+    /**
+     * Goes back to the previous history entry if this app added the current one (e.g. when a dialog
+     * that was opened from the list is closed), so the back button doesn't open it again.
+     * Otherwise (the page was opened on it) goes to `path`, in place of the current entry.
+     *
+     * @param {string} path
+     */
+    back(path) {
+        if (history.state && history.state.routerDepth > 0) {
+            history.back();
+        } else {
+            this.navigate(path, { replace: true });
+        }
+    }
+
+    /**
+     * Emits the route of the current hash, if it changed. A hash no route matches is replaced by the fallback.
+     */
+    _resolve() {
+        const route = this.current();
+        if (!route) {
+            this.navigate(this.fallback, { replace: true });
+            return;
+        }
+        if (this.route && this.route.path === route.path) return;
+
+        const previous = this.route;
+        this.route = route;
+        this.emit('routeChanged', route, previous);
+    }
+}
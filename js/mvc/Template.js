@@ -0,0 +1,79 @@
+/**
+ * Template builds the View's markup from tagged template literals, escaping everything interpolated:
+ *
+ *     Template.html`<li class="contact-item" id="${contact.id}"><h3>${contact.name}</h3></li>`
+ *
+ * Interpolated values are text: a contact named `<img src=x onerror=alert(1)>` is shown as exactly
+ * that, and a quote in a value can't end an attribute. Only templates (and lists of them) are
+ * inserted as markup, so markup is only ever written in the literals of this app's own code.
+ *
+ * Values may go in element content and in quoted attribute values. They must not be used as tag or
+ * attribute names, in unquoted attributes, in event handler attributes (onclick...) or inside
+ * <script> and <style>. A link's URL starts with its scheme in the literal (href="mailto:${email}"),
+ * so a value can't turn it into a javascript: link.
+ *
+ * In the browser it is loaded with a plain <script> tag and defines a global `Template`.
+ */
+const Template = (function () {
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    /**
+     * Markup built by html``, safe to insert as it is.
+     */
+    class SafeHtml {
+        constructor(markup) {
+            this.markup = markup;
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string} The value as text that can't be read as markup.
+     */
+    function escape(value) {
+        return String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+    }
+
+    /**
+     * @param {*} value - An interpolated value. null, undefined and false render nothing,
+     *   so `${condition && html`...`}` works.
+     * @returns {string}
+     */
+    function toMarkup(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(toMarkup).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escape(value);
+    }
+
+    /**
+     * Tag for template literals: html`<p>${text}</p>`.
+     *
+     * @returns {SafeHtml}
+     */
+    function html(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, string, index) => markup + toMarkup(values[index - 1]) + string));
+    }
+
+    /**
+     * @param {SafeHtml|Array<SafeHtml>} template
+     * @returns {DocumentFragment} The template's nodes. Table rows can stand on their own.
+     */
+    function fragment(template) {
+        const element = document.createElement('template');
+        element.innerHTML = toMarkup(template);
+        return element.content;
+    }
+
+    /**
+     * Replaces the children of `container` with the template's nodes.
+     *
+     * @param {Element} container
+     * @param {SafeHtml|Array<SafeHtml>} template
+     */
+    function render(container, template) {
+        container.replaceChildren(fragment(template));
+    }
+
+    return { html, escape, fragment, render };
+})();
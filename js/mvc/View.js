@@ -0,0 +1,57 @@
+/**
+ * Base class of the app's Views, with event delegation: one listener on a container handles an
+ * event for all the elements in it that match a selector, including those rendered later.
+ * Lists and dialogs re-render their content, so their buttons are bound this way:
+ *
+ *     this.delegate(this.contactList, {
+ *         'click .delete': (button) => handler(button.dataset.id),
+ *         'keydown [data-detail-id]': (card, e) => { if (e.key === 'Enter') show(card); }
+ *     });
+ *
+ * Views don't know about Models; a Controller passes them data and binds handlers to them
+ * (see Controller.js).
+ */
+class View {
+    constructor() {
+        // Removes the listeners added by delegate()
+        this._undelegations = [];
+    }
+
+    /**
+     * Listens for events on elements inside a container, by "<event type> <selector>" keys.
+     * A handler is called with the closest element to the event's target that matches its
+     * selector (and is inside the container), and the event. A key without a selector
+     * ('click') listens for the event anywhere in the container, and gets the container.
+     *
+     * @param {Element} container
+     * @param {Object<string, Function>} handlers - Handler by "<event type> <selector>".
+     * @returns {Function} Removes these listeners again.
+     */
+    delegate(container, handlers) {
+        const removals = Object.entries(handlers).map(([key, handler]) => {
+            const [, type, selector] = key.match(/^(\S+)\s*(.*)$/);
+            const listener = (e) => {
+                if (!selector) {
+                    handler(container, e);
+                    return;
+                }
+                const match = e.target instanceof Element ? e.target.closest(selector) : null;
+                if (match && container.contains(match)) handler(match, e);
+            };
+            container.addEventListener(type, listener);
+            return () => container.removeEventListener(type, listener);
+        });
+
+        const undelegate = () => removals.forEach((remove) => remove());
+        this._undelegations.push(undelegate);
+        return undelegate;
+    }
+
+    /**
+     * Removes every listener added by delegate(), e.g. before the View's elements are reused by another.
+     */
+    destroy() {
+        this._undelegations.forEach((undelegate) => undelegate());
+        this._undelegations = [];
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Creates the contacts table.
+ * `IF NOT EXISTS` lets databases that already have a hand-made table adopt the migrations.
+ */
+module.exports = {
+    mysql: {
+        up: (db) => db.query(`
+            CREATE TABLE IF NOT EXISTS contacts (
+                id VARCHAR(64) NOT NULL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                phone VARCHAR(50) NOT NULL
+            )
+        `),
+        down: (db) => db.query('DROP TABLE contacts')
+    },
+
+    documents: {
+        up: async (store) => {
+            store.collection('contacts');
+        },
+        down: async (store) => {
+            delete store.data.contacts;
+        }
+    }
+};
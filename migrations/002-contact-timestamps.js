@@ -0,0 +1,35 @@
+/**
+ * Adds createdAt/updatedAt timestamps to contacts.
+ * Existing contacts get the migration time, as their real creation time is unknown.
+ * Contact IDs become server-generated UUIDs from here on; older timestamp IDs stay valid.
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query(`
+                ALTER TABLE contacts
+                    ADD COLUMN created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                    ADD COLUMN updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+            `);
+        },
+        down: async (db) => {
+            await db.query('ALTER TABLE contacts DROP COLUMN created_at, DROP COLUMN updated_at');
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            const now = new Date().toISOString();
+            store.collection('contacts').forEach((contact) => {
+                contact.createdAt = contact.createdAt || now;
+                contact.updatedAt = contact.updatedAt || now;
+            });
+        },
+        down: async (store) => {
+            store.collection('contacts').forEach((contact) => {
+                delete contact.createdAt;
+                delete contact.updatedAt;
+            });
+        }
+    }
+};
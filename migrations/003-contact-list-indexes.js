@@ -0,0 +1,22 @@
+/**
+ * Indexes the columns the contact list is sorted by, so paginated
+ * `ORDER BY ... LIMIT` queries don't have to sort the whole table.
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query('CREATE INDEX idx_contacts_name ON contacts (name, id)');
+            await db.query('CREATE INDEX idx_contacts_created_at ON contacts (created_at, id)');
+        },
+        down: async (db) => {
+            await db.query('DROP INDEX idx_contacts_name ON contacts');
+            await db.query('DROP INDEX idx_contacts_created_at ON contacts');
+        }
+    },
+
+    // The document stores sort in memory and have no indexes.
+    documents: {
+        up: async () => {},
+        down: async () => {}
+    }
+};
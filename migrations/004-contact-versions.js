@@ -0,0 +1,27 @@
+/**
+ * Adds a version number to contacts for optimistic concurrency control.
+ * It starts at 1 and is incremented by every update; the API exposes it as the contact's ETag.
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query('ALTER TABLE contacts ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1');
+        },
+        down: async (db) => {
+            await db.query('ALTER TABLE contacts DROP COLUMN version');
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            store.collection('contacts').forEach((contact) => {
+                contact.version = contact.version || 1;
+            });
+        },
+        down: async (store) => {
+            store.collection('contacts').forEach((contact) => {
+                delete contact.version;
+            });
+        }
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * Adds user accounts and login sessions, and gives every contact an owner.
+ * Contacts created before accounts existed have no owner yet; they are handed
+ * to the first account that registers (see the register route in server/routes/auth.js).
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE users (
+                    id CHAR(36) NOT NULL PRIMARY KEY,
+                    email VARCHAR(254) NOT NULL UNIQUE,
+                    password_hash VARCHAR(255) NOT NULL,
+                    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+                )
+            `);
+            // The session token itself is never stored, only its SHA-256 hash.
+            await db.query(`
+                CREATE TABLE sessions (
+                    token_hash CHAR(64) NOT NULL PRIMARY KEY,
+                    user_id CHAR(36) NOT NULL,
+                    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                    expires_at DATETIME(3) NOT NULL,
+                    INDEX idx_sessions_user (user_id),
+                    CONSTRAINT fk_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                ALTER TABLE contacts
+                    ADD COLUMN owner_id CHAR(36) NULL,
+                    ADD INDEX idx_contacts_owner_name (owner_id, name, id),
+                    ADD CONSTRAINT fk_contacts_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+            `);
+        },
+        down: async (db) => {
+            await db.query(`
+                ALTER TABLE contacts
+                    DROP FOREIGN KEY fk_contacts_owner,
+                    DROP INDEX idx_contacts_owner_name,
+                    DROP COLUMN owner_id
+            `);
+            await db.query('DROP TABLE sessions');
+            await db.query('DROP TABLE users');
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            store.collection('users');
+            store.collection('sessions');
+            store.collection('contacts').forEach((contact) => {
+                contact.ownerId = contact.ownerId || null;
+            });
+        },
+        down: async (store) => {
+            delete store.data.users;
+            delete store.data.sessions;
+            store.collection('contacts').forEach((contact) => {
+                delete contact.ownerId;
+            });
+        }
+    }
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+/**
+ * Moves contacts from users into address books, which can be shared.
+ * Every existing user gets a personal book they own, holding the contacts they owned.
+ * Contacts nobody owned yet stay outside any book until the first account claims them.
+ */
+const DEFAULT_BOOK_NAME = 'My contacts';
+
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE address_books (
+                    id CHAR(36) NOT NULL PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+                )
+            `);
+            await db.query(`
+                CREATE TABLE address_book_members (
+                    book_id CHAR(36) NOT NULL,
+                    user_id CHAR(36) NOT NULL,
+                    role ENUM('owner', 'editor', 'viewer') NOT NULL,
+                    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                    PRIMARY KEY (book_id, user_id),
+                    INDEX idx_members_user (user_id),
+                    CONSTRAINT fk_members_book FOREIGN KEY (book_id) REFERENCES address_books (id) ON DELETE CASCADE,
+                    CONSTRAINT fk_members_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                ALTER TABLE contacts
+                    ADD COLUMN book_id CHAR(36) NULL,
+                    ADD INDEX idx_contacts_book_name (book_id, name, id),
+                    ADD CONSTRAINT fk_contacts_book FOREIGN KEY (book_id) REFERENCES address_books (id) ON DELETE CASCADE
+            `);
+
+            const [users] = await db.query('SELECT id FROM users');
+            for (const user of users) {
+                const bookId = crypto.randomUUID();
+                await db.query('INSERT INTO address_books (id, name) VALUES (?, ?)', [bookId, DEFAULT_BOOK_NAME]);
+                await db.query(
+                    "INSERT INTO address_book_members (book_id, user_id, role) VALUES (?, ?, 'owner')",
+                    [bookId, user.id]
+                );
+                await db.query('UPDATE contacts SET book_id = ? WHERE owner_id = ?', [bookId, user.id]);
+            }
+
+            await db.query(`
+                ALTER TABLE contacts
+                    DROP FOREIGN KEY fk_contacts_owner,
+                    DROP INDEX idx_contacts_owner_name,
+                    DROP COLUMN owner_id
+            `);
+        },
+        down: async (db) => {
+            await db.query(`
+                ALTER TABLE contacts
+                    ADD COLUMN owner_id CHAR(36) NULL,
+                    ADD INDEX idx_contacts_owner_name (owner_id, name, id),
+                    ADD CONSTRAINT fk_contacts_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+            `);
+            // Each contact goes back to an owner of its book (any one, if the book had several)
+            await db.query(`
+                UPDATE contacts c
+                    JOIN (SELECT book_id, MIN(user_id) AS user_id FROM address_book_members
+                          WHERE role = 'owner' GROUP BY book_id) o ON o.book_id = c.book_id
+                SET c.owner_id = o.user_id
+            `);
+            await db.query(`
+                ALTER TABLE contacts
+                    DROP FOREIGN KEY fk_contacts_book,
+                    DROP INDEX idx_contacts_book_name,
+                    DROP COLUMN book_id
+            `);
+            await db.query('DROP TABLE address_book_members');
+            await db.query('DROP TABLE address_books');
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            const books = store.collection('addressBooks');
+            const members = store.collection('bookMembers');
+            const bookByOwner = new Map();
+
+            store.collection('users').forEach((user) => {
+                const now = new Date().toISOString();
+                const book = { id: crypto.randomUUID(), name: DEFAULT_BOOK_NAME, createdAt: now };
+                books.push(book);
+                members.push({ bookId: book.id, userId: user.id, role: 'owner', createdAt: now });
+                bookByOwner.set(user.id, book.id);
+            });
+
+            store.collection('contacts').forEach((contact) => {
+                contact.bookId = bookByOwner.get(contact.ownerId) || null;
+                delete contact.ownerId;
+            });
+        },
+        down: async (store) => {
+            const ownerByBook = new Map();
+            store.collection('bookMembers')
+                .filter((member) => member.role === 'owner')
+                .forEach((member) => {
+                    if (!ownerByBook.has(member.bookId)) ownerByBook.set(member.bookId, member.userId);
+                });
+
+            store.collection('contacts').forEach((contact) => {
+                contact.ownerId = ownerByBook.get(contact.bookId) || null;
+                delete contact.bookId;
+            });
+            delete store.data.addressBooks;
+            delete store.data.bookMembers;
+        }
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * Gives contacts several labeled email addresses and phone numbers, postal addresses,
+ * and a company, job title, notes and birthday.
+ * The lists live in their own tables, ordered by `position`. The first email and phone
+ * are also kept in `contacts.email` / `contacts.phone`, which search and sorting use.
+ * Their `contact_id` has the type of `contacts.id` (VARCHAR(64), with the database's default
+ * character set and collation), as a foreign key requires.
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query(`
+                ALTER TABLE contacts
+                    ADD COLUMN company VARCHAR(100) NOT NULL DEFAULT '',
+                    ADD COLUMN title VARCHAR(100) NOT NULL DEFAULT '',
+                    ADD COLUMN notes TEXT NULL,
+                    ADD COLUMN birthday DATE NULL
+            `);
+            await db.query(`
+                CREATE TABLE contact_emails (
+                    contact_id VARCHAR(64) NOT NULL,
+                    position TINYINT UNSIGNED NOT NULL,
+                    label VARCHAR(20) NOT NULL,
+                    value VARCHAR(254) NOT NULL,
+                    PRIMARY KEY (contact_id, position),
+                    INDEX idx_contact_emails_value (value),
+                    CONSTRAINT fk_contact_emails_contact FOREIGN KEY (contact_id) REFERENCES contacts (id) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                CREATE TABLE contact_phones (
+                    contact_id VARCHAR(64) NOT NULL,
+                    position TINYINT UNSIGNED NOT NULL,
+                    label VARCHAR(20) NOT NULL,
+                    value VARCHAR(30) NOT NULL,
+                    PRIMARY KEY (contact_id, position),
+                    INDEX idx_contact_phones_value (value),
+                    CONSTRAINT fk_contact_phones_contact FOREIGN KEY (contact_id) REFERENCES contacts (id) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                CREATE TABLE contact_addresses (
+                    contact_id VARCHAR(64) NOT NULL,
+                    position TINYINT UNSIGNED NOT NULL,
+                    label VARCHAR(20) NOT NULL,
+                    street VARCHAR(200) NOT NULL DEFAULT '',
+                    city VARCHAR(100) NOT NULL DEFAULT '',
+                    region VARCHAR(100) NOT NULL DEFAULT '',
+                    postal_code VARCHAR(20) NOT NULL DEFAULT '',
+                    country VARCHAR(100) NOT NULL DEFAULT '',
+                    PRIMARY KEY (contact_id, position),
+                    CONSTRAINT fk_contact_addresses_contact FOREIGN KEY (contact_id) REFERENCES contacts (id) ON DELETE CASCADE
+                )
+            `);
+
+            await db.query(`
+                INSERT INTO contact_emails (contact_id, position, label, value)
+                SELECT id, 0, 'other', email FROM contacts WHERE email <> ''
+            `);
+            await db.query(`
+                INSERT INTO contact_phones (contact_id, position, label, value)
+                SELECT id, 0, 'other', phone FROM contacts WHERE phone <> ''
+            `);
+        },
+        down: async (db) => {
+            // Only the primary email and phone survive, in contacts.email / contacts.phone
+            await db.query('DROP TABLE contact_addresses');
+            await db.query('DROP TABLE contact_phones');
+            await db.query('DROP TABLE contact_emails');
+            await db.query(`
+                ALTER TABLE contacts
+                    DROP COLUMN company,
+                    DROP COLUMN title,
+                    DROP COLUMN notes,
+                    DROP COLUMN birthday
+            `);
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            store.collection('contacts').forEach((contact) => {
+                contact.emails = contact.email ? [{ label: 'other', value: contact.email }] : [];
+                contact.phones = contact.phone ? [{ label: 'other', value: contact.phone }] : [];
+                contact.addresses = [];
+                contact.company = '';
+                contact.title = '';
+                contact.notes = '';
+                contact.birthday = null;
+            });
+        },
+        down: async (store) => {
+            store.collection('contacts').forEach((contact) => {
+                ['emails', 'phones', 'addresses', 'company', 'title', 'notes', 'birthday']
+                    .forEach((field) => delete contact[field]);
+            });
+        }
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Adds tags: each address book has its own, and contacts are linked to them through
+ * `contact_tags`. Deleting a book, a tag or a contact deletes its links.
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query(`
+                CREATE TABLE tags (
+                    id CHAR(36) NOT NULL PRIMARY KEY,
+                    book_id CHAR(36) NOT NULL,
+                    name VARCHAR(30) NOT NULL,
+                    color VARCHAR(20) NOT NULL,
+                    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                    UNIQUE INDEX idx_tags_book_name (book_id, name),
+                    CONSTRAINT fk_tags_book FOREIGN KEY (book_id) REFERENCES address_books (id) ON DELETE CASCADE
+                )
+            `);
+            await db.query(`
+                CREATE TABLE contact_tags (
+                    contact_id VARCHAR(64) NOT NULL,
+                    tag_id CHAR(36) NOT NULL,
+                    PRIMARY KEY (contact_id, tag_id),
+                    INDEX idx_contact_tags_tag (tag_id),
+                    CONSTRAINT fk_contact_tags_contact FOREIGN KEY (contact_id) REFERENCES contacts (id) ON DELETE CASCADE,
+                    CONSTRAINT fk_contact_tags_tag FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+                )
+            `);
+        },
+        down: async (db) => {
+            await db.query('DROP TABLE contact_tags');
+            await db.query('DROP TABLE tags');
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            store.collection('tags');
+            store.collection('contacts').forEach((contact) => {
+                contact.tagIds = [];
+            });
+        },
+        down: async (store) => {
+            delete store.data.tags;
+            store.collection('contacts').forEach((contact) => {
+                delete contact.tagIds;
+            });
+        }
+    }
+};
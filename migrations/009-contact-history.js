@@ -0,0 +1,62 @@
+/**
+ * Keeps the history of every contact and makes deletes soft.
+ * Each create, update, delete and restore adds a row to `contact_history` with who made it,
+ * the contact afterwards (`snapshot`) and the fields that changed (`changes`). Deleted contacts
+ * keep their rows, marked by `deleted_at`, so they can be restored from the book's trash.
+ */
+module.exports = {
+    mysql: {
+        up: async (db) => {
+            await db.query(`
+                ALTER TABLE contacts
+                    ADD COLUMN deleted_at DATETIME(3) NULL,
+                    ADD INDEX idx_contacts_book_deleted (book_id, deleted_at)
+            `);
+            await db.query(`
+                CREATE TABLE contact_history (
+                    id CHAR(36) NOT NULL PRIMARY KEY,
+                    contact_id VARCHAR(64) NOT NULL,
+                    book_id CHAR(36) NOT NULL,
+                    user_id CHAR(36) NULL,
+                    action VARCHAR(10) NOT NULL,
+                    version INT UNSIGNED NOT NULL,
+                    changes JSON NOT NULL,
+                    snapshot JSON NOT NULL,
+                    reverted_to INT UNSIGNED NULL,
+                    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                    INDEX idx_contact_history_contact (contact_id, created_at),
+                    CONSTRAINT fk_contact_history_contact FOREIGN KEY (contact_id) REFERENCES contacts (id) ON DELETE CASCADE,
+                    CONSTRAINT fk_contact_history_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+                )
+            `);
+        },
+        down: async (db) => {
+            // Without soft deletes, contacts in the trash would reappear: they are deleted for good
+            await db.query('DROP TABLE contact_history');
+            await db.query('DELETE FROM contacts WHERE deleted_at IS NOT NULL');
+            await db.query(`
+                ALTER TABLE contacts
+                    DROP INDEX idx_contacts_book_deleted,
+                    DROP COLUMN deleted_at
+            `);
+        }
+    },
+
+    documents: {
+        up: async (store) => {
+            store.collection('contactHistory');
+            store.collection('contacts').forEach((contact) => {
+                contact.deletedAt = null;
+            });
+        },
+        down: async (store) => {
+            delete store.data.contactHistory;
+            const contacts = store.collection('contacts');
+            const kept = contacts.filter((contact) => !contact.deletedAt);
+            contacts.splice(0, contacts.length, ...kept);
+            contacts.forEach((contact) => {
+                delete contact.deletedAt;
+            });
+        }
+    }
+};
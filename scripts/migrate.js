@@ -0,0 +1,111 @@
+/**
+ * Command-line runner for the database migrations in `migrations/`.
+ * Uses the same configuration (config.json, environment variables) as server.js.
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>]   Apply pending migrations (npm run migrate)
+ *   node scripts/migrate.js down [--steps <n>]    Revert the last n migrations, default 1 (npm run migrate:down)
+ *   node scripts/migrate.js status                List migrations and whether they're applied (npm run migrate:status)
+ *   node scripts/migrate.js create <name>         Create an empty migration file (npm run migrate:create -- <name>)
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, ConfigError, PROJECT_ROOT } = require('../server/config');
+const { createRepositories } = require('../server/repositories');
+const Migrator = require('../server/Migrator');
+
+const MIGRATIONS_DIR = path.join(PROJECT_ROOT, 'migrations');
+
+const TEMPLATE = `module.exports = {
+    mysql: {
+        up: async (db) => {},
+        down: async (db) => {}
+    },
+
+    documents: {
+        up: async (store) => {},
+        down: async (store) => {}
+    }
+};
+`;
+
+/**
+ * Reads the value following a `--flag` argument.
+ */
+function option(args, flag) {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Writes a new migration file numbered after the latest one.
+ */
+function create(name) {
+    if (!name || !/^[\w-]+$/.test(name)) {
+        throw new Error('Usage: migrate create <name> (letters, digits, dashes and underscores only)');
+    }
+    const versions = fs.readdirSync(MIGRATIONS_DIR)
+        .map((file) => parseInt(file, 10))
+        .filter((version) => !Number.isNaN(version));
+    const next = String(Math.max(0, ...versions) + 1).padStart(3, '0');
+    const file = path.join(MIGRATIONS_DIR, `${next}-${name}.js`);
+
+    fs.writeFileSync(file, TEMPLATE);
+    console.log(`Created ${path.relative(PROJECT_ROOT, file)}`);
+}
+
+async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    if (command === 'create') {
+        return create(args[0]);
+    }
+
+    const config = loadConfig();
+    const repositories = createRepositories({
+        driver: config.db.driver,
+        mysql: config.db.mysql,
+        file: path.resolve(PROJECT_ROOT, config.db.file)
+    });
+    const migrator = new Migrator(repositories, MIGRATIONS_DIR);
+    const label = (m) => `${String(m.version).padStart(3, '0')}-${m.name}`;
+
+    try {
+        switch (command) {
+            case 'up': {
+                const to = option(args, '--to');
+                const applied = await migrator.up({
+                    to: to === undefined ? Infinity : Number(to),
+                    onApply: (m) => console.log(`Applied  ${label(m)}`)
+                });
+                if (applied.length === 0) console.log('Database schema is up to date.');
+                break;
+            }
+
+            case 'down': {
+                const reverted = await migrator.down({
+                    steps: Number(option(args, '--steps') || 1),
+                    onRevert: (m) => console.log(`Reverted ${label(m)}`)
+                });
+                if (reverted.length === 0) console.log('No migrations to revert.');
+                break;
+            }
+
+            case 'status': {
+                const migrations = await migrator.status();
+                migrations.forEach((m) => console.log(`${m.applied ? '[x]' : '[ ]'} ${label(m)}`));
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown command "${command}" (expected up, down, status or create)`);
+        }
+    } finally {
+        await repositories.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(error instanceof ConfigError ? error.message : `Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+/**
+ * Writes `config.js` next to index.html for when the front end is served by
+ * something other than the API server (e.g. VS Code Live Server).
+ *
+ * The values come from the same layered config as server.js (defaults,
+ * config.json, environment variables), so the browser never has its own
+ * hardcoded copy of the API URL.
+ *
+ * Usage: npm run config:client
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, getClientConfig, ConfigError, PROJECT_ROOT } = require('../server/config');
+
+try {
+    const clientConfig = getClientConfig(loadConfig());
+    const target = path.join(PROJECT_ROOT, 'config.js');
+
+    fs.writeFileSync(target, `// Generated by \`npm run config:client\`. Do not edit.\nwindow.APP_CONFIG = ${JSON.stringify(clientConfig, null, 4)};\n`);
+    console.log(`Wrote ${path.relative(process.cwd(), target)} (API: ${clientConfig.apiBaseUrl})`);
+} catch (error) {
+    if (error instanceof ConfigError) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    throw error;
+}
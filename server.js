@@ -1,168 +1,164 @@
 const http = require('http');
-const mysql = require('mysql2');
-
-// Database configuration
-const dbConfig = {
-    host: 'localhost',
-    user: 'root',
-    password: 'sa123',
-    database: 'AntigravityMVC'
-};
-
-// Create a connection pool
-const pool = mysql.createPool(dbConfig);
-
-// Keep connection alive or handle errors
-pool.getConnection((err, connection) => {
-    if (err) {
-        console.error('Error connecting to MySQL:', err.message);
-        return;
-    }
-    console.log('Successfully connected to MySQL database.');
-    connection.release();
-});
-
-const PORT = 3000;
-
-const server = http.createServer((req, res) => {
-    // 1. Handle CORS (Cross-Origin Resource Sharing)
-    res.setHeader('Access-Control-Allow-Origin', '*'); // Allow any origin for local dev
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    // Handle preflight requests for CORS
-    if (req.method === 'OPTIONS') {
-        res.writeHead(204);
-        res.end();
-        return;
-    }
-
-    // 2. Parse URL and Route
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const pathname = url.pathname;
-
-    // Helper to extract JSON body
-    const getRequestBody = (req) => {
-        return new Promise((resolve, reject) => {
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            req.on('end', () => {
-                try {
-                    resolve(body ? JSON.parse(body) : {});
-                } catch (error) {
-                    reject(error);
-                }
-            });
-            req.on('error', reject);
+const path = require('path');
+const { loadConfig, getClientConfig, ConfigError, PROJECT_ROOT } = require('./server/config');
+const { createRepositories } = require('./server/repositories');
+const Migrator = require('./server/Migrator');
+const { SessionManager } = require('./server/auth');
+const { ContactEventHub } = require('./server/contactEvents');
+const { Router, requestLogger, errorHandler, cors, jsonBody, serveStatic } = require('./server/http');
+const { registerRoutes, versionConflictToHttp } = require('./server/routes');
+
+// Largest JSON request body accepted, unless a route allows more (imports and batches do)
+const BODY_LIMIT = 1024 * 1024;
+
+// The front end's files, served from the project root. Nothing else there is (see serveStatic()).
+const FRONT_END_PATHS = ['index.html', 'css/', 'js/'];
+
+/**
+ * Creates the server for the whole app (not yet listening): the front end, and the API under /api.
+ *
+ * Every request goes through the same middleware: request logging, JSON error responses
+ * ({ error, ...details } for every failure), CORS, the front end's static files and JSON body
+ * parsing. The API routes themselves are in server/routes/.
+ *
+ * @param {Object} config - The validated config (see server/config.js).
+ * @param {Object} options
+ * @param {Object} options.repositories - The storage backend (see server/repositories), with a current schema.
+ * @returns {http.Server} Its close() also ends the live update streams, which never end by themselves,
+ *   and closes the repositories.
+ */
+function createServer(config, { repositories }) {
+    // Login sessions (cookie-based, see server/auth.js)
+    const sessionManager = new SessionManager({
+        users: repositories.users,
+        sessions: repositories.sessions,
+        ttlHours: config.auth.sessionTtlHours,
+        secureCookies: config.auth.secureCookies
+    });
+
+    // Live updates: changes to contacts are streamed to the other tabs that have their book open
+    const contactEvents = new ContactEventHub();
+
+    const router = new Router();
+    if (config.log.requests) router.use(requestLogger());
+    router.use(
+        errorHandler({ translate: versionConflictToHttp }),
+        cors({
+            // Other origins whose pages may call the API (none by default: the front end is served from here)
+            origins: config.cors.origin.split(',').map(origin => origin.trim()).filter(Boolean),
+            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+            allowHeaders: ['Content-Type', 'If-Match', 'X-Client-Id', 'Last-Event-ID'],
+            exposeHeaders: ['ETag']
+        }),
+        serveStatic({ root: PROJECT_ROOT, paths: FRONT_END_PATHS }),
+        jsonBody({ limit: BODY_LIMIT })
+    );
+
+    // The browser's runtime settings, for the served front end (see getClientConfig())
+    const clientConfig = `window.APP_CONFIG = ${JSON.stringify(getClientConfig(config, { sameOrigin: true }))};\n`;
+    router.get('/config.js', async (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-cache' });
+        res.end(clientConfig);
+    });
+
+    registerRoutes(router, { repositories, sessionManager, contactEvents });
+
+    const server = http.createServer((req, res) => {
+        router.handle(req, res).catch((error) => {
+            // Only reached if answering an error failed too
+            console.error('Unhandled request error:', error);
+            res.destroy();
         });
-    };
+    });
 
-    // Helper to handle responses
-    const sendResponse = (res, statusCode, data) => {
-        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(data));
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+        contactEvents.closeAll();
+        close((error) => {
+            repositories.close().then(() => callback && callback(error), callback);
+        });
+        server.closeIdleConnections();
+        return server;
     };
-
-    // 3. API Routes for /api/contacts
-    if (pathname === '/api/contacts') {
-
-        // GET: Fetch all contacts
-        if (req.method === 'GET') {
-            pool.query('SELECT * FROM contacts', (err, results) => {
-                if (err) {
-                    return sendResponse(res, 500, { error: 'Database error fetching contacts' });
-                }
-                sendResponse(res, 200, results);
-            });
-        }
-
-        // POST: Add a new contact
-        else if (req.method === 'POST') {
-            getRequestBody(req).then(data => {
-                const { id, name, email, phone } = data; // the frontend generates an ID
-
-                if (!id || !name || !email || !phone) {
-                    return sendResponse(res, 400, { error: 'Missing required fields' });
-                }
-
-                const query = 'INSERT INTO contacts (id, name, email, phone) VALUES (?, ?, ?, ?)';
-                pool.query(query, [id, name, email, phone], (err, results) => {
-                    if (err) {
-                        console.error('Insert error:', err);
-                        return sendResponse(res, 500, { error: 'Error adding contact' });
-                    }
-                    sendResponse(res, 201, { message: 'Contact added successfully' });
-                });
-            }).catch(err => sendResponse(res, 400, { error: 'Invalid JSON body' }));
-        }
-
-        // Handle unsupported methods on /api/contacts
-        else {
-            sendResponse(res, 405, { error: 'Method not allowed' });
-        }
+    return server;
+}
+
+/**
+ * Makes sure the database schema is current before accepting requests.
+ * Pending migrations are applied when db.autoMigrate is on (always for the 'memory' driver);
+ * otherwise the server refuses to start rather than run against an outdated schema.
+ */
+async function ensureSchema(config, repositories) {
+    const migrator = new Migrator(repositories, path.join(PROJECT_ROOT, 'migrations'));
+    const pending = await migrator.pending();
+
+    if (pending.length === 0) return;
+
+    if (config.db.autoMigrate || config.db.driver === 'memory') {
+        await migrator.up({
+            onApply: (m) => console.log(`Applied migration ${String(m.version).padStart(3, '0')}-${m.name}`)
+        });
+        return;
     }
 
-    // DELETE and PUT routes require an ID parameter.
-    // E.g., /api/contacts/17234567890 (id is the timestamp string)
-    else if (pathname.startsWith('/api/contacts/')) {
-        const id = pathname.split('/').pop();
-
-        if (!id) {
-            return sendResponse(res, 400, { error: 'Contact ID required' });
-        }
-
-        // DELETE: Remove a contact by ID
-        if (req.method === 'DELETE') {
-            const query = 'DELETE FROM contacts WHERE id = ?';
-            pool.query(query, [id], (err, results) => {
-                if (err) {
-                    console.error('Delete error:', err);
-                    return sendResponse(res, 500, { error: 'Error deleting contact' });
-                }
-                if (results.affectedRows === 0) {
-                    return sendResponse(res, 404, { error: 'Contact not found' });
-                }
-                sendResponse(res, 200, { message: 'Contact deleted successfully' });
-            });
-        }
-
-        // PUT: Update a contact by ID
-        else if (req.method === 'PUT') {
-            getRequestBody(req).then(data => {
-                const { name, email, phone } = data;
-
-                if (!name || !email || !phone) {
-                    return sendResponse(res, 400, { error: 'Missing required fields' });
-                }
-
-                const query = 'UPDATE contacts SET name = ?, email = ?, phone = ? WHERE id = ?';
-                pool.query(query, [name, email, phone, id], (err, results) => {
-                    if (err) {
-                        console.error('Update error:', err);
-                        return sendResponse(res, 500, { error: 'Error updating contact' });
-                    }
-                    if (results.affectedRows === 0) {
-                        return sendResponse(res, 404, { error: 'Contact not found' });
-                    }
-                    sendResponse(res, 200, { message: 'Contact updated successfully' });
-                });
-            }).catch(err => sendResponse(res, 400, { error: 'Invalid JSON body' }));
-        }
-
-        // Handle unsupported methods on specific contact
-        else {
-            sendResponse(res, 405, { error: 'Method not allowed' });
-        }
+    const names = pending.map((m) => `${String(m.version).padStart(3, '0')}-${m.name}`).join(', ');
+    throw new Error(`Database schema is behind: ${pending.length} pending migration(s) (${names}). ` +
+        'Run `npm run migrate`, or set db.autoMigrate to apply them at startup.');
+}
+
+/**
+ * Connects to the configured storage backend ('mysql', 'file' or 'memory'), checks its schema
+ * and starts the server. Tests can pass port 0 to listen on any free port (see server.address().port).
+ *
+ * @param {Object} config - The validated config (see server/config.js).
+ * @param {Object} [options]
+ * @param {number} [options.port=config.port]
+ * @returns {Promise<http.Server>} The listening server.
+ */
+async function startServer(config, { port = config.port } = {}) {
+    const repositories = createRepositories({
+        driver: config.db.driver,
+        mysql: config.db.mysql,
+        file: path.resolve(PROJECT_ROOT, config.db.file)
+    });
+
+    try {
+        await ensureSchema(config, repositories);
+    } catch (error) {
+        await repositories.close();
+        throw error;
     }
 
-    // 404 Not Found for any other route
-    else {
-        sendResponse(res, 404, { error: 'Endpoint not found' });
+    const server = createServer(config, { repositories });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+    return server;
+}
+
+module.exports = { createServer, startServer };
+
+// `node server.js` (npm start): load defaults, config.json and environment variables (see
+// server/config.js) and start. A bad configuration stops the server right away with a list of what's wrong.
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
     }
-});
 
-server.listen(PORT, () => {
-    console.log(`Vanilla Node.js Server running on port ${PORT}`);
-});
+    startServer(config)
+        .then((server) => {
+            console.log(`Vanilla Node.js Server running at http://localhost:${server.address().port}/ (storage: ${config.db.driver})`);
+        })
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Applies and reverts the versioned migrations in the `migrations/` folder.
+ *
+ * Each migration file is named `<version>-<description>.js` (e.g. `001-create-contacts.js`)
+ * and is applied in version order. It exports an `up`/`down` pair per kind of backend:
+ *
+ *   module.exports = {
+ *       mysql:     { up: async (db) => {...},    down: async (db) => {...} },
+ *       documents: { up: async (store) => {...}, down: async (store) => {...} }
+ *   };
+ *
+ * `mysql` receives a promise-based mysql2 pool; `documents` receives the MemoryStore/FileStore
+ * used by the 'memory' and 'file' drivers. Applied versions are recorded in a `schema_migrations`
+ * table (or collection), so every migration runs exactly once per database.
+ */
+
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * Tracks and runs migrations against MySQL.
+ */
+class MySqlTarget {
+    constructor(db) {
+        this.db = db;
+        this.kind = 'mysql';
+    }
+
+    async ensureTrackingTable() {
+        await this.db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async appliedVersions() {
+        const [rows] = await this.db.query('SELECT version FROM schema_migrations ORDER BY version');
+        return rows.map((row) => Number(row.version));
+    }
+
+    async run(migration, direction) {
+        await migration.module.mysql[direction](this.db);
+        if (direction === 'up') {
+            await this.db.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await this.db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+    }
+}
+
+/**
+ * Tracks and runs migrations against a MemoryStore/FileStore.
+ */
+class DocumentTarget {
+    constructor(store) {
+        this.store = store;
+        this.kind = 'documents';
+    }
+
+    async ensureTrackingTable() {
+        this.store.collection('schema_migrations');
+    }
+
+    async appliedVersions() {
+        return this.store.collection('schema_migrations').map((row) => row.version).sort((a, b) => a - b);
+    }
+
+    async run(migration, direction) {
+        await migration.module.documents[direction](this.store);
+        const tracking = this.store.collection('schema_migrations');
+        if (direction === 'up') {
+            tracking.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+        } else {
+            tracking.splice(tracking.findIndex((row) => row.version === migration.version), 1);
+        }
+        await this.store.save();
+    }
+}
+
+class Migrator {
+    /**
+     * @param {Object} repositories - The object returned by createRepositories().
+     * @param {string} directory - Folder holding the migration files.
+     */
+    constructor(repositories, directory) {
+        this.target = repositories.driver === 'mysql'
+            ? new MySqlTarget(repositories.db)
+            : new DocumentTarget(repositories.store);
+        this.directory = directory;
+    }
+
+    /**
+     * Reads the migration files, sorted by version.
+     *
+     * @returns {Array<{ version: number, name: string, module: Object }>}
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.directory)
+            .map((file) => ({ file, match: MIGRATION_FILE.exec(file) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => ({
+                version: Number(match[1]),
+                name: match[2],
+                module: require(path.join(this.directory, file))
+            }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migration.version === migrations[index - 1].version) {
+                throw new Error(`Duplicate migration version ${migration.version}`);
+            }
+            if (!migration.module[this.target.kind]) {
+                throw new Error(`Migration ${migration.version}-${migration.name} has no "${this.target.kind}" section`);
+            }
+        });
+
+        return migrations;
+    }
+
+    /**
+     * Lists every migration and whether it has been applied.
+     *
+     * @returns {Promise<Array<{ version: number, name: string, applied: boolean }>>}
+     */
+    async status() {
+        await this.target.ensureTrackingTable();
+        const applied = new Set(await this.target.appliedVersions());
+
+        return this.loadMigrations().map(({ version, name }) => ({ version, name, applied: applied.has(version) }));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} The migrations that haven't been applied yet, in order.
+     */
+    async pending() {
+        return (await this.status()).filter((migration) => !migration.applied);
+    }
+
+    /**
+     * Applies pending migrations in order.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.to] - Stop after this version (default: apply everything).
+     * @param {Function} [options.onApply] - Called with each migration after it's applied.
+     * @returns {Promise<Array<Object>>} The migrations that were applied.
+     */
+    async up({ to = Infinity, onApply = () => {} } = {}) {
+        await this.target.ensureTrackingTable();
+        const applied = new Set(await this.target.appliedVersions());
+        const toApply = this.loadMigrations().filter((m) => !applied.has(m.version) && m.version <= to);
+
+        for (const migration of toApply) {
+            await this.target.run(migration, 'up');
+            onApply(migration);
+        }
+        return toApply;
+    }
+
+    /**
+     * Reverts the most recently applied migrations.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.steps=1] - How many migrations to revert.
+     * @param {Function} [options.onRevert] - Called with each migration after it's reverted.
+     * @returns {Promise<Array<Object>>} The migrations that were reverted.
+     */
+    async down({ steps = 1, onRevert = () => {} } = {}) {
+        await this.target.ensureTrackingTable();
+        const applied = new Set(await this.target.appliedVersions());
+        const toRevert = this.loadMigrations().filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+
+        for (const migration of toRevert) {
+            await this.target.run(migration, 'down');
+            onRevert(migration);
+        }
+        return toRevert;
+    }
+}
+
+module.exports = Migrator;
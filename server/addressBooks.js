@@ -0,0 +1,77 @@
+/**
+ * Address books, their members and what each member's role allows.
+ *
+ * Every contact lives in one address book. A user sees the books they are a member of,
+ * with one of three roles:
+ *   - owner:  everything an editor can do, plus renaming or deleting the book and managing its members.
+ *   - editor: add, edit and delete contacts.
+ *   - viewer: read the contacts only.
+ * Each account starts with a personal book it owns (DEFAULT_BOOK_NAME).
+ */
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Which roles may do what
+const PERMISSIONS = {
+    read: ['owner', 'editor', 'viewer'],
+    write: ['owner', 'editor'],
+    manage: ['owner']
+};
+
+const DEFAULT_BOOK_NAME = 'My contacts';
+const NAME_MAX_LENGTH = 100;
+
+/**
+ * @param {string} role - A member's role.
+ * @param {string} permission - 'read', 'write' or 'manage'.
+ * @returns {boolean}
+ */
+function can(role, permission) {
+    return PERMISSIONS[permission].includes(role);
+}
+
+/**
+ * Checks the body of a request creating or renaming a book.
+ *
+ * @param {Object} input - The request body.
+ * @returns {{ value: { name }, errors: Array<{ field: string, message: string }> }}
+ */
+function validateBook(input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const name = typeof source.name === 'string' ? source.name.trim() : '';
+    const errors = [];
+
+    if (!name) {
+        errors.push({ field: 'name', message: 'Name is required' });
+    } else if (name.length > NAME_MAX_LENGTH) {
+        errors.push({ field: 'name', message: `Name must be at most ${NAME_MAX_LENGTH} characters` });
+    }
+
+    return { value: { name }, errors };
+}
+
+/**
+ * Checks the body of a request adding a member ({ email, role }) or changing a role ({ role }).
+ *
+ * @param {Object} input - The request body.
+ * @param {Object} [options]
+ * @param {boolean} [options.requireEmail=false] - True when adding a member.
+ * @returns {{ value: { email?, role }, errors: Array<{ field: string, message: string }> }}
+ */
+function validateMember(input, { requireEmail = false } = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = { role: source.role };
+    const errors = [];
+
+    if (requireEmail) {
+        value.email = typeof source.email === 'string' ? source.email.trim().toLowerCase() : '';
+        if (!value.email) errors.push({ field: 'email', message: 'Email address is required' });
+    }
+    if (!ROLES.includes(source.role)) {
+        errors.push({ field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    return { value, errors };
+}
+
+module.exports = { ROLES, DEFAULT_BOOK_NAME, can, validateBook, validateMember };
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const ContactSchema = require('../js/ContactSchema');
+
+/**
+ * Password hashing, credential checks and cookie-based login sessions.
+ *
+ * Passwords are hashed with scrypt and a random salt per user. A login creates a session:
+ * a random token is sent to the browser in an HttpOnly cookie, and only its SHA-256 hash
+ * is stored, so a leaked sessions table can't be used to log in.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const SESSION_COOKIE = 'sid';
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+
+/**
+ * Hashes a password for storage.
+ *
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$hash" (salt and hash in base64).
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a hash from hashPassword(), in constant time.
+ *
+ * @param {string} password
+ * @param {string} stored - The stored hash.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt') return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the email is unknown, so a failed login takes as long either way
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Checks an email and password, like ContactSchema.validate() does for contacts.
+ *
+ * @param {Object} input - The request body.
+ * @param {Object} [options]
+ * @param {boolean} [options.newPassword=false] - Enforce the length rules (registration).
+ *   Logins only require both fields, so a rule change never locks anyone out.
+ * @returns {{ value: { email, password }, errors: Array<{ field: string, message: string }> }}
+ */
+function validateCredentials(input, { newPassword = false } = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const email = typeof source.email === 'string' ? source.email.trim().toLowerCase() : '';
+    const password = typeof source.password === 'string' ? source.password : '';
+    const errors = [];
+
+    if (!email) {
+        errors.push({ field: 'email', message: 'Email address is required' });
+    } else if (newPassword && ContactSchema.fields.email.format(email).message) {
+        errors.push({ field: 'email', message: ContactSchema.fields.email.format(email).message });
+    }
+
+    if (!password) {
+        errors.push({ field: 'password', message: 'Password is required' });
+    } else if (newPassword && password.length < PASSWORD_MIN_LENGTH) {
+        errors.push({ field: 'password', message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    } else if (newPassword && password.length > PASSWORD_MAX_LENGTH) {
+        errors.push({ field: 'password', message: `Password must be at most ${PASSWORD_MAX_LENGTH} characters` });
+    }
+
+    return { value: { email, password }, errors };
+}
+
+/**
+ * The part of a user that may be sent to the browser.
+ */
+function toPublicUser(user) {
+    return { id: user.id, email: user.email, createdAt: user.createdAt };
+}
+
+/**
+ * Parses a Cookie header into an object. A value that isn't valid percent-encoding (e.g. a cookie
+ * set by another app on the same host) is kept as it is, rather than failing the request.
+ */
+function parseCookies(header = '') {
+    const cookies = {};
+    header.split(';').forEach((pair) => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            const value = pair.slice(index + 1).trim();
+            try {
+                cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+            } catch (error) {
+                cookies[pair.slice(0, index).trim()] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Starts, reads and ends login sessions.
+ */
+class SessionManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.users - The users repository.
+     * @param {Object} options.sessions - The sessions repository.
+     * @param {number} options.ttlHours - How long a session lasts.
+     * @param {boolean} options.secureCookies - Send the cookie over HTTPS only.
+     */
+    constructor({ users, sessions, ttlHours, secureCookies }) {
+        this.users = users;
+        this.sessions = sessions;
+        this.ttlSeconds = Math.round(ttlHours * 3600);
+        this.secureCookies = secureCookies;
+    }
+
+    _cookie(value, maxAge) {
+        const attributes = [`${SESSION_COOKIE}=${value}`, 'HttpOnly', 'Path=/', 'SameSite=Lax', `Max-Age=${maxAge}`];
+        if (this.secureCookies) attributes.push('Secure');
+        return attributes.join('; ');
+    }
+
+    /**
+     * Looks up the user a request is signed in as.
+     *
+     * @param {http.IncomingMessage} req
+     * @returns {Promise<Object|null>} The user, or null if there is no valid session.
+     */
+    async authenticate(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!token) return null;
+
+        const session = await this.sessions.findValid(hashToken(token));
+        return session ? this.users.findById(session.userId) : null;
+    }
+
+    /**
+     * Checks an email and password.
+     *
+     * @returns {Promise<Object|null>} The user, or null if the credentials are wrong.
+     */
+    async login(email, password) {
+        const user = await this.users.findByEmail(email);
+        const valid = await verifyPassword(password, user ? user.passwordHash : await DUMMY_HASH);
+        return user && valid ? user : null;
+    }
+
+    /**
+     * Creates a session for a user and sets its cookie on the response.
+     *
+     * @param {http.ServerResponse} res
+     * @param {string} userId
+     */
+    async start(res, userId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        await this.sessions.removeExpired();
+        await this.sessions.create({
+            tokenHash: hashToken(token),
+            userId,
+            expiresAt: new Date(Date.now() + this.ttlSeconds * 1000)
+        });
+        res.setHeader('Set-Cookie', this._cookie(token, this.ttlSeconds));
+    }
+
+    /**
+     * Ends the request's session (if any) and clears its cookie.
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async end(req, res) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) await this.sessions.remove(hashToken(token));
+        res.setHeader('Set-Cookie', this._cookie('', 0));
+    }
+}
+
+module.exports = { hashPassword, verifyPassword, validateCredentials, toPublicUser, SessionManager };
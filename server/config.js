@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { DRIVERS } = require('./repositories');
+
+/**
+ * Layered configuration for the server.
+ *
+ * Values are resolved in three layers, each one overriding the previous:
+ *   1. DEFAULTS below.
+ *   2. A JSON config file: `config.json` in the project root, or the path in CONFIG_FILE.
+ *   3. Environment variables (see ENV_VARS below).
+ *
+ * The result is validated once at startup; any problem is reported as a ConfigError
+ * listing every invalid setting, so a bad deployment fails fast with a clear message.
+ */
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const DEFAULTS = {
+    port: 3000,
+    cors: {
+        // Other origins whose pages may call the API: a comma-separated list, or '*' for any
+        // (without the session cookie). Empty (the default) allows none, as the server serves the front end itself.
+        origin: ''
+    },
+    db: {
+        driver: 'mysql',
+        file: 'data/contacts.json',
+        // Apply pending migrations at startup instead of refusing to start.
+        // Always on for the 'memory' driver, which starts empty on every run.
+        autoMigrate: false,
+        mysql: {
+            host: 'localhost',
+            port: 3306,
+            user: 'root',
+            password: '',
+            database: 'AntigravityMVC'
+        }
+    },
+    auth: {
+        // How long a login lasts, in hours.
+        sessionTtlHours: 168,
+        // Mark the session cookie Secure (sent over HTTPS only). Turn on in production.
+        secureCookies: false
+    },
+    log: {
+        // Log every request (method, URL, status and duration) to the console.
+        requests: true
+    },
+    client: {
+        // Base URL the browser uses to reach the API. Derived from `port` when empty.
+        apiBaseUrl: '',
+        // Show contact changes immediately and roll them back if the API call fails.
+        optimisticUpdates: false
+    }
+};
+
+/**
+ * Environment variables and the config path each one sets.
+ * Numeric settings are converted by validate(), not here.
+ */
+const ENV_VARS = {
+    PORT: 'port',
+    CORS_ORIGIN: 'cors.origin',
+    DB_DRIVER: 'db.driver',
+    DB_FILE: 'db.file',
+    DB_AUTO_MIGRATE: 'db.autoMigrate',
+    DB_HOST: 'db.mysql.host',
+    DB_PORT: 'db.mysql.port',
+    DB_USER: 'db.mysql.user',
+    DB_PASSWORD: 'db.mysql.password',
+    DB_NAME: 'db.mysql.database',
+    SESSION_TTL_HOURS: 'auth.sessionTtlHours',
+    SECURE_COOKIES: 'auth.secureCookies',
+    LOG_REQUESTS: 'log.requests',
+    API_BASE_URL: 'client.apiBaseUrl',
+    OPTIMISTIC_UPDATES: 'client.optimisticUpdates'
+};
+
+/**
+ * Raised when the configuration can't be loaded or is invalid.
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array<string>} problems - One human-readable message per invalid setting.
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Whether a value is a plain object (as opposed to an array, null or a scalar).
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merges `source` into a copy of `target`. Arrays and scalars are replaced, not merged.
+ * Nested objects are copied too, so validate() can normalize the result without touching DEFAULTS.
+ */
+function deepMerge(target, source) {
+    const result = {};
+    for (const [key, value] of Object.entries(target)) {
+        result[key] = isObject(value) ? deepMerge(value, {}) : value;
+    }
+    for (const [key, value] of Object.entries(source || {})) {
+        result[key] = isObject(value) ? deepMerge(isObject(result[key]) ? result[key] : {}, value) : value;
+    }
+    return result;
+}
+
+/**
+ * Sets a dotted path (e.g. 'db.mysql.host') on an object, creating intermediate objects.
+ */
+function setPath(object, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = object;
+    keys.slice(0, -1).forEach((key) => {
+        node[key] = node[key] || {};
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Reads the JSON config file, if there is one.
+ *
+ * @param {string|undefined} explicitPath - Path from CONFIG_FILE; it must exist when given.
+ * @returns {Object} The parsed file, or an empty object when no file is used.
+ */
+function readConfigFile(explicitPath) {
+    const filePath = path.resolve(PROJECT_ROOT, explicitPath || 'config.json');
+
+    if (!fs.existsSync(filePath)) {
+        if (explicitPath) {
+            throw new ConfigError([`CONFIG_FILE points to "${filePath}", which does not exist`]);
+        }
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Could not parse config file "${filePath}": ${error.message}`]);
+    }
+}
+
+/**
+ * Builds the environment-variable layer.
+ *
+ * @param {Object} env - Usually process.env.
+ * @returns {Object} A partial config containing only the variables that are set.
+ */
+function readEnv(env) {
+    const layer = {};
+    for (const [name, configPath] of Object.entries(ENV_VARS)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(layer, configPath, env[name]);
+        }
+    }
+    return layer;
+}
+
+/**
+ * Parses a TCP port number, recording a problem if it isn't one.
+ */
+function toPort(value, name, problems) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        problems.push(`${name} must be a port number between 0 and 65535 (got "${value}")`);
+    }
+    return port;
+}
+
+/**
+ * Parses a boolean given as a JSON boolean or an environment string, recording a problem if it isn't one.
+ */
+function toBoolean(value, name, problems) {
+    if (typeof value === 'boolean') return value;
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+    problems.push(`${name} must be true or false (got "${value}")`);
+    return false;
+}
+
+// The nested objects of DEFAULTS, which a config file or an environment variable could replace with a scalar
+const SECTIONS = ['cors', 'db', 'db.mysql', 'auth', 'log', 'client'];
+
+/**
+ * Checks the merged config and normalizes its types.
+ *
+ * @param {Object} config - The merged config.
+ * @returns {Object} The validated config.
+ * @throws {ConfigError} If any setting is invalid.
+ */
+function validate(config) {
+    const problems = [];
+
+    // The checks below read inside each section, so one that isn't an object (e.g. `"db": null`) is
+    // reported on its own first. A section inside one that is already reported is skipped.
+    SECTIONS.forEach((section) => {
+        const keys = section.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => node[key], config);
+        const value = isObject(parent) ? parent[keys[keys.length - 1]] : {};
+        if (!isObject(value)) problems.push(`${section} must be an object (got ${JSON.stringify(value)})`);
+    });
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    config.port = toPort(config.port, 'port', problems);
+
+    if (typeof config.cors.origin !== 'string') {
+        problems.push('cors.origin must be "*", a comma-separated list of origins, or empty');
+    }
+
+    if (!DRIVERS.includes(config.db.driver)) {
+        problems.push(`db.driver must be one of ${DRIVERS.join(', ')} (got "${config.db.driver}")`);
+    }
+
+    config.db.autoMigrate = toBoolean(config.db.autoMigrate, 'db.autoMigrate', problems);
+
+    if (config.db.driver === 'file' && !config.db.file) {
+        problems.push('db.file is required when db.driver is "file"');
+    }
+
+    if (config.db.driver === 'mysql') {
+        const mysql = config.db.mysql;
+        mysql.port = toPort(mysql.port, 'db.mysql.port', problems);
+        ['host', 'user', 'database'].forEach((key) => {
+            if (!mysql[key]) problems.push(`db.mysql.${key} is required when db.driver is "mysql"`);
+        });
+    }
+
+    const ttl = Number(config.auth.sessionTtlHours);
+    if (!(ttl > 0)) {
+        problems.push(`auth.sessionTtlHours must be a positive number of hours (got "${config.auth.sessionTtlHours}")`);
+    }
+    config.auth.sessionTtlHours = ttl;
+    config.auth.secureCookies = toBoolean(config.auth.secureCookies, 'auth.secureCookies', problems);
+
+    config.log.requests = toBoolean(config.log.requests, 'log.requests', problems);
+
+    config.client.optimisticUpdates = toBoolean(config.client.optimisticUpdates, 'client.optimisticUpdates', problems);
+
+    if (config.client.apiBaseUrl) {
+        try {
+            new URL(config.client.apiBaseUrl);
+        } catch (error) {
+            problems.push(`client.apiBaseUrl must be an absolute URL (got "${config.client.apiBaseUrl}")`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+/**
+ * Loads, merges and validates the configuration.
+ *
+ * @param {Object} [env=process.env] - Environment variables to read.
+ * @returns {Object} The final config.
+ * @throws {ConfigError} If the config file is unreadable or any setting is invalid.
+ */
+function loadConfig(env = process.env) {
+    const merged = [readConfigFile(env.CONFIG_FILE), readEnv(env)]
+        .reduce((config, layer) => deepMerge(config, layer), DEFAULTS);
+
+    return validate(merged);
+}
+
+/**
+ * The subset of the config the browser is allowed to see.
+ * Never add secrets here: this is sent to every visitor.
+ *
+ * @param {Object} config - The validated server config.
+ * @param {Object} [options]
+ * @param {boolean} [options.sameOrigin=false] - The page is served by the API server itself, so by
+ *   default the API is reached at '/api' on whatever host the page was loaded from.
+ * @returns {{ apiBaseUrl: string, optimisticUpdates: boolean }}
+ */
+function getClientConfig(config, { sameOrigin = false } = {}) {
+    const defaultApiBaseUrl = sameOrigin ? '/api' : `http://localhost:${config.port}/api`;
+    return {
+        apiBaseUrl: (config.client.apiBaseUrl || defaultApiBaseUrl).replace(/\/+$/, ''),
+        optimisticUpdates: config.client.optimisticUpdates
+    };
+}
+
+module.exports = { loadConfig, getClientConfig, ConfigError, PROJECT_ROOT };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+// How long a browser waits before reconnecting a dropped stream, and how often an idle stream is pinged
+const RETRY_MS = 3000;
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Streams the changes made to an address book's contacts to every tab that has the book open,
+ * as Server-Sent Events (GET /api/contacts/events).
+ *
+ * Each event is { type: 'created'|'updated'|'deleted'|'restored', contact }. Tabs identify
+ * themselves with a client ID, sent with their own requests too, so a change isn't echoed back
+ * to the tab that made it. The latest events of each book are kept, so a tab that reconnects
+ * (with the ID of the last event it got) is sent what it missed; when that is no longer known,
+ * it gets a 'resync' event and reloads instead.
+ *
+ * The events live in this process: with several server processes, each only streams its own changes.
+ */
+class ContactEventHub {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.historySize=500] - How many of a book's latest events are kept for reconnecting tabs.
+     */
+    constructor({ historySize = 500 } = {}) {
+        this.historySize = historySize;
+
+        // Event IDs are `<stream>-<n>`. A restarted server starts another stream, so
+        // tabs connected before it know they can't catch up and must reload.
+        this.stream = crypto.randomUUID().slice(0, 8);
+
+        // bookId -> { seq, history: [{ seq, clientId, data }], clients: Set<{ userId, clientId, res, heartbeat }> }
+        this.books = new Map();
+    }
+
+    _book(bookId) {
+        if (!this.books.has(bookId)) {
+            this.books.set(bookId, { seq: 0, history: [], clients: new Set() });
+        }
+        return this.books.get(bookId);
+    }
+
+    /**
+     * Stops streaming to a tab: it gets no more events or pings, whether or not its connection
+     * has closed yet.
+     */
+    _remove(book, client) {
+        clearInterval(client.heartbeat);
+        book.clients.delete(client);
+    }
+
+    /**
+     * Writes an event to a tab, unless the tab made the change itself.
+     */
+    _send(client, entry) {
+        if (entry.clientId && entry.clientId === client.clientId) return;
+        client.res.write(`id: ${this.stream}-${entry.seq}\nevent: contact\ndata: ${entry.data}\n\n`);
+    }
+
+    /**
+     * Tells the book's open tabs about a change to one of its contacts.
+     *
+     * @param {string} bookId
+     * @param {Object} event - { type, contact }
+     * @param {string} [clientId] - The tab that made the change (the request's X-Client-Id header).
+     */
+    publish(bookId, event, clientId = null) {
+        const book = this._book(bookId);
+        const entry = { seq: ++book.seq, clientId, data: JSON.stringify(event) };
+
+        book.history.push(entry);
+        if (book.history.length > this.historySize) book.history.shift();
+        book.clients.forEach((client) => this._send(client, entry));
+    }
+
+    /**
+     * Answers a request with the stream of a book's events, until the tab disconnects.
+     *
+     * @param {string} bookId
+     * @param {Object} client
+     * @param {string} client.userId - The signed-in user, so their streams can be ended (see close()).
+     * @param {string} [client.clientId] - The tab's ID.
+     * @param {string} [client.lastEventId] - The last event the tab got before it was disconnected.
+     * @param {http.ServerResponse} res
+     */
+    subscribe(bookId, { userId, clientId = null, lastEventId = null }, res) {
+        const book = this._book(bookId);
+        const client = { userId, clientId, res, heartbeat: null };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Keep reverse proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        // Catch up on what the tab missed, or tell it to reload when that is no longer known
+        if (lastEventId) {
+            const separator = lastEventId.lastIndexOf('-');
+            const stream = lastEventId.slice(0, separator);
+            const seq = Number(lastEventId.slice(separator + 1));
+            const oldest = book.history.length > 0 ? book.history[0].seq : book.seq + 1;
+
+            if (stream !== this.stream || !Number.isInteger(seq) || seq > book.seq || seq < oldest - 1) {
+                res.write(`id: ${this.stream}-${book.seq}\nevent: resync\ndata: {}\n\n`);
+            } else {
+                book.history.filter((entry) => entry.seq > seq).forEach((entry) => this._send(client, entry));
+            }
+        }
+
+        book.clients.add(client);
+        client.heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+        res.on('close', () => this._remove(book, client));
+    }
+
+    /**
+     * Ends the streams of a book that was deleted, or of a member who was removed from it.
+     *
+     * @param {string} bookId
+     * @param {string} [userId] - Only end this user's streams (default: everyone's, and forget the book).
+     */
+    close(bookId, userId) {
+        const book = this.books.get(bookId);
+        if (!book) return;
+
+        book.clients.forEach((client) => {
+            if (userId && client.userId !== userId) return;
+            this._remove(book, client);
+            client.res.end();
+        });
+        if (!userId) this.books.delete(bookId);
+    }
+
+    /**
+     * Ends every stream, e.g. when the server shuts down.
+     */
+    closeAll() {
+        [...this.books.keys()].forEach((bookId) => this.close(bookId));
+    }
+}
+
+module.exports = { ContactEventHub };
@@ -0,0 +1,482 @@
+/**
+ * Reading and writing contacts as CSV and vCard, for import and export.
+ *
+ * CSV follows RFC 4180 (quoted fields, doubled quotes, CRLF rows); files using ';' or tabs
+ * as separators, as some spreadsheet exports do, are detected too. vCard 3.0 and 4.0 are read
+ * (RFC 2426 / RFC 6350); exports are written as vCard 3.0, which every address book app imports.
+ *
+ * Parsing only extracts raw contact values. Validation is left to ContactSchema,
+ * so imported contacts follow exactly the same rules as contacts entered in the form.
+ * CSV holds one email address and phone number per contact (the primary ones);
+ * vCards hold all of them, with their labels, and postal addresses.
+ */
+
+const ContactSchema = require('../js/ContactSchema');
+
+const CSV_SEPARATORS = [',', ';', '\t'];
+
+// Header names (lower-cased) that are recognized for each field when no mapping is given.
+// They cover this app's own export and the usual Google, Outlook and Apple exports.
+const CSV_ALIASES = {
+    name: ['name', 'full name', 'display name', 'fn', 'contact name'],
+    email: ['email', 'e-mail', 'email address', 'e-mail address', 'e-mail 1 - value', 'email 1', 'primary email'],
+    phone: ['phone', 'telephone', 'phone number', 'mobile', 'mobile phone', 'cell', 'phone 1 - value',
+        'primary phone', 'business phone', 'home phone'],
+    company: ['company', 'organization', 'organisation', 'organization 1 - name'],
+    title: ['title', 'job title', 'organization 1 - title'],
+    birthday: ['birthday', 'date of birth'],
+    notes: ['notes', 'note']
+};
+
+// Labels of email addresses and phone numbers, and the vCard TYPE values they are written as.
+// Other TYPE values (e.g. "voice", "internet") are read as 'other'.
+const VCARD_EMAIL_TYPES = { home: 'HOME', work: 'WORK', other: 'INTERNET' };
+const VCARD_PHONE_TYPES = { mobile: 'CELL', home: 'HOME', work: 'WORK', other: 'VOICE' };
+const VCARD_ADDRESS_TYPES = { home: 'HOME', work: 'WORK', other: 'POSTAL' };
+
+// ADR components after the post office box and extended address, by address field
+const VCARD_ADDRESS_PARTS = ['street', 'city', 'region', 'postalCode', 'country'];
+
+// Header pairs combined into a name when a file has no full-name column
+const CSV_NAME_PARTS = [
+    ['first name', 'last name'],
+    ['given name', 'family name']
+];
+
+// ==========================================
+// CSV
+// ==========================================
+
+/**
+ * Picks the separator that occurs most often (outside quotes) in the header line.
+ */
+function detectSeparator(text) {
+    const counts = new Map(CSV_SEPARATORS.map((separator) => [separator, 0]));
+    let quoted = false;
+
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === '\n' || char === '\r')) break;
+        else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Parses CSV text into rows of fields.
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>} The rows, header included. Blank lines are skipped.
+ */
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const separator = detectSeparator(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Guesses which columns hold the name, email, phone and other fields, from the header names.
+ *
+ * @param {Array<string>} columns - The header row.
+ * @returns {Object} A mapping of field -> column name, or for the name possibly an array of
+ *   columns to join (e.g. ["First Name", "Last Name"]). Fields with no matching column are left out.
+ */
+function detectCsvMapping(columns) {
+    const byLowerName = new Map(columns.map((column) => [column.trim().toLowerCase(), column]));
+    const mapping = {};
+
+    Object.entries(CSV_ALIASES).forEach(([field, aliases]) => {
+        const alias = aliases.find((candidate) => byLowerName.has(candidate));
+        if (alias) mapping[field] = byLowerName.get(alias);
+    });
+
+    if (!mapping.name) {
+        const parts = CSV_NAME_PARTS.find((pair) => pair.every((part) => byLowerName.has(part)));
+        if (parts) mapping.name = parts.map((part) => byLowerName.get(part));
+    }
+    return mapping;
+}
+
+/**
+ * Checks a client-supplied mapping against the file's columns.
+ *
+ * @param {Object} mapping - field -> column name (or array of column names).
+ * @param {Array<string>} columns
+ * @returns {Array<string>} One message per problem.
+ */
+function checkCsvMapping(mapping, columns) {
+    const problems = [];
+    Object.keys(CSV_ALIASES).forEach((field) => {
+        const value = mapping[field];
+        if (value === undefined || value === null || value === '') return;
+
+        const names = Array.isArray(value) ? value : [value];
+        names.filter((name) => !columns.includes(name)).forEach((name) => {
+            problems.push(`mapping.${field}: the file has no column "${name}"`);
+        });
+    });
+    return problems;
+}
+
+/**
+ * Turns parsed CSV rows into raw contact values using a column mapping.
+ *
+ * @param {Array<Array<string>>} rows - Data rows (without the header).
+ * @param {Array<string>} columns - The header row.
+ * @param {Object} mapping - See detectCsvMapping().
+ * @returns {Array<Object>} One { name, email, phone, company, title, birthday, notes } per row;
+ *   unmapped fields are empty.
+ */
+function csvRowsToContacts(rows, columns, mapping) {
+    const read = (row, value) => {
+        if (!value) return '';
+        const names = Array.isArray(value) ? value : [value];
+        return names
+            .map((name) => row[columns.indexOf(name)] || '')
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .join(' ');
+    };
+
+    return rows.map((row) => {
+        const contact = {};
+        Object.keys(CSV_ALIASES).forEach((field) => {
+            contact[field] = read(row, mapping[field]);
+        });
+        return contact;
+    });
+}
+
+/**
+ * Quotes a CSV field when needed. Text a spreadsheet would run as a formula gets a leading
+ * apostrophe; phone numbers such as "+15550109999" are left alone.
+ */
+function csvField(value) {
+    let text = String(value === undefined || value === null ? '' : value);
+    if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]*$)/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} contacts
+ * @returns {string} CSV with a "Name,Email,Phone,Company,Title,Birthday,Notes" header, CRLF line endings.
+ *   Email and Phone are the primary ones.
+ */
+function toCsv(contacts) {
+    const lines = [['Name', 'Email', 'Phone', 'Company', 'Title', 'Birthday', 'Notes']]
+        .concat(contacts.map((contact) => [
+            contact.name, contact.email, contact.phone,
+            contact.company, contact.title, contact.birthday, contact.notes
+        ]))
+        .map((fields) => fields.map(csvField).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// ==========================================
+// VCARD
+// ==========================================
+
+/**
+ * Reverses vCard text escaping (\n, \, \; \\).
+ */
+function unescapeVCardText(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function escapeVCardText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/,/g, '\\,').replace(/;/g, '\\;');
+}
+
+/**
+ * Splits one content line ("item1.EMAIL;TYPE=work:jane@example.com") into its parts.
+ *
+ * @returns {{ name: string, params: Object, value: string }|null}
+ */
+function parseVCardLine(line) {
+    // The value starts at the first colon that isn't inside a quoted parameter value
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach((param) => {
+        const [key, ...rest] = param.split('=');
+        // vCard 2.1-style bare types ("TEL;CELL") count as TYPE values
+        const name = rest.length > 0 ? key.toUpperCase() : 'TYPE';
+        const value = (rest.length > 0 ? rest.join('=') : key).replace(/"/g, '').toLowerCase();
+        params[name] = params[name] ? `${params[name]},${value}` : value;
+    });
+
+    return { name: rawName.split('.').pop().toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Orders EMAIL or TEL properties with the preferred one (TYPE=pref or the lowest PREF) first.
+ * Array.prototype.sort is stable, so the others keep their order.
+ */
+function byPreference(properties) {
+    const rank = (property) => {
+        if (property.params.PREF) return Number(property.params.PREF) || 100;
+        return (property.params.TYPE || '').split(',').includes('pref') ? 1 : 100;
+    };
+    return properties.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * The label for a property's TYPE values, e.g. "work,voice" -> 'work'.
+ *
+ * @param {Object} property
+ * @param {Object} types - label -> vCard TYPE, e.g. VCARD_PHONE_TYPES.
+ */
+function vCardLabel(property, types) {
+    const values = (property.params.TYPE || '').split(',');
+    const label = Object.keys(types).find((candidate) => candidate !== 'other' && values.includes(types[candidate].toLowerCase()));
+    return label || 'other';
+}
+
+/**
+ * Splits a structured value (N, ADR, ORG) into its ';'-separated components.
+ */
+function vCardComponents(value) {
+    return value.split(/(?<!\\);/).map((part) => unescapeVCardText(part).trim());
+}
+
+/**
+ * Reads a BDAY value ("1990-04-25", "19900425" or a date-time) as YYYY-MM-DD.
+ * Anything else is passed on as is, for ContactSchema to reject.
+ */
+function vCardDate(value) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})(T.*)?$/.exec(value.trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : value.trim();
+}
+
+/**
+ * Parses a file of one or more vCards.
+ *
+ * @param {string} text
+ * @returns {Array<{ contact: Object, errors: Array<Object> }>} One entry per card: its raw
+ *   contact values (all email addresses and phone numbers, the preferred one first), and
+ *   { field, message } problems that make the card unusable (e.g. an unsupported version).
+ */
+function parseVCards(text) {
+    // Unfold continuation lines (a line break followed by a space or tab)
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const cards = [];
+    let properties = null;
+
+    lines.forEach((line) => {
+        const property = parseVCardLine(line.trim());
+        if (!property) return;
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+            properties = [];
+        } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD' && properties) {
+            cards.push(properties);
+            properties = null;
+        } else if (properties) {
+            properties.push(property);
+        }
+    });
+
+    return cards.map((card) => {
+        const find = (name) => card.filter((property) => property.name === name);
+        const version = (find('VERSION')[0] || {}).value;
+        const errors = ['3.0', '4.0'].includes(version)
+            ? []
+            : [{ field: 'version', message: `Unsupported vCard version ${version || '(none)'}; use 3.0 or 4.0` }];
+
+        let name = find('FN').map((property) => unescapeVCardText(property.value).trim()).find(Boolean) || '';
+        if (!name && find('N').length > 0) {
+            // N is family;given;additional;prefix;suffix
+            const [family = '', given = ''] = vCardComponents(find('N')[0].value);
+            name = [given, family].filter(Boolean).join(' ');
+        }
+
+        const emails = byPreference(find('EMAIL')).map((property) => ({
+            label: vCardLabel(property, VCARD_EMAIL_TYPES),
+            value: unescapeVCardText(property.value).trim()
+        }));
+        const phones = byPreference(find('TEL')).map((property) => ({
+            label: vCardLabel(property, VCARD_PHONE_TYPES),
+            // vCard 4.0 may give phone numbers as "tel:" URIs
+            value: unescapeVCardText(property.value).replace(/^tel:/i, '').trim()
+        }));
+        const addresses = find('ADR').map((property) => {
+            // ADR is post office box;extended address;street;city;region;postal code;country
+            const parts = vCardComponents(property.value).slice(2);
+            const address = { label: vCardLabel(property, VCARD_ADDRESS_TYPES) };
+            VCARD_ADDRESS_PARTS.forEach((part, index) => {
+                address[part] = parts[index] || '';
+            });
+            return address;
+        });
+        const text = (propertyName) => {
+            const property = find(propertyName)[0];
+            return property ? unescapeVCardText(property.value).trim() : '';
+        };
+
+        return {
+            contact: {
+                name,
+                email: emails.length > 0 ? emails[0].value : '',
+                phone: phones.length > 0 ? phones[0].value : '',
+                emails,
+                phones,
+                addresses,
+                // ORG is organization;unit;...
+                company: find('ORG').length > 0 ? vCardComponents(find('ORG')[0].value)[0] : '',
+                title: text('TITLE'),
+                notes: text('NOTE'),
+                birthday: find('BDAY').length > 0 ? vCardDate(find('BDAY')[0].value) : ''
+            },
+            errors
+        };
+    });
+}
+
+/**
+ * Folds a content line to at most 75 characters per line, as vCard requires.
+ */
+function foldVCardLine(line) {
+    const parts = [];
+    for (let i = 0; i < line.length; i += i === 0 ? 75 : 74) {
+        parts.push(line.slice(i, i === 0 ? 75 : i + 74));
+    }
+    return parts.join('\r\n ');
+}
+
+/**
+ * @param {Array<Object>} contacts
+ * @returns {string} The contacts as vCard 3.0 cards, CRLF line endings.
+ */
+function toVCards(contacts) {
+    return contacts.map((contact) => {
+        const words = contact.name.trim().split(/\s+/);
+        const family = words.length > 1 ? words.pop() : '';
+        // The first email address and phone number are the primary ones
+        const pref = (index) => (index === 0 ? ',PREF' : '');
+
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escapeVCardText(contact.name)}`,
+            `N:${escapeVCardText(family)};${escapeVCardText(words.join(' '))};;;`,
+            ...contact.emails.map((email, index) => {
+                const type = VCARD_EMAIL_TYPES[email.label] || VCARD_EMAIL_TYPES.other;
+                const types = type === VCARD_EMAIL_TYPES.other ? type : `${VCARD_EMAIL_TYPES.other},${type}`;
+                return `EMAIL;TYPE=${types}${pref(index)}:${escapeVCardText(email.value)}`;
+            }),
+            ...contact.phones.map((phone, index) => {
+                const type = VCARD_PHONE_TYPES[phone.label] || VCARD_PHONE_TYPES.other;
+                return `TEL;TYPE=${type}${pref(index)}:${escapeVCardText(phone.value)}`;
+            }),
+            ...contact.addresses.map((address) => `ADR;TYPE=${VCARD_ADDRESS_TYPES[address.label] || VCARD_ADDRESS_TYPES.other}:;;` +
+                VCARD_ADDRESS_PARTS.map((part) => escapeVCardText(address[part] || '')).join(';')),
+            ...(contact.company ? [`ORG:${escapeVCardText(contact.company)}`] : []),
+            ...(contact.title ? [`TITLE:${escapeVCardText(contact.title)}`] : []),
+            ...(contact.birthday ? [`BDAY:${contact.birthday}`] : []),
+            ...(contact.notes ? [`NOTE:${escapeVCardText(contact.notes)}`] : []),
+            `UID:${contact.id}`,
+            `REV:${contact.updatedAt}`,
+            'END:VCARD'
+        ];
+        return lines.map(foldVCardLine).join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+// ==========================================
+// IMPORT
+// ==========================================
+
+/**
+ * Validates parsed contacts and sorts out which of them can be imported.
+ * A contact is a duplicate when its email (case-insensitively) is already used by a contact
+ * in the book or by an earlier contact in the same file.
+ *
+ * @param {Array<{ contact: Object, errors?: Array<Object> }>} entries - Raw values per contact,
+ *   with any problems found while parsing.
+ * @param {Array<Object>} existing - The contacts already in the address book.
+ * @returns {Array<Object>} One result per entry: { row, status, contact, errors, duplicateOf }.
+ *   `row` counts from 1; `status` is 'new', 'duplicate' or 'invalid'; `contact` holds the
+ *   normalized fields (raw values for invalid rows); `duplicateOf` is { id, name } for a contact
+ *   in the book or { row } for an earlier row.
+ */
+function planImport(entries, existing) {
+    const seen = new Map(existing.map((contact) => [contact.email.toLowerCase(), { id: contact.id, name: contact.name }]));
+
+    return entries.map((entry, index) => {
+        const row = index + 1;
+        const { value, errors } = ContactSchema.validate(entry.contact);
+        const problems = (entry.errors || []).concat(errors);
+
+        if (problems.length > 0) {
+            return { row, status: 'invalid', contact: entry.contact, errors: problems };
+        }
+
+        const key = value.email.toLowerCase();
+        if (seen.has(key)) {
+            return { row, status: 'duplicate', contact: value, duplicateOf: seen.get(key) };
+        }
+        seen.set(key, { row });
+        return { row, status: 'new', contact: value };
+    });
+}
+
+module.exports = {
+    parseCsv,
+    detectCsvMapping,
+    checkCsvMapping,
+    csvRowsToContacts,
+    toCsv,
+    parseVCards,
+    toVCards,
+    planImport
+};
@@ -0,0 +1,71 @@
+/**
+ * The history of a contact: every create, update, delete and restore is recorded by the contact
+ * repositories, with who made it, when, the contact as it was afterwards and what changed.
+ * Deleted contacts stay in their book's trash, so their history (and the contact) can be restored.
+ */
+
+const crypto = require('crypto');
+
+// The fields a history entry keeps and compares; the rest (id, timestamps, version) is metadata
+const HISTORY_FIELDS = ['name', 'emails', 'phones', 'addresses', 'company', 'title', 'birthday', 'notes', 'tagIds'];
+
+/**
+ * @param {Object} contact - A contact as returned by a repository.
+ * @returns {Object} Its fields, as restoring it would need them.
+ */
+function snapshotOf(contact) {
+    const snapshot = {};
+    HISTORY_FIELDS.forEach((field) => {
+        snapshot[field] = structuredClone(contact[field] === undefined ? null : contact[field]);
+    });
+    return snapshot;
+}
+
+/**
+ * Compares two versions of a contact field by field.
+ *
+ * @param {Object|null} before - null for a new contact.
+ * @param {Object} after
+ * @returns {Object} { field: { before, after } } for every field that changed.
+ */
+function diffContacts(before, after) {
+    const changes = {};
+    const old = before ? snapshotOf(before) : {};
+    const current = snapshotOf(after);
+    const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+    HISTORY_FIELDS.forEach((field) => {
+        if (isEmpty(old[field]) && isEmpty(current[field])) return;
+        if (JSON.stringify(old[field]) === JSON.stringify(current[field])) return;
+        changes[field] = { before: old[field] === undefined ? null : old[field], after: current[field] };
+    });
+    return changes;
+}
+
+/**
+ * Builds the history entry for a change to a contact.
+ *
+ * @param {Object} change
+ * @param {string} change.action - 'create', 'update', 'delete', 'restore' (from the trash) or 'revert' (to an older version).
+ * @param {Object|null} change.before - The contact before the change (null when it was created).
+ * @param {Object} change.after - The contact after it (for a delete, the contact as it was deleted).
+ * @param {string} [change.userId] - Who made the change.
+ * @param {number} [change.revertedTo] - For a 'revert', the version the contact was set back to.
+ * @returns {Object} { id, contactId, bookId, userId, action, version, changes, snapshot, revertedTo, createdAt }
+ */
+function createHistoryEntry({ action, before, after, userId = null, revertedTo = null }) {
+    return {
+        id: crypto.randomUUID(),
+        contactId: after.id,
+        bookId: after.bookId,
+        userId,
+        action,
+        version: after.version,
+        changes: action === 'delete' || action === 'restore' ? {} : diffContacts(before, after),
+        snapshot: snapshotOf(after),
+        revertedTo,
+        createdAt: new Date().toISOString()
+    };
+}
+
+module.exports = { HISTORY_FIELDS, snapshotOf, diffContacts, createHistoryEntry };
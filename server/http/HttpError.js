@@ -0,0 +1,21 @@
+/**
+ * An error that becomes an HTTP response. Thrown anywhere in a route's chain, it is turned by the
+ * errorHandler middleware into `status` with the JSON body { error: message, ...details }.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - The HTTP status code, e.g. 404.
+     * @param {string} message - Sent as `error`.
+     * @param {Object} [details] - More fields for the body, e.g. { errors } for a validation failure.
+     * @param {Object} [headers] - Headers to send with it, e.g. { Allow } for a 405.
+     */
+    constructor(status, message, details = {}, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+module.exports = HttpError;
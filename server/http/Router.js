@@ -0,0 +1,146 @@
+const HttpError = require('./HttpError');
+const { sendJson } = require('./middleware');
+
+/**
+ * Turns a path pattern such as '/api/books/:bookId/members/:userId' into a regular
+ * expression whose named groups are the parameters. A parameter matches one path segment.
+ */
+function compilePattern(pattern) {
+    const source = pattern
+        .split('/')
+        .map((segment) => segment.startsWith(':')
+            ? `(?<${segment.slice(1)}>[^/]+)`
+            : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('/');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * A small request router with a middleware chain.
+ *
+ * Middleware and route handlers are all `async (req, res, next)`: each one either answers the
+ * request or awaits next() to hand it on, so middleware can act before and after the rest of the
+ * chain (e.g. catch its errors). Before the chain runs, the router sets:
+ *   - req.path:   the URL's path, e.g. '/api/contacts/3f2b...'
+ *   - req.query:  its query string (URLSearchParams)
+ *   - req.params: the path parameters, e.g. { id: '3f2b...' }
+ *   - req.route:  the matched route ({ method, pattern, options }), or null
+ *
+ * Every request goes through the middleware added with use(), matched or not. A path no route
+ * matches ends in a 404, and a method the path doesn't support in a 405 (with an Allow header),
+ * both thrown as HttpErrors at the end of the chain.
+ */
+class Router {
+    constructor() {
+        this.middleware = [];
+        this.routes = [];
+    }
+
+    /**
+     * Adds middleware run for every request, in the order added.
+     *
+     * @param {...Function} handlers
+     * @returns {Router}
+     */
+    use(...handlers) {
+        this.middleware.push(...handlers);
+        return this;
+    }
+
+    /**
+     * Adds a route. The first pattern that matches a path owns it, so register static paths
+     * before the parameterized ones they overlap (e.g. /api/contacts/trash before /api/contacts/:id).
+     *
+     * @param {string} method - e.g. 'GET'.
+     * @param {string} pattern - e.g. '/api/contacts/:id'.
+     * @param {...(Object|Function)} handlers - Optionally an options object first (read by
+     *   middleware through req.route.options, e.g. { bodyLimit }), then route middleware and the handler.
+     * @returns {Router}
+     */
+    route(method, pattern, ...handlers) {
+        const options = typeof handlers[0] === 'object' ? handlers.shift() : {};
+        this.routes.push({ method, pattern, regexp: compilePattern(pattern), options, handlers });
+        return this;
+    }
+
+    get(pattern, ...handlers) {
+        return this.route('GET', pattern, ...handlers);
+    }
+
+    post(pattern, ...handlers) {
+        return this.route('POST', pattern, ...handlers);
+    }
+
+    put(pattern, ...handlers) {
+        return this.route('PUT', pattern, ...handlers);
+    }
+
+    delete(pattern, ...handlers) {
+        return this.route('DELETE', pattern, ...handlers);
+    }
+
+    /**
+     * Finds the route for a request.
+     *
+     * @param {string} method
+     * @param {string} pathname
+     * @returns {{ route: Object|null, params: Object, allowed: Array<string> }} The route and its
+     *   parameters, and the methods the path supports (empty if no route matches it).
+     */
+    match(method, pathname) {
+        const owner = this.routes.find((route) => route.regexp.test(pathname));
+        if (!owner) return { route: null, params: {}, allowed: [] };
+
+        const candidates = this.routes.filter((route) => route.pattern === owner.pattern);
+        const route = candidates.find((candidate) => candidate.method === method) || null;
+        const params = {};
+        try {
+            Object.entries(owner.regexp.exec(pathname).groups || {}).forEach(([name, value]) => {
+                params[name] = decodeURIComponent(value);
+            });
+        } catch (error) {
+            // A malformed escape (e.g. '%E0') can't be any ID we know
+            return { route: null, params: {}, allowed: [] };
+        }
+        return { route, params, allowed: candidates.map((candidate) => candidate.method) };
+    }
+
+    /**
+     * Handles a request: runs the middleware, then the matched route's handlers.
+     * Suitable as the callback of http.createServer().
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        // Only the path and the query are used, so the Host header (a client may send anything) isn't read
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch (error) {
+            // Answered here, as errorHandler's shape: without a path, no middleware can run
+            sendJson(res, 400, { error: 'Malformed request URL' });
+            return;
+        }
+        const { route, params, allowed } = this.match(req.method, url.pathname);
+
+        req.path = url.pathname;
+        req.query = url.searchParams;
+        req.params = params;
+        req.route = route && { method: route.method, pattern: route.pattern, options: route.options };
+
+        const endpoint = route ? route.handlers : [() => {
+            if (allowed.length === 0) throw new HttpError(404, 'Endpoint not found');
+            throw new HttpError(405, 'Method not allowed', {}, { Allow: allowed.join(', ') });
+        }];
+        const chain = [...this.middleware, ...endpoint];
+
+        const run = async (index) => {
+            if (index < chain.length) await chain[index](req, res, () => run(index + 1));
+        };
+        await run(0);
+    }
+}
+
+module.exports = Router;
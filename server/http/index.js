@@ -0,0 +1,10 @@
+const Router = require('./Router');
+const HttpError = require('./HttpError');
+const { sendJson, requestLogger, errorHandler, cors, jsonBody } = require('./middleware');
+const { serveStatic } = require('./staticFiles');
+
+/**
+ * The HTTP layer the API is built on: a router with path parameters and a middleware chain
+ * (see Router.js), the errors it turns into responses, and the middleware the server uses.
+ */
+module.exports = { Router, HttpError, sendJson, requestLogger, errorHandler, cors, jsonBody, serveStatic };
@@ -0,0 +1,168 @@
+const HttpError = require('./HttpError');
+
+/**
+ * Answers with a JSON body.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} data
+ * @param {Object} [headers]
+ */
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Logs each request once it is answered: method, URL, status and how long it took.
+ * For a stream (e.g. live updates), that is when the stream ends.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.log=console.log]
+ */
+function requestLogger({ log = console.log } = {}) {
+    return async (req, res, next) => {
+        const started = Date.now();
+        res.once('close', () => {
+            const status = res.writableFinished ? res.statusCode : `${res.statusCode} (aborted)`;
+            log(`${req.method} ${req.url} ${status} ${Date.now() - started}ms`);
+        });
+        await next();
+    };
+}
+
+/**
+ * Turns errors thrown by the rest of the chain into JSON responses: an HttpError into its status
+ * and { error, ...details }, anything else into a 500 (logged, without its details).
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.translate] - Maps other known errors to an HttpError (or returns null),
+ *   e.g. a repository's VersionConflictError to a 412.
+ */
+function errorHandler({ translate = () => null } = {}) {
+    return async (req, res, next) => {
+        try {
+            await next();
+        } catch (caught) {
+            const error = caught instanceof HttpError ? caught : translate(caught);
+            if (!error) console.error(`${req.method} ${req.path} failed:`, caught);
+
+            // Too late for an error response: the answer has started (e.g. a stream)
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            if (error) {
+                sendJson(res, error.status, { error: error.message, ...error.details }, error.headers);
+            } else {
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    };
+}
+
+/**
+ * Cross-Origin Resource Sharing, for pages served from other origins. A listed origin is echoed back
+ * with credentials allowed, so the browser sends the session cookie. '*' lets any page read the
+ * answers, but without credentials: otherwise any site could act as the signed-in user. Requests
+ * from other origins get no CORS headers, so browsers don't let those pages read the answers.
+ * Preflight (OPTIONS) requests are answered here.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.origins - Allowed origins; '*' allows any (without the session
+ *   cookie), and none allows only the server's own.
+ * @param {Array<string>} options.methods
+ * @param {Array<string>} options.allowHeaders - Request headers the browser may send.
+ * @param {Array<string>} [options.exposeHeaders] - Response headers scripts may read.
+ */
+function cors({ origins, methods, allowHeaders, exposeHeaders = [] }) {
+    return async (req, res, next) => {
+        const origin = req.headers.origin;
+        if (origins.length > 0) res.setHeader('Vary', 'Origin');
+        const listed = origins.includes(origin);
+        if (origin && (listed || origins.includes('*'))) {
+            if (listed) {
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Access-Control-Allow-Credentials', 'true');
+            } else {
+                res.setHeader('Access-Control-Allow-Origin', '*');
+            }
+            res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+            res.setHeader('Access-Control-Allow-Headers', allowHeaders.join(', '));
+            if (exposeHeaders.length > 0) res.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '));
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        await next();
+    };
+}
+
+/**
+ * Reads a request's body, up to `limit` bytes.
+ *
+ * @returns {Promise<string>}
+ * @throws {HttpError} 413 when the body is larger.
+ */
+function readBody(req, limit) {
+    const tooLarge = () => new HttpError(413, `Request body too large (at most ${Math.floor(limit / 1024)} KB)`);
+    if (Number(req.headers['content-length']) > limit) {
+        req.resume();
+        return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                // Drain the rest without keeping it, so the error can still be answered
+                req.off('data', onData);
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parses JSON request bodies into req.body ({} when there is none). Only POST, PUT and DELETE
+ * requests are read, and their body must be a JSON object (400 otherwise), so routes can read
+ * fields from it. A route can allow larger bodies with the `bodyLimit` option (in bytes).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=1048576] - Largest body accepted, in bytes (413 above it).
+ */
+function jsonBody({ limit = 1024 * 1024 } = {}) {
+    return async (req, res, next) => {
+        req.body = {};
+        if (['POST', 'PUT', 'DELETE'].includes(req.method)) {
+            const routeLimit = req.route && req.route.options.bodyLimit;
+            const text = await readBody(req, routeLimit || limit);
+            if (text) {
+                let body;
+                try {
+                    body = JSON.parse(text);
+                } catch (error) {
+                    throw new HttpError(400, 'Invalid JSON body');
+                }
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new HttpError(400, 'The JSON body must be an object');
+                }
+                req.body = body;
+            }
+        }
+        await next();
+    };
+}
+
+module.exports = { sendJson, requestLogger, errorHandler, cors, jsonBody };
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Content types by file extension. Files with other extensions are served as bytes.
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+// Text-like types are worth compressing; images and fonts already are compressed.
+// Tiny files aren't: the headers would cost more than the bytes saved.
+const COMPRESSIBLE = /^(text\/|application\/json|image\/svg\+xml)/;
+const MIN_COMPRESS_BYTES = 1024;
+
+// Content-Encodings offered, in order of preference
+const ENCODINGS = {
+    br: promisify(zlib.brotliCompress),
+    gzip: promisify(zlib.gzip)
+};
+
+/**
+ * Picks the best encoding the client accepts (Accept-Encoding, e.g. "gzip, deflate, br;q=0.9").
+ *
+ * @param {string} [header]
+ * @returns {string|null} 'br', 'gzip', or null for none.
+ */
+function negotiateEncoding(header = '') {
+    const accepted = new Set();
+    header.split(',').forEach((part) => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        if (name && !(q && Number(q.slice(2)) === 0)) accepted.add(name);
+    });
+    return Object.keys(ENCODINGS).find((encoding) => accepted.has(encoding) || accepted.has('*')) || null;
+}
+
+/**
+ * Whether a conditional GET can be answered 304 Not Modified. If-None-Match takes precedence
+ * over If-Modified-Since, as in RFC 9110.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string} etag - The representation's ETag.
+ * @param {number} mtimeMs - When the file was last changed.
+ * @returns {boolean}
+ */
+function isNotModified(req, etag, mtimeMs) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').some((tag) => {
+            const value = tag.trim();
+            return value === '*' || value.replace(/^W\//, '') === etag;
+        });
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // HTTP dates have whole seconds
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtimeMs / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Serves the files of a directory, e.g. the front end, for GET and HEAD requests.
+ *
+ * Only the listed paths are served: anything else in the directory (the server's code,
+ * config.json, the data file...) is passed on to the rest of the chain as if it didn't exist.
+ * Paths that are malformed, hidden (a segment starting with '.') or try to leave the directory
+ * (e.g. '/js/../../etc/passwd', also when percent-encoded) are never resolved.
+ *
+ * Responses carry an ETag (a hash of the content) and Last-Modified, and conditional requests are
+ * answered 304. Text files are compressed with brotli or gzip when the client accepts it. Files are
+ * kept in memory, with their compressed forms, until they change on disk, so this is meant for a
+ * small set of files such as an app's HTML, CSS and scripts.
+ *
+ * @param {Object} options
+ * @param {string} options.root - The directory URL paths are resolved against.
+ * @param {Array<string>} options.paths - What may be served, relative to root: files (e.g. 'index.html')
+ *   and directories, with a trailing slash (e.g. 'js/').
+ * @param {string} [options.index='index.html'] - The file served for '/'.
+ */
+function serveStatic({ root, paths, index = 'index.html' }) {
+    const rootDir = path.resolve(root);
+    // file -> { mtimeMs, size, type, etag, body, encoded: { br?, gzip? } }
+    const cache = new Map();
+
+    /**
+     * @returns {string|null} The absolute file a URL path names, or null if it isn't one that may be served.
+     */
+    const resolve = (urlPath) => {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(urlPath);
+        } catch (error) {
+            return null;
+        }
+        if (decoded.includes('\0') || decoded.includes('\\')) return null;
+
+        const segments = decoded.split('/').filter(Boolean);
+        if (segments.some((segment) => segment.startsWith('.'))) return null;
+
+        const relative = segments.length > 0 ? segments.join('/') : index;
+        const allowed = paths.some((allowedPath) => allowedPath.endsWith('/')
+            ? relative.startsWith(allowedPath)
+            : relative === allowedPath);
+        if (!allowed) return null;
+
+        const file = path.resolve(rootDir, relative);
+        return file.startsWith(rootDir + path.sep) ? file : null;
+    };
+
+    /**
+     * @returns {Promise<Object|null>} The file's cache entry, (re)loaded if it changed, or null if there is no such file.
+     */
+    const load = async (file) => {
+        let stats;
+        try {
+            stats = await fs.promises.stat(file);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+            throw error;
+        }
+        if (!stats.isFile()) return null;
+
+        const cached = cache.get(file);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) return cached;
+
+        const body = await fs.promises.readFile(file);
+        const entry = {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            type: MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            etag: `"${crypto.createHash('sha1').update(body).digest('base64url').slice(0, 27)}"`,
+            body,
+            encoded: {}
+        };
+        cache.set(file, entry);
+        return entry;
+    };
+
+    return async (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+        const file = resolve(req.path);
+        const entry = file && await load(file);
+        if (!entry) return next();
+
+        const headers = {
+            'Content-Type': entry.type,
+            'Last-Modified': new Date(entry.mtimeMs).toUTCString(),
+            // The file names aren't versioned, so browsers must check for a newer copy each time
+            'Cache-Control': 'no-cache',
+            'X-Content-Type-Options': 'nosniff'
+        };
+
+        // Compressed copies are different representations, each with its own ETag
+        let body = entry.body;
+        let etag = entry.etag;
+        if (COMPRESSIBLE.test(entry.type) && entry.size >= MIN_COMPRESS_BYTES) {
+            headers.Vary = [res.getHeader('Vary'), 'Accept-Encoding'].filter(Boolean).join(', ');
+            const encoding = negotiateEncoding(req.headers['accept-encoding']);
+            if (encoding) {
+                if (!entry.encoded[encoding]) entry.encoded[encoding] = await ENCODINGS[encoding](entry.body);
+                body = entry.encoded[encoding];
+                etag = `${entry.etag.slice(0, -1)}-${encoding}"`;
+                headers['Content-Encoding'] = encoding;
+            }
+        }
+        headers.ETag = etag;
+
+        if (isNotModified(req, etag, entry.mtimeMs)) {
+            delete headers['Content-Type'];
+            delete headers['Content-Encoding'];
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        headers['Content-Length'] = body.length;
+        res.writeHead(200, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+    };
+}
+
+module.exports = { serveStatic };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+/**
+ * Address books and their members, backed by a MemoryStore or FileStore
+ * ('addressBooks' and 'bookMembers' collections).
+ * Deleting a book deletes its contacts (with their history) and tags too, like the foreign keys do in MySQL.
+ */
+class MemoryBookRepository {
+    /**
+     * @param {MemoryStore} store - The document store holding the collections.
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    get _books() {
+        return this.store.collection('addressBooks');
+    }
+
+    get _members() {
+        return this.store.collection('bookMembers');
+    }
+
+    _membership(bookId, userId) {
+        return this._members.find((m) => m.bookId === bookId && m.userId === userId);
+    }
+
+    /**
+     * Lists the books a user is a member of, oldest first.
+     *
+     * @param {string} userId
+     * @returns {Promise<Array<Object>>} Books ({ id, name, createdAt, role }), role being the user's.
+     */
+    async listForUser(userId) {
+        return this._members
+            .filter((m) => m.userId === userId)
+            .map((m) => ({ ...this._books.find((b) => b.id === m.bookId), role: m.role }))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} bookId
+     * @returns {Promise<Object|null>} The book with the user's role, or null if the book doesn't
+     *   exist or the user isn't a member.
+     */
+    async findForUser(userId, bookId) {
+        const membership = this._membership(bookId, userId);
+        if (!membership) return null;
+        return { ...this._books.find((b) => b.id === bookId), role: membership.role };
+    }
+
+    /**
+     * The book used when a request doesn't name one: the oldest book the user owns.
+     *
+     * @param {string} userId
+     * @returns {Promise<Object|null>} The book with role 'owner', or null if the user owns none.
+     */
+    async defaultForUser(userId) {
+        return (await this.listForUser(userId)).find((book) => book.role === 'owner') || null;
+    }
+
+    /**
+     * Creates a book owned by a user.
+     *
+     * @param {string} userId - The first owner.
+     * @param {string} name
+     * @returns {Promise<Object>} The book, with role 'owner'.
+     */
+    async create(userId, name) {
+        const now = new Date().toISOString();
+        const book = { id: crypto.randomUUID(), name, createdAt: now };
+
+        this._books.push(book);
+        this._members.push({ bookId: book.id, userId, role: 'owner', createdAt: now });
+        await this.store.save();
+        return { ...book, role: 'owner' };
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} name
+     * @returns {Promise<Object|null>} The renamed book, or null if it doesn't exist.
+     */
+    async rename(bookId, name) {
+        const book = this._books.find((b) => b.id === bookId);
+        if (!book) return null;
+
+        book.name = name;
+        await this.store.save();
+        return { ...book };
+    }
+
+    /**
+     * Deletes a book with its members, contacts, contact history and tags.
+     *
+     * @param {string} bookId
+     * @returns {Promise<boolean>} True if a book was removed.
+     */
+    async remove(bookId) {
+        const index = this._books.findIndex((b) => b.id === bookId);
+        if (index === -1) return false;
+
+        this._books.splice(index, 1);
+        // The collections are shared arrays, so they are filtered in place
+        [this._members, this.store.collection('contacts'), this.store.collection('contactHistory'), this.store.collection('tags')].forEach((records) => {
+            const kept = records.filter((record) => record.bookId !== bookId);
+            records.splice(0, records.length, ...kept);
+        });
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Promise<Array<Object>>} Members ({ userId, email, role }), owners first, then by email.
+     */
+    async listMembers(bookId) {
+        const users = this.store.collection('users');
+        return this._members
+            .filter((m) => m.bookId === bookId)
+            .map((m) => ({ userId: m.userId, email: users.find((u) => u.id === m.userId).email, role: m.role }))
+            .sort((a, b) => (a.role === 'owner' ? 0 : 1) - (b.role === 'owner' ? 0 : 1) || a.email.localeCompare(b.email));
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} userId
+     * @param {string} role
+     * @returns {Promise<boolean>} False if the user is already a member.
+     */
+    async addMember(bookId, userId, role) {
+        if (this._membership(bookId, userId)) return false;
+
+        this._members.push({ bookId, userId, role, createdAt: new Date().toISOString() });
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} userId
+     * @param {string} role
+     * @returns {Promise<boolean>} False if the user isn't a member.
+     */
+    async setRole(bookId, userId, role) {
+        const membership = this._membership(bookId, userId);
+        if (!membership) return false;
+
+        membership.role = role;
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} userId
+     * @returns {Promise<boolean>} False if the user wasn't a member.
+     */
+    async removeMember(bookId, userId) {
+        const membership = this._membership(bookId, userId);
+        if (!membership) return false;
+
+        this._members.splice(this._members.indexOf(membership), 1);
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Promise<number>} How many owners the book has.
+     */
+    async countOwners(bookId) {
+        return this._members.filter((m) => m.bookId === bookId && m.role === 'owner').length;
+    }
+}
+
+module.exports = MemoryBookRepository;
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const VersionConflictError = require('./VersionConflictError');
+const { createHistoryEntry } = require('../contactHistory');
+
+/**
+ * Case-insensitive string comparison used for sorting.
+ */
+function compare(a, b) {
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Returns the API's view of a stored contact: a deep copy, so callers can't change the store
+ * (not even through its lists of email addresses, phone numbers and postal addresses).
+ */
+function toContact(contact) {
+    return structuredClone(contact);
+}
+
+/**
+ * The text a search term is matched against: name, company, and every email address and phone number.
+ */
+function searchableText(contact) {
+    return [
+        contact.name,
+        contact.company || '',
+        ...contact.emails.map((email) => email.value),
+        ...contact.phones.map((phone) => phone.value)
+    ].join('\n').toLowerCase();
+}
+
+/**
+ * Contacts repository backed by a MemoryStore (or any store with the same
+ * collection()/save() interface, such as FileStore).
+ *
+ * Every contact belongs to one address book, and every method is scoped to the book
+ * passed as its first argument: contacts in other books are invisible to it.
+ * Deleted contacts stay in their book's trash until it is deleted, and every change
+ * to a contact is recorded in the 'contactHistory' collection.
+ * Methods return copies of the stored records so callers can never
+ * mutate the store behind its back.
+ */
+class MemoryContactRepository {
+    /**
+     * @param {MemoryStore} store - The document store holding the 'contacts' and 'contactHistory' collections.
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    get _contacts() {
+        return this.store.collection('contacts');
+    }
+
+    get _history() {
+        return this.store.collection('contactHistory');
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.deleted=false] - Look in the trash instead.
+     * @returns {Object|undefined} The stored record of one of the book's contacts.
+     */
+    _find(bookId, id, { deleted = false } = {}) {
+        return this._contacts.find((c) => c.id === id && c.bookId === bookId && Boolean(c.deletedAt) === deleted);
+    }
+
+    /**
+     * Adds a change to the contact's history (saved with the change itself).
+     */
+    _record(action, before, after, { userId, revertedTo } = {}) {
+        this._history.push(createHistoryEntry({ action, before, after, userId, revertedTo }));
+    }
+
+    /**
+     * Drops the IDs of tags the book doesn't have, as MySQL's foreign keys would.
+     */
+    _knownTagIds(bookId, tagIds = []) {
+        const tags = this.store.collection('tags');
+        return tagIds.filter((tagId) => tags.some((tag) => tag.id === tagId && tag.bookId === bookId));
+    }
+
+    /**
+     * Finds which address book a contact is in (even a deleted one), so its permissions can be checked.
+     *
+     * @param {string} id
+     * @returns {Promise<string|null>} The book's ID, or null if there is no such contact.
+     */
+    async findBookId(id) {
+        const contact = this._contacts.find((c) => c.id === id);
+        return contact ? contact.bookId : null;
+    }
+
+    /**
+     * Lists contacts matching a search term, sorted and paginated.
+     *
+     * @param {string} bookId - The address book whose contacts to list.
+     * @param {Object} [options]
+     * @param {string} [options.q] - Case-insensitive text matched against name, company, and every
+     *   email address and phone number.
+     * @param {Array<string>} [options.tagIds] - Only list contacts that have all of these tags.
+     * @param {string} [options.sort='name'] - Field to sort by: name, email, phone, createdAt or updatedAt.
+     * @param {string} [options.order='asc'] - 'asc' or 'desc'.
+     * @param {number} [options.limit] - Maximum number of contacts to return (default: all).
+     * @param {number} [options.offset=0] - Number of matching contacts to skip.
+     * @returns {Promise<{ items: Array<Object>, total: number }>} The page, and how many contacts match in total.
+     */
+    async list(bookId, { q = '', tagIds = [], sort = 'name', order = 'asc', limit, offset = 0 } = {}) {
+        const term = q.toLowerCase();
+        const direction = order === 'desc' ? -1 : 1;
+
+        const matches = this._contacts
+            .filter((contact) => contact.bookId === bookId && !contact.deletedAt)
+            .filter((contact) => !term || searchableText(contact).includes(term))
+            .filter((contact) => tagIds.every((tagId) => contact.tagIds.includes(tagId)))
+            .sort((a, b) => direction * (compare(a[sort], b[sort]) || compare(a.id, b.id)));
+
+        const end = limit === undefined ? undefined : offset + limit;
+        return {
+            items: matches.slice(offset, end).map(toContact),
+            total: matches.length
+        };
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<Object|null>} The contact, or null if the book has no such contact.
+     */
+    async findById(bookId, id) {
+        const contact = this._find(bookId, id);
+        return contact ? toContact(contact) : null;
+    }
+
+    /**
+     * Lists the contacts in the book's trash, most recently deleted first.
+     *
+     * @param {string} bookId
+     * @returns {Promise<Array<Object>>} The deleted contacts, including deletedAt.
+     */
+    async listDeleted(bookId) {
+        return this._contacts
+            .filter((contact) => contact.bookId === bookId && contact.deletedAt)
+            .sort((a, b) => compare(b.deletedAt, a.deletedAt) || compare(a.id, b.id))
+            .map(toContact);
+    }
+
+    /**
+     * Lists the changes made to a contact (deleted or not), most recent first.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<Array<Object>>} The history entries, each with the user who made the change
+     *   as { id, email } (null if unknown or since deleted).
+     */
+    async listHistory(bookId, id) {
+        const users = this.store.collection('users');
+        return this._history
+            .filter((entry) => entry.contactId === id && entry.bookId === bookId)
+            // Every change bumps the contact's version, so it orders the entries even within a millisecond
+            .sort((a, b) => b.version - a.version)
+            .map((entry) => {
+                const user = users.find((u) => u.id === entry.userId);
+                return { ...structuredClone(entry), user: user ? { id: user.id, email: user.email } : null };
+            });
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id - The contact's ID.
+     * @param {string} entryId
+     * @returns {Promise<Object|null>} One entry of the contact's history, or null if it has no such entry.
+     */
+    async findHistoryEntry(bookId, id, entryId) {
+        const entry = this._history.find((e) => e.id === entryId && e.contactId === id && e.bookId === bookId);
+        return entry ? structuredClone(entry) : null;
+    }
+
+    /**
+     * Stores a new contact with a generated UUID, timestamps and version 1.
+     *
+     * @param {string} bookId - The address book the contact is added to.
+     * @param {Object} fields - The contact fields, as validated by ContactSchema.
+     * @param {Object} [options]
+     * @param {string} [options.userId] - Who is adding it, for the contact's history.
+     * @returns {Promise<Object>} The stored contact, including id, createdAt, updatedAt and version.
+     */
+    async create(bookId, fields, { userId } = {}) {
+        const now = new Date().toISOString();
+        const contact = { id: crypto.randomUUID(), ...structuredClone(fields), createdAt: now, updatedAt: now, deletedAt: null, version: 1, bookId };
+        contact.tagIds = this._knownTagIds(bookId, fields.tagIds);
+
+        this._contacts.push(contact);
+        this._record('create', null, contact, { userId });
+        await this.store.save();
+        return toContact(contact);
+    }
+
+    /**
+     * Throws if the caller expected a different version of the contact than the stored one.
+     */
+    _checkVersion(contact, expectedVersion) {
+        if (expectedVersion !== undefined && contact.version !== expectedVersion) {
+            throw new VersionConflictError(toContact(contact));
+        }
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} fields - The contact fields, as validated by ContactSchema; they replace the stored ones.
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Only update if the contact is still at this version.
+     * @param {string} [options.userId] - Who is updating it, for the contact's history.
+     * @param {number} [options.revertedTo] - The version whose fields are being restored, if any.
+     * @returns {Promise<Object|null>} The updated contact, or null if it doesn't exist.
+     * @throws {VersionConflictError} If the contact is at another version than expectedVersion.
+     */
+    async update(bookId, id, fields, { expectedVersion, userId, revertedTo } = {}) {
+        const contact = this._find(bookId, id);
+        if (!contact) return null;
+        this._checkVersion(contact, expectedVersion);
+
+        const before = toContact(contact);
+        Object.assign(contact, structuredClone(fields), {
+            id,
+            createdAt: contact.createdAt,
+            updatedAt: new Date().toISOString(),
+            version: contact.version + 1,
+            bookId
+        });
+        contact.tagIds = this._knownTagIds(bookId, fields.tagIds);
+        this._record(revertedTo === undefined ? 'update' : 'revert', before, contact, { userId, revertedTo });
+        await this.store.save();
+        return toContact(contact);
+    }
+
+    /**
+     * Moves a contact to the book's trash.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Only delete if the contact is still at this version.
+     * @param {string} [options.userId] - Who is deleting it, for the contact's history.
+     * @returns {Promise<Object|null>} The contact as it was deleted (with deletedAt), or null if it doesn't exist.
+     * @throws {VersionConflictError} If the contact is at another version than expectedVersion.
+     */
+    async remove(bookId, id, { expectedVersion, userId } = {}) {
+        const contact = this._find(bookId, id);
+        if (!contact) return null;
+        this._checkVersion(contact, expectedVersion);
+
+        const now = new Date().toISOString();
+        Object.assign(contact, { deletedAt: now, updatedAt: now, version: contact.version + 1 });
+        this._record('delete', null, contact, { userId });
+        await this.store.save();
+        return toContact(contact);
+    }
+
+    /**
+     * Takes a contact out of the book's trash.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {string} [options.userId] - Who is restoring it, for the contact's history.
+     * @returns {Promise<Object|null>} The restored contact, or null if the trash has no such contact.
+     */
+    async restore(bookId, id, { userId } = {}) {
+        const contact = this._find(bookId, id, { deleted: true });
+        if (!contact) return null;
+
+        Object.assign(contact, { deletedAt: null, updatedAt: new Date().toISOString(), version: contact.version + 1 });
+        this._record('restore', null, contact, { userId });
+        await this.store.save();
+        return toContact(contact);
+    }
+
+    /**
+     * Moves every contact without an address book (created before user accounts existed) into a book.
+     *
+     * @param {string} bookId
+     * @returns {Promise<number>} How many contacts were claimed.
+     */
+    async claimUnassigned(bookId) {
+        const unassigned = this._contacts.filter((contact) => !contact.bookId);
+        unassigned.forEach((contact) => {
+            contact.bookId = bookId;
+        });
+        if (unassigned.length > 0) await this.store.save();
+        return unassigned.length;
+    }
+}
+
+module.exports = MemoryContactRepository;
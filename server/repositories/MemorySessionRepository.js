@@ -0,0 +1,68 @@
+/**
+ * Login sessions backed by a MemoryStore or FileStore ('sessions' collection).
+ * Sessions are looked up by the SHA-256 hash of their token; the token itself is never stored.
+ */
+class MemorySessionRepository {
+    /**
+     * @param {MemoryStore} store - The document store holding the 'sessions' collection.
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    get _sessions() {
+        return this.store.collection('sessions');
+    }
+
+    /**
+     * @param {Object} session - { tokenHash, userId, expiresAt (Date) }.
+     * @returns {Promise<void>}
+     */
+    async create({ tokenHash, userId, expiresAt }) {
+        this._sessions.push({ tokenHash, userId, createdAt: new Date().toISOString(), expiresAt: expiresAt.toISOString() });
+        await this.store.save();
+    }
+
+    /**
+     * @param {string} tokenHash
+     * @returns {Promise<Object|null>} The session ({ tokenHash, userId, expiresAt }), or null if it
+     *   doesn't exist or has expired.
+     */
+    async findValid(tokenHash) {
+        const session = this._sessions.find((s) => s.tokenHash === tokenHash);
+        if (!session || new Date(session.expiresAt) <= new Date()) return null;
+        return { ...session };
+    }
+
+    /**
+     * Ends a session (logout).
+     * @param {string} tokenHash
+     * @returns {Promise<void>}
+     */
+    async remove(tokenHash) {
+        const index = this._sessions.findIndex((s) => s.tokenHash === tokenHash);
+        if (index === -1) return;
+
+        this._sessions.splice(index, 1);
+        await this.store.save();
+    }
+
+    /**
+     * Deletes every expired session.
+     * @returns {Promise<number>} How many were deleted.
+     */
+    async removeExpired() {
+        const now = new Date();
+        const sessions = this._sessions;
+        const live = sessions.filter((s) => new Date(s.expiresAt) > now);
+        const removed = sessions.length - live.length;
+
+        if (removed > 0) {
+            sessions.splice(0, sessions.length, ...live);
+            await this.store.save();
+        }
+        return removed;
+    }
+}
+
+module.exports = MemorySessionRepository;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/**
+ * Tags of address books, backed by a MemoryStore or FileStore ('tags' collection).
+ * Contacts hold the IDs of their tags (`tagIds`); deleting a tag takes it off every contact,
+ * like the foreign keys do in MySQL.
+ */
+class MemoryTagRepository {
+    /**
+     * @param {MemoryStore} store - The document store holding the 'tags' and 'contacts' collections.
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    get _tags() {
+        return this.store.collection('tags');
+    }
+
+    _find(bookId, id) {
+        return this._tags.find((tag) => tag.id === id && tag.bookId === bookId);
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Promise<Array<Object>>} The book's tags ({ id, bookId, name, color, createdAt }), by name.
+     */
+    async list(bookId) {
+        return this._tags
+            .filter((tag) => tag.bookId === bookId)
+            .map((tag) => ({ ...tag }))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<Object|null>} The tag, or null if the book has no such tag.
+     */
+    async findById(bookId, id) {
+        const tag = this._find(bookId, id);
+        return tag ? { ...tag } : null;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} name - Compared case-insensitively.
+     * @returns {Promise<Object|null>} The book's tag with that name, or null.
+     */
+    async findByName(bookId, name) {
+        const lower = name.toLowerCase();
+        const tag = this._tags.find((t) => t.bookId === bookId && t.name.toLowerCase() === lower);
+        return tag ? { ...tag } : null;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {Object} fields - { name, color }
+     * @returns {Promise<Object>} The new tag.
+     */
+    async create(bookId, { name, color }) {
+        const tag = { id: crypto.randomUUID(), bookId, name, color, createdAt: new Date().toISOString() };
+        this._tags.push(tag);
+        await this.store.save();
+        return { ...tag };
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} fields - Any of { name, color }.
+     * @returns {Promise<Object|null>} The changed tag, or null if it doesn't exist.
+     */
+    async update(bookId, id, fields) {
+        const tag = this._find(bookId, id);
+        if (!tag) return null;
+
+        if (fields.name !== undefined) tag.name = fields.name;
+        if (fields.color !== undefined) tag.color = fields.color;
+        await this.store.save();
+        return { ...tag };
+    }
+
+    /**
+     * Deletes a tag and takes it off the contacts that had it.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<boolean>} True if a tag was removed.
+     */
+    async remove(bookId, id) {
+        const tag = this._find(bookId, id);
+        if (!tag) return false;
+
+        this._tags.splice(this._tags.indexOf(tag), 1);
+        this.store.collection('contacts')
+            .filter((contact) => contact.bookId === bookId && contact.tagIds.includes(id))
+            .forEach((contact) => {
+                contact.tagIds = contact.tagIds.filter((tagId) => tagId !== id);
+            });
+        await this.store.save();
+        return true;
+    }
+}
+
+module.exports = MemoryTagRepository;
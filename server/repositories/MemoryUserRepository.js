@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+/**
+ * User accounts backed by a MemoryStore or FileStore ('users' collection).
+ * Emails are stored lower-cased, so lookups are case-insensitive.
+ */
+class MemoryUserRepository {
+    /**
+     * @param {MemoryStore} store - The document store holding the 'users' collection.
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    get _users() {
+        return this.store.collection('users');
+    }
+
+    /**
+     * @param {string} email
+     * @returns {Promise<Object|null>} The user ({ id, email, passwordHash, createdAt }), or null.
+     */
+    async findByEmail(email) {
+        const user = this._users.find((u) => u.email === email.toLowerCase());
+        return user ? { ...user } : null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The user, or null if it doesn't exist.
+     */
+    async findById(id) {
+        const user = this._users.find((u) => u.id === id);
+        return user ? { ...user } : null;
+    }
+
+    /**
+     * Creates an account with a generated UUID.
+     *
+     * @param {Object} fields - { email, passwordHash }.
+     * @returns {Promise<Object|null>} The new user, or null if the email is already registered.
+     */
+    async create({ email, passwordHash }) {
+        if (await this.findByEmail(email)) return null;
+
+        const user = { id: crypto.randomUUID(), email: email.toLowerCase(), passwordHash, createdAt: new Date().toISOString() };
+        this._users.push(user);
+        await this.store.save();
+        return { ...user };
+    }
+
+    /**
+     * @returns {Promise<number>} How many accounts exist.
+     */
+    async count() {
+        return this._users.length;
+    }
+}
+
+module.exports = MemoryUserRepository;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+/**
+ * Converts an `address_books` row (optionally joined with the user's membership) into a book.
+ */
+function toBook(row) {
+    const book = { id: row.id, name: row.name, createdAt: row.created_at.toISOString() };
+    if (row.role) book.role = row.role;
+    return book;
+}
+
+/**
+ * Address books and their members, backed by the MySQL `address_books` and
+ * `address_book_members` tables. Exposes the same promise-based interface as MemoryBookRepository.
+ * Members, contacts and tags are deleted with their book by the foreign keys.
+ */
+class MySqlBookRepository {
+    /**
+     * @param {Object} db - A promise-based mysql2 pool or connection.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Lists the books a user is a member of, oldest first.
+     *
+     * @param {string} userId
+     * @returns {Promise<Array<Object>>} Books ({ id, name, createdAt, role }), role being the user's.
+     */
+    async listForUser(userId) {
+        const [rows] = await this.db.query(
+            'SELECT b.id, b.name, b.created_at, m.role FROM address_books b ' +
+                'JOIN address_book_members m ON m.book_id = b.id ' +
+                'WHERE m.user_id = ? ORDER BY b.created_at, b.id',
+            [userId]
+        );
+        return rows.map(toBook);
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} bookId
+     * @returns {Promise<Object|null>} The book with the user's role, or null if the book doesn't
+     *   exist or the user isn't a member.
+     */
+    async findForUser(userId, bookId) {
+        const [rows] = await this.db.query(
+            'SELECT b.id, b.name, b.created_at, m.role FROM address_books b ' +
+                'JOIN address_book_members m ON m.book_id = b.id ' +
+                'WHERE m.user_id = ? AND b.id = ?',
+            [userId, bookId]
+        );
+        return rows[0] ? toBook(rows[0]) : null;
+    }
+
+    /**
+     * The book used when a request doesn't name one: the oldest book the user owns.
+     *
+     * @param {string} userId
+     * @returns {Promise<Object|null>} The book with role 'owner', or null if the user owns none.
+     */
+    async defaultForUser(userId) {
+        return (await this.listForUser(userId)).find((book) => book.role === 'owner') || null;
+    }
+
+    /**
+     * Creates a book owned by a user.
+     *
+     * @param {string} userId - The first owner.
+     * @param {string} name
+     * @returns {Promise<Object>} The book, with role 'owner'.
+     */
+    async create(userId, name) {
+        const id = crypto.randomUUID();
+        await this.db.query('INSERT INTO address_books (id, name) VALUES (?, ?)', [id, name]);
+        await this.db.query(
+            'INSERT INTO address_book_members (book_id, user_id, role) VALUES (?, ?, ?)',
+            [id, userId, 'owner']
+        );
+        return this.findForUser(userId, id);
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} name
+     * @returns {Promise<Object|null>} The renamed book, or null if it doesn't exist.
+     */
+    async rename(bookId, name) {
+        const [result] = await this.db.query('UPDATE address_books SET name = ? WHERE id = ?', [name, bookId]);
+        if (result.affectedRows === 0) return null;
+
+        const [rows] = await this.db.query('SELECT id, name, created_at FROM address_books WHERE id = ?', [bookId]);
+        return toBook(rows[0]);
+    }
+
+    /**
+     * Deletes a book with its members, contacts and tags.
+     *
+     * @param {string} bookId
+     * @returns {Promise<boolean>} True if a book was removed.
+     */
+    async remove(bookId) {
+        const [result] = await this.db.query('DELETE FROM address_books WHERE id = ?', [bookId]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Promise<Array<Object>>} Members ({ userId, email, role }), owners first, then by email.
+     */
+    async listMembers(bookId) {
+        const [rows] = await this.db.query(
+            'SELECT m.user_id, u.email, m.role FROM address_book_members m ' +
+                'JOIN users u ON u.id = m.user_id ' +
+                "WHERE m.book_id = ? ORDER BY m.role = 'owner' DESC, u.email",
+            [bookId]
+        );
+        return rows.map((row) => ({ userId: row.user_id, email: row.email, role: row.role }));
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} userId
+     * @param {string} role
+     * @returns {Promise<boolean>} False if the user is already a member.
+     */
+    async addMember(bookId, userId, role) {
+        try {
+            await this.db.query(
+                'INSERT INTO address_book_members (book_id, user_id, role) VALUES (?, ?, ?)',
+                [bookId, userId, role]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') return false;
+            throw error;
+        }
+        return true;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} userId
+     * @param {string} role
+     * @returns {Promise<boolean>} False if the user isn't a member.
+     */
+    async setRole(bookId, userId, role) {
+        // affectedRows counts matched rows only with the FOUND_ROWS flag, so check membership first
+        const [rows] = await this.db.query(
+            'SELECT 1 FROM address_book_members WHERE book_id = ? AND user_id = ?',
+            [bookId, userId]
+        );
+        if (rows.length === 0) return false;
+
+        await this.db.query(
+            'UPDATE address_book_members SET role = ? WHERE book_id = ? AND user_id = ?',
+            [role, bookId, userId]
+        );
+        return true;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} userId
+     * @returns {Promise<boolean>} False if the user wasn't a member.
+     */
+    async removeMember(bookId, userId) {
+        const [result] = await this.db.query(
+            'DELETE FROM address_book_members WHERE book_id = ? AND user_id = ?',
+            [bookId, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Promise<number>} How many owners the book has.
+     */
+    async countOwners(bookId) {
+        const [[{ total }]] = await this.db.query(
+            "SELECT COUNT(*) AS total FROM address_book_members WHERE book_id = ? AND role = 'owner'",
+            [bookId]
+        );
+        return Number(total);
+    }
+}
+
+module.exports = MySqlBookRepository;
@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const VersionConflictError = require('./VersionConflictError');
+const { createHistoryEntry } = require('../contactHistory');
+
+const COLUMNS = 'id, book_id, name, email, phone, company, title, notes, birthday, created_at, updated_at, deleted_at, version';
+
+// Columns of `contact_addresses`, by address field
+const ADDRESS_COLUMNS = {
+    street: 'street',
+    city: 'city',
+    region: 'region',
+    postalCode: 'postal_code',
+    country: 'country'
+};
+
+// API sort fields and the columns they map to
+const SORT_COLUMNS = {
+    name: 'name',
+    email: 'email',
+    phone: 'phone',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+/**
+ * Converts a `contacts` row, and the rows of its lists, into the API's contact shape.
+ */
+function toContact(row, { emails = [], phones = [], addresses = [], tags = [] } = {}) {
+    return {
+        id: row.id,
+        bookId: row.book_id,
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        emails: emails.map(({ label, value }) => ({ label, value })),
+        phones: phones.map(({ label, value }) => ({ label, value })),
+        addresses: addresses.map((address) => {
+            const result = { label: address.label };
+            Object.entries(ADDRESS_COLUMNS).forEach(([field, column]) => {
+                result[field] = address[column];
+            });
+            return result;
+        }),
+        company: row.company,
+        title: row.title,
+        notes: row.notes || '',
+        // DATE columns are read as UTC midnight (the pool's timezone is 'Z')
+        birthday: row.birthday ? row.birthday.toISOString().slice(0, 10) : null,
+        tagIds: tags.map((tag) => tag.tag_id),
+        createdAt: row.created_at.toISOString(),
+        updatedAt: row.updated_at.toISOString(),
+        deletedAt: row.deleted_at ? row.deleted_at.toISOString() : null,
+        version: Number(row.version)
+    };
+}
+
+/**
+ * Converts a `contact_history` row into a history entry (its JSON columns may come back as strings).
+ */
+function toHistoryEntry(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+        id: row.id,
+        contactId: row.contact_id,
+        bookId: row.book_id,
+        userId: row.user_id,
+        action: row.action,
+        version: Number(row.version),
+        changes: parse(row.changes),
+        snapshot: parse(row.snapshot),
+        revertedTo: row.reverted_to === null ? null : Number(row.reverted_to),
+        createdAt: row.created_at.toISOString()
+    };
+}
+
+/**
+ * Groups list rows by their `contact_id`.
+ *
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupByContact(rows) {
+    const groups = new Map();
+    rows.forEach((row) => {
+        if (!groups.has(row.contact_id)) groups.set(row.contact_id, []);
+        groups.get(row.contact_id).push(row);
+    });
+    return groups;
+}
+
+/**
+ * Contacts repository backed by the MySQL `contacts` table, with the email addresses,
+ * phone numbers and postal addresses of each contact in `contact_emails`, `contact_phones`
+ * and `contact_addresses`, and its tags in `contact_tags`.
+ * Deleted contacts keep their rows (marked by `deleted_at`), and every change is recorded in `contact_history`.
+ * Exposes the same promise-based interface as MemoryContactRepository,
+ * including the scoping of every query to one address book (`book_id`).
+ */
+class MySqlContactRepository {
+    /**
+     * @param {Object} db - A promise-based mysql2 pool or connection (e.g. `pool.promise()`).
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Runs fn with a connection inside a transaction, as writes span several tables.
+     * A repository created by `repositories.transaction()` is already inside one, so it uses its own connection.
+     *
+     * @param {Function} fn - Called with the connection; resolves to the result.
+     */
+    async _inTransaction(fn) {
+        if (typeof this.db.getConnection !== 'function') return fn(this.db);
+
+        const connection = await this.db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await fn(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Loads the lists of the given `contacts` rows and converts them into contacts.
+     *
+     * @param {Array<Object>} rows
+     * @param {Object} [db] - The connection to read with (one inside a transaction sees its own writes).
+     * @returns {Promise<Array<Object>>}
+     */
+    async _withLists(rows, db = this.db) {
+        if (rows.length === 0) return [];
+
+        const ids = rows.map((row) => row.id);
+        const load = async (table) => {
+            const [listRows] = await db.query(
+                `SELECT * FROM ${table} WHERE contact_id IN (?) ORDER BY contact_id, position`,
+                [ids]
+            );
+            return groupByContact(listRows);
+        };
+        const emails = await load('contact_emails');
+        const phones = await load('contact_phones');
+        const addresses = await load('contact_addresses');
+        const [tagRows] = await db.query(
+            'SELECT contact_tags.contact_id, contact_tags.tag_id FROM contact_tags ' +
+                'JOIN tags ON tags.id = contact_tags.tag_id WHERE contact_tags.contact_id IN (?) ORDER BY tags.name',
+            [ids]
+        );
+        const tags = groupByContact(tagRows);
+
+        return rows.map((row) => toContact(row, {
+            emails: emails.get(row.id),
+            phones: phones.get(row.id),
+            addresses: addresses.get(row.id),
+            tags: tags.get(row.id)
+        }));
+    }
+
+    /**
+     * Loads one of the book's contacts.
+     *
+     * @param {Object} db - The connection to read with.
+     * @param {Object} [options]
+     * @param {boolean} [options.deleted=false] - Look in the trash instead.
+     * @param {boolean} [options.lock=false] - Lock the row until the transaction ends, as it is about to change.
+     * @returns {Promise<Object|null>}
+     */
+    async _load(db, bookId, id, { deleted = false, lock = false } = {}) {
+        const [rows] = await db.query(
+            `SELECT ${COLUMNS} FROM contacts WHERE id = ? AND book_id = ? ` +
+                `AND deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}${lock ? ' FOR UPDATE' : ''}`,
+            [id, bookId]
+        );
+        const [contact] = await this._withLists(rows, db);
+        return contact || null;
+    }
+
+    /**
+     * Adds a change to the contact's history, in the transaction that made it.
+     */
+    async _record(db, action, before, after, { userId, revertedTo } = {}) {
+        const entry = createHistoryEntry({ action, before, after, userId, revertedTo });
+        await db.query(
+            'INSERT INTO contact_history (id, contact_id, book_id, user_id, action, version, changes, snapshot, reverted_to, created_at) ' +
+                'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [
+                entry.id, entry.contactId, entry.bookId, entry.userId, entry.action, entry.version,
+                JSON.stringify(entry.changes), JSON.stringify(entry.snapshot), entry.revertedTo, new Date(entry.createdAt)
+            ]
+        );
+    }
+
+    /**
+     * Replaces the email addresses, phone numbers, postal addresses and tags of a contact.
+     * Tags the book doesn't have are skipped.
+     */
+    async _writeLists(db, bookId, id, { emails = [], phones = [], addresses = [], tagIds = [] }) {
+        await db.query('DELETE FROM contact_emails WHERE contact_id = ?', [id]);
+        await db.query('DELETE FROM contact_phones WHERE contact_id = ?', [id]);
+        await db.query('DELETE FROM contact_addresses WHERE contact_id = ?', [id]);
+        await db.query('DELETE FROM contact_tags WHERE contact_id = ?', [id]);
+
+        if (emails.length > 0) {
+            await db.query(
+                'INSERT INTO contact_emails (contact_id, position, label, value) VALUES ?',
+                [emails.map((email, position) => [id, position, email.label, email.value])]
+            );
+        }
+        if (phones.length > 0) {
+            await db.query(
+                'INSERT INTO contact_phones (contact_id, position, label, value) VALUES ?',
+                [phones.map((phone, position) => [id, position, phone.label, phone.value])]
+            );
+        }
+        if (addresses.length > 0) {
+            const columns = Object.values(ADDRESS_COLUMNS).join(', ');
+            await db.query(
+                `INSERT INTO contact_addresses (contact_id, position, label, ${columns}) VALUES ?`,
+                [addresses.map((address, position) => [
+                    id, position, address.label, ...Object.keys(ADDRESS_COLUMNS).map((field) => address[field] || '')
+                ])]
+            );
+        }
+        if (tagIds.length > 0) {
+            await db.query(
+                'INSERT INTO contact_tags (contact_id, tag_id) SELECT ?, id FROM tags WHERE book_id = ? AND id IN (?)',
+                [id, bookId, tagIds]
+            );
+        }
+    }
+
+    /**
+     * Finds which address book a contact is in (even a deleted one), so its permissions can be checked.
+     *
+     * @param {string} id
+     * @returns {Promise<string|null>} The book's ID, or null if there is no such contact.
+     */
+    async findBookId(id) {
+        const [rows] = await this.db.query('SELECT book_id FROM contacts WHERE id = ?', [id]);
+        return rows[0] ? rows[0].book_id : null;
+    }
+
+    /**
+     * Lists contacts matching a search term, sorted and paginated.
+     *
+     * @param {string} bookId - The address book whose contacts to list.
+     * @param {Object} [options]
+     * @param {string} [options.q] - Case-insensitive text matched against name, company, and every
+     *   email address and phone number.
+     * @param {Array<string>} [options.tagIds] - Only list contacts that have all of these tags.
+     * @param {string} [options.sort='name'] - Field to sort by: name, email, phone, createdAt or updatedAt.
+     * @param {string} [options.order='asc'] - 'asc' or 'desc'.
+     * @param {number} [options.limit] - Maximum number of contacts to return (default: all).
+     * @param {number} [options.offset=0] - Number of matching contacts to skip.
+     * @returns {Promise<{ items: Array<Object>, total: number }>} The page, and how many contacts match in total.
+     */
+    async list(bookId, { q = '', tagIds = [], sort = 'name', order = 'asc', limit, offset = 0 } = {}) {
+        let where = 'WHERE book_id = ? AND deleted_at IS NULL';
+        const params = [bookId];
+
+        if (q) {
+            // Escape LIKE wildcards so the term is matched literally
+            const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+            where += ' AND (name LIKE ? OR company LIKE ? ' +
+                'OR id IN (SELECT contact_id FROM contact_emails WHERE value LIKE ?) ' +
+                'OR id IN (SELECT contact_id FROM contact_phones WHERE value LIKE ?))';
+            params.push(pattern, pattern, pattern, pattern);
+        }
+        if (tagIds.length > 0) {
+            where += ' AND id IN (SELECT contact_id FROM contact_tags WHERE tag_id IN (?) ' +
+                'GROUP BY contact_id HAVING COUNT(*) = ?)';
+            params.push(tagIds, tagIds.length);
+        }
+
+        // Column and direction come from fixed lists, never from raw input
+        const column = SORT_COLUMNS[sort] || 'name';
+        const direction = order === 'desc' ? 'DESC' : 'ASC';
+        let sql = `SELECT ${COLUMNS} FROM contacts ${where} ORDER BY ${column} ${direction}, id ${direction}`;
+        const pageParams = [...params];
+
+        if (limit !== undefined) {
+            sql += ' LIMIT ? OFFSET ?';
+            pageParams.push(limit, offset);
+        }
+
+        const [rows] = await this.db.query(sql, pageParams);
+        const [[{ total }]] = await this.db.query(`SELECT COUNT(*) AS total FROM contacts ${where}`, params);
+
+        return { items: await this._withLists(rows), total: Number(total) };
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<Object|null>} The contact, or null if the book has no such contact.
+     */
+    async findById(bookId, id) {
+        return this._load(this.db, bookId, id);
+    }
+
+    /**
+     * Lists the contacts in the book's trash, most recently deleted first.
+     *
+     * @param {string} bookId
+     * @returns {Promise<Array<Object>>} The deleted contacts, including deletedAt.
+     */
+    async listDeleted(bookId) {
+        const [rows] = await this.db.query(
+            `SELECT ${COLUMNS} FROM contacts WHERE book_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, id`,
+            [bookId]
+        );
+        return this._withLists(rows);
+    }
+
+    /**
+     * Lists the changes made to a contact (deleted or not), most recent first.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<Array<Object>>} The history entries, each with the user who made the change
+     *   as { id, email } (null if unknown or since deleted).
+     */
+    async listHistory(bookId, id) {
+        const [rows] = await this.db.query(
+            'SELECT contact_history.*, users.email AS user_email FROM contact_history ' +
+                'LEFT JOIN users ON users.id = contact_history.user_id ' +
+                'WHERE contact_history.contact_id = ? AND contact_history.book_id = ? ORDER BY contact_history.version DESC',
+            [id, bookId]
+        );
+        return rows.map((row) => ({
+            ...toHistoryEntry(row),
+            user: row.user_email ? { id: row.user_id, email: row.user_email } : null
+        }));
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id - The contact's ID.
+     * @param {string} entryId
+     * @returns {Promise<Object|null>} One entry of the contact's history, or null if it has no such entry.
+     */
+    async findHistoryEntry(bookId, id, entryId) {
+        const [rows] = await this.db.query(
+            'SELECT * FROM contact_history WHERE id = ? AND contact_id = ? AND book_id = ?',
+            [entryId, id, bookId]
+        );
+        return rows[0] ? toHistoryEntry(rows[0]) : null;
+    }
+
+    /**
+     * Stores a new contact with a generated UUID. Timestamps and version 1 are set by the database.
+     *
+     * @param {string} bookId - The address book the contact is added to.
+     * @param {Object} fields - The contact fields, as validated by ContactSchema.
+     * @param {Object} [options]
+     * @param {string} [options.userId] - Who is adding it, for the contact's history.
+     * @returns {Promise<Object>} The stored contact, including id, createdAt, updatedAt and version.
+     */
+    async create(bookId, fields, { userId } = {}) {
+        const id = crypto.randomUUID();
+        const { name, email, phone, company = '', title = '', notes = '', birthday = null } = fields;
+        return this._inTransaction(async (db) => {
+            await db.query(
+                'INSERT INTO contacts (id, book_id, name, email, phone, company, title, notes, birthday) ' +
+                    'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [id, bookId, name, email, phone, company, title, notes, birthday]
+            );
+            await this._writeLists(db, bookId, id, fields);
+            const contact = await this._load(db, bookId, id);
+            await this._record(db, 'create', null, contact, { userId });
+            return contact;
+        });
+    }
+
+    /**
+     * Throws if the caller expected a different version of the contact than the stored one.
+     */
+    _checkVersion(contact, expectedVersion) {
+        if (expectedVersion !== undefined && contact.version !== expectedVersion) {
+            throw new VersionConflictError(contact);
+        }
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} fields - The contact fields, as validated by ContactSchema; they replace the stored ones.
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Only update if the contact is still at this version.
+     * @param {string} [options.userId] - Who is updating it, for the contact's history.
+     * @param {number} [options.revertedTo] - The version whose fields are being restored, if any.
+     * @returns {Promise<Object|null>} The updated contact, or null if it doesn't exist.
+     * @throws {VersionConflictError} If the contact is at another version than expectedVersion.
+     */
+    async update(bookId, id, fields, { expectedVersion, userId, revertedTo } = {}) {
+        const { name, email, phone, company = '', title = '', notes = '', birthday = null } = fields;
+        return this._inTransaction(async (db) => {
+            const before = await this._load(db, bookId, id, { lock: true });
+            if (!before) return null;
+            this._checkVersion(before, expectedVersion);
+
+            await db.query(
+                'UPDATE contacts SET name = ?, email = ?, phone = ?, company = ?, title = ?, notes = ?, birthday = ?, ' +
+                    'updated_at = CURRENT_TIMESTAMP(3), version = version + 1 WHERE id = ?',
+                [name, email, phone, company, title, notes, birthday, id]
+            );
+            await this._writeLists(db, bookId, id, fields);
+            const contact = await this._load(db, bookId, id);
+            await this._record(db, revertedTo === undefined ? 'update' : 'revert', before, contact, { userId, revertedTo });
+            return contact;
+        });
+    }
+
+    /**
+     * Moves a contact to the book's trash.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {number} [options.expectedVersion] - Only delete if the contact is still at this version.
+     * @param {string} [options.userId] - Who is deleting it, for the contact's history.
+     * @returns {Promise<Object|null>} The contact as it was deleted (with deletedAt), or null if it doesn't exist.
+     * @throws {VersionConflictError} If the contact is at another version than expectedVersion.
+     */
+    async remove(bookId, id, { expectedVersion, userId } = {}) {
+        return this._inTransaction(async (db) => {
+            const contact = await this._load(db, bookId, id, { lock: true });
+            if (!contact) return null;
+            this._checkVersion(contact, expectedVersion);
+
+            await db.query(
+                'UPDATE contacts SET deleted_at = CURRENT_TIMESTAMP(3), updated_at = CURRENT_TIMESTAMP(3), ' +
+                    'version = version + 1 WHERE id = ?',
+                [id]
+            );
+            const deleted = await this._load(db, bookId, id, { deleted: true });
+            await this._record(db, 'delete', null, deleted, { userId });
+            return deleted;
+        });
+    }
+
+    /**
+     * Takes a contact out of the book's trash.
+     *
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {string} [options.userId] - Who is restoring it, for the contact's history.
+     * @returns {Promise<Object|null>} The restored contact, or null if the trash has no such contact.
+     */
+    async restore(bookId, id, { userId } = {}) {
+        return this._inTransaction(async (db) => {
+            const deleted = await this._load(db, bookId, id, { deleted: true, lock: true });
+            if (!deleted) return null;
+
+            await db.query(
+                'UPDATE contacts SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP(3), version = version + 1 WHERE id = ?',
+                [id]
+            );
+            const contact = await this._load(db, bookId, id);
+            await this._record(db, 'restore', null, contact, { userId });
+            return contact;
+        });
+    }
+
+    /**
+     * Moves every contact without an address book (created before user accounts existed) into a book.
+     *
+     * @param {string} bookId
+     * @returns {Promise<number>} How many contacts were claimed.
+     */
+    async claimUnassigned(bookId) {
+        const [result] = await this.db.query('UPDATE contacts SET book_id = ? WHERE book_id IS NULL', [bookId]);
+        return result.affectedRows;
+    }
+}
+
+module.exports = MySqlContactRepository;
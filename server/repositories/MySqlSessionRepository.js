@@ -0,0 +1,57 @@
+/**
+ * Login sessions backed by the MySQL `sessions` table.
+ * Exposes the same promise-based interface as MemorySessionRepository.
+ */
+class MySqlSessionRepository {
+    /**
+     * @param {Object} db - A promise-based mysql2 pool or connection.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {Object} session - { tokenHash, userId, expiresAt (Date) }.
+     * @returns {Promise<void>}
+     */
+    async create({ tokenHash, userId, expiresAt }) {
+        await this.db.query(
+            'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+            [tokenHash, userId, expiresAt]
+        );
+    }
+
+    /**
+     * @param {string} tokenHash
+     * @returns {Promise<Object|null>} The session ({ tokenHash, userId, expiresAt }), or null if it
+     *   doesn't exist or has expired.
+     */
+    async findValid(tokenHash) {
+        const [rows] = await this.db.query(
+            'SELECT token_hash, user_id, expires_at FROM sessions WHERE token_hash = ? AND expires_at > CURRENT_TIMESTAMP(3)',
+            [tokenHash]
+        );
+        if (!rows[0]) return null;
+        return { tokenHash: rows[0].token_hash, userId: rows[0].user_id, expiresAt: rows[0].expires_at.toISOString() };
+    }
+
+    /**
+     * Ends a session (logout).
+     * @param {string} tokenHash
+     * @returns {Promise<void>}
+     */
+    async remove(tokenHash) {
+        await this.db.query('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    }
+
+    /**
+     * Deletes every expired session.
+     * @returns {Promise<number>} How many were deleted.
+     */
+    async removeExpired() {
+        const [result] = await this.db.query('DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP(3)');
+        return result.affectedRows;
+    }
+}
+
+module.exports = MySqlSessionRepository;
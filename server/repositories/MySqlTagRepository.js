@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+/**
+ * Converts a `tags` row into a tag.
+ */
+function toTag(row) {
+    return { id: row.id, bookId: row.book_id, name: row.name, color: row.color, createdAt: row.created_at.toISOString() };
+}
+
+/**
+ * Tags of address books, backed by the MySQL `tags` table. Exposes the same promise-based
+ * interface as MemoryTagRepository. Links to contacts (`contact_tags`) are deleted with the tag
+ * by the foreign keys.
+ */
+class MySqlTagRepository {
+    /**
+     * @param {Object} db - A promise-based mysql2 pool or connection.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {string} bookId
+     * @returns {Promise<Array<Object>>} The book's tags ({ id, bookId, name, color, createdAt }), by name.
+     */
+    async list(bookId) {
+        const [rows] = await this.db.query('SELECT * FROM tags WHERE book_id = ? ORDER BY name, id', [bookId]);
+        return rows.map(toTag);
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<Object|null>} The tag, or null if the book has no such tag.
+     */
+    async findById(bookId, id) {
+        const [rows] = await this.db.query('SELECT * FROM tags WHERE id = ? AND book_id = ?', [id, bookId]);
+        return rows[0] ? toTag(rows[0]) : null;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} name - Compared case-insensitively (the column's collation).
+     * @returns {Promise<Object|null>} The book's tag with that name, or null.
+     */
+    async findByName(bookId, name) {
+        const [rows] = await this.db.query('SELECT * FROM tags WHERE book_id = ? AND name = ?', [bookId, name]);
+        return rows[0] ? toTag(rows[0]) : null;
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {Object} fields - { name, color }
+     * @returns {Promise<Object>} The new tag.
+     */
+    async create(bookId, { name, color }) {
+        const id = crypto.randomUUID();
+        await this.db.query('INSERT INTO tags (id, book_id, name, color) VALUES (?, ?, ?, ?)', [id, bookId, name, color]);
+        return this.findById(bookId, id);
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @param {Object} fields - Any of { name, color }.
+     * @returns {Promise<Object|null>} The changed tag, or null if it doesn't exist.
+     */
+    async update(bookId, id, fields) {
+        const current = await this.findById(bookId, id);
+        if (!current) return null;
+
+        const { name = current.name, color = current.color } = fields;
+        await this.db.query('UPDATE tags SET name = ?, color = ? WHERE id = ? AND book_id = ?', [name, color, id, bookId]);
+        return { ...current, name, color };
+    }
+
+    /**
+     * @param {string} bookId
+     * @param {string} id
+     * @returns {Promise<boolean>} True if a tag was removed.
+     */
+    async remove(bookId, id) {
+        const [result] = await this.db.query('DELETE FROM tags WHERE id = ? AND book_id = ?', [id, bookId]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = MySqlTagRepository;
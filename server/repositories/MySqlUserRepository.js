@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Converts a `users` row into a user object.
+ */
+function toUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        passwordHash: row.password_hash,
+        createdAt: row.created_at.toISOString()
+    };
+}
+
+/**
+ * User accounts backed by the MySQL `users` table.
+ * Exposes the same promise-based interface as MemoryUserRepository.
+ */
+class MySqlUserRepository {
+    /**
+     * @param {Object} db - A promise-based mysql2 pool or connection.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * @param {string} email
+     * @returns {Promise<Object|null>} The user ({ id, email, passwordHash, createdAt }), or null.
+     */
+    async findByEmail(email) {
+        const [rows] = await this.db.query('SELECT * FROM users WHERE email = ?', [email.toLowerCase()]);
+        return rows[0] ? toUser(rows[0]) : null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The user, or null if it doesn't exist.
+     */
+    async findById(id) {
+        const [rows] = await this.db.query('SELECT * FROM users WHERE id = ?', [id]);
+        return rows[0] ? toUser(rows[0]) : null;
+    }
+
+    /**
+     * Creates an account with a generated UUID.
+     *
+     * @param {Object} fields - { email, passwordHash }.
+     * @returns {Promise<Object|null>} The new user, or null if the email is already registered.
+     */
+    async create({ email, passwordHash }) {
+        const id = crypto.randomUUID();
+        try {
+            await this.db.query(
+                'INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)',
+                [id, email.toLowerCase(), passwordHash]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') return null;
+            throw error;
+        }
+        return this.findById(id);
+    }
+
+    /**
+     * @returns {Promise<number>} How many accounts exist.
+     */
+    async count() {
+        const [[{ total }]] = await this.db.query('SELECT COUNT(*) AS total FROM users');
+        return Number(total);
+    }
+}
+
+module.exports = MySqlUserRepository;
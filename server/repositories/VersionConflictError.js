@@ -0,0 +1,16 @@
+/**
+ * Raised by a repository when a conditional update or delete expected a different
+ * version of the contact than the one stored, i.e. someone else changed it first.
+ */
+class VersionConflictError extends Error {
+    /**
+     * @param {Object} current - The contact as currently stored.
+     */
+    constructor(current) {
+        super(`Contact ${current.id} is at version ${current.version}`);
+        this.name = 'VersionConflictError';
+        this.current = current;
+    }
+}
+
+module.exports = VersionConflictError;
@@ -0,0 +1,127 @@
+const MemoryStore = require('../stores/MemoryStore');
+const FileStore = require('../stores/FileStore');
+const MemoryContactRepository = require('./MemoryContactRepository');
+const MySqlContactRepository = require('./MySqlContactRepository');
+const MemoryUserRepository = require('./MemoryUserRepository');
+const MySqlUserRepository = require('./MySqlUserRepository');
+const MemorySessionRepository = require('./MemorySessionRepository');
+const MySqlSessionRepository = require('./MySqlSessionRepository');
+const MemoryBookRepository = require('./MemoryBookRepository');
+const MySqlBookRepository = require('./MySqlBookRepository');
+const MemoryTagRepository = require('./MemoryTagRepository');
+const MySqlTagRepository = require('./MySqlTagRepository');
+const VersionConflictError = require('./VersionConflictError');
+
+/**
+ * Storage backends the server can run against.
+ *   - mysql:  the MySQL database (needs a running server and the `contacts` table).
+ *   - file:   a single JSON file on disk, handy for local development.
+ *   - memory: nothing persisted; every restart starts empty. Useful for automated tests.
+ */
+const DRIVERS = ['mysql', 'file', 'memory'];
+
+/**
+ * Creates the repositories for the selected storage backend.
+ * All backends expose the same promise-based interface, so route handlers
+ * never need to know which one is in use.
+ *
+ * @param {Object} options
+ * @param {string} options.driver - One of DRIVERS.
+ * @param {Object} [options.mysql] - mysql2 pool options (driver 'mysql').
+ * @param {string} [options.file] - Absolute path of the JSON data file (driver 'file').
+ * @returns {{ driver: string, db?: Object, store?: MemoryStore, contacts: Object, users: Object,
+ *   sessions: Object, books: Object, tags: Object, transaction: Function, close: Function }}
+ *   `db` (mysql) or `store` (file/memory) give lower-level access, e.g. for migrations.
+ *   `transaction(fn)` calls fn with { contacts, books } repositories whose changes are all kept
+ *   if fn succeeds and all undone if it throws; it resolves to what fn returned.
+ */
+function createRepositories(options) {
+    switch (options.driver) {
+        case 'mysql': {
+            // Required lazily so the other backends work without the MySQL driver installed.
+            const mysql = require('mysql2');
+            // Timestamps are stored and read as UTC.
+            const pool = mysql.createPool({ ...options.mysql, timezone: 'Z' });
+
+            // Check the connection up front so a bad setup is reported at startup.
+            pool.getConnection((err, connection) => {
+                if (err) {
+                    console.error('Error connecting to MySQL:', err.message);
+                    return;
+                }
+                console.log('Successfully connected to MySQL database.');
+                connection.release();
+            });
+
+            const db = pool.promise();
+            return {
+                driver: 'mysql',
+                db,
+                contacts: new MySqlContactRepository(db),
+                users: new MySqlUserRepository(db),
+                sessions: new MySqlSessionRepository(db),
+                books: new MySqlBookRepository(db),
+                tags: new MySqlTagRepository(db),
+                transaction: async (fn) => {
+                    const connection = await db.getConnection();
+                    try {
+                        await connection.beginTransaction();
+                        const result = await fn({
+                            contacts: new MySqlContactRepository(connection),
+                            books: new MySqlBookRepository(connection)
+                        });
+                        await connection.commit();
+                        return result;
+                    } catch (error) {
+                        await connection.rollback();
+                        throw error;
+                    } finally {
+                        connection.release();
+                    }
+                },
+                close: () => db.end()
+            };
+        }
+
+        case 'file': {
+            const store = new FileStore(options.file);
+            return {
+                driver: 'file',
+                store,
+                contacts: new MemoryContactRepository(store),
+                users: new MemoryUserRepository(store),
+                sessions: new MemorySessionRepository(store),
+                books: new MemoryBookRepository(store),
+                tags: new MemoryTagRepository(store),
+                transaction: (fn) => store.transaction((scope) => fn({
+                    contacts: new MemoryContactRepository(scope),
+                    books: new MemoryBookRepository(scope)
+                })),
+                close: () => store.close()
+            };
+        }
+
+        case 'memory': {
+            const store = new MemoryStore();
+            return {
+                driver: 'memory',
+                store,
+                contacts: new MemoryContactRepository(store),
+                users: new MemoryUserRepository(store),
+                sessions: new MemorySessionRepository(store),
+                books: new MemoryBookRepository(store),
+                tags: new MemoryTagRepository(store),
+                transaction: (fn) => store.transaction((scope) => fn({
+                    contacts: new MemoryContactRepository(scope),
+                    books: new MemoryBookRepository(scope)
+                })),
+                close: () => store.close()
+            };
+        }
+
+        default:
+            throw new Error(`Unknown storage driver "${options.driver}" (expected one of: ${DRIVERS.join(', ')})`);
+    }
+}
+
+module.exports = { createRepositories, DRIVERS, VersionConflictError };
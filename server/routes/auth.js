@@ -0,0 +1,81 @@
+const { HttpError, sendJson } = require('../http');
+const { hashPassword, validateCredentials, toPublicUser } = require('../auth');
+const { DEFAULT_BOOK_NAME } = require('../addressBooks');
+
+/**
+ * Route middleware for routes that need a signed-in user: sets req.user, or answers 401.
+ *
+ * @param {SessionManager} sessionManager
+ */
+function requireUser(sessionManager) {
+    return async (req, res, next) => {
+        req.user = await sessionManager.authenticate(req);
+        if (!req.user) throw new HttpError(401, 'Not signed in');
+        await next();
+    };
+}
+
+/**
+ * Account routes: /api/auth/register, /api/auth/login, /api/auth/logout, /api/auth/me
+ *
+ * @param {Router} router
+ * @param {Object} app - { repositories, sessionManager }
+ */
+function registerAuthRoutes(router, { repositories, sessionManager }) {
+    // GET /me: Who is signed in (401 if nobody)
+    router.get('/api/auth/me', requireUser(sessionManager), async (req, res) => {
+        sendJson(res, 200, { user: toPublicUser(req.user) });
+    });
+
+    // POST /register: Create an account and sign in
+    router.post('/api/auth/register', async (req, res) => {
+        const { value, errors } = validateCredentials(req.body, { newPassword: true });
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        const user = await repositories.users.create({
+            email: value.email,
+            passwordHash: await hashPassword(value.password)
+        });
+        if (!user) {
+            throw new HttpError(409, 'Validation failed', {
+                errors: [{ field: 'email', message: 'An account with this email already exists' }]
+            });
+        }
+
+        // Every account starts with a personal address book. The first one also
+        // inherits the contacts created before accounts existed.
+        const book = await repositories.books.create(user.id, DEFAULT_BOOK_NAME);
+        if (await repositories.users.count() === 1) {
+            await repositories.contacts.claimUnassigned(book.id);
+        }
+
+        await sessionManager.start(res, user.id);
+        sendJson(res, 201, { user: toPublicUser(user) });
+    });
+
+    // POST /login: Check the credentials and start a session
+    router.post('/api/auth/login', async (req, res) => {
+        const { value, errors } = validateCredentials(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        const user = await sessionManager.login(value.email, value.password);
+        if (!user) {
+            // Same answer for an unknown email and a wrong password
+            throw new HttpError(401, 'Invalid email or password');
+        }
+        await sessionManager.start(res, user.id);
+        sendJson(res, 200, { user: toPublicUser(user) });
+    });
+
+    // POST /logout: End the session
+    router.post('/api/auth/logout', async (req, res) => {
+        await sessionManager.end(req, res);
+        sendJson(res, 200, { message: 'Signed out' });
+    });
+}
+
+module.exports = { registerAuthRoutes, requireUser };
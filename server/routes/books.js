@@ -0,0 +1,205 @@
+const { HttpError, sendJson } = require('../http');
+const { can, validateBook, validateMember } = require('../addressBooks');
+const { validateTag, nextTagColor } = require('../tags');
+const { requireUser } = require('./auth');
+
+/**
+ * Route middleware that loads the book of the :bookId parameter into req.book, with the user's
+ * role in it. Books the user isn't a member of get a 404, so their existence isn't revealed.
+ *
+ * @param {Object} books - The book repository.
+ */
+function loadBook(books) {
+    return async (req, res, next) => {
+        req.book = await books.findForUser(req.user.id, req.params.bookId);
+        if (!req.book) throw new HttpError(404, 'Address book not found');
+        await next();
+    };
+}
+
+/**
+ * Route middleware that lets only members whose role in req.book allows `action` through (403 otherwise).
+ *
+ * @param {string} action - 'read', 'write' or 'manage' (see can()).
+ * @param {string} message - The 403's error message.
+ */
+function requireRole(action, message) {
+    return async (req, res, next) => {
+        if (!can(req.book.role, action)) throw new HttpError(403, message);
+        await next();
+    };
+}
+
+/**
+ * Address book routes: /api/books, /api/books/:bookId, /api/books/:bookId/members[/:userId],
+ * /api/books/:bookId/tags[/:tagId]
+ * Members can read a book; only its owners may rename it, delete it or manage its members,
+ * and its owners and editors manage its tags.
+ *
+ * @param {Router} router
+ * @param {Object} app - { repositories, sessionManager, contactEvents }
+ */
+function registerBookRoutes(router, { repositories, sessionManager, contactEvents }) {
+    const { books, tags, users } = repositories;
+    const signedIn = requireUser(sessionManager);
+    const member = [signedIn, loadBook(books)];
+
+    // GET: The books the user is a member of, with their role in each
+    router.get('/api/books', signedIn, async (req, res) => {
+        sendJson(res, 200, { data: await books.listForUser(req.user.id) });
+    });
+
+    // POST: Create a book owned by the user
+    router.post('/api/books', signedIn, async (req, res) => {
+        const { value, errors } = validateBook(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+        sendJson(res, 201, await books.create(req.user.id, value.name));
+    });
+
+    // GET /:bookId: The book, with its members
+    router.get('/api/books/:bookId', ...member, async (req, res) => {
+        sendJson(res, 200, { ...req.book, members: await books.listMembers(req.book.id) });
+    });
+
+    // PUT /:bookId: Rename the book (owners only)
+    router.put('/api/books/:bookId', ...member,
+        requireRole('manage', 'Only owners can rename this address book'),
+        async (req, res) => {
+            const { value, errors } = validateBook(req.body);
+            if (errors.length > 0) {
+                throw new HttpError(400, 'Validation failed', { errors });
+            }
+            const renamed = await books.rename(req.book.id, value.name);
+            sendJson(res, 200, { ...renamed, role: req.book.role });
+        });
+
+    // DELETE /:bookId: Delete the book and every contact in it (owners only)
+    router.delete('/api/books/:bookId', ...member,
+        requireRole('manage', 'Only owners can delete this address book'),
+        async (req, res) => {
+            await books.remove(req.book.id);
+            contactEvents.close(req.book.id);
+            sendJson(res, 200, { message: 'Address book deleted successfully' });
+        });
+
+    // GET /:bookId/tags: The book's tags, by name
+    router.get('/api/books/:bookId/tags', ...member, async (req, res) => {
+        sendJson(res, 200, { data: await tags.list(req.book.id) });
+    });
+
+    // Tag names are unique within a book, ignoring case
+    const checkTagName = async (bookId, name, tagId) => {
+        const sameName = name && await tags.findByName(bookId, name);
+        if (sameName && sameName.id !== tagId) {
+            throw new HttpError(409, 'Validation failed', {
+                errors: [{ field: 'name', message: 'There is already a tag with this name' }]
+            });
+        }
+    };
+    const findTag = async (req) => {
+        if (!await tags.findById(req.book.id, req.params.tagId)) {
+            throw new HttpError(404, 'Tag not found');
+        }
+    };
+    const tagEditor = requireRole('write', 'You can only view the tags of this address book');
+
+    // POST /:bookId/tags: Create a tag ({ name, color? })
+    router.post('/api/books/:bookId/tags', ...member, tagEditor, async (req, res) => {
+        const { value, errors } = validateTag(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+        await checkTagName(req.book.id, value.name);
+
+        const color = value.color || nextTagColor((await tags.list(req.book.id)).length);
+        sendJson(res, 201, await tags.create(req.book.id, { name: value.name, color }));
+    });
+
+    // PUT /:bookId/tags/:tagId: Rename or recolor a tag ({ name?, color? })
+    router.put('/api/books/:bookId/tags/:tagId', ...member, tagEditor, async (req, res) => {
+        const { value, errors } = validateTag(req.body, { partial: true });
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+        await findTag(req);
+        await checkTagName(req.book.id, value.name, req.params.tagId);
+        sendJson(res, 200, await tags.update(req.book.id, req.params.tagId, value));
+    });
+
+    // DELETE /:bookId/tags/:tagId: Delete a tag, taking it off every contact
+    router.delete('/api/books/:bookId/tags/:tagId', ...member, tagEditor, async (req, res) => {
+        await findTag(req);
+        await tags.remove(req.book.id, req.params.tagId);
+        sendJson(res, 200, { message: 'Tag deleted successfully' });
+    });
+
+    // POST /:bookId/members: Share the book with another account ({ email, role }, owners only)
+    router.post('/api/books/:bookId/members', ...member,
+        requireRole('manage', 'Only owners can share this address book'),
+        async (req, res) => {
+            const { value, errors } = validateMember(req.body, { requireEmail: true });
+            if (errors.length > 0) {
+                throw new HttpError(400, 'Validation failed', { errors });
+            }
+
+            const account = await users.findByEmail(value.email);
+            if (!account) {
+                throw new HttpError(400, 'Validation failed', {
+                    errors: [{ field: 'email', message: 'There is no account with this email' }]
+                });
+            }
+            if (!await books.addMember(req.book.id, account.id, value.role)) {
+                throw new HttpError(409, 'Validation failed', {
+                    errors: [{ field: 'email', message: 'This account is already a member' }]
+                });
+            }
+            sendJson(res, 201, { userId: account.id, email: account.email, role: value.role });
+        });
+
+    // The member of the :userId parameter, provided the book keeps at least one owner once
+    // they are no longer one (newRole is their new role, or null when they go)
+    const findMember = async (req, newRole) => {
+        const members = await books.listMembers(req.book.id);
+        const target = members.find((m) => m.userId === req.params.userId);
+        if (!target) {
+            throw new HttpError(404, 'Member not found');
+        }
+
+        const losesOwner = target.role === 'owner' && newRole !== 'owner';
+        if (losesOwner && members.filter((m) => m.role === 'owner').length === 1) {
+            throw new HttpError(409, 'An address book needs at least one owner');
+        }
+        return target;
+    };
+
+    // PUT /:bookId/members/:userId: Change a member's role (owners only)
+    router.put('/api/books/:bookId/members/:userId', ...member,
+        requireRole('manage', 'Only owners can manage members of this address book'),
+        async (req, res) => {
+            const { value, errors } = validateMember(req.body);
+            if (errors.length > 0) {
+                throw new HttpError(400, 'Validation failed', { errors });
+            }
+
+            const target = await findMember(req, value.role);
+            await books.setRole(req.book.id, target.userId, value.role);
+            sendJson(res, 200, { ...target, role: value.role });
+        });
+
+    // DELETE /:bookId/members/:userId: Remove a member (owners), or leave the book (anyone, for themselves)
+    router.delete('/api/books/:bookId/members/:userId', ...member, async (req, res) => {
+        const leaving = req.params.userId === req.user.id;
+        if (!leaving && !can(req.book.role, 'manage')) {
+            throw new HttpError(403, 'Only owners can manage members of this address book');
+        }
+
+        const target = await findMember(req, null);
+        await books.removeMember(req.book.id, target.userId);
+        contactEvents.close(req.book.id, target.userId);
+        sendJson(res, 200, { message: leaving ? 'Left address book' : 'Member removed' });
+    });
+}
+
+module.exports = { registerBookRoutes, requireRole };
@@ -0,0 +1,602 @@
+const { HttpError, sendJson } = require('../http');
+const { VersionConflictError } = require('../repositories');
+const { can } = require('../addressBooks');
+const {
+    parseCsv, detectCsvMapping, checkCsvMapping, csvRowsToContacts, toCsv, parseVCards, toVCards, planImport
+} = require('../contactFormats');
+const ContactSchema = require('../../js/ContactSchema');
+const ContactMatcher = require('../../js/ContactMatcher');
+const { requireUser } = require('./auth');
+const { requireRole } = require('./books');
+
+// Query parameters accepted by GET /api/contacts
+const LIST_SORT_FIELDS = ['name', 'email', 'phone', 'createdAt', 'updatedAt'];
+const LIST_DEFAULT_LIMIT = 25;
+const LIST_MAX_LIMIT = 100;
+
+/**
+ * Reads the tag filter of GET /api/contacts and its export: ?tag=<id>[,<id>...].
+ *
+ * @param {URLSearchParams} params - The request's query string.
+ * @returns {Array<string>} The tag IDs; contacts must have all of them.
+ */
+function parseTagFilter(params) {
+    return (params.get('tag') || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Reads and validates the search, tag filter, sort and pagination parameters of GET /api/contacts.
+ * E.g. /api/contacts?q=jane&tag=<id>&sort=createdAt&order=desc&limit=25&offset=50
+ *
+ * @param {URLSearchParams} params - The request's query string.
+ * @returns {{ query?: Object, error?: string }} The repository list options, or an error message.
+ */
+function parseListQuery(params) {
+    const sort = params.get('sort') || 'name';
+    const order = params.get('order') || 'asc';
+    const limit = Number(params.get('limit') || LIST_DEFAULT_LIMIT);
+    const offset = Number(params.get('offset') || 0);
+
+    if (!LIST_SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${LIST_SORT_FIELDS.join(', ')}` };
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${LIST_MAX_LIMIT}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+
+    return { query: { q: (params.get('q') || '').trim(), tagIds: parseTagFilter(params), sort, order, limit, offset } };
+}
+
+// Formats offered by GET /api/contacts/export
+const EXPORT_FORMATS = {
+    csv: { type: 'text/csv', serialize: toCsv },
+    vcf: { type: 'text/vcard', serialize: toVCards }
+};
+
+// Largest file POST /api/contacts/import accepts, in contacts, and the largest request body (the file as JSON)
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Reads the body of POST /api/contacts/import:
+ * { format: 'csv'|'vcf', data: <file contents>, mapping?: { name, email, phone, company, title, birthday, notes }, dryRun?: boolean }.
+ * For CSV, `mapping` names the column of each field (the name may join several columns);
+ * fields left out are guessed from the header.
+ *
+ * @param {Object} body
+ * @returns {{ entries?: Array<Object>, columns?: Array<string>, mapping?: Object, error?: string }}
+ *   The raw contacts (see planImport), plus for CSV the header and the mapping used; or an error message.
+ */
+function parseImport(body) {
+    const { format, data, mapping = {} } = body;
+
+    if (format !== 'csv' && format !== 'vcf') {
+        return { error: 'format must be csv or vcf' };
+    }
+    if (typeof data !== 'string' || data.trim() === '') {
+        return { error: 'data must be the contents of the file' };
+    }
+
+    if (format === 'vcf') {
+        const entries = parseVCards(data);
+        if (entries.length === 0) return { error: 'The file contains no vCards' };
+        if (entries.length > IMPORT_MAX_ROWS) return { error: `A file can have at most ${IMPORT_MAX_ROWS} contacts` };
+        return { entries };
+    }
+
+    if (typeof mapping !== 'object' || Array.isArray(mapping) || mapping === null) {
+        return { error: 'mapping must be an object' };
+    }
+    const [columns, ...rows] = parseCsv(data);
+    if (rows.length === 0) return { error: 'The file needs a header row and at least one contact' };
+    if (rows.length > IMPORT_MAX_ROWS) return { error: `A file can have at most ${IMPORT_MAX_ROWS} contacts` };
+
+    const problems = checkCsvMapping(mapping, columns);
+    if (problems.length > 0) return { error: problems.join('; ') };
+
+    const used = { ...detectCsvMapping(columns), ...mapping };
+    const entries = csvRowsToContacts(rows, columns, used).map((contact) => ({ contact }));
+    return { entries, columns, mapping: used };
+}
+
+// Operations accepted by POST /api/contacts/batch, and how many at once
+const BATCH_OPS = ['create', 'update', 'delete', 'restore'];
+const BATCH_MAX_ITEMS = 500;
+const BATCH_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Reads and validates the operations of POST /api/contacts/batch:
+ * { operations: [{ op: 'create', contact }, { op: 'update', id, contact, version? }, { op: 'delete', id, version? },
+ * { op: 'restore', id }] }.
+ * `version`, like If-Match, makes an update or delete apply only to that version of the contact.
+ * A restore takes a deleted contact out of the book's trash.
+ *
+ * @param {Object} body
+ * @returns {{ operations?: Array<Object>, invalid?: Array<Object>, error?: string }} The operations
+ *   with normalized contact fields; or, per operation, the problems found ({ index, op, errors }, empty
+ *   for valid ones) when any is invalid; or an error message for a malformed body.
+ */
+function parseBatch(body) {
+    const items = body.operations;
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'operations must be a non-empty array' };
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+        return { error: `A batch can have at most ${BATCH_MAX_ITEMS} operations` };
+    }
+
+    const operations = items.map((item, index) => {
+        const { op, id, version } = item && typeof item === 'object' ? item : {};
+        const errors = [];
+
+        if (!BATCH_OPS.includes(op)) {
+            errors.push({ field: 'op', message: `op must be one of: ${BATCH_OPS.join(', ')}` });
+        }
+        if (op !== 'create' && (typeof id !== 'string' || id === '')) {
+            errors.push({ field: 'id', message: 'id is required' });
+        }
+        if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+            errors.push({ field: 'version', message: 'version must be a positive integer' });
+        }
+
+        let value;
+        if (op === 'create' || op === 'update') {
+            const result = ContactSchema.validate(item.contact);
+            value = result.value;
+            errors.push(...result.errors);
+        }
+        return { index, op, id, version, contact: value, errors };
+    });
+
+    if (operations.some((operation) => operation.errors.length > 0)) {
+        return { invalid: operations.map(({ index, op, errors }) => ({ index, op, errors })) };
+    }
+    return { operations };
+}
+
+// Pairs listed by GET /api/contacts/duplicates; the response's total counts all of them
+const DUPLICATES_MAX_PAIRS = 100;
+
+/**
+ * Reads and validates the body of POST /api/contacts/merge.
+ * `targetVersion` and `sourceVersion`, like If-Match, make the merge apply only to those versions.
+ *
+ * @param {Object} body - { targetId, sourceId, choices?, targetVersion?, sourceVersion? }
+ * @returns {{ merge: Object, errors: Array<{ field: string, message: string }> }}
+ */
+function parseMerge(body) {
+    const input = body && typeof body === 'object' ? body : {};
+    const { targetId, sourceId, choices, targetVersion, sourceVersion } = input;
+    const errors = [];
+
+    ['targetId', 'sourceId'].forEach((field) => {
+        if (typeof input[field] !== 'string' || input[field] === '') {
+            errors.push({ field, message: `${field} is required` });
+        }
+    });
+    if (errors.length === 0 && targetId === sourceId) {
+        errors.push({ field: 'sourceId', message: 'A contact can\'t be merged with itself' });
+    }
+    ['targetVersion', 'sourceVersion'].forEach((field) => {
+        if (input[field] !== undefined && (!Number.isInteger(input[field]) || input[field] < 1)) {
+            errors.push({ field, message: `${field} must be a positive integer` });
+        }
+    });
+    errors.push(...ContactMatcher.validateChoices(choices));
+
+    return { merge: { targetId, sourceId, choices: choices || {}, targetVersion, sourceVersion }, errors };
+}
+
+/**
+ * The ETag of a contact: its version number, quoted (e.g. "3").
+ * It changes with every update, so clients can use it with If-Match.
+ */
+function contactEtag(contact) {
+    return `"${contact.version}"`;
+}
+
+/**
+ * Reads the If-Match header of a PUT or DELETE.
+ *
+ * @param {string|undefined} header
+ * @returns {number|undefined} The version the client expects, or undefined for an unconditional
+ *   request (no header, or "*"). A malformed or weak tag gives 0, which never matches.
+ */
+function parseIfMatch(header) {
+    if (!header || header.trim() === '*') return undefined;
+    const match = /^"(\d+)"$/.exec(header.trim());
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Route middleware for the routes about a whole address book (listing, adding, importing...):
+ * loads the book of ?book=<id>, or else the user's own (oldest owned) book, into req.book.
+ *
+ * @param {Object} books - The book repository.
+ */
+function loadCollectionBook(books) {
+    return async (req, res, next) => {
+        const bookId = req.query.get('book');
+        req.book = bookId
+            ? await books.findForUser(req.user.id, bookId)
+            : await books.defaultForUser(req.user.id);
+        if (!req.book) throw new HttpError(404, 'Address book not found');
+        await next();
+    };
+}
+
+/**
+ * Route middleware for the routes about one contact (/api/contacts/:id...): the contact's book
+ * decides what the user may do with it, and is loaded into req.book. Contacts in books the user
+ * isn't a member of are reported as not found. Only owners and editors can change (or restore) them.
+ *
+ * @param {Object} repositories - { contacts, books }
+ */
+function loadContactBook({ contacts, books }) {
+    return async (req, res, next) => {
+        const bookId = await contacts.findBookId(req.params.id);
+        req.book = bookId && await books.findForUser(req.user.id, bookId);
+        if (!req.book) throw new HttpError(404, 'Contact not found');
+        if (req.method !== 'GET' && !can(req.book.role, 'write')) {
+            throw new HttpError(403, 'You can only view this address book');
+        }
+        await next();
+    };
+}
+
+/**
+ * Turns a repository's VersionConflictError (a conditional request that lost the race)
+ * into a 412 with the contact as it is now. For the errorHandler middleware's `translate`.
+ *
+ * @param {Error} error
+ * @returns {HttpError|null}
+ */
+function versionConflictToHttp(error) {
+    if (!(error instanceof VersionConflictError)) return null;
+    return new HttpError(412, 'Contact was changed by someone else', { current: error.current }, { ETag: contactEtag(error.current) });
+}
+
+/**
+ * Contact routes: /api/contacts and its collection endpoints (export, import, batch, duplicates,
+ * merge, events, trash), and /api/contacts/:id with its history. Every request needs a signed-in
+ * user, and only reaches contacts in address books that user is a member of.
+ *
+ * @param {Router} router
+ * @param {Object} app - { repositories, sessionManager, contactEvents }
+ */
+function registerContactRoutes(router, { repositories, sessionManager, contactEvents }) {
+    const { contacts, books } = repositories;
+    const signedIn = requireUser(sessionManager);
+    const inBook = [signedIn, loadCollectionBook(books)];
+    const editor = requireRole('write', 'You can only view this address book');
+    const inContactBook = [signedIn, loadContactBook(repositories)];
+
+    // Streams a change to a contact to its book's other open tabs (the tab that made it sends
+    // its ID as X-Client-Id). Called once the change is stored, never inside a transaction.
+    const publishChange = (req, type, contact) => {
+        contactEvents.publish(contact.bookId, { type, contact }, req.headers['x-client-id'] || null);
+    };
+
+    // GET /api/contacts: Fetch one page of contacts, optionally filtered and sorted
+    router.get('/api/contacts', ...inBook, async (req, res) => {
+        const { query, error } = parseListQuery(req.query);
+        if (error) {
+            throw new HttpError(400, error);
+        }
+
+        const { items, total } = await contacts.list(req.book.id, query);
+        sendJson(res, 200, { data: items, total, limit: query.limit, offset: query.offset });
+    });
+
+    // POST /api/contacts: Add a new contact (owners and editors)
+    router.post('/api/contacts', ...inBook, editor, async (req, res) => {
+        // Validate and normalize with the schema shared with the browser.
+        // Any client-sent id is ignored: the repository generates a UUID.
+        const { value, errors } = ContactSchema.validate(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        // Respond with the stored record so the client can adopt its id and timestamps.
+        const contact = await contacts.create(req.book.id, value, { userId: req.user.id });
+        publishChange(req, 'created', contact);
+        sendJson(res, 201, contact, { ETag: contactEtag(contact) });
+    });
+
+    // GET /api/contacts/export?format=csv|vcf: Download the book's contacts (those matching ?q= and ?tag=, if given).
+    // POST with { format, ids } downloads just the given contacts, e.g. a selection in the list.
+    const exportContacts = async (req, res) => {
+        const { format, q, tagIds, ids } = req.method === 'POST'
+            ? req.body
+            : {
+                format: req.query.get('format') || 'csv',
+                q: (req.query.get('q') || '').trim(),
+                tagIds: parseTagFilter(req.query)
+            };
+        if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+            throw new HttpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        if (req.method === 'POST' && (!Array.isArray(ids) || ids.length === 0)) {
+            throw new HttpError(400, 'ids must be a non-empty array');
+        }
+
+        const { items } = await contacts.list(req.book.id, { q, tagIds });
+        const { type, serialize } = EXPORT_FORMATS[format];
+        const selected = ids ? items.filter((contact) => ids.includes(contact.id)) : items;
+        // Built before answering, so a failure still gets an error response
+        const body = serialize(selected);
+        res.writeHead(200, {
+            'Content-Type': `${type}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="contacts.${format}"`
+        });
+        res.end(body);
+    };
+    router.get('/api/contacts/export', ...inBook, exportContacts);
+    router.post('/api/contacts/export', ...inBook, exportContacts);
+
+    // POST /api/contacts/import: Check a CSV or vCard file ({ dryRun: true }), or add its new
+    // contacts to the book, in one transaction. Rows that are invalid or duplicate an email are skipped.
+    router.post('/api/contacts/import', { bodyLimit: IMPORT_MAX_BYTES }, ...inBook, editor, async (req, res) => {
+        const data = req.body;
+        const { entries, columns, mapping, error } = parseImport(data);
+        if (error) {
+            throw new HttpError(400, error);
+        }
+
+        const { items: existing } = await contacts.list(req.book.id);
+        const rows = planImport(entries, existing);
+        const summary = { total: rows.length, new: 0, duplicate: 0, invalid: 0 };
+        rows.forEach((row) => summary[row.status]++);
+
+        let imported = 0;
+        if (!data.dryRun) {
+            // All the new contacts are added, or (if one fails) none is
+            const created = await repositories.transaction(async ({ contacts }) => {
+                const created = [];
+                for (const row of rows.filter((row) => row.status === 'new')) {
+                    const contact = await contacts.create(req.book.id, row.contact, { userId: req.user.id });
+                    row.id = contact.id;
+                    created.push(contact);
+                }
+                return created;
+            });
+            created.forEach((contact) => publishChange(req, 'created', contact));
+            imported = created.length;
+        }
+        sendJson(res, 200, { dryRun: Boolean(data.dryRun), format: data.format, columns, mapping, summary, imported, rows });
+    });
+
+    // POST /api/contacts/batch: Create, update and delete several contacts in one transaction.
+    // Either every operation is applied or, if any fails, none is; the response has a result per operation.
+    router.post('/api/contacts/batch', { bodyLimit: BATCH_MAX_BYTES }, ...inBook, editor, async (req, res) => {
+        const { book, user } = req;
+        const { operations, invalid, error } = parseBatch(req.body);
+        if (error) {
+            throw new HttpError(400, error);
+        }
+        if (invalid) {
+            const results = invalid.map(({ index, op, errors }) => errors.length > 0
+                ? { index, op, status: 400, error: 'Validation failed', errors }
+                : { index, op, status: 424, error: 'Not applied: another operation failed' });
+            throw new HttpError(400, 'Validation failed', { applied: false, results });
+        }
+
+        // Thrown to roll the transaction back once every operation has its result
+        const failed = new Error('Batch failed');
+        let results;
+        try {
+            results = await repositories.transaction(async ({ contacts }) => {
+                const results = [];
+                for (const { index, op, id, version, contact } of operations) {
+                    try {
+                        if (op === 'create') {
+                            const created = await contacts.create(book.id, contact, { userId: user.id });
+                            results.push({ index, op, status: 201, id: created.id, contact: created });
+                        } else if (op === 'update') {
+                            const updated = await contacts.update(book.id, id, contact, { expectedVersion: version, userId: user.id });
+                            results.push(updated
+                                ? { index, op, status: 200, id, contact: updated }
+                                : { index, op, status: 404, id, error: 'Contact not found' });
+                        } else if (op === 'restore') {
+                            const restored = await contacts.restore(book.id, id, { userId: user.id });
+                            results.push(restored
+                                ? { index, op, status: 200, id, contact: restored }
+                                : { index, op, status: 404, id, error: 'Contact not in the trash' });
+                        } else {
+                            const removed = await contacts.remove(book.id, id, { expectedVersion: version, userId: user.id });
+                            results.push(removed
+                                ? { index, op, status: 200, id, removed }
+                                : { index, op, status: 404, id, error: 'Contact not found' });
+                        }
+                    } catch (err) {
+                        if (!(err instanceof VersionConflictError)) throw err;
+                        results.push({ index, op, status: 412, id, error: 'Contact was changed by someone else', current: err.current });
+                    }
+                }
+                if (results.some((result) => result.status >= 400)) {
+                    failed.results = results;
+                    throw failed;
+                }
+                return results;
+            });
+        } catch (err) {
+            if (err !== failed) throw err;
+            // Contacts created before the failure were rolled back, so their ids are left out
+            const results = failed.results.map(({ index, op, status, id }, i) => status < 400
+                ? { index, op, status: 424, id: op === 'create' ? undefined : id, error: 'Not applied: another operation failed' }
+                : failed.results[i]);
+            throw new HttpError(409, 'Some operations failed; nothing was applied', { applied: false, results });
+        }
+
+        const events = { create: 'created', update: 'updated', delete: 'deleted', restore: 'restored' };
+        results.forEach((result) => publishChange(req, events[result.op], result.contact || result.removed));
+        sendJson(res, 200, {
+            applied: true,
+            results: results.map(({ removed, ...result }) => result)
+        });
+    });
+
+    // GET /api/contacts/duplicates: The pairs of contacts in the book that are likely the same person.
+    router.get('/api/contacts/duplicates', ...inBook, async (req, res) => {
+        const { items } = await contacts.list(req.book.id);
+        const pairs = ContactMatcher.findDuplicatePairs(items);
+        sendJson(res, 200, { data: pairs.slice(0, DUPLICATES_MAX_PAIRS), total: pairs.length });
+    });
+
+    // POST /api/contacts/duplicates with { contact, excludeId? }: The contacts a new or edited contact is likely a duplicate of.
+    router.post('/api/contacts/duplicates', ...inBook, async (req, res) => {
+        const data = req.body;
+        if (!data.contact || typeof data.contact !== 'object') {
+            throw new HttpError(400, 'contact is required');
+        }
+        // Checked like a contact that is saved, so the matcher gets the fields it expects
+        const { value, errors } = ContactSchema.validate(data.contact);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        const { items } = await contacts.list(req.book.id);
+        sendJson(res, 200, { data: ContactMatcher.findDuplicates(value, items, { excludeId: data.excludeId }) });
+    });
+
+    // POST /api/contacts/merge: Combine two contacts of the book field by field into the target,
+    // and delete the source, in one transaction. { targetId, sourceId, choices?, targetVersion?, sourceVersion? }
+    router.post('/api/contacts/merge', ...inBook, editor, async (req, res) => {
+        const { book, user } = req;
+        const { merge, errors } = parseMerge(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        // Any error rolls the transaction back, and is answered as usual
+        const { updated, removed } = await repositories.transaction(async ({ contacts }) => {
+            const target = await contacts.findById(book.id, merge.targetId);
+            const source = await contacts.findById(book.id, merge.sourceId);
+            if (!target || !source) {
+                throw new HttpError(404, 'Contact not found');
+            }
+
+            const { value, errors } = ContactSchema.validate(ContactMatcher.mergeContacts(target, source, merge.choices));
+            if (errors.length > 0) {
+                throw new HttpError(400, 'Validation failed', { errors });
+            }
+
+            const updated = await contacts.update(book.id, target.id, value, {
+                expectedVersion: merge.targetVersion,
+                userId: user.id
+            });
+            const removed = await contacts.remove(book.id, source.id, { expectedVersion: merge.sourceVersion, userId: user.id });
+            return { updated, removed };
+        });
+        publishChange(req, 'updated', updated);
+        publishChange(req, 'deleted', removed);
+        sendJson(res, 200, { contact: updated, removedId: merge.sourceId }, { ETag: contactEtag(updated) });
+    });
+
+    // GET /api/contacts/events?clientId=: A stream (Server-Sent Events) of the changes made to the
+    // book's contacts by other tabs. A tab that reconnects catches up from its Last-Event-ID header
+    // (or ?lastEventId=, for a new connection), or gets a 'resync' event when that is too old.
+    router.get('/api/contacts/events', ...inBook, async (req, res) => {
+        contactEvents.subscribe(req.book.id, {
+            userId: req.user.id,
+            clientId: req.query.get('clientId'),
+            lastEventId: req.headers['last-event-id'] || req.query.get('lastEventId')
+        }, res);
+    });
+
+    // GET /api/contacts/trash: The book's deleted contacts, most recently deleted first
+    router.get('/api/contacts/trash', ...inBook, async (req, res) => {
+        sendJson(res, 200, { data: await contacts.listDeleted(req.book.id) });
+    });
+
+    // GET /api/contacts/:id: Fetch a single contact by ID (a server-generated UUID)
+    router.get('/api/contacts/:id', ...inContactBook, async (req, res) => {
+        const contact = await contacts.findById(req.book.id, req.params.id);
+        if (!contact) {
+            throw new HttpError(404, 'Contact not found');
+        }
+        sendJson(res, 200, contact, { ETag: contactEtag(contact) });
+    });
+
+    // PUT /api/contacts/:id: Update a contact by ID
+    // With If-Match, only if it hasn't changed since the client loaded it (412 otherwise).
+    router.put('/api/contacts/:id', ...inContactBook, async (req, res) => {
+        const { value, errors } = ContactSchema.validate(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        const updated = await contacts.update(req.book.id, req.params.id, value, {
+            expectedVersion: parseIfMatch(req.headers['if-match']),
+            userId: req.user.id
+        });
+        if (!updated) {
+            throw new HttpError(404, 'Contact not found');
+        }
+        publishChange(req, 'updated', updated);
+        sendJson(res, 200, updated, { ETag: contactEtag(updated) });
+    });
+
+    // DELETE /api/contacts/:id: Move a contact to the book's trash by ID
+    // With If-Match, only if it hasn't changed since the client loaded it (412 otherwise).
+    router.delete('/api/contacts/:id', ...inContactBook, async (req, res) => {
+        const removed = await contacts.remove(req.book.id, req.params.id, {
+            expectedVersion: parseIfMatch(req.headers['if-match']),
+            userId: req.user.id
+        });
+        if (!removed) {
+            throw new HttpError(404, 'Contact not found');
+        }
+        publishChange(req, 'deleted', removed);
+        sendJson(res, 200, { message: 'Contact deleted successfully' });
+    });
+
+    // POST /api/contacts/:id/restore: Take the contact out of the book's trash
+    router.post('/api/contacts/:id/restore', ...inContactBook, async (req, res) => {
+        const contact = await contacts.restore(req.book.id, req.params.id, { userId: req.user.id });
+        if (!contact) {
+            throw new HttpError(404, 'Contact not in the trash');
+        }
+        publishChange(req, 'restored', contact);
+        sendJson(res, 200, contact, { ETag: contactEtag(contact) });
+    });
+
+    // GET /api/contacts/:id/history: Every change made to the contact, most recent first
+    router.get('/api/contacts/:id/history', ...inContactBook, async (req, res) => {
+        sendJson(res, 200, { data: await contacts.listHistory(req.book.id, req.params.id) });
+    });
+
+    // POST /api/contacts/:id/history/:entryId/restore: Set the contact's fields back to what they were after that change.
+    // With If-Match, only if it hasn't changed since the client loaded it (412 otherwise).
+    router.post('/api/contacts/:id/history/:entryId/restore', ...inContactBook, async (req, res) => {
+        const { id, entryId } = req.params;
+        const entry = await contacts.findHistoryEntry(req.book.id, id, entryId);
+        if (!entry) {
+            throw new HttpError(404, 'History entry not found');
+        }
+        // The schema may have become stricter since that version was saved
+        const { value, errors } = ContactSchema.validate(entry.snapshot);
+        if (errors.length > 0) {
+            throw new HttpError(400, 'Validation failed', { errors });
+        }
+
+        const updated = await contacts.update(req.book.id, id, value, {
+            expectedVersion: parseIfMatch(req.headers['if-match']),
+            userId: req.user.id,
+            revertedTo: entry.version
+        });
+        if (!updated) {
+            throw new HttpError(404, 'Contact not found');
+        }
+        publishChange(req, 'updated', updated);
+        sendJson(res, 200, updated, { ETag: contactEtag(updated) });
+    });
+}
+
+module.exports = { registerContactRoutes, versionConflictToHttp };
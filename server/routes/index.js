@@ -0,0 +1,17 @@
+const { registerAuthRoutes } = require('./auth');
+const { registerBookRoutes } = require('./books');
+const { registerContactRoutes, versionConflictToHttp } = require('./contacts');
+
+/**
+ * Adds every API route to a router.
+ *
+ * @param {Router} router
+ * @param {Object} app - What the routes work with: { repositories, sessionManager, contactEvents }.
+ */
+function registerRoutes(router, app) {
+    registerAuthRoutes(router, app);
+    registerBookRoutes(router, app);
+    registerContactRoutes(router, app);
+}
+
+module.exports = { registerRoutes, versionConflictToHttp };
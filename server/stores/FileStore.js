@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * A single-file JSON store.
+ * Data is loaded from disk once at startup and kept in memory; every save()
+ * rewrites the whole file. Writes go to a temporary file first and are then
+ * renamed over the original, so a crash never leaves a half-written file.
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} filePath - Location of the JSON file (created if missing).
+     */
+    constructor(filePath) {
+        super(FileStore._load(filePath));
+        this.filePath = filePath;
+
+        // Saves are chained so two concurrent writes never interleave.
+        this._pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Reads and parses the JSON file, or returns an empty data set if it doesn't exist yet.
+     *
+     * @param {string} filePath
+     * @returns {Object}
+     */
+    static _load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+        const raw = fs.readFileSync(filePath, 'utf8');
+        return raw.trim() ? JSON.parse(raw) : {};
+    }
+
+    /**
+     * Writes the current data to disk.
+     * @returns {Promise<void>}
+     */
+    save() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+
+        const write = this._pendingWrite.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        // A failed write is reported to its caller but must not block the ones after it.
+        this._pendingWrite = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Waits for any in-flight write to finish.
+     * @returns {Promise<void>}
+     */
+    close() {
+        return this._pendingWrite;
+    }
+}
+
+module.exports = FileStore;
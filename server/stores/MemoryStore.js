@@ -0,0 +1,63 @@
+/**
+ * A tiny in-process document store.
+ * It keeps named collections (plain arrays of records) in memory and is used
+ * by the "memory" storage backend, and as the base of the "file" backend.
+ * Nothing is persisted: data is lost when the process exits.
+ */
+class MemoryStore {
+    /**
+     * @param {Object} [data] - Initial collections, keyed by collection name.
+     */
+    constructor(data = {}) {
+        this.data = data;
+    }
+
+    /**
+     * Returns the array backing a collection, creating it on first use.
+     *
+     * @param {string} name - The collection name (e.g. 'contacts').
+     * @returns {Array<Object>} The live array of records.
+     */
+    collection(name) {
+        if (!Array.isArray(this.data[name])) {
+            this.data[name] = [];
+        }
+        return this.data[name];
+    }
+
+    /**
+     * Persists the current data. A no-op for the in-memory store.
+     * @returns {Promise<void>}
+     */
+    async save() {}
+
+    /**
+     * Runs a function as one unit of work: if it throws, every collection is put back as it was.
+     * The function gets a view of this store whose saves are held back until it has finished,
+     * so it never waits on I/O and no other request's change can land in the middle of it.
+     *
+     * @param {Function} fn - Called with the store view; may return a promise.
+     * @returns {Promise<*>} What fn returned.
+     */
+    async transaction(fn) {
+        const before = JSON.stringify(this.data);
+        const scope = Object.create(this, { save: { value: async () => {} } });
+
+        try {
+            const result = await fn(scope);
+            await this.save();
+            return result;
+        } catch (error) {
+            this.data = JSON.parse(before);
+            throw error;
+        }
+    }
+
+    /**
+     * Releases any resources held by the store.
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = MemoryStore;
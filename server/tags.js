@@ -0,0 +1,54 @@
+/**
+ * Tags group the contacts of an address book, e.g. "Family" or "Clients".
+ * Each book has its own tags; a contact can have several (its `tagIds`), and a tag
+ * can be on any number of the book's contacts. Owners and editors manage them.
+ */
+
+const ContactSchema = require('../js/ContactSchema');
+
+// Colors a tag can be shown in, shared with the browser
+const TAG_COLORS = ContactSchema.tags.colors;
+const TAG_NAME_MAX_LENGTH = 30;
+
+/**
+ * Checks the body of a request creating ({ name, color? }) or changing ({ name?, color? }) a tag.
+ *
+ * @param {Object} input - The request body.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - True when changing a tag: only the fields sent are checked.
+ * @returns {{ value: { name?, color? }, errors: Array<{ field: string, message: string }> }}
+ */
+function validateTag(input, { partial = false } = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = [];
+
+    if (!partial || source.name !== undefined) {
+        value.name = typeof source.name === 'string' ? source.name.trim() : '';
+        if (!value.name) {
+            errors.push({ field: 'name', message: 'Name is required' });
+        } else if (value.name.length > TAG_NAME_MAX_LENGTH) {
+            errors.push({ field: 'name', message: `Name must be at most ${TAG_NAME_MAX_LENGTH} characters` });
+        }
+    }
+    if (source.color !== undefined) {
+        value.color = source.color;
+        if (!TAG_COLORS.includes(source.color)) {
+            errors.push({ field: 'color', message: `Color must be one of: ${TAG_COLORS.join(', ')}` });
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * The color for a new tag that didn't ask for one: the next in TAG_COLORS, so tags are told apart.
+ *
+ * @param {number} existing - How many tags the book has.
+ * @returns {string}
+ */
+function nextTagColor(existing) {
+    return TAG_COLORS[existing % TAG_COLORS.length];
+}
+
+module.exports = { TAG_COLORS, validateTag, nextTagColor };
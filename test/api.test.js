@@ -0,0 +1,257 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadConfig } = require('../server/config');
+const { startServer } = require('../server');
+
+/**
+ * The API end to end: a server on a free port, with the 'memory' driver (so every run starts empty)
+ * and the example config file (so a local config.json doesn't change what is tested).
+ */
+
+/**
+ * A signed-in (or not yet) browser: sends JSON and keeps the session cookie.
+ */
+class Client {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cookie = '';
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} path - e.g. '/api/contacts?book=...'.
+     * @param {Object} [options]
+     * @param {*} [options.body] - Sent as JSON.
+     * @param {Object} [options.headers]
+     * @returns {Promise<{ status: number, headers: Headers, body: * }>}
+     */
+    async request(method, path, { body, headers = {} } = {}) {
+        const response = await fetch(this.baseUrl + path, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(this.cookie ? { Cookie: this.cookie } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) this.cookie = setCookie.split(';')[0];
+
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    /**
+     * Registers an account (which signs it in) and returns its personal address book's ID.
+     */
+    async register(email, password = 'password123') {
+        const { status } = await this.request('POST', '/api/auth/register', { body: { email, password } });
+        assert.equal(status, 201);
+        const { body } = await this.request('GET', '/api/books');
+        return body.data[0].id;
+    }
+}
+
+const ANN = { name: 'Ann Lee', emails: [{ label: 'work', value: 'ann@example.com' }], phones: [{ label: 'mobile', value: '+15550100001' }] };
+
+describe('API', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const config = loadConfig({ CONFIG_FILE: 'config.example.json', DB_DRIVER: 'memory', LOG_REQUESTS: 'false' });
+        server = await startServer(config, { port: 0 });
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('answers 400 to a request URL it can\'t parse, whatever the Host header', async () => {
+        // fetch() only sends valid URLs, so these go out as written
+        const send = (path, host) => new Promise((resolve, reject) => {
+            http.get({ port: server.address().port, path, headers: { Host: host } }, (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+        assert.equal(await send('http://[bad/api/auth/me', 'localhost'), 400);
+        assert.equal(await send('/api/auth/me', '[bad'), 401);
+    });
+
+    describe('accounts', () => {
+        it('registers, signs out and signs back in', async () => {
+            const client = new Client(baseUrl);
+            await client.register('reg@example.com');
+            assert.equal((await client.request('GET', '/api/auth/me')).body.user.email, 'reg@example.com');
+
+            await client.request('POST', '/api/auth/logout');
+            assert.equal((await client.request('GET', '/api/auth/me')).status, 401);
+
+            const login = await client.request('POST', '/api/auth/login', { body: { email: 'reg@example.com', password: 'password123' } });
+            assert.equal(login.status, 200);
+            assert.equal((await client.request('GET', '/api/auth/me')).body.user.email, 'reg@example.com');
+        });
+
+        it('refuses a wrong password and a taken email', async () => {
+            const client = new Client(baseUrl);
+            await client.register('taken@example.com');
+
+            const login = await new Client(baseUrl).request('POST', '/api/auth/login', { body: { email: 'taken@example.com', password: 'wrong-password' } });
+            assert.equal(login.status, 401);
+
+            const again = await new Client(baseUrl).request('POST', '/api/auth/register', { body: { email: 'taken@example.com', password: 'password123' } });
+            assert.equal(again.status, 409);
+            assert.equal(again.body.errors[0].field, 'email');
+        });
+
+        it('ignores a malformed cookie next to the session', async () => {
+            const client = new Client(baseUrl);
+            await client.register('cookies@example.com');
+            const { status, body } = await client.request('GET', '/api/auth/me', {
+                headers: { Cookie: `other=%E0%A4%A; ${client.cookie}` }
+            });
+            assert.equal(status, 200);
+            assert.equal(body.user.email, 'cookies@example.com');
+        });
+
+        it('keeps contacts from anyone signed out', async () => {
+            assert.equal((await new Client(baseUrl).request('GET', '/api/contacts')).status, 401);
+        });
+    });
+
+    describe('contacts', () => {
+        let client;
+        let bookId;
+
+        before(async () => {
+            client = new Client(baseUrl);
+            bookId = await client.register('crud@example.com');
+        });
+
+        it('creates, reads, updates and deletes a contact', async () => {
+            const created = await client.request('POST', `/api/contacts?book=${bookId}`, { body: ANN });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.name, 'Ann Lee');
+            assert.equal(created.body.version, 1);
+            const { id } = created.body;
+
+            const read = await client.request('GET', `/api/contacts/${id}`);
+            assert.equal(read.status, 200);
+            assert.equal(read.body.emails[0].value, 'ann@example.com');
+            assert.equal(read.headers.get('etag'), '"1"');
+
+            const list = await client.request('GET', `/api/contacts?book=${bookId}`);
+            assert.deepEqual(list.body.data.map((contact) => contact.id), [id]);
+
+            const updated = await client.request('PUT', `/api/contacts/${id}`, { body: { ...ANN, name: 'Ann Leeds' } });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.name, 'Ann Leeds');
+            assert.equal(updated.body.version, 2);
+
+            assert.equal((await client.request('DELETE', `/api/contacts/${id}`)).status, 200);
+            assert.equal((await client.request('GET', `/api/contacts/${id}`)).status, 404);
+        });
+
+        it('answers 400 with every invalid field', async () => {
+            const { status, body } = await client.request('POST', `/api/contacts?book=${bookId}`, {
+                body: { name: '', emails: [{ label: 'work', value: 'not-an-email' }] }
+            });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Validation failed');
+            const fields = body.errors.map((error) => error.field);
+            assert.ok(fields.includes('name'), `got errors for ${fields.join(', ')}`);
+            assert.ok(fields.some((field) => field.startsWith('emails')), `got errors for ${fields.join(', ')}`);
+        });
+
+        it('answers 400 to a body that is not a JSON object', async () => {
+            for (const text of ['{oops', 'null', '42', '[]']) {
+                const response = await fetch(`${baseUrl}/api/contacts/import?book=${bookId}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Cookie: client.cookie },
+                    body: text
+                });
+                assert.equal(response.status, 400, text);
+            }
+        });
+
+        it('checks a contact for duplicates, and answers 400 to an invalid one', async () => {
+            const { body: ann } = await client.request('POST', `/api/contacts?book=${bookId}`, { body: ANN });
+            const found = await client.request('POST', `/api/contacts/duplicates?book=${bookId}`, {
+                body: { contact: { ...ANN, name: 'Ann L.' } }
+            });
+            assert.equal(found.status, 200);
+            assert.ok(found.body.data.some((match) => match.contact.id === ann.id));
+
+            for (const contact of [{ ...ANN, emails: 'x' }, { ...ANN, phones: { value: 'x' } }]) {
+                const invalid = await client.request('POST', `/api/contacts/duplicates?book=${bookId}`, { body: { contact } });
+                assert.equal(invalid.status, 400);
+                assert.equal(invalid.body.error, 'Validation failed');
+            }
+        });
+
+        it('answers 400 to an export format it doesn\'t have', async () => {
+            for (const format of ['toString', 'constructor', '__proto__', 'pdf']) {
+                const { status } = await client.request('GET', `/api/contacts/export?book=${bookId}&format=${format}`);
+                assert.equal(status, 400, format);
+            }
+        });
+
+        it('answers 412 with the current contact to a stale If-Match', async () => {
+            const { body: contact } = await client.request('POST', `/api/contacts?book=${bookId}`, { body: ANN });
+            await client.request('PUT', `/api/contacts/${contact.id}`, { body: { ...ANN, name: 'Ann One' }, headers: { 'If-Match': '"1"' } });
+
+            const stale = await client.request('PUT', `/api/contacts/${contact.id}`, { body: { ...ANN, name: 'Ann Two' }, headers: { 'If-Match': '"1"' } });
+            assert.equal(stale.status, 412);
+            assert.equal(stale.body.current.name, 'Ann One');
+            assert.equal(stale.headers.get('etag'), '"2"');
+
+            const staleDelete = await client.request('DELETE', `/api/contacts/${contact.id}`, { headers: { 'If-Match': '"1"' } });
+            assert.equal(staleDelete.status, 412);
+        });
+    });
+
+    describe('shared address books', () => {
+        let owner;
+        let viewer;
+        let bookId;
+        let contactId;
+
+        before(async () => {
+            owner = new Client(baseUrl);
+            viewer = new Client(baseUrl);
+            bookId = await owner.register('owner@example.com');
+            await viewer.register('viewer@example.com');
+
+            const added = await owner.request('POST', `/api/books/${bookId}/members`, { body: { email: 'viewer@example.com', role: 'viewer' } });
+            assert.equal(added.status, 201);
+            contactId = (await owner.request('POST', `/api/contacts?book=${bookId}`, { body: ANN })).body.id;
+        });
+
+        it('lets a viewer read the book', async () => {
+            const list = await viewer.request('GET', `/api/contacts?book=${bookId}`);
+            assert.equal(list.status, 200);
+            assert.deepEqual(list.body.data.map((contact) => contact.id), [contactId]);
+        });
+
+        it('answers 403 to a viewer that adds, edits or deletes contacts', async () => {
+            assert.equal((await viewer.request('POST', `/api/contacts?book=${bookId}`, { body: ANN })).status, 403);
+            assert.equal((await viewer.request('PUT', `/api/contacts/${contactId}`, { body: { ...ANN, name: 'Changed' } })).status, 403);
+            assert.equal((await viewer.request('DELETE', `/api/contacts/${contactId}`)).status, 403);
+            assert.equal((await owner.request('GET', `/api/contacts/${contactId}`)).body.name, 'Ann Lee');
+        });
+
+        it('answers 403 to a viewer that manages members', async () => {
+            const { status } = await viewer.request('POST', `/api/books/${bookId}/members`, { body: { email: 'crud@example.com', role: 'editor' } });
+            assert.equal(status, 403);
+        });
+
+        it('answers 404 to anyone the book is not shared with, so it stays hidden', async () => {
+            const stranger = new Client(baseUrl);
+            await stranger.register('stranger@example.com');
+            assert.equal((await stranger.request('GET', `/api/contacts?book=${bookId}`)).status, 404);
+            assert.equal((await stranger.request('GET', `/api/contacts/${contactId}`)).status, 404);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+/**
+ * The View's templates (see js/mvc/Template.js) with hostile contact values: whatever a contact
+ * holds must come out as text, never as markup or as a way out of an attribute.
+ *
+ * The page is index.html in jsdom, with the scripts the View needs; app.js isn't run, so nothing
+ * talks to a server.
+ */
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+// The scripts ContactView depends on, in index.html's order
+const SCRIPTS = [
+    'js/ContactSchema.js',
+    'js/mvc/Template.js',
+    'js/mvc/KeyedList.js',
+    'js/mvc/View.js',
+    'js/ContactView.js'
+];
+
+const IMG = '<img src=x onerror="window.hacked = true">';
+const QUOTES = `"double" and 'single'`;
+const ESCAPES = `x" onmouseover="window.hacked = true" data-x='`;
+
+/**
+ * A contact with markup, quotes and attribute breakouts in every field a template shows.
+ */
+const HOSTILE = {
+    id: ESCAPES,
+    name: IMG,
+    email: `${QUOTES}@example.com`,
+    emails: [{ label: 'work', value: `${QUOTES}@example.com` }, { label: 'home', value: `${IMG}@example.com` }],
+    phone: `+1 ${QUOTES}`,
+    phones: [{ label: 'mobile', value: `+1 ${QUOTES}` }],
+    addresses: [{ label: 'home', street: IMG, city: QUOTES, region: '', postalCode: ESCAPES, country: '' }],
+    company: IMG,
+    title: QUOTES,
+    notes: `${IMG}\n${ESCAPES}`,
+    birthday: null,
+    tagIds: [],
+    version: 1
+};
+
+/**
+ * Loads index.html and the View's scripts into a new jsdom window.
+ *
+ * @returns {{ window: Window, run: Function }} The window, and run(code), which evaluates code in
+ *   its global scope (where the scripts' classes are).
+ */
+function loadPage() {
+    const dom = new JSDOM(fs.readFileSync(path.join(PROJECT_ROOT, 'index.html'), 'utf8'), {
+        url: 'http://localhost:3000/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    // Run as the page's <script>s would be, so their top-level classes are visible to each other
+    const context = dom.getInternalVMContext();
+    SCRIPTS.forEach((script) => {
+        const source = fs.readFileSync(path.join(PROJECT_ROOT, script), 'utf8');
+        new vm.Script(source, { filename: script }).runInContext(context);
+    });
+    return { window: dom.window, run: (code) => vm.runInContext(code, context) };
+}
+
+/**
+ * Checks that a rendered element holds no markup from a contact: no <img>, and no event handler
+ * attribute (as an escaped quote would have let in).
+ *
+ * @param {Element} element
+ */
+function assertInert(element) {
+    assert.equal(element.querySelector('img'), null, 'an <img> was rendered');
+    const handlers = [element, ...element.querySelectorAll('*')]
+        .flatMap((node) => [...node.attributes].filter((attribute) => attribute.name.startsWith('on')))
+        .map((attribute) => attribute.name);
+    assert.deepEqual(handlers, [], 'an event handler attribute was rendered');
+}
+
+describe('templates', () => {
+    let window;
+    let run;
+    let document;
+    let view;
+
+    before(() => {
+        ({ window, run } = loadPage());
+        document = window.document;
+        view = run('new ContactView()');
+    });
+
+    it('escapes every special character', () => {
+        const Template = run('Template');
+        assert.equal(Template.escape(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+        assert.equal(Template.html`<p title="${QUOTES}">${IMG}</p>`.markup,
+            '<p title="&quot;double&quot; and &#39;single&#39;">&lt;img src=x onerror=&quot;window.hacked = true&quot;&gt;</p>');
+    });
+
+    it('renders a contact card as text', () => {
+        view.displayContacts([HOSTILE], { total: 1, hasMore: false });
+
+        const list = document.getElementById('contact-list');
+        const card = list.querySelector('.contact-item');
+        assertInert(list);
+        assert.equal(card.id, ESCAPES);
+        assert.equal(card.querySelector('h3').textContent, IMG);
+        assert.equal(card.querySelector('.contact-details').getAttribute('aria-label'), `Show details of ${IMG}`);
+        assert.equal(card.querySelector('.edit').dataset.id, ESCAPES);
+        assert.ok(card.textContent.includes(`${QUOTES}@example.com`));
+        assert.equal(card.querySelector('.contact-subtitle').textContent, `${QUOTES} at ${IMG}`);
+    });
+
+    it('renders the empty state\'s search as text', () => {
+        view.displayContacts([], { total: 0, hasMore: false, search: IMG });
+
+        const emptyState = document.getElementById('empty-state');
+        assertInert(emptyState);
+        assert.equal(emptyState.querySelector('strong').textContent, IMG);
+
+        view.displayContacts([], { total: 0, hasMore: false, search: ESCAPES, filtered: true });
+        assertInert(emptyState);
+        assert.equal(emptyState.querySelector('strong').textContent, ESCAPES);
+    });
+
+    it('renders the detail view as text', () => {
+        view.showContactDetails(HOSTILE);
+
+        const fields = document.getElementById('detail-fields');
+        assertInert(document.getElementById('detail-modal'));
+        assert.equal(document.getElementById('detail-name').textContent, IMG);
+        const links = [...fields.querySelectorAll('a')].map((link) => link.getAttribute('href'));
+        assert.deepEqual(links, [`mailto:${QUOTES}@example.com`, `mailto:${IMG}@example.com`, `tel:+1 ${QUOTES}`]);
+        assert.ok(fields.textContent.includes(`${IMG}\n${ESCAPES}`));
+        assert.ok(fields.textContent.includes(QUOTES));
+    });
+
+    it('renders the conflict dialog as text', () => {
+        view.showConflictDialog({ id: HOSTILE.id, current: HOSTILE, mine: { ...HOSTILE, name: ESCAPES } });
+
+        const diff = document.getElementById('conflict-diff');
+        assertInert(document.getElementById('conflict-modal'));
+        const nameRow = [...diff.querySelectorAll('tr')].find((row) => row.cells[0].textContent === 'Full name');
+        assert.equal(nameRow.cells[1].textContent, IMG);
+        assert.equal(nameRow.cells[2].textContent, ESCAPES);
+    });
+
+    it('renders the duplicate warning and the trash as text', () => {
+        view.showDuplicateWarning([{ contact: HOSTILE, reasons: ['email'] }]);
+        const duplicates = document.getElementById('duplicate-list');
+        assertInert(duplicates);
+        assert.equal(duplicates.querySelector('.duplicate-name').textContent, IMG);
+        assert.equal(duplicates.querySelector('[data-merge-index]').getAttribute('aria-label'), `Merge with ${IMG}`);
+
+        view.showTrashDialog([{ ...HOSTILE, deletedAt: new Date().toISOString() }]);
+        const trash = document.getElementById('trash-list');
+        assertInert(trash);
+        assert.equal(trash.querySelector('.trash-name').textContent, IMG);
+        assert.equal(trash.querySelector('[data-restore-id]').dataset.restoreId, ESCAPES);
+    });
+
+    it('never runs a contact\'s markup', () => {
+        assert.equal(window.hacked, undefined);
+    });
+});